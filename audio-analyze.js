@@ -0,0 +1,114 @@
+/**
+ * 音声解析（ヘッドレス）
+ * WAVファイルをブラウザと同じ AudioAnalyzer に通して、オンセット/レベルを確認する
+ * （?audio の反応をブラウザ無しで調整する用）
+ *
+ * 使い方:
+ *   npm run audio-analyze -- song.wav
+ *   npm run audio-analyze -- song.wav --tracks low:5,high:3 --cc high:bloom --out sessions/song.ndjson
+ *
+ * オプション:
+ *   --fps <n>        解析の間隔（ブラウザのフレームレート相当。デフォルト60）
+ *   --fft <n>        FFTサイズ（デフォルト2048）
+ *   --tracks <map>   帯域 → トラック（?audioTracks と同じ）
+ *   --cc <map>       帯域 → /cc の名前（?audioCC と同じ）
+ *   --out <file>     メッセージをセッション形式（NDJSON）で書き出す（npm run osc-replay でそのまま再生できる）
+ *   --quiet          オンセットの一覧を出さない（集計だけ）
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AudioAnalyzer, parseBandMap } from './src/lib/AudioAnalyzer.js';
+import { readWavFile } from './server/wav.js';
+import { SESSION_VERSION } from './server/SessionRecorder.js';
+
+function parseArgs(argv) {
+    const options = { file: null, fps: 60, fft: 2048, tracks: '', cc: '', out: null, quiet: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = argv[i + 1];
+        const hasValue = next !== undefined && !next.startsWith('--');
+        if (arg === '--fps' && hasValue) {
+            options.fps = Number(argv[++i]) || 60;
+        } else if (arg === '--fft' && hasValue) {
+            options.fft = Number(argv[++i]) || 2048;
+        } else if (arg === '--tracks' && hasValue) {
+            options.tracks = argv[++i];
+        } else if (arg === '--cc' && hasValue) {
+            options.cc = argv[++i];
+        } else if (arg === '--out' && hasValue) {
+            options.out = argv[++i];
+        } else if (arg === '--quiet') {
+            options.quiet = true;
+        } else if (!arg.startsWith('--') && options.file === null) {
+            options.file = arg;
+        }
+    }
+    return options;
+}
+
+const USAGE = '使い方: npm run audio-analyze -- <file.wav> [--tracks low:5] [--cc high:bloom] [--out sessions/x.ndjson]';
+const options = parseArgs(process.argv.slice(2));
+if (!options.file) {
+    console.error(USAGE);
+    process.exit(1);
+}
+
+// ファイルが無い/WAVとして読めない時は使い方を出して終了
+let wav;
+try {
+    wav = readWavFile(path.resolve(options.file));
+} catch (error) {
+    console.error(`❌ ${options.file} を読めません: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+}
+const { sampleRate, channels, samples } = wav;
+const duration = samples.length / sampleRate;
+console.log(`🎧 ${options.file}: ${sampleRate}Hz ${channels}ch ${duration.toFixed(2)}秒（fps=${options.fps}, fft=${options.fft}）`);
+
+const entries = [];
+let currentTime = 0;
+const analyzer = new AudioAnalyzer({
+    sampleRate,
+    fftSize: options.fft,
+    trackMap: parseBandMap(options.tracks),
+    ccMap: parseBandMap(options.cc),
+    onMessage: (message) => {
+        entries.push({ t: Math.round(currentTime * 1e6) / 1e3, address: message.address, args: message.args });
+    }
+});
+
+// ブラウザの毎フレーム解析と同じく、ホップごとに「その時点までの最新 fftSize サンプル」を渡す
+const hop = Math.max(1, Math.round(sampleRate / options.fps));
+const frame = new Float32Array(options.fft);
+const onsetCounts = {};
+const peakLevels = {};
+for (let end = hop; end <= samples.length; end += hop) {
+    const start = end - options.fft;
+    frame.fill(0);
+    frame.set(samples.subarray(Math.max(0, start), end), Math.max(0, -start));
+    currentTime = end / sampleRate;
+    const result = analyzer.process(frame, currentTime);
+
+    for (const [band, level] of Object.entries(result.levels)) {
+        peakLevels[band] = Math.max(peakLevels[band] ?? 0, level);
+    }
+    for (const { band, strength } of result.onsets) {
+        onsetCounts[band] = (onsetCounts[band] ?? 0) + 1;
+        if (!options.quiet) console.log(`  ${currentTime.toFixed(3)}s  onset ${band.padEnd(4)} ${strength.toFixed(2)}`);
+    }
+}
+
+console.log('帯域   オンセット  最大レベル');
+for (const band of analyzer.bands) {
+    console.log(`  ${band.name.padEnd(5)} ${String(onsetCounts[band.name] ?? 0).padStart(8)}  ${(peakLevels[band.name] ?? 0).toFixed(2)}`);
+}
+
+if (options.out) {
+    const outPath = path.resolve(options.out);
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    const header = { kind: 'header', version: SESSION_VERSION, startedAt: Date.now(), source: options.file };
+    fs.writeFileSync(outPath, [header, ...entries].map((e) => JSON.stringify(e)).join('\n') + '\n');
+    console.log(`💾 ${entries.length}件のメッセージを書き出しました: ${outPath}`);
+}
@@ -0,0 +1,56 @@
+/**
+ * OSCルーティングテーブル
+ * osc-server.js が受信したOSCメッセージを、WebSocketに流す前に
+ * 型付きイベント（note / tick / bar / phase / scene / queue / cancel / control / param / cc / seed / transition）へ変換する
+ *
+ * NOTE:
+ * - 上から順に評価し、最初にマッチしたルートだけを採用する
+ * - pattern は OSC 1.0 のアドレスパターン（* ? [...] {a,b}）。配列ならいずれか
+ * - 送信元（Ableton/TouchDesigner/Processing など）ごとにアドレスが違う場合は、
+ *   ここにルートを足すだけで良い（正規表現を書き換える必要はない）
+ * - 環境変数 OSC_ROUTES に JSON/JS ファイルを指定すると、このテーブルの代わりに使う
+ *
+ * ルートのフィールド:
+ * - type         : イベント種別
+ * - trackSegment : トラック番号を取り出すアドレスのセグメント位置（'/track/3' → 1）
+ * - valueSegment : 値を args[0] ではなくアドレスから取る場合のセグメント位置（'/phase/3' → 1）
+ * - nameSegment  : param/cc のパラメータ名 / control のコマンド名を取るセグメント位置（'/param/noise' → 1）
+ * - name         : param/cc のパラメータ名 / control のコマンド名を固定する場合
+ */
+
+export const OSC_ROUTES = [
+    // ノート: /track/{N} [noteNumber, velocity, durationMs]
+    { pattern: '/track/*', type: 'note', trackSegment: 1 },
+
+    // タイミング（値は args[0]）
+    { pattern: ['/actual_tick', '/tick'], type: 'tick' },
+    { pattern: ['/actual_bar', '/bar'], type: 'bar' },
+    { pattern: '/phase', type: 'phase' },
+
+    // /tick/1234 や /phase/3 のようにアドレスに値が埋まってるパターン
+    { pattern: ['/actual_tick/*', '/tick/*'], type: 'tick', valueSegment: 1 },
+    { pattern: ['/actual_bar/*', '/bar/*'], type: 'bar', valueSegment: 1 },
+    { pattern: '/phase/*', type: 'phase', valueSegment: 1 },
+
+    // シーン切り替え: /scene <index|id|title> [transition] [durationMs]
+    { pattern: '/scene', type: 'scene' },
+    // 小節に合わせた予約切り替え: /scene/queue <index|id|title> [小節数|phase] [transition] [durationMs]
+    { pattern: '/scene/queue', type: 'queue' },
+    { pattern: '/scene/cancel', type: 'cancel' },
+    // トランジションのデフォルト: /transition <cut|crossfade|luma|glitch|black|white> [durationMs]
+    { pattern: '/transition', type: 'transition' },
+
+    // 操作: /mavrx/{scene|queue|cancel|hud|reset|screenshot|toggle|key} ...（SceneManager.handleControl）
+    // NOTE: '*' は '/' をまたがないので、送信側の /mavrx/state/* とはぶつからない
+    { pattern: '/mavrx/*', type: 'control', nameSegment: 1 },
+
+    // パラメータ: /param/{name} <value>
+    { pattern: '/param/*', type: 'param', nameSegment: 1 },
+    // 連続値（つまみ/オートメーション）: /cc/{name} <0..1>（パラメータの範囲にマッピングしてスムージング）
+    { pattern: '/cc/*', type: 'cc', nameSegment: 1 },
+
+    // 乱数シード: /seed <number|string>
+    { pattern: '/seed', type: 'seed' },
+];
+
+export default OSC_ROUTES;
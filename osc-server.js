@@ -2,14 +2,28 @@
  * OSC WebSocket Server
  * OSCメッセージを受信してWebSocket経由でブラウザに転送
  * スクリーンショット保存機能も提供
+ *
+ * オプション:
+ *   --record [file]   受信したOSCをNDJSONに記録（省略時は sessions/session-YYYYMMDD-HHMMSS.ndjson）
+ *   --replay <file>   記録したセッションを再生（npm run osc-replay <file>）。再生中はUDPで届く本番の入力を流さない
+ *   --loop            再生: 最後まで行ったら開始位置に戻る
+ *   --speed <x>       再生: 再生速度（デフォルト1）
+ *   --bar <n>         再生: n小節目から開始
  */
 
 import OSC from 'osc-js';
 import { WebSocketServer } from 'ws';
+import dgram from 'dgram';
 import http from 'http';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { OSC_ROUTES } from './osc-routes.js';
+import { OSCRouter } from './server/OSCRouter.js';
+import { unpackOSCPacket } from './server/oscPacket.js';
+import { SessionRecorder } from './server/SessionRecorder.js';
+import { SessionPlayer, readSessionFile } from './server/SessionPlayer.js';
+import readline from 'readline';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,6 +31,63 @@ const __dirname = path.dirname(__filename);
 const OSC_PORT = 30337;  // Processingと同じポート
 const WS_PORT = 8080;    // WebSocketサーバーのポート
 const HTTP_PORT = 3001;  // HTTPサーバーのポート（Viteが3000を使用するため3001に変更）
+// ブラウザからのOSC送信先（Max/Processingのパッチ側で受ける）
+const OSC_OUT_HOST = process.env.OSC_OUT_HOST || '127.0.0.1';
+const OSC_OUT_PORT = Number(process.env.OSC_OUT_PORT) || 30338;
+
+/**
+ * コマンドライン引数をパース
+ */
+function parseArgs(argv) {
+    const options = { record: null, replay: null, loop: false, speed: 1, bar: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = argv[i + 1];
+        const hasValue = next !== undefined && !next.startsWith('--');
+        if (arg === '--record') {
+            options.record = hasValue ? argv[++i] : true;
+        } else if (arg === '--replay') {
+            // ファイル名が無ければ ''（後ろに来るファイル名で埋める。最後まで無ければ使い方を出して終了）
+            options.replay = hasValue ? argv[++i] : '';
+        } else if (arg === '--loop') {
+            options.loop = true;
+        } else if (arg === '--speed' && hasValue) {
+            options.speed = Number(argv[++i]) || 1;
+        } else if (arg === '--bar' && hasValue) {
+            options.bar = Number(argv[++i]);
+        } else if (!arg.startsWith('--') && !options.replay && argv.includes('--replay')) {
+            // npm run osc-replay <file> の場合、ファイル名は --replay の後ろに来ないことがある
+            options.replay = arg;
+        }
+    }
+    return options;
+}
+
+const cliOptions = parseArgs(process.argv.slice(2));
+
+// 再生するセッションはサーバーを立てる前に読む（無い/読めない/空なら使い方を出して終了）
+let replaySession = null;
+if (cliOptions.replay !== null) {
+    const usage = '使い方: npm run osc-replay -- <file.ndjson> [--loop] [--speed <x>] [--bar <n>]';
+    if (!cliOptions.replay) {
+        console.error('❌ --replay に再生するセッションファイルを指定してください');
+        console.error(usage);
+        process.exit(1);
+    }
+    const replayPath = path.resolve(cliOptions.replay);
+    try {
+        replaySession = { path: replayPath, ...readSessionFile(replayPath) };
+    } catch (error) {
+        console.error(`❌ セッションファイルを読めません: ${replayPath}（${error.message}）`);
+        console.error(usage);
+        process.exit(1);
+    }
+    if (replaySession.entries.length === 0) {
+        console.error(`❌ 再生できるメッセージがありません: ${replayPath}`);
+        console.error(usage);
+        process.exit(1);
+    }
+}
 
 // screenshotsフォルダを作成（存在しない場合）
 const screenshotsDir = path.join(__dirname, 'screenshots');
@@ -25,61 +96,159 @@ if (!fs.existsSync(screenshotsDir)) {
     console.log(`screenshotsフォルダを作成: ${screenshotsDir}`);
 }
 
+// OSCルーティングテーブルを読み込む
+// - 環境変数 OSC_ROUTES で差し替え可能（.json または export default した .js）
+async function loadOSCRoutes() {
+    const routesFile = process.env.OSC_ROUTES;
+    if (!routesFile) return OSC_ROUTES;
+    const routesPath = path.resolve(routesFile);
+    try {
+        if (routesPath.endsWith('.json')) {
+            return JSON.parse(fs.readFileSync(routesPath, 'utf8'));
+        }
+        const mod = await import(pathToFileURL(routesPath).href);
+        return mod.default || mod.OSC_ROUTES;
+    } catch (error) {
+        console.error(`❌ OSCルーティングテーブルの読み込みエラー（デフォルトを使用）: ${routesPath}`, error);
+        return OSC_ROUTES;
+    }
+}
+
+const oscRouter = new OSCRouter(await loadOSCRoutes());
+console.log(`OSCルート: ${oscRouter.routes.length}件`);
+
 // WebSocketサーバーを起動
 const wss = new WebSocketServer({ port: WS_PORT });
 
 console.log(`WebSocketサーバー起動: ws://localhost:${WS_PORT}`);
 
-// OSC受信を設定
-const osc = new OSC({
-    plugin: new OSC.DatagramPlugin({
-        open: {
-            host: '0.0.0.0',
-            port: OSC_PORT
-        }
-    })
-});
+// サーバー時刻（Unix ms, ミリ秒未満まで）
+// NOTE: OSCバンドルのタイムタグと同じ時間軸。ブラウザとの時計合わせにも使う
+const serverNow = () => performance.timeOrigin + performance.now();
 
-// OSCメッセージ受信時のハンドラー
-osc.on('*', (message) => {
-    // メッセージをパース
-    const parsed = {
-        address: message.address,
-        args: message.args || [],
-        trackNumber: null
-    };
-    
-    // トラック番号を抽出
-    const trackMatch = message.address.match(/\/track\/(\d+)/);
-    if (trackMatch) {
-        parsed.trackNumber = parseInt(trackMatch[1]);
-    }
-    
-    // 全クライアントに送信
+/**
+ * 全クライアントに送信
+ */
+function broadcast(event) {
+    const json = JSON.stringify(event);
     wss.clients.forEach((client) => {
         if (client.readyState === 1) {  // WebSocket.OPEN = 1
-            client.send(JSON.stringify(parsed));
+            client.send(json);
         }
     });
+}
+
+/**
+ * OSCメッセージ1件を処理
+ * @param {{address: string, args: Array, timetag: number|null}} message
+ */
+function handleOSCMessage(message) {
+    // ルーティングテーブルで型付きイベントに変換
+    const parsed = oscRouter.route(message.address, message.args || []);
+    // バンドルで届いたものは実行予定時刻（Unix ms）を付けて転送（ブラウザ側でフレーム単位にスケジュール）
+    if (message.timetag !== null) {
+        parsed.timetag = message.timetag;
+    }
+    
+    broadcast(parsed);
     
     console.log('OSC受信:', parsed);
-});
+}
 
-// OSC接続開始
-osc.on('open', () => {
-    console.log(`OSC受信開始: ポート ${OSC_PORT}`);
+// ============================================
+// セッション記録（--record）
+// ============================================
+let sessionRecorder = null;
+if (cliOptions.record) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    const recordPath = cliOptions.record === true
+        ? path.join(__dirname, 'sessions', `session-${stamp}.ndjson`)
+        : path.resolve(cliOptions.record);
+    sessionRecorder = new SessionRecorder(recordPath);
+    console.log(`⏺️ セッション記録開始: ${recordPath}`);
+}
+
+// OSC受信を設定
+// NOTE:
+// osc-js の osc.on('*') はバンドルのタイムタグを捨ててしまうので、UDPソケットは自前で持ち、
+// パケットの展開は server/oscPacket.js で行う（osc-js はメッセージのpack/unpackにだけ使う）
+const oscSocket = dgram.createSocket('udp4');
+
+oscSocket.on('message', (buffer) => {
+    let messages;
+    try {
+        messages = unpackOSCPacket(buffer);
+    } catch (error) {
+        console.error('❌ OSCパケットの展開エラー:', error.message);
+        return;
+    }
+    // 再生中は本番の入力を混ぜない（記録だけはする）
+    messages.forEach((message) => {
+        sessionRecorder?.record(message);
+        if (!replaySession) handleOSCMessage(message);
+    });
 });
 
-osc.on('error', (error) => {
+oscSocket.on('error', (error) => {
     console.error('OSC Error:', error);
 });
 
-osc.open();
+oscSocket.bind(OSC_PORT, '0.0.0.0', () => {
+    console.log(`OSC受信開始: ポート ${OSC_PORT}`);
+});
+
+/**
+ * OSCメッセージをUDPで送信
+ */
+function sendOSC(address, args, host = OSC_OUT_HOST, port = OSC_OUT_PORT) {
+    const binary = new OSC.Message(address, ...args).pack();
+    oscSocket.send(Buffer.from(binary), port, host);
+}
+
+/**
+ * ブラウザからの上りメッセージを処理
+ * - { kind: 'osc', address, args } → UDPで OSC_OUT_HOST:OSC_OUT_PORT に送信
+ * - { kind: 'clock', t0 } → { kind: 'clock', t0, serverTime } を返す（時計合わせ）
+ */
+function handleUpstreamMessage(ws, data) {
+    let message;
+    try {
+        message = JSON.parse(data.toString());
+    } catch (error) {
+        console.error('❌ WebSocket上りメッセージのパースエラー:', error.message);
+        return;
+    }
+
+    if (message?.kind === 'osc') {
+        if (typeof message.address !== 'string' || !message.address.startsWith('/')) {
+            console.warn('⚠️ 無効なOSCアドレス:', message.address);
+            return;
+        }
+        const args = Array.isArray(message.args) ? message.args : [];
+        try {
+            sendOSC(message.address, args);
+        } catch (error) {
+            console.error('❌ OSC送信エラー:', error.message);
+        }
+        return;
+    }
+
+    if (message?.kind === 'clock') {
+        ws.send(JSON.stringify({ kind: 'clock', t0: message.t0, serverTime: serverNow() }));
+        return;
+    }
+
+    console.warn('⚠️ 未知の上りメッセージ:', message?.kind);
+}
 
 // WebSocket接続時のハンドラー
 wss.on('connection', (ws) => {
     console.log('WebSocketクライアント接続');
     
+    ws.on('message', (data) => {
+        handleUpstreamMessage(ws, data);
+    });
+    
     ws.on('close', () => {
         console.log('WebSocketクライアント切断');
     });
@@ -89,11 +258,231 @@ wss.on('connection', (ws) => {
     });
 });
 
-// HTTPサーバーを起動（スクリーンショット保存用）
+// ============================================
+// オフラインレンダー（セッション読み込み / 連番PNG書き出し）
+// ============================================
+const sessionsDir = path.join(__dirname, 'sessions');
+const rendersDir = path.join(__dirname, 'renders');
+// レンダージョブ: id → { dir, name, fps, width, height, frames }
+const renderJobs = new Map();
+
+function sendJSON(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * リクエストボディを Buffer で読む（PNGのバイナリ用）
+ */
+function readBodyBuffer(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * GET /api/session?file=xxx.ndjson
+ * セッションを読み込み、ルーティング済みのイベント列を返す
+ * - at: セッション開始からの実行予定時刻（ms）。バンドルは lead 分だけ後ろ
+ */
+function handleSessionRequest(url, res) {
+    const file = url.searchParams.get('file') || '';
+    const filePath = path.resolve(sessionsDir, file);
+    if (!file || !filePath.startsWith(sessionsDir + path.sep)) {
+        sendJSON(res, 400, { error: 'file must be a path under sessions/' });
+        return;
+    }
+    if (!fs.existsSync(filePath)) {
+        sendJSON(res, 404, { error: `session not found: ${file}` });
+        return;
+    }
+    const { header, entries } = readSessionFile(filePath);
+    const events = entries.map((entry) => ({
+        ...oscRouter.route(entry.address, entry.args || []),
+        at: entry.t + (typeof entry.lead === 'number' ? entry.lead : 0)
+    }));
+    events.sort((a, b) => a.at - b.at);
+    console.log(`🎞️ セッション読み込み: ${filePath}（${events.length}件）`);
+    sendJSON(res, 200, { header, events });
+}
+
+/**
+ * POST /api/render/start  { name, fps, width, height, session, startBar }
+ */
+async function handleRenderStart(req, res) {
+    const data = JSON.parse((await readBodyBuffer(req)).toString() || '{}');
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    const safeName = String(data.name || 'render').replace(/[^a-zA-Z0-9_-]/g, '_');
+    const id = `${safeName}-${stamp}`;
+    const dir = path.join(rendersDir, id);
+    fs.mkdirSync(dir, { recursive: true });
+    renderJobs.set(id, {
+        dir,
+        name: safeName,
+        fps: Number(data.fps) || 60,
+        width: Number(data.width) || 0,
+        height: Number(data.height) || 0,
+        session: data.session || null,
+        startBar: data.startBar ?? null,
+        frames: 0
+    });
+    console.log(`🎬 オフラインレンダー開始: ${dir}`);
+    sendJSON(res, 200, { success: true, id, path: dir });
+}
+
+/**
+ * POST /api/render/frame?id=...&frame=N  （ボディはPNGバイナリ）
+ */
+async function handleRenderFrame(url, req, res) {
+    const job = renderJobs.get(url.searchParams.get('id'));
+    const frame = parseInt(url.searchParams.get('frame'), 10);
+    if (!job || !Number.isInteger(frame) || frame < 0) {
+        sendJSON(res, 400, { error: 'unknown render id or invalid frame' });
+        return;
+    }
+    const buffer = await readBodyBuffer(req);
+    const filePath = path.join(job.dir, `frame_${String(frame).padStart(6, '0')}.png`);
+    fs.writeFileSync(filePath, buffer);
+    job.frames = Math.max(job.frames, frame + 1);
+    if (frame % 60 === 0) {
+        console.log(`🎞️ ${job.name}: ${frame}フレーム`);
+    }
+    sendJSON(res, 200, { success: true });
+}
+
+/**
+ * POST /api/render/finish  { id }
+ * manifest.json と ffmpeg 用の連結リスト（ffmpeg.txt）を書き出す
+ */
+async function handleRenderFinish(req, res) {
+    const data = JSON.parse((await readBodyBuffer(req)).toString() || '{}');
+    const job = renderJobs.get(data.id);
+    if (!job) {
+        sendJSON(res, 400, { error: 'unknown render id' });
+        return;
+    }
+    renderJobs.delete(data.id);
+
+    const pattern = 'frame_%06d.png';
+    const ffmpegCommand = `ffmpeg -framerate ${job.fps} -i ${pattern} -c:v libx264 -pix_fmt yuv420p -crf 16 ${job.name}.mp4`;
+    const manifest = {
+        name: job.name,
+        fps: job.fps,
+        width: job.width,
+        height: job.height,
+        frames: job.frames,
+        pattern,
+        session: job.session,
+        startBar: job.startBar,
+        createdAt: new Date().toISOString(),
+        ffmpeg: ffmpegCommand
+    };
+    fs.writeFileSync(path.join(job.dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+    // concat demuxer 用（ffmpeg -f concat -i ffmpeg.txt ...）
+    const frameDuration = (1 / job.fps).toFixed(6);
+    let list = '';
+    for (let i = 0; i < job.frames; i++) {
+        list += `file 'frame_${String(i).padStart(6, '0')}.png'\nduration ${frameDuration}\n`;
+    }
+    fs.writeFileSync(path.join(job.dir, 'ffmpeg.txt'), list);
+
+    console.log(`✅ オフラインレンダー完了: ${job.dir}（${job.frames}フレーム）`);
+    console.log(`   ${ffmpegCommand}`);
+    sendJSON(res, 200, { success: true, path: job.dir, manifest });
+}
+
+// ============================================
+// プリセット（public/presets/<sceneId>/<name>.json）
+// ============================================
+const presetsDir = path.join(__dirname, 'public', 'presets');
+const PRESET_NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * /api/presets/<sceneId>/<name> → ファイルパス（名前が不正なら null）
+ */
+function resolvePresetPath(sceneId, name) {
+    if (!PRESET_NAME_PATTERN.test(sceneId) || !PRESET_NAME_PATTERN.test(name) || sceneId.startsWith('.') || name.startsWith('.')) {
+        return null;
+    }
+    return path.join(presetsDir, sceneId, `${name}.json`);
+}
+
+/**
+ * GET /api/presets?scene=<sceneId>
+ * 保存済みのプリセット名（scene 省略で全シーン分: { presets: ["scene01/chorus", ...] }）
+ */
+function handlePresetList(url, res) {
+    const sceneId = url.searchParams.get('scene');
+    if (sceneId && !PRESET_NAME_PATTERN.test(sceneId)) {
+        sendJSON(res, 400, { error: 'invalid scene id' });
+        return;
+    }
+    const listDir = (dir) => (fs.existsSync(dir)
+        ? fs.readdirSync(dir).filter((f) => f.endsWith('.json')).map((f) => f.slice(0, -5)).sort()
+        : []);
+    let presets;
+    if (sceneId) {
+        presets = listDir(path.join(presetsDir, sceneId));
+    } else {
+        const scenes = fs.existsSync(presetsDir)
+            ? fs.readdirSync(presetsDir, { withFileTypes: true }).filter((d) => d.isDirectory()).map((d) => d.name).sort()
+            : [];
+        presets = scenes.flatMap((s) => listDir(path.join(presetsDir, s)).map((n) => `${s}/${n}`));
+    }
+    sendJSON(res, 200, { presets });
+}
+
+/**
+ * GET /api/presets/<sceneId>/<name>
+ */
+function handlePresetGet(sceneId, name, res) {
+    const filePath = resolvePresetPath(sceneId, name);
+    if (!filePath) {
+        sendJSON(res, 400, { error: 'invalid preset name' });
+        return;
+    }
+    if (!fs.existsSync(filePath)) {
+        sendJSON(res, 404, { error: `preset not found: ${sceneId}/${name}` });
+        return;
+    }
+    sendJSON(res, 200, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * POST /api/presets/<sceneId>/<name>  （ボディはプリセットのJSON）
+ */
+async function handlePresetSave(sceneId, name, req, res) {
+    const filePath = resolvePresetPath(sceneId, name);
+    if (!filePath) {
+        sendJSON(res, 400, { error: 'invalid preset name' });
+        return;
+    }
+    let preset;
+    try {
+        preset = JSON.parse((await readBodyBuffer(req)).toString() || '{}');
+    } catch (error) {
+        sendJSON(res, 400, { error: 'invalid JSON' });
+        return;
+    }
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+        sendJSON(res, 400, { error: 'preset must be a JSON object' });
+        return;
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ ...preset, scene: sceneId, name }, null, 2) + '\n');
+    console.log(`🎨 プリセット保存: ${filePath}`);
+    sendJSON(res, 200, { success: true, path: filePath });
+}
+
+// HTTPサーバーを起動（スクリーンショット保存/オフラインレンダー用）
 const httpServer = http.createServer((req, res) => {
     // CORSヘッダーを設定
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
     
     if (req.method === 'OPTIONS') {
@@ -102,7 +491,42 @@ const httpServer = http.createServer((req, res) => {
         return;
     }
     
-    if (req.method === 'POST' && req.url === '/api/save-texture') {
+    const url = new URL(req.url, `http://localhost:${HTTP_PORT}`);
+    const handleAsync = (promise) => promise.catch((error) => {
+        console.error('❌ APIエラー:', error);
+        sendJSON(res, 500, { error: error.message });
+    });
+    
+    if (req.method === 'GET' && url.pathname === '/api/session') {
+        try {
+            handleSessionRequest(url, res);
+        } catch (error) {
+            console.error('❌ セッション読み込みエラー:', error);
+            sendJSON(res, 500, { error: error.message });
+        }
+    } else if (req.method === 'GET' && url.pathname === '/api/presets') {
+        handlePresetList(url, res);
+    } else if (url.pathname.startsWith('/api/presets/') && (req.method === 'GET' || req.method === 'POST')) {
+        // パスは <sceneId>/<name> の2段だけ（それ以外は resolvePresetPath で弾く）
+        const parts = url.pathname.slice('/api/presets/'.length).split('/');
+        const [sceneId, name] = parts.length === 2 ? parts.map((p) => { try { return decodeURIComponent(p); } catch { return ''; } }) : ['', ''];
+        if (req.method === 'GET') {
+            try {
+                handlePresetGet(sceneId, name, res);
+            } catch (error) {
+                console.error('❌ プリセット読み込みエラー:', error);
+                sendJSON(res, 500, { error: error.message });
+            }
+        } else {
+            handleAsync(handlePresetSave(sceneId, name, req, res));
+        }
+    } else if (req.method === 'POST' && url.pathname === '/api/render/start') {
+        handleAsync(handleRenderStart(req, res));
+    } else if (req.method === 'POST' && url.pathname === '/api/render/frame') {
+        handleAsync(handleRenderFrame(url, req, res));
+    } else if (req.method === 'POST' && url.pathname === '/api/render/finish') {
+        handleAsync(handleRenderFinish(req, res));
+    } else if (req.method === 'POST' && req.url === '/api/save-texture') {
         console.log('🖼️ テクスチャ保存リクエスト受信');
         let body = '';
         
@@ -239,6 +663,65 @@ httpServer.listen(HTTP_PORT, () => {
 
 console.log('OSC WebSocket Server 起動完了');
 console.log(`OSC受信ポート: ${OSC_PORT}`);
+console.log(`OSC送信先: ${OSC_OUT_HOST}:${OSC_OUT_PORT}`);
 console.log(`WebSocketポート: ${WS_PORT}`);
 console.log(`HTTPポート: ${HTTP_PORT}`);
 console.log(`スクリーンショット保存先: ${screenshotsDir}`);
+
+// ============================================
+// セッション再生（--replay / npm run osc-replay <file>）
+// ============================================
+if (replaySession) {
+    const { path: replayPath, entries } = replaySession;
+    const player = new SessionPlayer(entries, {
+        router: oscRouter,
+        now: serverNow,
+        loop: cliOptions.loop,
+        speed: cliOptions.speed,
+        onMessage: handleOSCMessage,
+        onEnd: () => console.log('⏹️ セッション再生終了（seek <bar> / play で再開）')
+    });
+    console.log(`▶️ セッション再生: ${replayPath}（${entries.length}件, ${(player.duration / 1000).toFixed(1)}秒, speed=${player.speed}, loop=${player.loop}）`);
+    console.log(`再生中は UDP ${OSC_PORT} に届いたOSCをブラウザに流しません`);
+
+    if (cliOptions.bar !== null && !player.seekToBar(cliOptions.bar)) {
+        console.warn(`⚠️ ${cliOptions.bar}小節目が見つからないため先頭から再生します`);
+    }
+    // ブラウザが繋がるのを少し待ってから開始
+    setTimeout(() => player.play(), 1000);
+
+    // 再生中の操作（標準入力）: seek <bar> / speed <x> / loop on|off / pause / play
+    if (process.stdin.isTTY) {
+        const rl = readline.createInterface({ input: process.stdin });
+        console.log('操作: seek <bar> | speed <x> | loop on|off | pause | play');
+        rl.on('line', (line) => {
+            const [command, value] = line.trim().split(/\s+/);
+            if (command === 'seek') {
+                if (!player.seekToBar(value)) console.warn(`⚠️ ${value}小節目が見つかりません`);
+                if (!player.playing) player.play();
+            } else if (command === 'speed') {
+                player.setSpeed(value);
+            } else if (command === 'loop') {
+                player.setLoop(value !== 'off');
+            } else if (command === 'pause') {
+                player.pause();
+            } else if (command === 'play') {
+                if (player.index >= player.entries.length) player.seekToIndex(0);
+                player.play();
+            } else if (command) {
+                console.warn(`⚠️ 未知のコマンド: ${command}`);
+                return;
+            }
+            console.log(`再生位置: ${(player.currentPosition() / 1000).toFixed(2)}秒 speed=${player.speed} loop=${player.loop} ${player.playing ? '▶️' : '⏸️'}`);
+        });
+    }
+}
+
+// 終了時に記録ファイルを閉じる
+process.on('SIGINT', async () => {
+    if (sessionRecorder) {
+        await sessionRecorder.close();
+        console.log(`⏹️ セッション記録終了: ${sessionRecorder.filePath}（${sessionRecorder.count}件）`);
+    }
+    process.exit(0);
+});
@@ -0,0 +1,166 @@
+/**
+ * OSCルーター
+ * ルーティングテーブル（osc-routes.js）に従って、OSCメッセージを型付きイベントに変換する
+ */
+
+import { matchAddressPattern, splitAddress } from '../src/common/oscAddressPattern.js';
+
+export const OSC_EVENT_TYPES = ['note', 'tick', 'bar', 'phase', 'scene', 'param', 'seed', 'transition', 'queue', 'cancel', 'control', 'cc'];
+
+const toNumberOrNull = (v) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+};
+
+export class OSCRouter {
+    /**
+     * @param {Array<Object>} routes - ルーティングテーブル
+     */
+    constructor(routes = []) {
+        this.setRoutes(routes);
+    }
+
+    setRoutes(routes) {
+        this.routes = [];
+        for (const route of routes || []) {
+            if (!route?.pattern || !OSC_EVENT_TYPES.includes(route.type)) {
+                console.warn('⚠️ 無効なOSCルートを無視:', route);
+                continue;
+            }
+            this.routes.push(route);
+        }
+    }
+
+    /**
+     * OSCメッセージをルーティング
+     * - マッチしたルートがあれば type 付きのイベントを返す
+     * - どのルートにもマッチしなければ type: null（ブラウザ側では tick/bar/phase として扱われない）
+     * @param {string} address
+     * @param {Array} args
+     * @returns {{type: string|null, address: string, args: Array, trackNumber: number|null}}
+     */
+    route(address, args = []) {
+        const event = {
+            type: null,
+            address,
+            args: args || [],
+            trackNumber: null
+        };
+
+        for (const route of this.routes) {
+            if (!matchAddressPattern(route.pattern, address)) continue;
+            if (this.applyRoute(route, event)) {
+                return event;
+            }
+        }
+        return event;
+    }
+
+    /**
+     * ルートの内容をイベントに反映
+     * 必要な値が取れなかった場合は false（次のルートを試す）
+     */
+    applyRoute(route, event) {
+        const segments = splitAddress(event.address);
+        const readValue = () => {
+            if (Number.isInteger(route.valueSegment)) return segments[route.valueSegment];
+            return event.args[0];
+        };
+
+        switch (route.type) {
+            case 'note': {
+                const track = Number.isInteger(route.trackSegment)
+                    ? parseInt(segments[route.trackSegment], 10)
+                    : toNumberOrNull(route.track);
+                if (!Number.isFinite(track)) return false;
+                event.trackNumber = track;
+                break;
+            }
+            case 'tick': {
+                const v = toNumberOrNull(readValue());
+                if (v === null) return false;
+                event.actual_tick = v;
+                break;
+            }
+            case 'bar': {
+                const v = toNumberOrNull(readValue());
+                if (v === null) return false;
+                event.actual_bar = v;
+                break;
+            }
+            case 'phase': {
+                const v = toNumberOrNull(readValue());
+                if (v === null) return false;
+                event.phase = v;
+                break;
+            }
+            case 'scene': {
+                const v = readValue();
+                if (v === undefined || v === null || v === '') return false;
+                // 数値ならインデックス、文字列ならタイトル/ID
+                event.scene = toNumberOrNull(v) ?? String(v);
+                // /scene <index|title> [transition] [durationMs]（省略時はブラウザ側のデフォルト）
+                if (typeof event.args[1] === 'string' && event.args[1]) event.transition = event.args[1];
+                if (toNumberOrNull(event.args[2]) !== null) event.duration = toNumberOrNull(event.args[2]);
+                break;
+            }
+            case 'param': {
+                const name = route.name ?? segments[route.nameSegment];
+                if (!name) return false;
+                event.name = name;
+                event.value = Number.isInteger(route.valueSegment)
+                    ? toNumberOrNull(segments[route.valueSegment])
+                    : event.args[0];
+                break;
+            }
+            case 'seed': {
+                const v = readValue();
+                if (v === undefined || v === null || v === '') return false;
+                event.seed = toNumberOrNull(v) ?? String(v);
+                break;
+            }
+            case 'queue': {
+                // /scene/queue <index|title> [bars|'phase'] [transition] [durationMs]
+                const v = readValue();
+                if (v === undefined || v === null || v === '') return false;
+                event.scene = toNumberOrNull(v) ?? String(v);
+                event.quantize = event.args[1] === 'phase' ? 'phase' : (toNumberOrNull(event.args[1]) ?? 1);
+                if (typeof event.args[2] === 'string' && event.args[2]) event.transition = event.args[2];
+                if (toNumberOrNull(event.args[3]) !== null) event.duration = toNumberOrNull(event.args[3]);
+                break;
+            }
+            case 'cancel':
+                // /scene/cancel: 予約した切り替えの取り消し（引数なし）
+                break;
+            case 'control': {
+                // /mavrx/{command} ...: キーボード操作と同じことをシーケンサーから（引数は args のまま渡す）
+                const command = route.name ?? segments[route.nameSegment];
+                if (!command) return false;
+                event.command = command;
+                break;
+            }
+            case 'cc': {
+                // /cc/<name> <0..1>: 連続値（つまみ/オートメーション。ブラウザ側でスムージング）
+                const name = route.name ?? segments[route.nameSegment];
+                const v = toNumberOrNull(readValue());
+                if (!name || v === null) return false;
+                event.name = name;
+                event.value = v;
+                break;
+            }
+            case 'transition': {
+                // /transition <mode> [durationMs]: 以降のシーン切り替えのデフォルト
+                const mode = readValue();
+                if (typeof mode !== 'string' || !mode) return false;
+                event.mode = mode;
+                event.duration = toNumberOrNull(event.args[1]);
+                break;
+            }
+            default:
+                return false;
+        }
+
+        event.type = route.type;
+        return true;
+    }
+}
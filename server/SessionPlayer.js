@@ -0,0 +1,243 @@
+/**
+ * OSCセッションの再生
+ * SessionRecorder で記録した NDJSON を、記録時のタイミングで再送する
+ *
+ * - loop  : 最後まで行ったら開始位置（seekした小節 or 先頭）に戻る
+ * - seek  : 指定した小節（/actual_bar など、ルーティングで type='bar' になるメッセージ）の位置へ飛ぶ
+ * - speed : 再生速度（2 = 倍速）
+ *
+ * NOTE:
+ * seek した直後は、その位置より前の最新の phase/bar/tick を先に送って状態を揃える
+ * （途中から再生してもシーン側の小節/フェーズが正しくなるように）
+ */
+
+import fs from 'fs';
+
+/**
+ * セッションファイル（NDJSON）を読み込む
+ * @returns {{header: Object|null, entries: Array<{t: number, address: string, args: Array, lead?: number}>}}
+ */
+export function readSessionFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    let header = null;
+    const entries = [];
+    text.split('\n').forEach((line, i) => {
+        if (!line.trim()) return;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            console.warn(`⚠️ セッション ${i + 1}行目をスキップ（JSONエラー）: ${error.message}`);
+            return;
+        }
+        if (entry.kind === 'header') {
+            header = entry;
+            return;
+        }
+        if (typeof entry.t !== 'number' || typeof entry.address !== 'string') return;
+        entries.push(entry);
+    });
+    // 念のため時刻順に並べる（同時刻は記録順）
+    entries.sort((a, b) => a.t - b.t);
+    return { header, entries };
+}
+
+export class SessionPlayer {
+    /**
+     * @param {Array} entries - readSessionFile().entries
+     * @param {Object} options
+     * @param {Function} options.onMessage - ({address, args, timetag}) => void
+     * @param {Object} options.router - OSCRouter（小節位置の検索に使う）
+     * @param {Function} options.now - サーバー時刻（Unix ms）
+     */
+    constructor(entries, options = {}) {
+        this.entries = entries;
+        this.onMessage = options.onMessage || null;
+        this.onEnd = options.onEnd || null;
+        this.now = options.now || (() => performance.timeOrigin + performance.now());
+        this.loop = !!options.loop;
+        this.speed = options.speed > 0 ? options.speed : 1;
+
+        // ルーティング結果を先に作っておく（seek/状態復元用）
+        this.routed = entries.map((e) => options.router?.route(e.address, e.args) ?? { type: null });
+
+        this.index = 0;
+        this.position = 0;         // セッション内の再生位置（ms）
+        this.loopStart = 0;        // ループ時に戻る位置（ms）
+        this.playing = false;
+        this._baseWall = 0;
+        this._basePosition = 0;
+        this._timer = null;
+    }
+
+    get duration() {
+        return this.entries.length > 0 ? this.entries[this.entries.length - 1].t : 0;
+    }
+
+    play() {
+        if (this.playing) return;
+        this.playing = true;
+        this._baseWall = performance.now();
+        this._basePosition = this.position;
+        // 途中からの再生開始/再開時も状態を揃える（停止中にseekした分もここで送られる）
+        this.emitStateBefore(this.index);
+        this.tick();
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.position = this.currentPosition();
+        this.playing = false;
+        this.clearTimer();
+    }
+
+    setSpeed(speed) {
+        const s = Number(speed);
+        if (!(s > 0)) return;
+        this.position = this.currentPosition();
+        this._baseWall = performance.now();
+        this._basePosition = this.position;
+        this.speed = s;
+        if (this.playing) this.tick();
+    }
+
+    setLoop(loop) {
+        this.loop = !!loop;
+    }
+
+    /**
+     * 指定小節の位置へ移動（見つからなければ false）
+     */
+    seekToBar(bar) {
+        const target = Number(bar);
+        if (!Number.isFinite(target)) return false;
+        const idx = this.routed.findIndex((r) => r.type === 'bar' && r.actual_bar >= target);
+        if (idx < 0) return false;
+        this.seekToIndex(idx);
+        this.loopStart = this.position;
+        return true;
+    }
+
+    seekToIndex(idx) {
+        this.index = Math.max(0, Math.min(idx, this.entries.length));
+        this.position = this.entries[this.index]?.t ?? 0;
+        this._baseWall = performance.now();
+        this._basePosition = this.position;
+        if (this.playing) {
+            this.emitStateBefore(this.index);
+            this.tick();
+        }
+    }
+
+    /**
+     * idx より前の最新の phase/bar/tick を送る
+     */
+    emitStateBefore(idx) {
+        const latest = new Map();
+        for (let i = idx - 1; i >= 0 && latest.size < 3; i--) {
+            const type = this.routed[i].type;
+            if ((type === 'phase' || type === 'bar' || type === 'tick') && !latest.has(type)) {
+                latest.set(type, this.entries[i]);
+            }
+        }
+        for (const type of ['phase', 'bar', 'tick']) {
+            const entry = latest.get(type);
+            if (entry) this.emit(entry);
+        }
+    }
+
+    currentPosition() {
+        if (!this.playing) return this.position;
+        return this._basePosition + (performance.now() - this._baseWall) * this.speed;
+    }
+
+    emit(entry) {
+        if (!this.onMessage) return;
+        this.onMessage({
+            address: entry.address,
+            args: entry.args || [],
+            // バンドルで先行送信されていたものは、同じだけ先の時刻で送り直す
+            timetag: typeof entry.lead === 'number' ? this.now() + entry.lead / this.speed : null
+        });
+    }
+
+    tick() {
+        this.clearTimer();
+        if (!this.playing) return;
+
+        const position = this.currentPosition();
+        while (this.index < this.entries.length && this.entries[this.index].t <= position) {
+            this.emit(this.entries[this.index]);
+            this.index++;
+        }
+
+        if (this.index >= this.entries.length) {
+            if (this.loop && this.entries.length > 0 && this.scheduleLoop()) {
+                return;
+            }
+            this.position = this.duration;
+            this.playing = false;
+            if (this.onEnd) this.onEnd();
+            return;
+        }
+
+        const waitMs = (this.entries[this.index].t - position) / this.speed;
+        this._timer = setTimeout(() => this.tick(), Math.max(0, Math.min(waitMs, 1000)));
+    }
+
+    /**
+     * ループの開始位置へ戻る予約（戻れない時は false = 再生を終える）
+     * NOTE:
+     * - tick() から直接 seekToIndex() → tick() と呼ぶと、長さ0のループ（1行だけ / 全部同じ時刻 /
+     *   最後の小節から）で無限に再帰してスタックが溢れるので、必ずタイマーで戻る
+     * - 長さ0のループは1小節待ってから戻る（小節の長さが分からなければループを止める）
+     */
+    scheduleLoop() {
+        const idx = this.entries.findIndex((e) => e.t >= this.loopStart);
+        if (idx < 0) {
+            console.warn(`⚠️ ループの開始位置（${Math.round(this.loopStart)}ms）がセッションの外なので、ループを止めます`);
+            return false;
+        }
+        let waitMs = 0;
+        if (this.duration - this.entries[idx].t <= 0) {
+            const barMs = this.estimateBarMs();
+            if (barMs === null) {
+                console.warn('⚠️ ループの長さが0で小節の長さも分からないので、ループを止めます');
+                return false;
+            }
+            waitMs = barMs / this.speed;
+        }
+        console.log('🔁 セッションをループ');
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this.seekToIndex(idx);
+        }, waitMs);
+        return true;
+    }
+
+    /**
+     * 記録された小節メッセージの間隔（中央値。2つ以上無ければ null）
+     */
+    estimateBarMs() {
+        const times = this.entries.filter((e, i) => this.routed[i].type === 'bar').map((e) => e.t);
+        const gaps = [];
+        for (let i = 1; i < times.length; i++) {
+            if (times[i] > times[i - 1]) gaps.push(times[i] - times[i - 1]);
+        }
+        if (gaps.length === 0) return null;
+        gaps.sort((a, b) => a - b);
+        return gaps[Math.floor(gaps.length / 2)];
+    }
+
+    clearTimer() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+    }
+
+    stop() {
+        this.playing = false;
+        this.clearTimer();
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * OSCセッションの記録
+ * 受信したOSCメッセージを NDJSON（1行1メッセージ）で書き出す
+ *
+ * フォーマット:
+ *   1行目: { "kind": "header", "version": 1, "startedAt": <Unix ms> }
+ *   2行目以降: { "t": <記録開始からの経過ms（ミリ秒未満まで）>, "address": "/track/1", "args": [...], "lead": <ms> }
+ *   - lead: バンドルのタイムタグが受信時刻より何ms先だったか（バンドル以外は無し）
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const SESSION_VERSION = 1;
+
+export class SessionRecorder {
+    /**
+     * @param {string} filePath - 書き出し先（ディレクトリが無ければ作る）
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.stream = fs.createWriteStream(filePath, { flags: 'w' });
+        this.stream.on('error', (error) => {
+            console.error('❌ セッション記録の書き込みエラー:', error.message);
+        });
+
+        this.startedAt = performance.timeOrigin + performance.now();
+        this._start = process.hrtime.bigint();
+        this.count = 0;
+
+        this.stream.write(JSON.stringify({ kind: 'header', version: SESSION_VERSION, startedAt: this.startedAt }) + '\n');
+    }
+
+    /**
+     * 記録開始からの経過時間（ms, ナノ秒精度）
+     */
+    elapsedMs() {
+        return Number(process.hrtime.bigint() - this._start) / 1e6;
+    }
+
+    /**
+     * @param {{address: string, args: Array, timetag: number|null}} message
+     */
+    record(message) {
+        if (!this.stream) return;
+        const t = this.elapsedMs();
+        const entry = {
+            t: Math.round(t * 1000) / 1000,
+            address: message.address,
+            args: message.args || []
+        };
+        if (typeof message.timetag === 'number') {
+            const receivedAt = this.startedAt + t;
+            entry.lead = Math.round((message.timetag - receivedAt) * 1000) / 1000;
+        }
+        this.stream.write(JSON.stringify(entry) + '\n');
+        this.count++;
+    }
+
+    close() {
+        if (!this.stream) return Promise.resolve();
+        const stream = this.stream;
+        this.stream = null;
+        return new Promise((resolve) => stream.end(resolve));
+    }
+}
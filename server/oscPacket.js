@@ -0,0 +1,75 @@
+/**
+ * OSCパケットの展開
+ * osc-js の osc.on('*') はバンドルのタイムタグを捨ててしまう（しかもミリ秒未満が丸められる）ので、
+ * 受信したUDPパケットをここで直接展開する
+ */
+
+import OSC from 'osc-js';
+
+// NTP（1900年起点）とUnix時間（1970年起点）の差（秒）
+const SECONDS_70_YEARS = 2208988800;
+const TWO_POWER_32 = 4294967296;
+
+/**
+ * NTPタイムタグ → Unix時間（ms）
+ * - OSC 1.0 の「即時」（seconds=0, fractions=1）は null
+ */
+export function timetagToUnixMs(timetag) {
+    const seconds = timetag?.seconds ?? 0;
+    const fractions = timetag?.fractions ?? 0;
+    if (seconds === 0 && fractions <= 1) return null;
+    return (seconds - SECONDS_70_YEARS) * 1000 + (fractions / TWO_POWER_32) * 1000;
+}
+
+const BUNDLE_HEAD = '#bundle';
+
+const isBundle = (view) => (
+    view.byteLength >= 16
+    && String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset, 7)) === BUNDLE_HEAD
+);
+
+/**
+ * UDPで受信したバッファをメッセージ列に展開
+ * - 単体メッセージ: timetag = null（即時）
+ * - バンドル: 中のメッセージ全てにバンドルのタイムタグ（Unix ms）を付ける（入れ子も展開）
+ *
+ * NOTE:
+ * osc-js の Bundle.unpack は入れ子バンドルの後ろに続く要素まで内側に取り込んでしまうので、
+ * 要素ごとのサイズ情報を見て自前で切り出す
+ * @param {Buffer} buffer
+ * @returns {Array<{address: string, args: Array, timetag: number|null}>}
+ */
+export function unpackOSCPacket(buffer) {
+    const messages = [];
+
+    const walk = (view, timetag) => {
+        if (!isBundle(view)) {
+            const message = new OSC.Message();
+            message.unpack(view);
+            messages.push({
+                address: message.address,
+                args: message.args || [],
+                timetag
+            });
+            return;
+        }
+
+        const bundleTime = timetagToUnixMs({
+            seconds: view.getUint32(8, false),
+            fractions: view.getUint32(12, false)
+        });
+        let offset = 16;
+        while (offset + 4 <= view.byteLength) {
+            const size = view.getInt32(offset, false);
+            offset += 4;
+            if (size <= 0 || offset + size > view.byteLength) {
+                throw new Error(`OSCバンドル要素のサイズが不正です: ${size}`);
+            }
+            walk(new DataView(view.buffer, view.byteOffset + offset, size), bundleTime);
+            offset += size;
+        }
+    };
+
+    walk(new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength), null);
+    return messages;
+}
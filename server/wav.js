@@ -0,0 +1,76 @@
+/**
+ * WAVファイルの読み込み（audio-analyze.js 用）
+ * PCM 8/16/24/32bit と 32/64bit float に対応し、チャンネルを平均したモノラルで返す
+ */
+
+import fs from 'fs';
+
+/**
+ * @param {string} filePath
+ * @returns {{sampleRate: number, channels: number, samples: Float32Array}}
+ */
+export function readWavFile(filePath) {
+    return parseWav(fs.readFileSync(filePath));
+}
+
+/**
+ * @param {Buffer} buffer
+ */
+export function parseWav(buffer) {
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('WAVファイルではありません（RIFF/WAVE ヘッダが無い）');
+    }
+
+    let format = null;
+    let data = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+        if (id === 'fmt ') {
+            let audioFormat = buffer.readUInt16LE(body);
+            // WAVE_FORMAT_EXTENSIBLE はサブフォーマットGUIDの先頭2バイトが実際の形式
+            if (audioFormat === 0xFFFE && size >= 26) audioFormat = buffer.readUInt16LE(body + 24);
+            format = {
+                audioFormat,
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                bitsPerSample: buffer.readUInt16LE(body + 14)
+            };
+        } else if (id === 'data') {
+            data = buffer.subarray(body, Math.min(body + size, buffer.length));
+        }
+        // チャンクは2バイト境界に揃えられている
+        offset = body + size + (size % 2);
+    }
+    if (!format || !data) throw new Error('WAVファイルに fmt / data チャンクがありません');
+
+    const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+    const bytes = bitsPerSample / 8;
+    const read = sampleReader(audioFormat, bitsPerSample);
+    if (!read) throw new Error(`未対応のWAV形式です（format=${audioFormat}, ${bitsPerSample}bit）`);
+
+    const frames = Math.floor(data.length / (bytes * channels));
+    const samples = new Float32Array(frames);
+    for (let i = 0; i < frames; i++) {
+        let sum = 0;
+        for (let c = 0; c < channels; c++) sum += read(data, (i * channels + c) * bytes);
+        samples[i] = sum / channels;
+    }
+    return { sampleRate, channels, samples };
+}
+
+function sampleReader(audioFormat, bits) {
+    if (audioFormat === 1) {
+        if (bits === 8) return (buf, o) => (buf.readUInt8(o) - 128) / 128;
+        if (bits === 16) return (buf, o) => buf.readInt16LE(o) / 32768;
+        if (bits === 24) return (buf, o) => buf.readIntLE(o, 3) / 8388608;
+        if (bits === 32) return (buf, o) => buf.readInt32LE(o) / 2147483648;
+    }
+    if (audioFormat === 3) {
+        if (bits === 32) return (buf, o) => buf.readFloatLE(o);
+        if (bits === 64) return (buf, o) => buf.readDoubleLE(o);
+    }
+    return null;
+}
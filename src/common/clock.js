@@ -0,0 +1,44 @@
+/**
+ * アプリ共通の時計
+ * - 通常: 実時間（performance.now()）
+ * - オフラインレンダー: 固定ステップで進む仮想時間（マシンの速さに関係なく同じ映像になる）
+ *
+ * NOTE:
+ * エフェクトの持続時間（fxEndTimeMs など）やHUDのアニメーションは必ずここから時刻を取ること。
+ * Date.now()/performance.now() を直接使うとオフラインレンダーで時間が進まず（or 進みすぎて）ズレる。
+ * 処理時間の計測（ログ用）は実時間でよいので performance.now() のままで良い。
+ */
+
+class Clock {
+    constructor() {
+        this.offline = false;
+        this._virtualMs = 0;
+    }
+
+    /**
+     * 現在時刻（ms）
+     */
+    now() {
+        return this.offline ? this._virtualMs : performance.now();
+    }
+
+    /**
+     * 仮想時間に切り替える（オフラインレンダー開始時）
+     * @param {number} startMs - 開始時刻
+     */
+    setOffline(startMs = 0) {
+        this.offline = true;
+        this._virtualMs = startMs;
+    }
+
+    /**
+     * 仮想時間を進める
+     * @param {number} ms
+     */
+    advance(ms) {
+        if (!this.offline) return;
+        this._virtualMs += ms;
+    }
+}
+
+export const clock = new Clock();
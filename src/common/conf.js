@@ -7,6 +7,16 @@ class Conf {
     maxParticles = 8192 * 20;
     // 粒数（maxParticles以下にすること）
     particles = 130000;
+    // MLS-MPM のグリッドの大きさ（x, y, z。起動時に確保するので途中では変えられない）
+    // - 横長のプール: [128, 32, 128] / 塔: [32, 128, 32]。一番長い辺がワールドで 1 になる
+    // - セルが増えると1セルあたりの粒が減るので、粒数（particles）も合わせて調整する
+    // URL ?grid=128x32x128 で上書きできる
+    mpmGridSize = [64, 64, 64];
+    // MLS-MPM の粒子をセル順に並べてから P2G / G2P する（mls-mpm/particleSorter.js。実験的、デフォルトOFF）
+    // - 並べ替え自体に毎回5パスかかり、粒子バッファの読み書きは飛び飛びになる。速くなるかは GPU 次第
+    // - ON にする前に /mavrx/bench で測る（README「MLS-MPM の粒数とベンチマーク」）。重ければ mpmSortInterval を上げる
+    mpmSortParticles = false;
+    mpmSortInterval = 1;
 
     // パーティクル形状（すぐ戻せるようにスイッチ化）
     // - 'sphere': 低ポリ球（IcoSphere）
@@ -15,6 +25,21 @@ class Conf {
 
     bloom = true;
 
+    // シーンのセットリスト（scenes/registry.js の id の配列。この順に Ctrl+1, 2, ... になる）
+    // null なら登録済みの全シーン。URL ?setlist=scene03,scene01 で上書きできる
+    setlist = null;
+
+    // シーンのプリロード（SceneManager.getResidentIndices）
+    // - 'all'        : 起動時に全シーンをsetup（従来どおり。切り替えは常に瞬時）
+    // - 'neighbours' : 今のシーンとセットリストの前後 preloadNeighbours 個だけ。切り替え後に裏でsetup、遠いものは解放
+    // - 'onDemand'   : 今のシーンだけ。切り替え時にsetup（旧シーンを描きながら待つ）
+    // URL ?preload=neighbours で上書きできる
+    preloadPolicy = 'all';
+    preloadNeighbours = 1;
+    // GPUメモリの予算（MB。レジストリの gpuMemoryMB の合計がこれを超えないよう遠いシーンから解放する。0 = 無制限）
+    // URL ?gpuBudget=600 で上書きできる
+    gpuMemoryBudgetMB = 0;
+
     // ============================================
     // Camera（CameraParticle）共通チューニング
     // ============================================
@@ -41,6 +66,14 @@ class Conf {
     density = 1;
     // 粘性（摩擦っぽさ）。大きいほど動きが重くなる
     dynamicViscosity = 0.06;
+    // 固体マテリアル（elastic / snow / sand）の固さ。グリッド単位のヤング率とポアソン比
+    // NOTE: 大きくしすぎると dt に対して不安定になる（~150 くらいまで）
+    elasticity = 30;
+    poissonRatio = 0.3;
+    // 雪: 潰れた時の固くなりやすさ（hardening 係数 ξ）
+    snowHardening = 10;
+    // 砂: 摩擦角（度）。大きいほど急な山のまま止まる
+    sandFrictionAngle = 30;
     gravity = 0;
     gravitySensorReading = new THREE.Vector3();
     accelerometerReading = new THREE.Vector3();
@@ -83,8 +116,8 @@ class Conf {
     }
 
     init() {
-        // UI（stats/settings）は使わない方針
-        // ここはno-opにして、描画用のパラメータはデフォルト値のみ使う
+        // UI（stats/settings）は出力に映さない方針
+        // ここはno-opのまま。実行中に触るのは操作パネル（systems/ControlPanel.js、oキーで別ウィンドウ）
     }
 
     update() {
@@ -0,0 +1,90 @@
+/**
+ * OSC 1.0 アドレスパターン
+ * osc-server（Node）とブラウザの両方から使う純粋関数のみ置く
+ *
+ * 対応している記法:
+ * - ?        : '/' 以外の任意の1文字
+ * - *        : '/' 以外の任意の0文字以上
+ * - [abc]    : 文字クラス（[a-z] の範囲指定、[!abc] の否定）
+ * - {foo,bar}: いずれかの文字列
+ */
+
+const REGEX_SPECIAL = /[\\^$.|+()[\]{}]/g;
+
+const escapeRegExp = (s) => s.replace(REGEX_SPECIAL, '\\$&');
+
+// コンパイル済みパターンのキャッシュ（ルーティングは毎メッセージ走るので）
+const _cache = new Map();
+
+/**
+ * OSCアドレスパターンを正規表現に変換
+ * @param {string} pattern - 例: '/track/[1-9]', '/{tick,actual_tick}'
+ * @returns {RegExp}
+ */
+export function compileAddressPattern(pattern) {
+    const cached = _cache.get(pattern);
+    if (cached) return cached;
+
+    let src = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '?') {
+            src += '[^/]';
+        } else if (ch === '*') {
+            src += '[^/]*';
+        } else if (ch === '[') {
+            const end = pattern.indexOf(']', i + 1);
+            if (end < 0) {
+                // 閉じ括弧が無い場合はリテラル扱い
+                src += '\\[';
+                continue;
+            }
+            let body = pattern.slice(i + 1, end);
+            let negate = false;
+            if (body.startsWith('!')) {
+                negate = true;
+                body = body.slice(1);
+            }
+            // '-' 以外の正規表現メタ文字はエスケープ（範囲指定はそのまま使う）
+            body = body.replace(/[\\^\]]/g, '\\$&');
+            src += negate ? `[^/${body}]` : `[${body}]`;
+            i = end;
+        } else if (ch === '{') {
+            const end = pattern.indexOf('}', i + 1);
+            if (end < 0) {
+                src += '\\{';
+                continue;
+            }
+            const alts = pattern.slice(i + 1, end).split(',').map(escapeRegExp);
+            src += `(?:${alts.join('|')})`;
+            i = end;
+        } else {
+            src += escapeRegExp(ch);
+        }
+    }
+
+    const re = new RegExp(`^${src}$`);
+    _cache.set(pattern, re);
+    return re;
+}
+
+/**
+ * アドレスがパターンにマッチするか
+ * @param {string|string[]} pattern - パターン（配列ならいずれか）
+ * @param {string} address
+ */
+export function matchAddressPattern(pattern, address) {
+    if (typeof address !== 'string') return false;
+    if (Array.isArray(pattern)) {
+        return pattern.some((p) => compileAddressPattern(p).test(address));
+    }
+    return compileAddressPattern(pattern).test(address);
+}
+
+/**
+ * アドレスを '/' で分割（先頭の空要素は除く）
+ * '/track/3' → ['track', '3']
+ */
+export function splitAddress(address) {
+    return String(address || '').split('/').filter((s) => s.length > 0);
+}
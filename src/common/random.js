@@ -0,0 +1,124 @@
+/**
+ * アプリ共通の乱数（シード付き）
+ * Math.random() の代わりにここから取ることで、シードが同じなら同じ「見た目」を再現できる
+ *
+ * 使い方:
+ *   import { random } from '../common/random.js';
+ *   const rng = random.stream('camera');
+ *   rng.next();            // 0 <= x < 1
+ *   rng.range(-1, 1);
+ *
+ * NOTE:
+ * - ストリームはモジュールごとに分ける（名前とシードから初期状態を作る）。
+ *   HUDの飾り文字のように「表示状態やフレーム数で呼ばれる回数が変わる」ものが
+ *   カメラや粒子の乱数列をずらさないようにするため
+ * - setSeed() するとすべてのストリームが先頭からやり直しになる（ストリームのオブジェクトはそのまま使える）
+ * - 完全に同じになるのは「同じシード + 同じフレームに同じイベント」のとき（= オフラインレンダー）。
+ *   ライブはフレームのタイミングが揺れるので、近い見た目になるところまで
+ */
+
+/**
+ * 文字列 → 32bitハッシュ（FNV-1a）
+ */
+function hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * シード値を 32bit 整数に正規化（数値以外の文字列もOK）
+ */
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(Math.abs(seed)) >>> 0;
+    }
+    const str = String(seed ?? '').trim();
+    if (/^\d+$/.test(str)) {
+        return Number(str) >>> 0;
+    }
+    return hashString(str);
+}
+
+/**
+ * 乱数ストリーム（mulberry32）
+ */
+class RandomStream {
+    constructor(name, seed) {
+        this.name = name;
+        this.reseed(seed);
+    }
+
+    reseed(seed) {
+        // シードとストリーム名を混ぜて初期状態にする（同じシードでもストリームごとに別の列）
+        this._state = (hashString(this.name) ^ Math.imul(seed, 0x9e3779b1)) >>> 0;
+    }
+
+    /**
+     * 0 <= x < 1
+     */
+    next() {
+        let t = (this._state = (this._state + 0x6d2b79f5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * min <= x < max
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * 0 <= n < max の整数
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    pick(array) {
+        return array.length > 0 ? array[this.int(array.length)] : undefined;
+    }
+}
+
+class Random {
+    constructor() {
+        this.seed = 0;
+        this.streams = new Map();
+        // 指定が無ければ起動ごとに変える（HUDに出るので、気に入った見た目は後からシード指定で再現できる）
+        this.setSeed(Math.floor(performance.timeOrigin) % 1000000);
+    }
+
+    /**
+     * シードを設定（すべてのストリームを先頭に戻す）
+     * @param {number|string} seed
+     */
+    setSeed(seed) {
+        this.seed = normalizeSeed(seed);
+        for (const stream of this.streams.values()) {
+            stream.reseed(this.seed);
+        }
+        return this.seed;
+    }
+
+    /**
+     * 名前付きストリームを取得（無ければ作る）
+     * @param {string} name
+     * @returns {RandomStream}
+     */
+    stream(name) {
+        let stream = this.streams.get(name);
+        if (!stream) {
+            stream = new RandomStream(name, this.seed);
+            this.streams.set(name, stream);
+        }
+        return stream;
+    }
+}
+
+export const random = new Random();
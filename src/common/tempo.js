@@ -0,0 +1,100 @@
+/**
+ * アプリ共通のテンポ（受信した actual_tick / actual_bar から、フレームごとの「今のtick」を補間する）
+ * 拍同期のLFO（LFO.setSync）はここの tick を見る
+ *
+ * NOTE:
+ * - 96tick/拍、384tick/小節（SceneManager / MIDIManager / HUD と同じ）
+ * - 最後に受けた tick から、受信後の経過時間 × 推定テンポで進める（tick の間隔が粗くてもLFOがカクつかないように）
+ * - テンポは tick の進み方から推定するので、曲の途中でテンポが変わっても追従する
+ * - tick が来なくなったら（停止）進めない。巻き戻し/大きく飛んだ時（シーク）はテンポを推定し直さずに合わせるだけ
+ * - tick が一度も来ていない時は actual_bar の小節頭を tick として使う
+ * - SceneManager.updateTransport から更新する。時刻は clock（オフラインレンダーでは仮想時間）
+ */
+
+import { clock } from './clock.js';
+
+export const TICKS_PER_BEAT = 96;
+export const TICKS_PER_BAR = TICKS_PER_BEAT * 4;
+
+// これ以上 tick が来なければ停止とみなす（ms）。actual_bar だけの時は受信間隔の1.5倍
+const STOP_TIMEOUT_MS = 500;
+// 最後に受けた tick からこれ以上は先に進めない（受信が途切れた時の暴走防止）。actual_bar だけの時は1小節
+const MAX_AHEAD_TICKS = TICKS_PER_BEAT;
+// 受信間隔の上限（60BPMの1小節）
+const MAX_INTERVAL_MS = 4000;
+
+class Tempo {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.ticksPerSecond = 192;     // 推定テンポ（初期値 120BPM）
+        this._lastTick = null;         // 最後に受けた tick
+        this._lastTickMs = null;
+        this._hasTick = false;         // actual_tick を受けたことがあるか
+        this._intervalMs = 0;          // 前回の受信間隔
+    }
+
+    get bpm() {
+        return this.ticksPerSecond / TICKS_PER_BEAT * 60;
+    }
+
+    /**
+     * 補間した今のtick（小数）
+     */
+    get tick() {
+        if (this._lastTick === null) return 0;
+        if (!this.running) return this._lastTick;
+        const ahead = this.ticksPerSecond * (clock.now() - this._lastTickMs) / 1000;
+        const maxAhead = this._hasTick ? MAX_AHEAD_TICKS : TICKS_PER_BAR;
+        return this._lastTick + Math.min(Math.max(ahead, 0), maxAhead);
+    }
+
+    get running() {
+        return this._lastTickMs !== null && clock.now() - this._lastTickMs < this.stopTimeoutMs;
+    }
+
+    get stopTimeoutMs() {
+        return Math.max(STOP_TIMEOUT_MS, this._intervalMs * 1.5);
+    }
+
+    /**
+     * actual_tick を受けた
+     */
+    setTick(tick, nowMs = clock.now()) {
+        const t = Number(tick);
+        if (!Number.isFinite(t)) return;
+        this._hasTick = true;
+        this.receive(t, nowMs);
+    }
+
+    /**
+     * actual_bar を受けた（tick が来ていない時だけ使う）
+     */
+    setBar(bar, nowMs = clock.now()) {
+        const b = Number(bar);
+        if (this._hasTick || !Number.isFinite(b) || b < 1) return;
+        this.receive((Math.floor(b) - 1) * TICKS_PER_BAR, nowMs);
+    }
+
+    receive(tick, nowMs) {
+        const prevTick = this._lastTick;
+        const prevMs = this._lastTickMs;
+        const stopped = prevMs === null || nowMs - prevMs >= this.stopTimeoutMs;
+        this._lastTick = tick;
+        this._lastTickMs = nowMs;
+
+        if (prevTick === null) return;
+        const dTick = tick - prevTick;
+        const dSec = (nowMs - prevMs) / 1000;
+        // 止まっていた後の最初の1回・巻き戻し・シークはテンポの推定に使わない（actual_bar だけの時は2回目から）
+        if (dTick <= 0 || dTick > TICKS_PER_BAR || dSec <= 0 || (stopped && this._hasTick)) return;
+        this._intervalMs = Math.min(dSec * 1000, MAX_INTERVAL_MS);
+        // tick は数msおきに来るので、ジッターを平均する（間隔が長いほど重く見る）
+        const weight = Math.min(1, dSec / 0.25);
+        this.ticksPerSecond += (dTick / dSec - this.ticksPerSecond) * weight;
+    }
+}
+
+export const tempo = new Tempo();
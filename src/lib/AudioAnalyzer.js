@@ -0,0 +1,264 @@
+/**
+ * AudioAnalyzer Class
+ * 音声のサンプル列から帯域ごとのレベル（RMSのエンベロープ）とオンセット（アタック）を取り出し、
+ * OSC と同じ形式のメッセージにして流す
+ *
+ * 出すメッセージ（address は osc-server に同じOSCを送った時と同じ）:
+ * - /audio/level/<band> [0..1]       : 帯域のレベル（type: null。マッピングの osc ソースで使う）
+ * - /audio/rms [0..1]                : 全体のRMS
+ * - /audio/onset/<band> [strength]   : オンセット（strength 0..1）
+ * - /track/N [note, velocity, 0]     : trackMap で帯域 → トラックを指定した時のオンセット（type: 'note'）
+ * - /cc/<name> [0..1]                : ccMap で帯域 → CC名を指定した時のレベル（type: 'cc'）
+ *
+ * NOTE:
+ * - Web Audio に依存しない（ブラウザは AudioInput、ヘッドレスは audio-analyze.js から同じクラスを使う）
+ * - process() には「最新の fftSize サンプル」を渡す（呼ぶ間隔 = ホップ。ブラウザでは毎フレーム）
+ * - レベルは dB を floorDb..0 で 0..1 にしたもの（フルスケールのサイン波 = 1）
+ * - オンセットは帯域ごとのスペクトルフラックス（前回からの dB の上がり幅）が、
+ *   最近のフラックスの平均 + 標準偏差×onsetSensitivity と minFluxDb の大きい方を超えた時
+ * - オンセットの strength は振幅の上がり幅を、帯域ごとの最近のオンセットの最大（onsetPeakRelease 秒で下がる）で割ったもの
+ */
+
+// 帯域（Hz）。note は trackMap でノートにする時のノート番号（GMドラム: キック/スネア/ハット）
+export const AUDIO_BANDS = [
+    { name: 'sub', from: 20, to: 60, note: 35 },
+    { name: 'low', from: 60, to: 250, note: 36 },
+    { name: 'mid', from: 250, to: 2000, note: 38 },
+    { name: 'high', from: 2000, to: 16000, note: 42 }
+];
+
+// レベルの送信を間引く変化量（MIDI CC と同じくらいの分解能）
+const LEVEL_EPSILON = 1 / 256;
+
+const clamp01 = (v) => Math.min(Math.max(v, 0), 1);
+
+export class AudioAnalyzer {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 48000;
+        this.fftSize = options.fftSize || 2048;
+        if ((this.fftSize & (this.fftSize - 1)) !== 0) {
+            throw new Error(`AudioAnalyzer: fftSize は2のべき乗にしてください（${this.fftSize}）`);
+        }
+        this.bands = (options.bands || AUDIO_BANDS).map((b) => ({ ...b }));
+        this.floorDb = options.floorDb ?? -70;
+        // エンベロープフォロワー（秒）
+        this.attack = options.attack ?? 0.005;
+        this.release = options.release ?? 0.15;
+        // オンセット
+        this.onsetSensitivity = options.onsetSensitivity ?? 1.5;
+        this.minFluxDb = options.minFluxDb ?? 6;
+        this.minOnsetInterval = options.minOnsetInterval ?? 0.1;  // 秒（同じ帯域の連続発火を抑える）
+        this.onsetGate = options.onsetGate ?? 0.2;                // これより小さいレベルではオンセットにしない
+        this.fluxHistorySeconds = options.fluxHistorySeconds ?? 1.0;
+        this.onsetPeakRelease = options.onsetPeakRelease ?? 4.0;   // 秒（strength の基準にする最大の上がり幅が下がる時定数）
+        // 帯域 → トラック番号 / CC名（{ low: 5 } / { high: 'bloom' }）
+        this.trackMap = options.trackMap || {};
+        this.ccMap = options.ccMap || {};
+        this.onMessage = options.onMessage || null;
+
+        this._window = hannWindow(this.fftSize);
+        this._windowSum = this._window.reduce((sum, w) => sum + w, 0);
+        this._re = new Float32Array(this.fftSize);
+        this._im = new Float32Array(this.fftSize);
+        const binHz = this.sampleRate / this.fftSize;
+        const nyquistBin = this.fftSize / 2;
+        for (const band of this.bands) {
+            band.fromBin = Math.max(1, Math.round(band.from / binHz));
+            band.toBin = Math.min(nyquistBin - 1, Math.max(band.fromBin, Math.round(band.to / binHz)));
+        }
+
+        this.reset();
+    }
+
+    reset() {
+        this.lastTime = null;
+        this.rms = 0;
+        this.levels = Object.fromEntries(this.bands.map((b) => [b.name, 0]));
+        this._prevDb = Object.fromEntries(this.bands.map((b) => [b.name, null]));
+        this._fluxHistory = Object.fromEntries(this.bands.map((b) => [b.name, []]));
+        this._lastOnset = Object.fromEntries(this.bands.map((b) => [b.name, -Infinity]));
+        this._onsetPeak = Object.fromEntries(this.bands.map((b) => [b.name, 0]));
+        this._sent = new Map();
+    }
+
+    /**
+     * 解析して、メッセージを onMessage に流す
+     * @param {Float32Array} samples - 最新の fftSize サンプル（モノラル、-1..1）
+     * @param {number} time - サンプル末尾の時刻（秒）
+     * @returns {{time: number, rms: number, levels: Object, onsets: Array<{band: string, strength: number}>}}
+     */
+    process(samples, time) {
+        const dt = this.lastTime === null ? 1 / 60 : Math.max(time - this.lastTime, 1e-4);
+        this.lastTime = time;
+
+        const n = this.fftSize;
+        const offset = Math.max(0, samples.length - n);
+        let sumSq = 0;
+        for (let i = 0; i < n; i++) {
+            const s = samples[offset + i] ?? 0;
+            sumSq += s * s;
+            this._re[i] = s * this._window[i];
+            this._im[i] = 0;
+        }
+        fft(this._re, this._im);
+
+        // RMS（サイン波のフルスケール = 1/√2 なので √2 倍して 0dB に揃える）
+        const rmsDb = toDb(Math.sqrt(sumSq / n) * Math.SQRT2);
+        this.rms = this.follow(this.rms, this.dbToLevel(rmsDb), dt);
+        this.sendLevel('/audio/rms', this.rms);
+
+        const onsets = [];
+        for (const band of this.bands) {
+            // 帯域内のエネルギー（窓の分を補正した振幅の二乗和）
+            let energy = 0;
+            for (let k = band.fromBin; k <= band.toBin; k++) {
+                const amp = 2 * Math.hypot(this._re[k], this._im[k]) / this._windowSum;
+                energy += amp * amp;
+            }
+            const db = toDb(Math.sqrt(energy));
+            const level = this.follow(this.levels[band.name], this.dbToLevel(db), dt);
+            this.levels[band.name] = level;
+            this.sendLevel(`/audio/level/${band.name}`, level);
+
+            const cc = this.ccMap[band.name];
+            if (cc) this.sendLevel(`/cc/${cc}`, level, { type: 'cc', name: cc, value: level });
+
+            const onset = this.detectOnset(band, db, time);
+            if (onset !== null) onsets.push({ band: band.name, strength: onset });
+        }
+
+        for (const { band, strength } of onsets) this.emitOnset(band, strength);
+        return { time, rms: this.rms, levels: { ...this.levels }, onsets };
+    }
+
+    /**
+     * スペクトルフラックスでオンセット判定
+     * @returns {number|null} strength（0..1）
+     */
+    detectOnset(band, db, time) {
+        const prev = this._prevDb[band.name];
+        this._prevDb[band.name] = db;
+        if (prev === null) return null;
+
+        const flux = Math.max(0, db - prev);
+        const history = this._fluxHistory[band.name];
+        let mean = 0;
+        let variance = 0;
+        if (history.length > 0) {
+            for (const h of history) mean += h.flux;
+            mean /= history.length;
+            for (const h of history) variance += (h.flux - mean) ** 2;
+            variance /= history.length;
+        }
+        history.push({ time, flux });
+        while (history.length > 0 && history[0].time < time - this.fluxHistorySeconds) history.shift();
+
+        const threshold = Math.max(this.minFluxDb, mean + Math.sqrt(variance) * this.onsetSensitivity);
+        if (flux < threshold) return null;
+        if (this.dbToLevel(db) < this.onsetGate) return null;
+        if (time - this._lastOnset[band.name] < this.minOnsetInterval) return null;
+        const sinceLast = time - this._lastOnset[band.name];
+        this._lastOnset[band.name] = time;
+
+        // 閾値との比だとほぼ毎回 1 になる（dB の上がり幅は無音からだと音量によらず大きい）ので、
+        // 振幅の上がり幅を最近のオンセットの最大で割る（最大は onsetPeakRelease 秒で下がる）
+        const rise = Math.max(10 ** (db / 20) - 10 ** (prev / 20), 1e-9);
+        const decay = Number.isFinite(sinceLast) && this.onsetPeakRelease > 0 ? Math.exp(-sinceLast / this.onsetPeakRelease) : 0;
+        const peak = Math.max(this._onsetPeak[band.name] * decay, rise);
+        this._onsetPeak[band.name] = peak;
+        return clamp01(rise / peak);
+    }
+
+    emitOnset(bandName, strength) {
+        this.emit({ type: null, source: 'audio', address: `/audio/onset/${bandName}`, args: [strength], trackNumber: null });
+        const track = Number(this.trackMap[bandName]);
+        if (track >= 1) {
+            const band = this.bands.find((b) => b.name === bandName);
+            const velocity = Math.max(1, Math.round(strength * 127));
+            this.emit({ type: 'note', source: 'audio', address: `/track/${track}`, args: [band?.note ?? 60, velocity, 0], trackNumber: track });
+        }
+    }
+
+    /**
+     * 前回送った値から変わった時だけ送る
+     */
+    sendLevel(address, value, fields = { type: null }) {
+        const prev = this._sent.get(address);
+        if (prev !== undefined && Math.abs(prev - value) < LEVEL_EPSILON) return;
+        this._sent.set(address, value);
+        this.emit({ source: 'audio', address, args: [value], trackNumber: null, ...fields });
+    }
+
+    emit(message) {
+        if (this.onMessage) this.onMessage(message);
+    }
+
+    /**
+     * エンベロープフォロワー（上がる時は attack、下がる時は release の時定数）
+     */
+    follow(current, target, dt) {
+        const time = target > current ? this.attack : this.release;
+        if (time <= 0) return target;
+        return current + (target - current) * (1 - Math.exp(-dt / time));
+    }
+
+    dbToLevel(db) {
+        return clamp01((db - this.floorDb) / -this.floorDb);
+    }
+}
+
+/**
+ * 'low:5,high:3' → { low: '5', high: '3' }（URLパラメータ / audio-analyze.js の --tracks / --cc 用）
+ */
+export function parseBandMap(value) {
+    const map = {};
+    for (const pair of String(value || '').split(',')) {
+        const [band, target] = pair.split(':').map((s) => s.trim());
+        if (band && target) map[band] = target;
+    }
+    return map;
+}
+
+function toDb(amplitude) {
+    return 20 * Math.log10(Math.max(amplitude, 1e-9));
+}
+
+function hannWindow(n) {
+    const w = new Float32Array(n);
+    for (let i = 0; i < n; i++) w[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1));
+    return w;
+}
+
+/**
+ * 基数2のFFT（in-place）
+ */
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const half = size >> 1;
+        const step = (-2 * Math.PI) / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < half; k++) {
+                const cos = Math.cos(step * k);
+                const sin = Math.sin(step * k);
+                const a = start + k;
+                const b = a + half;
+                const tre = re[b] * cos - im[b] * sin;
+                const tim = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tre;
+                im[b] = im[a] - tim;
+                re[a] += tre;
+                im[a] += tim;
+            }
+        }
+    }
+}
@@ -7,6 +7,9 @@
 import { Particle } from './Particle.js';
 import * as THREE from 'three';
 import { conf } from '../common/conf.js';
+import { random } from '../common/random.js';
+
+const rng = random.stream('camera');
 
 // カメラモード定数
 export const CameraMode = {
@@ -57,8 +60,8 @@ export class CameraParticle extends Particle {
         this.bounceDamping = 0.8;
         
         // 回転
-        this.rotationX = (Math.random() - 0.5) * Math.PI * 2;
-        this.rotationY = (Math.random() - 0.5) * Math.PI * 2;
+        this.rotationX = (rng.next() - 0.5) * Math.PI * 2;
+        this.rotationY = (rng.next() - 0.5) * Math.PI * 2;
         
         // 移動と回転の有効化フラグ（カメラランダマイズがオフの時にfalseにする）
         this.enableMovement = true;
@@ -105,15 +108,15 @@ export class CameraParticle extends Particle {
         if (this.boxMin && this.boxMax) {
             // 立方体の境界がある場合
             this.position.set(
-                this.boxMin.x + Math.random() * (this.boxMax.x - this.boxMin.x),
-                this.boxMin.y + Math.random() * (this.boxMax.y - this.boxMin.y),
-                this.boxMin.z + Math.random() * (this.boxMax.z - this.boxMin.z)
+                this.boxMin.x + rng.next() * (this.boxMax.x - this.boxMin.x),
+                this.boxMin.y + rng.next() * (this.boxMax.y - this.boxMin.y),
+                this.boxMin.z + rng.next() * (this.boxMax.z - this.boxMin.z)
             );
         } else {
             // 球面上のランダムな位置に配置
-            const angle1 = Math.random() * Math.PI * 2;
-            const angle2 = Math.random() * Math.PI;
-            const distance = this.minDistance + Math.random() * (this.maxDistanceReset - this.minDistance);
+            const angle1 = rng.next() * Math.PI * 2;
+            const angle2 = rng.next() * Math.PI;
+            const distance = this.minDistance + rng.next() * (this.maxDistanceReset - this.minDistance);
             
             this.position.set(
                 Math.cos(angle1) * Math.sin(angle2) * distance,
@@ -172,21 +175,21 @@ export class CameraParticle extends Particle {
      * 弱めのランダムな力を加える（A群・B群用）
      */
     applyRandomForceWeak() {
-        const action = Math.random();
+        const action = rng.next();
         
         if (action < 0.2) {
             // 20%の確率で球体の中心に向かう
             const toCenter = new THREE.Vector3(0, 0, 0).sub(this.position);
             if (toCenter.length() > 0) {
                 toCenter.normalize();
-                const strength = 0.3 + Math.random() * 0.3;  // 弱め
+                const strength = 0.3 + rng.next() * 0.3;  // 弱め
                 this.force.copy(toCenter.multiplyScalar(strength));
             }
         } else if (action < 0.4) {
             // 20%の確率で遠くに移動（急に遠くへ）
-            const angle1 = Math.random() * Math.PI * 2;
-            const angle2 = Math.random() * Math.PI;
-            const strength = 0.5 + Math.random() * 0.5;  // 弱め
+            const angle1 = rng.next() * Math.PI * 2;
+            const angle2 = rng.next() * Math.PI;
+            const strength = 0.5 + rng.next() * 0.5;  // 弱め
             
             this.force.set(
                 Math.cos(angle1) * Math.sin(angle2) * strength,
@@ -195,9 +198,9 @@ export class CameraParticle extends Particle {
             );
         } else if (action < 0.7) {
             // 30%の確率でランダムな方向に急に動く
-            const angle1 = Math.random() * Math.PI * 2;
-            const angle2 = Math.random() * Math.PI;
-            const strength = 0.4 + Math.random() * 0.4;  // 弱め
+            const angle1 = rng.next() * Math.PI * 2;
+            const angle2 = rng.next() * Math.PI;
+            const strength = 0.4 + rng.next() * 0.4;  // 弱め
             
             this.force.set(
                 Math.cos(angle1) * Math.sin(angle2) * strength,
@@ -206,9 +209,9 @@ export class CameraParticle extends Particle {
             );
         } else {
             // 30%の確率で通常のランダムな方向
-            const angle1 = Math.random() * Math.PI * 2;
-            const angle2 = Math.random() * Math.PI;
-            const strength = 0.2 + Math.random() * 0.3;  // 弱め
+            const angle1 = rng.next() * Math.PI * 2;
+            const angle2 = rng.next() * Math.PI;
+            const strength = 0.2 + rng.next() * 0.3;  // 弱め
             
             this.force.set(
                 Math.cos(angle1) * Math.sin(angle2) * strength,
@@ -218,8 +221,8 @@ export class CameraParticle extends Particle {
         }
         
         // 回転もランダムに変更（弱め）
-        this.rotationX += (Math.random() - 0.5) * 0.2;
-        this.rotationY += (Math.random() - 0.5) * 0.2;
+        this.rotationX += (rng.next() - 0.5) * 0.2;
+        this.rotationY += (rng.next() - 0.5) * 0.2;
     }
     
     /**
@@ -258,21 +261,21 @@ export class CameraParticle extends Particle {
      * ランダムな力を加える（突き飛ばす）
      */
     applyRandomForce() {
-        const action = Math.random();
+        const action = rng.next();
         
         if (action < 0.2) {
             // 20%の確率で球体の中心に向かう
             const toCenter = new THREE.Vector3(0, 0, 0).sub(this.position);
             if (toCenter.length() > 0) {
                 toCenter.normalize();
-                const strength = 1.5 + Math.random() * 1.5;
+                const strength = 1.5 + rng.next() * 1.5;
                 this.force.copy(toCenter.multiplyScalar(strength));
             }
         } else if (action < 0.4) {
             // 20%の確率で遠くに移動（急に遠くへ）
-            const angle1 = Math.random() * Math.PI * 2;
-            const angle2 = Math.random() * Math.PI;
-            const strength = 3.0 + Math.random() * 3.0;
+            const angle1 = rng.next() * Math.PI * 2;
+            const angle2 = rng.next() * Math.PI;
+            const strength = 3.0 + rng.next() * 3.0;
             
             this.force.set(
                 Math.cos(angle1) * Math.sin(angle2) * strength,
@@ -281,9 +284,9 @@ export class CameraParticle extends Particle {
             );
         } else if (action < 0.7) {
             // 30%の確率でランダムな方向に急に動く
-            const angle1 = Math.random() * Math.PI * 2;
-            const angle2 = Math.random() * Math.PI;
-            const strength = 2.0 + Math.random() * 2.5;
+            const angle1 = rng.next() * Math.PI * 2;
+            const angle2 = rng.next() * Math.PI;
+            const strength = 2.0 + rng.next() * 2.5;
             
             this.force.set(
                 Math.cos(angle1) * Math.sin(angle2) * strength,
@@ -292,9 +295,9 @@ export class CameraParticle extends Particle {
             );
         } else {
             // 30%の確率で通常のランダムな方向
-            const angle1 = Math.random() * Math.PI * 2;
-            const angle2 = Math.random() * Math.PI;
-            const strength = 1.0 + Math.random() * 1.5;
+            const angle1 = rng.next() * Math.PI * 2;
+            const angle2 = rng.next() * Math.PI;
+            const strength = 1.0 + rng.next() * 1.5;
             
             this.force.set(
                 Math.cos(angle1) * Math.sin(angle2) * strength,
@@ -304,8 +307,8 @@ export class CameraParticle extends Particle {
         }
         
         // 回転もランダムに変更
-        this.rotationX += (Math.random() - 0.5) * 0.4;
-        this.rotationY += (Math.random() - 0.5) * 0.4;
+        this.rotationX += (rng.next() - 0.5) * 0.4;
+        this.rotationY += (rng.next() - 0.5) * 0.4;
     }
     
     /**
@@ -316,8 +319,8 @@ export class CameraParticle extends Particle {
         this.velocity.set(0, 0, 0);
         this.acceleration.set(0, 0, 0);
         this.force.set(0, 0, 0);
-        this.rotationX = (Math.random() - 0.5) * Math.PI * 2;
-        this.rotationY = (Math.random() - 0.5) * Math.PI * 2;
+        this.rotationX = (rng.next() - 0.5) * Math.PI * 2;
+        this.rotationY = (rng.next() - 0.5) * Math.PI * 2;
     }
     
     /**
@@ -396,17 +399,17 @@ export class CameraParticle extends Particle {
                 this.friction = conf.cameraNoDamping ? 0.0 : (conf.cameraFriction ?? 0.02);
                 // ランダムな方向に近づく（もっと近く、注視点をランダムに）
                 const closeupDir = new THREE.Vector3(
-                    (Math.random() - 0.5) * 1.0,
-                    (Math.random() - 0.5) * 1.0,
+                    (rng.next() - 0.5) * 1.0,
+                    (rng.next() - 0.5) * 1.0,
                     1
                 ).normalize();
                 this.position.copy(closeupDir.multiplyScalar(rMax * 0.5));
                 this.desired = this.position.clone();
                 // 注視点をランダムに設定（中心じゃない）
                 this.modeState.lookAtTarget = new THREE.Vector3(
-                    (Math.random() - 0.5) * rMax * 0.5,
-                    (Math.random() - 0.5) * rMax * 0.5,
-                    (Math.random() - 0.5) * rMax * 0.5
+                    (rng.next() - 0.5) * rMax * 0.5,
+                    (rng.next() - 0.5) * rMax * 0.5,
+                    (rng.next() - 0.5) * rMax * 0.5
                 );
                 break;
                 
@@ -415,7 +418,7 @@ export class CameraParticle extends Particle {
                 this.maxForce = 0.08;
                 this.friction = conf.cameraNoDamping ? 0.0 : (conf.cameraFriction ?? 0.02);
                 // 切り替わった時にランダムで右か左に方向を決める
-                this.modeState.sidePanDirection = Math.random() > 0.5 ? 1 : -1;
+                this.modeState.sidePanDirection = rng.next() > 0.5 ? 1 : -1;
                 this.modeState.sidePanInitialized = false;
                 this.position.set(0, 0, rMax * 2.4);
                 this.desired = this.position.clone();
@@ -427,8 +430,8 @@ export class CameraParticle extends Particle {
                 this.friction = conf.cameraNoDamping ? 0.0 : 0.05;
                 // オフセットを適用した位置に配置
                 this.modeState.offCenterOffset.set(
-                    (Math.random() - 0.5) * 0.3,
-                    (Math.random() - 0.5) * 0.3,
+                    (rng.next() - 0.5) * 0.3,
+                    (rng.next() - 0.5) * 0.3,
                     0
                 );
                 const offCenterX = this.modeState.offCenterOffset.x * rMax * 2.0;
@@ -437,9 +440,9 @@ export class CameraParticle extends Particle {
                 this.desired = this.position.clone();
                 // 注視点をランダムに設定（中心じゃない）
                 this.modeState.lookAtTarget = new THREE.Vector3(
-                    (Math.random() - 0.5) * rMax * 0.5,
-                    (Math.random() - 0.5) * rMax * 0.5,
-                    (Math.random() - 0.5) * rMax * 0.5
+                    (rng.next() - 0.5) * rMax * 0.5,
+                    (rng.next() - 0.5) * rMax * 0.5,
+                    (rng.next() - 0.5) * rMax * 0.5
                 );
                 break;
                 
@@ -448,14 +451,14 @@ export class CameraParticle extends Particle {
                 this.maxForce = 0.08;
                 this.friction = conf.cameraNoDamping ? 0.0 : (conf.cameraFriction ?? 0.02);
                 // 球面座標系の初期化（切り替え時のみ）
-                this.modeState.orbitAngle = Math.random() * Math.PI * 2; // 角度: 0～360°（進行方向）
+                this.modeState.orbitAngle = rng.next() * Math.PI * 2; // 角度: 0～360°（進行方向）
                 this.modeState.orbitRadius = rMax * 2.8; // 半径
                 this.modeState.orbitSpeed = 0.0008; // 回転速度
                 
                 // ランダムな回転角度（軌道の傾き）
-                this.modeState.orbitRotationX = (Math.random() - 0.5) * Math.PI; // X軸周りの回転: ±90°
-                this.modeState.orbitRotationY = (Math.random() - 0.5) * Math.PI; // Y軸周りの回転: ±90°
-                this.modeState.orbitRotationZ = (Math.random() - 0.5) * Math.PI; // Z軸周りの回転: ±90°
+                this.modeState.orbitRotationX = (rng.next() - 0.5) * Math.PI; // X軸周りの回転: ±90°
+                this.modeState.orbitRotationY = (rng.next() - 0.5) * Math.PI; // Y軸周りの回転: ±90°
+                this.modeState.orbitRotationZ = (rng.next() - 0.5) * Math.PI; // Z軸周りの回転: ±90°
                 
                 // 初期位置を設定（XZ平面上の円）
                 const angle = this.modeState.orbitAngle;
@@ -523,8 +526,8 @@ export class CameraParticle extends Particle {
                 
             case CameraMode.FRONT_MEDIUM: // ② フロント・ミディアム - 微ドリフト
                 const drift = new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.01,
-                    (Math.random() - 0.5) * 0.01,
+                    (rng.next() - 0.5) * 0.01,
+                    (rng.next() - 0.5) * 0.01,
                     0
                 );
                 this.desired.add(drift);
@@ -532,10 +535,10 @@ export class CameraParticle extends Particle {
                 
             case CameraMode.CLOSEUP: // ③ クローズアップ - ランダムに近づく
                 // 時々新しい近接位置を設定
-                if (Math.random() < 0.01) {
+                if (rng.next() < 0.01) {
                     const closeupDir = new THREE.Vector3(
-                        (Math.random() - 0.5) * 1.0,
-                        (Math.random() - 0.5) * 1.0,
+                        (rng.next() - 0.5) * 1.0,
+                        (rng.next() - 0.5) * 1.0,
                         1
                     ).normalize();
                     this.desired.copy(closeupDir.multiplyScalar(rMax * 0.5));
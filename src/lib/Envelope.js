@@ -0,0 +1,117 @@
+/**
+ * Envelope Class
+ * ADSRエンベロープ（ノートでトリガーして 0..1 を出す。モジュレーションのソース用）
+ *
+ * - attack / decay / release は秒、sustain はレベル（0..1）
+ * - trigger(velocity, gateSeconds): gateSeconds 後に自動でリリース（0 ならアタック→ディケイの後すぐリリース）
+ * - 出力は velocity（0..1）倍
+ *
+ * NOTE:
+ * - 鳴っている途中で再トリガーしたら、今の値からアタックし直す（0に戻さないのでプチッと切れない）
+ */
+
+export class Envelope {
+    constructor({ attack = 0.01, decay = 0.2, sustain = 0.0, release = 0.3 } = {}) {
+        this.attack = attack;
+        this.decay = decay;
+        this.sustain = sustain;
+        this.release = release;
+
+        this.stage = 'idle';   // idle / attack / decay / sustain / release
+        this.level = 0;        // エンベロープ自体の値（velocity を掛ける前）
+        this.velocity = 1;
+        this.gate = 0;         // 残りのゲート時間（秒）
+        this._hasGate = false;
+        this._releaseFrom = 0;
+    }
+
+    get value() {
+        return this.level * this.velocity;
+    }
+
+    /**
+     * @param {number} velocity - 0..1
+     * @param {number} gateSeconds - ノートの長さ（秒）
+     */
+    trigger(velocity = 1, gateSeconds = 0) {
+        this.velocity = Math.min(Math.max(Number(velocity) || 0, 0), 1);
+        this.gate = Math.max(0, Number(gateSeconds) || 0);
+        this._hasGate = this.gate > 0;
+        this.stage = 'attack';
+    }
+
+    /**
+     * ノートオフ
+     */
+    noteOff() {
+        if (this.stage === 'idle' || this.stage === 'release') return;
+        this.stage = 'release';
+        this._releaseFrom = this.level;
+    }
+
+    /**
+     * 更新処理
+     * @param {number} deltaTime - 前フレームからの経過時間（秒）
+     * @returns {number} 現在値（0..1）
+     */
+    update(deltaTime = 1/60) {
+        if (!deltaTime || deltaTime <= 0 || !isFinite(deltaTime)) {
+            deltaTime = 1/60;
+        }
+        let dt = deltaTime;
+
+        if (this.stage !== 'idle' && this.stage !== 'release') {
+            this.gate -= dt;
+        }
+
+        // 1フレームで複数のステージをまたいでも残り時間を次のステージに回す
+        while (dt > 0 && this.stage !== 'idle' && this.stage !== 'sustain') {
+            if (this.stage === 'attack') {
+                const rate = this.attack > 0 ? 1 / this.attack : Infinity;
+                const needed = (1 - this.level) / rate;
+                if (dt < needed) {
+                    this.level += rate * dt;
+                    dt = 0;
+                } else {
+                    this.level = 1;
+                    dt -= needed;
+                    this.stage = 'decay';
+                }
+            } else if (this.stage === 'decay') {
+                const rate = this.decay > 0 ? (1 - this.sustain) / this.decay : Infinity;
+                const needed = rate > 0 ? (this.level - this.sustain) / rate : 0;
+                if (dt < needed) {
+                    this.level -= rate * dt;
+                    dt = 0;
+                } else {
+                    this.level = this.sustain;
+                    dt -= needed;
+                    this.stage = 'sustain';
+                }
+            } else if (this.stage === 'release') {
+                const rate = this.release > 0 ? this._releaseFrom / this.release : Infinity;
+                const needed = rate > 0 ? this.level / rate : 0;
+                if (dt < needed) {
+                    this.level -= rate * dt;
+                    dt = 0;
+                } else {
+                    this.level = 0;
+                    dt = 0;
+                    this.stage = 'idle';
+                }
+            }
+        }
+
+        // ゲートが終わったらリリース（ゲート指定があればアタック/ディケイの途中でも、0 ならディケイの後）
+        if (this.gate <= 0 && (this.stage === 'sustain' || (this._hasGate && this.stage !== 'idle'))) {
+            this.noteOff();
+        }
+        return this.value;
+    }
+
+    reset() {
+        this.stage = 'idle';
+        this.level = 0;
+        this.gate = 0;
+    }
+}
@@ -4,6 +4,9 @@
  */
 
 import * as THREE from 'three';
+import { random } from '../common/random.js';
+
+const rng = random.stream('particles');
 
 export class GPUParticleSystem {
     constructor(renderer, particleCount, options = {}) {
@@ -19,8 +22,8 @@ export class GPUParticleSystem {
         // ランダムな位置で初期化
         for (let i = 0; i < particleCount; i++) {
             const i3 = i * 3;
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.acos(Math.random() * 2 - 1);
+            const theta = rng.next() * Math.PI * 2;
+            const phi = Math.acos(rng.next() * 2 - 1);
             const r = 400; // baseRadius
             positions[i3] = r * Math.sin(phi) * Math.cos(theta);
             positions[i3 + 1] = r * Math.sin(phi) * Math.sin(theta);
@@ -3,7 +3,7 @@ import * as THREE from 'three/webgpu';
 /**
  * GridRuler3D
  * - 床(XZ) + 垂直面(XY, YZ)の格子
- * - 主要目盛り(0/16/32/48/64)のラベルをSpriteで表示
+ * - 主要目盛り(0/16/32/48/64)のラベルをSpriteで表示（labelMax の 1/4 ごと。軸ごとに labelMaxX / labelMaxZ）
  * - すべて unlit (LineBasic / SpriteMaterial) なのでライティング非依存
  * - Sceneに置くので遮蔽(Zテスト)が効く
  */
@@ -37,6 +37,7 @@ export class GridRuler3D {
    *  size: {x:number,y:number,z:number},
    *  divX?:number, divY?:number, divZ?:number,
    *  labelMax?:number,
+   *  labelMaxX?:number, labelMaxZ?:number,
    *  floorY?:number,
    *  color?:number,
    *  opacity?:number
@@ -55,7 +56,10 @@ export class GridRuler3D {
     const floorSize = Number(params.floorSize ?? (Math.max(size.x, size.z) * 2.2));
     const floorDivisions = Math.max(2, Number(params.floorDivisions ?? 40));
     // 「赤い十字」は 0/16/32/48/64 に出す設計なのでデフォは 64
+    // グリッドが立方体でない時（128x32x128 など）は軸ごとにグリッドの大きさを渡す
     const labelMax = Number(params.labelMax ?? 64);
+    const labelMaxX = Number(params.labelMaxX ?? labelMax);
+    const labelMaxZ = Number(params.labelMaxZ ?? labelMax);
 
     const color = Number(params.color ?? 0xffffff);
     const opacity = Number(params.opacity ?? 0.65);
@@ -98,8 +102,8 @@ export class GridRuler3D {
     //
     // X: 床の中心線 (z=cz)
     // Z: 床の右外周 (x=fMaxX)
-    this.group.add(this._makeRulerX(fMinX, fMaxX, floorY, cz, labelMax, color));
-    this.group.add(this._makeRulerZ(fMinZ, fMaxZ, floorY, fMaxX, labelMax, color));
+    this.group.add(this._makeRulerX(fMinX, fMaxX, floorY, cz, labelMaxX, color));
+    this.group.add(this._makeRulerZ(fMinZ, fMaxZ, floorY, fMaxX, labelMaxZ, color));
   }
 
   update(camera) {
@@ -143,9 +147,9 @@ export class GridRuler3D {
     const verts = [];
     const crossSize = 0.02;
 
-    // ticks every 8 units in label space (0..64)
-    for (let v = 0; v <= labelMax; v += 8) {
-      const t = v / labelMax;
+    // ticks every labelMax/8 units in label space (0..64 なら 8 ごと)
+    for (let i = 0; i <= 8; i++) {
+      const t = i / 8;
       const x = minX + (maxX - minX) * t;
       verts.push(x, y, z, x, y + tickLen, z);
     }
@@ -155,9 +159,9 @@ export class GridRuler3D {
 
     // 赤い小さな十字（数字が表示される位置だけ / X軸中心線）
     const crossVerts = [];
-    for (let v = 0; v <= labelMax; v += 8) {
-      if (v % 16 !== 0) continue; // ラベル位置に合わせる（0/16/32/48/64）
-      const t = v / labelMax;
+    for (let i = 0; i <= 8; i++) {
+      if (i % 2 !== 0) continue; // ラベル位置に合わせる（0/16/32/48/64）
+      const t = i / 8;
       const x = minX + (maxX - minX) * t;
       // X方向の短い線
       crossVerts.push(x - crossSize, y + 0.0005, z, x + crossSize, y + 0.0005, z);
@@ -176,11 +180,11 @@ export class GridRuler3D {
       group.add(this._linesFromVerts(crossVerts, crossMat, 'labelCrossX'));
     }
 
-    for (let v = 0; v <= labelMax; v += 8) {
-      if (v % 16 !== 0) continue; // ラベルは間引き（0/16/32/48/64）
-      const t = v / labelMax;
+    for (let i = 0; i <= 8; i++) {
+      if (i % 2 !== 0) continue; // ラベルは間引き（0/16/32/48/64）
+      const t = i / 8;
       const x = minX + (maxX - minX) * t;
-      group.add(this._makeLabelSprite(String(v), new THREE.Vector3(x, y + tickLen * 2.2, z), color));
+      group.add(this._makeLabelSprite(String(Math.round(t * labelMax)), new THREE.Vector3(x, y + tickLen * 2.2, z), color));
     }
     return group;
   }
@@ -191,8 +195,8 @@ export class GridRuler3D {
     const tickLen = 0.015;
     const verts = [];
 
-    for (let v = 0; v <= labelMax; v += 8) {
-      const t = v / labelMax;
+    for (let i = 0; i <= 8; i++) {
+      const t = i / 8;
       const z = minZ + (maxZ - minZ) * t;
       verts.push(x, y, z, x, y + tickLen, z);
     }
@@ -200,11 +204,11 @@ export class GridRuler3D {
     this._materials.push(mat);
     group.add(this._linesFromVerts(verts, mat, 'ticksZ'));
 
-    for (let v = 0; v <= labelMax; v += 8) {
-      if (v % 16 !== 0) continue;
-      const t = v / labelMax;
+    for (let i = 0; i <= 8; i++) {
+      if (i % 2 !== 0) continue;
+      const t = i / 8;
       const z = minZ + (maxZ - minZ) * t;
-      group.add(this._makeLabelSprite(String(v), new THREE.Vector3(x, y + tickLen * 2.2, z), color));
+      group.add(this._makeLabelSprite(String(Math.round(t * labelMax)), new THREE.Vector3(x, y + tickLen * 2.2, z), color));
     }
     return group;
   }
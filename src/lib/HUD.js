@@ -5,6 +5,10 @@
  */
 
 import * as THREE from "three/webgpu";
+import { clock } from '../common/clock.js';
+import { random } from '../common/random.js';
+
+const rng = random.stream('hud');
 
 export class HUD {
     constructor() {
@@ -19,7 +23,7 @@ export class HUD {
         this.beatsPerBar = 4;  // デフォルトは4拍子
         
         // TIME表示用の基準時刻
-        this.startTime = performance.now();
+        this.startTime = clock.now();
         
         // 軍事風情報表示用（高速ランダマイズ）
         this.militaryInfoLines = [];  // 3行の情報
@@ -47,13 +51,23 @@ export class HUD {
         
         this.ctx = this.canvas.getContext('2d');
         this.updateSize();
+
+        // 予約中のシーン切り替え（SceneManager.getQueuedSwitchInfo() の値。無ければ null）
+        this.queuedSwitch = null;
+    }
+    
+    /**
+     * 予約中のシーン切り替えを設定（カウントダウン表示用）
+     */
+    setQueuedSwitch(info) {
+        this.queuedSwitch = info || null;
     }
     
     /**
      * TIMEをリセット（基準時刻を現在時刻に更新）
      */
     resetTime() {
-        this.startTime = performance.now();
+        this.startTime = clock.now();
     }
     
     /**
@@ -67,6 +81,17 @@ export class HUD {
         this.squareY = (window.innerHeight - this.squareSize) / 2;
     }
     
+    /**
+     * 破棄（シーンの解放時）
+     * NOTE: Canvas（#hud-canvas）は全シーンで共有しているので DOM からは外さない。参照だけ切る
+     */
+    dispose() {
+        this.ctx = null;
+        this.canvas = null;
+        this.militaryInfoLines = [];
+        this.queuedSwitch = null;
+    }
+    
     /**
      * Canvasをクリア（HUD非表示時用）
      */
@@ -361,7 +386,7 @@ export class HUD {
     /**
      * 3D Boxグリッド＋ルーラー（HUD上に投影して描く）
      * @param {THREE.Camera} camera
-     * @param {{center:{x:number,y:number,z:number}, size:{x:number,y:number,z:number}, divX?:number, divY?:number, divZ?:number, labelMax?:number}} box
+     * @param {{center:{x:number,y:number,z:number}, size:{x:number,y:number,z:number}, divX?:number, divY?:number, divZ?:number, labelMax?:number, labelMaxX?:number, labelMaxY?:number, labelMaxZ?:number}} box
      */
     draw3DGridAndRulers(camera, box) {
         const { center, size } = box;
@@ -371,6 +396,10 @@ export class HUD {
         const divY = Math.max(2, Number(box.divY ?? 8));
         const divZ = Math.max(2, Number(box.divZ ?? 8));
         const labelMax = Number(box.labelMax ?? 64);
+        // 立方体でないグリッドは軸ごとに（省略で labelMax）
+        const labelMaxX = Number(box.labelMaxX ?? labelMax);
+        const labelMaxY = Number(box.labelMaxY ?? labelMax);
+        const labelMaxZ = Number(box.labelMaxZ ?? labelMax);
 
         const cx = center.x, cy = center.y, cz = center.z;
         const sx = size.x, sy = size.y, sz = size.z;
@@ -471,7 +500,7 @@ export class HUD {
             this.ctx.fillRect(p.x - 1, p.y - 1, 2, 2);
             // label（間引く）
             if (i % 2 === 0) {
-                const v = Math.round(t * labelMax);
+                const v = Math.round(t * labelMaxX);
                 this.ctx.fillText(String(v), p.x, p.y + 6);
             }
         }
@@ -487,7 +516,7 @@ export class HUD {
             this.ctx.globalAlpha = 0.9;
             this.ctx.fillRect(p.x - 1, p.y - 1, 2, 2);
             if (j % 2 === 0) {
-                const v = Math.round(t * labelMax);
+                const v = Math.round(t * labelMaxY);
                 this.ctx.fillText(String(v), p.x + 6, p.y);
             }
         }
@@ -503,7 +532,7 @@ export class HUD {
             this.ctx.globalAlpha = 0.75;
             this.ctx.fillRect(p.x - 1, p.y - 1, 2, 2);
             if (k % 2 === 0) {
-                const v = Math.round(t * labelMax);
+                const v = Math.round(t * labelMaxZ);
                 this.ctx.fillText(String(v), p.x, p.y + 6);
             }
         }
@@ -741,7 +770,7 @@ export class HUD {
         y += lineHeight;
         
         // 実時間を分:秒形式で表示（基準時刻からの経過時間）
-        const elapsedTime = (performance.now() - this.startTime) / 1000; // 秒単位
+        const elapsedTime = (clock.now() - this.startTime) / 1000; // 秒単位
         const minutes = Math.floor(elapsedTime / 60);
         const seconds = Math.floor(elapsedTime % 60);
         const timeString = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
@@ -752,6 +781,28 @@ export class HUD {
         this.ctx.fillText(`PHASE: ${phase}`, x, y);
         y += lineHeight;
         
+        // 乱数シード（この値を ?seed= や /seed で指定すると同じ見た目を再現できる）
+        this.ctx.fillText(`SEED: ${random.seed}`, x, y);
+        y += lineHeight;
+        
+        // 予約中のシーン切り替え（残り1拍を切ったら点滅）
+        if (this.queuedSwitch) {
+            const q = this.queuedSwitch;
+            let countdown;
+            if (q.quantize === 'phase') {
+                countdown = 'NEXT PHASE';
+            } else if (typeof q.beatsLeft === 'number') {
+                countdown = `${q.barsLeft} BAR / ${q.beatsLeft} BEAT`;
+            } else {
+                countdown = `${q.barsLeft} BAR`;
+            }
+            const blink = q.beatsLeft === 1 && Math.floor(clock.now() / 125) % 2 === 0;
+            if (!blink) {
+                this.ctx.fillText(`NEXT: ${q.title.toUpperCase()} <${countdown}>`, x, y);
+            }
+            y += lineHeight;
+        }
+        
         // エフェクト状態を表示
         if (trackEffects) {
             y += lineHeight * 0.5;  // 少し間隔を空ける
@@ -900,7 +951,7 @@ export class HUD {
         const centerY = this.squareSize / 2;
         
         // 現在の速度を計算（距離ベース、簡易版）
-        const speed = Math.max(0, Math.min(999, distance * 0.1 + Math.random() * 50));
+        const speed = Math.max(0, Math.min(999, distance * 0.1 + rng.next() * 50));
         const currentSpeed = Math.round(speed);
         
         this.ctx.strokeStyle = this.hudColor;
@@ -1189,7 +1240,7 @@ export class HUD {
      * 軍事風情報を生成（HUD用共通情報、3行）
      */
     generateMilitaryInfo(frameRate, currentCameraIndex, cameraPosition, rotationX, rotationY, distance, oscStatus, particleCount) {
-        const now = Date.now();
+        const now = clock.now();
         const timestamp = (now / 1000.0).toFixed(7);
         const rotXDeg = (rotationX * 180) / Math.PI;
         const rotYDeg = (rotationY * 180) / Math.PI;
@@ -1204,33 +1255,33 @@ export class HUD {
             `rotation_y : ${rotYDeg.toFixed(4)}`,
             `distance : ${distance.toFixed(4)}`,
             `particles : ${particleCount || 0}`,
-            `signal_strength : ${(Math.random() * 100).toFixed(2)}%`,
-            `data_rate : ${(Math.random() * 10000).toFixed(0)} bps`,
-            `packet_loss : ${(Math.random() * 5).toFixed(2)}%`,
-            `latency : ${(Math.random() * 100).toFixed(2)}ms`,
-            `bandwidth : ${(Math.random() * 1000).toFixed(0)} Mbps`,
-            `memory_usage : ${(Math.random() * 100).toFixed(1)}%`,
-            `cpu_load : ${(Math.random() * 100).toFixed(1)}%`,
-            `network_status : ${Math.random() > 0.5 ? 'CONNECTED' : 'STANDBY'}`,
+            `signal_strength : ${(rng.next() * 100).toFixed(2)}%`,
+            `data_rate : ${(rng.next() * 10000).toFixed(0)} bps`,
+            `packet_loss : ${(rng.next() * 5).toFixed(2)}%`,
+            `latency : ${(rng.next() * 100).toFixed(2)}ms`,
+            `bandwidth : ${(rng.next() * 1000).toFixed(0)} Mbps`,
+            `memory_usage : ${(rng.next() * 100).toFixed(1)}%`,
+            `cpu_load : ${(rng.next() * 100).toFixed(1)}%`,
+            `network_status : ${rng.next() > 0.5 ? 'CONNECTED' : 'STANDBY'}`,
             `protocol : UDP/MAVRX4`,
-            `sequence : ${Math.floor(Math.random() * 100000)}`,
-            `checksum : 0x${Math.floor(Math.random() * 0xFFFF).toString(16).toUpperCase().padStart(4, '0')}`,
-            `buffer_size : ${Math.floor(Math.random() * 10000)} bytes`,
-            `queue_depth : ${Math.floor(Math.random() * 100)}`,
-            `error_count : ${Math.floor(Math.random() * 10)}`,
-            `retry_count : ${Math.floor(Math.random() * 5)}`,
-            `connection_id : ${Math.floor(Math.random() * 1000000)}`,
-            `session_key : ${Math.random().toString(36).substring(2, 10).toUpperCase()}`,
-            `encryption : ${Math.random() > 0.5 ? 'AES-256' : 'TLS-1.3'}`,
-            `auth_status : ${Math.random() > 0.5 ? 'AUTHENTICATED' : 'PENDING'}`,
-            `sync_status : ${Math.random() > 0.5 ? 'SYNCED' : 'SYNCING'}`,
+            `sequence : ${Math.floor(rng.next() * 100000)}`,
+            `checksum : 0x${Math.floor(rng.next() * 0xFFFF).toString(16).toUpperCase().padStart(4, '0')}`,
+            `buffer_size : ${Math.floor(rng.next() * 10000)} bytes`,
+            `queue_depth : ${Math.floor(rng.next() * 100)}`,
+            `error_count : ${Math.floor(rng.next() * 10)}`,
+            `retry_count : ${Math.floor(rng.next() * 5)}`,
+            `connection_id : ${Math.floor(rng.next() * 1000000)}`,
+            `session_key : ${rng.next().toString(36).substring(2, 10).toUpperCase()}`,
+            `encryption : ${rng.next() > 0.5 ? 'AES-256' : 'TLS-1.3'}`,
+            `auth_status : ${rng.next() > 0.5 ? 'AUTHENTICATED' : 'PENDING'}`,
+            `sync_status : ${rng.next() > 0.5 ? 'SYNCED' : 'SYNCING'}`,
             `osc_status : ${oscStatus}`,
             `last_update : ${new Date().toISOString()}`
         ];
         
         // 配列をランダムにシャッフル
         for (let i = parts.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(rng.next() * (i + 1));
             [parts[i], parts[j]] = [parts[j], parts[i]];
         }
         
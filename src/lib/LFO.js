@@ -1,8 +1,26 @@
 /**
  * LFO (Low Frequency Oscillator) Class
  * 低周波オシレーター
+ *
+ * - フリーラン: rate（1秒あたりの周期数）で実時間に沿って進む（従来どおり）
+ * - 拍同期: setSync('1/4') で周期を音符の長さにし、位相を受信した actual_tick に合わせる（common/tempo.js）
+ *   - '1/4' 4分音符 / '1/16' 16分音符 / '1' 1小節 / '4' 4小節 / '1/8.' 付点 / '1/8t' 3連
+ *   - 96tick/拍 なので '1/4' = 96tick、'1' = 384tick。テンポが変わっても小節頭で位相0のまま
+ * - 波形（setShape）: sine（デフォルト）/ triangle / saw / sawDown / square / sah（サンプル&ホールド）/ smooth（滑らかなランダム）/ envelope（周期の頭でアタックして減衰）
+ *
+ * NOTE:
+ * - sah / smooth のランダム値は「何周期目か」とシード（common/random.js）から決まる。
+ *   拍同期なら同じ小節では同じ値になる（オフラインレンダーでも再現する）
  */
 
+import { random } from '../common/random.js';
+import { tempo, TICKS_PER_BAR } from '../common/tempo.js';
+
+export const LFO_SHAPES = ['sine', 'triangle', 'saw', 'sawDown', 'square', 'sah', 'smooth', 'envelope'];
+
+// sah / smooth のランダム値をLFOごとに変えるための通し番号
+let instanceCount = 0;
+
 export class LFO {
     constructor(rate, minValue, maxValue) {
         this.rate = rate;  // 周波数（1秒あたりの周期数）
@@ -10,35 +28,134 @@ export class LFO {
         this.maxValue = maxValue;
         this.value = (minValue + maxValue) / 2;  // 初期値は中央
         this.phase = 0.0;  // 位相（0.0〜2π）
+        this.cycle = 0;    // 何周期目か（sah / smooth 用）
+
+        this.shape = 'sine';
+        this.pulseWidth = 0.5;    // square: 1 の割合
+        this.attack = 0.02;       // envelope: 周期に対するアタックの割合
+        this.decay = 5.0;         // envelope: 減衰の速さ（大きいほど早く落ちる）
+
+        // 拍同期（null ならフリーラン）
+        this.syncTicks = null;
+        this.syncOffsetTicks = 0;
+
+        this._salt = (++instanceCount * 0x9E3779B1) >>> 0;
     }
     
     /**
      * 更新処理
      * @param {number} deltaTime - 前フレームからの経過時間（秒、オプション）
+     * @param {number} tick - 拍同期の時の tick（省略時は common/tempo.js の補間した tick）
      */
-    update(deltaTime = 1/60) {
-        // deltaTimeが無効な値の場合はデフォルト値を使用
-        if (!deltaTime || deltaTime <= 0 || !isFinite(deltaTime)) {
-            deltaTime = 1/60;
+    update(deltaTime = 1/60, tick = undefined) {
+        if (this.syncTicks) {
+            // 拍同期: 位相は tick だけで決まる（deltaTime は使わない）
+            const position = ((tick ?? tempo.tick) + this.syncOffsetTicks) / this.syncTicks;
+            this.cycle = Math.floor(position);
+            this.phase = (position - this.cycle) * Math.PI * 2;
+        } else {
+            // deltaTimeが無効な値の場合はデフォルト値を使用
+            if (!deltaTime || deltaTime <= 0 || !isFinite(deltaTime)) {
+                deltaTime = 1/60;
+            }
+            
+            // 周波数rateは「1秒あたりの周期数」なので、実時間deltaTimeに比例して位相を進める。
+            // これによりFPSが上下しても“現実時間の揺れ速度”が一定になる。
+            this.phase += Math.PI * 2 * this.rate * deltaTime;
+            
+            // 位相を0〜2πの範囲に制限
+            while (this.phase >= Math.PI * 2) {
+                this.phase -= Math.PI * 2;
+                this.cycle++;
+            }
+            while (this.phase < 0) {
+                this.phase += Math.PI * 2;
+                this.cycle--;
+            }
         }
         
-        // 周波数rateは「1秒あたりの周期数」なので、実時間deltaTimeに比例して位相を進める。
-        // これによりFPSが上下しても“現実時間の揺れ速度”が一定になる。
-        this.phase += Math.PI * 2 * this.rate * deltaTime;
-        
-        // 位相を0〜2πの範囲に制限
-        while (this.phase >= Math.PI * 2) {
-            this.phase -= Math.PI * 2;
+        // 波形の値（0.0〜1.0）をminValue〜maxValueにマッピング（Processingのmapと同じ）
+        const range = this.maxValue - this.minValue;
+        this.value = this.minValue + this.evaluateShape(this.phase / (Math.PI * 2)) * range;
+    }
+
+    /**
+     * 波形
+     * @param {number} p - 位相（0.0〜1.0）
+     * @returns {number} 0.0〜1.0
+     */
+    evaluateShape(p) {
+        switch (this.shape) {
+            case 'triangle': {
+                // sine と同じく 0.5 から上がり始める
+                const q = (p + 0.25) % 1;
+                return q < 0.5 ? q * 2 : 2 - q * 2;
+            }
+            case 'saw':
+                return p;
+            case 'sawDown':
+                return 1 - p;
+            case 'square':
+                return p < this.pulseWidth ? 1 : 0;
+            case 'sah':
+                return this.randomAt(this.cycle);
+            case 'smooth': {
+                const a = this.randomAt(this.cycle);
+                const b = this.randomAt(this.cycle + 1);
+                return a + (b - a) * (0.5 - 0.5 * Math.cos(p * Math.PI));
+            }
+            case 'envelope':
+                if (p < this.attack) return p / this.attack;
+                return Math.exp(-this.decay * (p - this.attack) / (1 - this.attack));
+            default:
+                // サイン波（-1.0〜1.0 → 0.0〜1.0）
+                return (Math.sin(p * Math.PI * 2) + 1.0) / 2.0;
         }
-        while (this.phase < 0) {
-            this.phase += Math.PI * 2;
+    }
+
+    /**
+     * 周期ごとのランダム値（0.0〜1.0）
+     */
+    randomAt(cycle) {
+        let h = (Math.imul(cycle | 0, 0x85EBCA6B) ^ this._salt ^ random.seed) >>> 0;
+        h = Math.imul(h ^ (h >>> 16), 0x7FEB352D);
+        h = Math.imul(h ^ (h >>> 15), 0x846CA68B);
+        return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * 波形を設定
+     * @param {string} shape - LFO_SHAPES
+     * @param {Object} options - { pulseWidth, attack, decay }
+     */
+    setShape(shape, options = {}) {
+        if (!LFO_SHAPES.includes(shape)) {
+            console.warn(`LFO: 波形 ${shape} は無効です（${LFO_SHAPES.join(' / ')}）`);
+            return;
         }
-        
-        // サイン波で値を計算
-        const sineValue = Math.sin(this.phase);
-        // -1.0〜1.0をminValue〜maxValueにマッピング（Processingのmapと同じ）
-        const range = this.maxValue - this.minValue;
-        this.value = this.minValue + (sineValue + 1.0) / 2.0 * range;
+        this.shape = shape;
+        if (options.pulseWidth !== undefined) this.pulseWidth = options.pulseWidth;
+        if (options.attack !== undefined) this.attack = Math.min(Math.max(options.attack, 0.001), 0.999);
+        if (options.decay !== undefined) this.decay = options.decay;
+    }
+
+    /**
+     * 拍同期（null でフリーランに戻す）
+     * @param {string|number|null} division - '1/4' / '1/8.' / '1/8t' / '1' / '4'（数値は小節数）
+     * @param {number} offsetTicks - 位相のずらし（tick）
+     */
+    setSync(division, offsetTicks = 0) {
+        if (division === null || division === undefined || division === 'off') {
+            this.syncTicks = null;
+            return;
+        }
+        const ticks = parseDivision(division);
+        if (!ticks) {
+            console.warn(`LFO: 同期の長さ ${division} は無効です（'1/4' / '1/8.' / '1/8t' / '1' / '4' など）`);
+            return;
+        }
+        this.syncTicks = ticks;
+        this.syncOffsetTicks = Number(offsetTicks) || 0;
     }
     
     /**
@@ -103,7 +220,26 @@ export class LFO {
      */
     reset() {
         this.phase = 0.0;
+        this.cycle = 0;
         this.value = (this.minValue + this.maxValue) / 2;
     }
 }
 
+/**
+ * 音符の長さ → tick数（無効なら null）
+ * - '1/4' = 96 / '1/16' = 24 / '1' = 384（1小節）/ '4' = 4小節 / '2bars' も可
+ * - 末尾 '.' で付点（×1.5）、't' で3連（×2/3）
+ * - 数値は小節数
+ */
+export function parseDivision(division) {
+    if (typeof division === 'number') {
+        return Number.isFinite(division) && division > 0 ? division * TICKS_PER_BAR : null;
+    }
+    const m = /^(\d+(?:\.\d+)?)(?:\/(\d+))?\s*(?:bars?)?\s*([.t]?)$/.exec(String(division ?? '').trim().toLowerCase());
+    if (!m) return null;
+    const bars = m[2] ? Number(m[1]) / Number(m[2]) : Number(m[1]);
+    const modifier = m[3] === '.' ? 1.5 : (m[3] === 't' ? 2 / 3 : 1);
+    const ticks = bars * TICKS_PER_BAR * modifier;
+    return ticks > 0 && Number.isFinite(ticks) ? ticks : null;
+}
+
@@ -3,6 +3,10 @@
  * LFOでLFOを揺らすクラス
  * LFOのrateとvalueを別のLFOを使って揺らす
  * rateLFOとvalueLFOの周期（rate）自体も別のLFOで揺らす
+ *
+ * NOTE: 名前は Random だが乱数は使っていない（位相0から deltaTime で進むだけ）。
+ *       同じ deltaTime 列なら毎回同じ値になるので、シード（common/random.js）の対象外
+ * NOTE: setSync() すると実際に値を出すLFOだけ拍同期になる（rate の揺れは効かなくなり、値の範囲の揺れは実時間のまま）
  */
 
 import { LFO } from './LFO.js';
@@ -47,7 +51,7 @@ export class RandomLFO {
      * 更新処理（毎フレーム呼ぶ）
      * @param {number} deltaTime - 前フレームからの経過時間（秒、オプション）
      */
-    update(deltaTime = 1/60) {
+    update(deltaTime = 1/60, tick = undefined) {
         // rateLFO_rateLFOとvalueLFO_rateLFOを更新
         this.rateLFO_rateLFO.update(deltaTime);
         this.valueLFO_rateLFO.update(deltaTime);
@@ -70,7 +74,7 @@ export class RandomLFO {
         this.lfo.setRange(currentValue - range, currentValue + range);
         
         // 実際に使用するLFOを更新
-        this.lfo.update(deltaTime);
+        this.lfo.update(deltaTime, tick);
     }
     
     /**
@@ -81,6 +85,20 @@ export class RandomLFO {
         return this.lfo.getValue();
     }
     
+    /**
+     * 拍同期（LFO.setSync と同じ。null でフリーランに戻す）
+     */
+    setSync(division, offsetTicks = 0) {
+        this.lfo.setSync(division, offsetTicks);
+    }
+    
+    /**
+     * 波形（LFO.setShape と同じ）
+     */
+    setShape(shape, options = {}) {
+        this.lfo.setShape(shape, options);
+    }
+    
     /**
      * パラメータを設定
      */
@@ -26,6 +26,9 @@ import {
     step,
     abs
 } from "three/tsl";
+import { random } from '../common/random.js';
+
+const rng = random.stream('ribbon');
 
 export class RibbonSystem {
     constructor(renderer, ribbonCount = 200, segmentsPerRibbon = 30) {
@@ -101,22 +104,22 @@ export class RibbonSystem {
         this.ribbonData = [];
         for (let i = 0; i < this.ribbonCount; i++) {
             const basePosition = new THREE.Vector3(
-                (Math.random() - 0.5) * this.spawnRadius * 2,
+                (rng.next() - 0.5) * this.spawnRadius * 2,
                 0,
-                (Math.random() - 0.5) * this.spawnRadius * 2
+                (rng.next() - 0.5) * this.spawnRadius * 2
             );
-            const targetHeight = this.minHeight + Math.random() * (this.maxHeight - this.minHeight);
+            const targetHeight = this.minHeight + rng.next() * (this.maxHeight - this.minHeight);
             const color = new THREE.Color().setHSL(
                 (i * 0.1) % 1.0,
                 0.7,
-                0.5 + Math.random() * 0.3
+                0.5 + rng.next() * 0.3
             );
             
             this.ribbonData.push({
                 basePosition,
                 targetHeight,
                 color,
-                radius: 0.02 + Math.random() * 0.03
+                radius: 0.02 + rng.next() * 0.03
             });
         }
     }
@@ -403,12 +406,12 @@ export class RibbonSystem {
             
             for (let segIndex = 0; segIndex < this.segmentsPerRibbon; segIndex++) {
                 const t = segIndex / (this.segmentsPerRibbon - 1);
-                const height = t * ribbon.targetHeight * (0.5 + Math.random() * 0.5);
+                const height = t * ribbon.targetHeight * (0.5 + rng.next() * 0.5);
                 
                 const offset = new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.2,
+                    (rng.next() - 0.5) * 0.2,
                     0,
-                    (Math.random() - 0.5) * 0.2
+                    (rng.next() - 0.5) * 0.2
                 );
                 
                 const point = ribbon.basePosition.clone().add(
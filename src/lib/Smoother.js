@@ -0,0 +1,93 @@
+/**
+ * Smoother Class
+ * つまみ/オートメーションの値を滑らかに追従させる（CC入力用）
+ *
+ * 種類:
+ * - 'slew'    : 一定速度で近づく（time 秒で 0→1 を移動）
+ * - 'onePole' : 1次ローパス（time は時定数。time 秒で約63%）
+ * - 'spring'  : バネ（time 秒くらいで落ち着く。damping < 1 で少し行き過ぎる）
+ * - 'none'    : 即追従
+ *
+ * NOTE:
+ * - 値は 0..1 に正規化した空間で扱う（slew の速度がパラメータの範囲に依存しないように）
+ * - 落ち着いたら settled = true（呼び出し側はその間パラメータに書き込まない）
+ */
+
+export const SMOOTHING_TYPES = ['none', 'slew', 'onePole', 'spring'];
+
+const EPSILON = 1e-4;
+// spring の1サブステップの dt·ω の上限（陽解法なので ~2 を超えると発散する）
+const SPRING_MAX_STEP = 0.5;
+// これ以上細かく刻む必要があるほど速いバネは、即追従と同じにする
+const SPRING_MAX_SUBSTEPS = 64;
+
+export class Smoother {
+    constructor({ type = 'onePole', time = 0.1, damping = 0.7 } = {}) {
+        this.type = SMOOTHING_TYPES.includes(type) ? type : 'onePole';
+        this.time = Math.max(0, Number(time) || 0);  // 秒
+        this.damping = damping;  // spring の減衰比（1 = 臨界減衰）
+        this.value = null;       // 最初の入力まで null
+        this.target = 0;
+        this.velocity = 0;       // spring 用
+        this.settled = true;
+    }
+
+    /**
+     * 目標値を設定（最初の1回はそこへジャンプ）
+     */
+    setTarget(target) {
+        this.target = target;
+        if (this.value === null) {
+            this.value = target;
+        }
+        this.settled = false;
+    }
+
+    /**
+     * 更新処理
+     * @param {number} deltaTime - 前フレームからの経過時間（秒）
+     * @returns {number|null} 現在値
+     */
+    update(deltaTime = 1/60) {
+        if (this.settled || this.value === null) return this.value;
+        if (!deltaTime || deltaTime <= 0 || !isFinite(deltaTime)) {
+            deltaTime = 1/60;
+        }
+        // フレーム落ちで一気に飛ばないように上限を付ける
+        const dt = Math.min(deltaTime, 0.1);
+        const diff = this.target - this.value;
+
+        if (this.type === 'none' || this.time <= 0) {
+            this.value = this.target;
+        } else if (this.type === 'slew') {
+            const step = dt / this.time;
+            this.value += Math.sign(diff) * Math.min(Math.abs(diff), step);
+        } else if (this.type === 'onePole') {
+            this.value += diff * (1 - Math.exp(-dt / this.time));
+        } else {
+            // 臨界減衰で time 秒くらいに落ち着く角周波数
+            // NOTE: dt·ω が大きいと発散する（time 0.08 秒を 30fps で回すだけで ±1e30 になる）ので、
+            //       dt·ω <= SPRING_MAX_STEP になるように刻む
+            const omega = 4.0 / this.time;
+            const substeps = Math.ceil(dt * omega / SPRING_MAX_STEP);
+            if (substeps > SPRING_MAX_SUBSTEPS) {
+                this.value = this.target;
+                this.velocity = 0;
+            } else {
+                const h = dt / substeps;
+                for (let i = 0; i < substeps; i++) {
+                    const accel = omega * omega * (this.target - this.value) - 2.0 * this.damping * omega * this.velocity;
+                    this.velocity += accel * h;
+                    this.value += this.velocity * h;
+                }
+            }
+        }
+
+        if (Math.abs(this.target - this.value) < EPSILON && Math.abs(this.velocity) < EPSILON) {
+            this.value = this.target;
+            this.velocity = 0;
+            this.settled = true;
+        }
+        return this.value;
+    }
+}
@@ -0,0 +1,21 @@
+/**
+ * 0..1 の入力を曲げるカーブ（マッピングとモジュレーションで共通）
+ * - 'linear' / 'exp'（x^2）/ 'log'（√x）/ 'scurve'（smoothstep）
+ * - 数値 n > 0 なら x^n
+ */
+
+export const CURVES = {
+    linear: (x) => x,
+    exp: (x) => x * x,
+    log: (x) => Math.sqrt(x),
+    scurve: (x) => x * x * (3 - 2 * x)
+};
+
+/**
+ * @param {string|number} curve - CURVES の名前 or 指数（知らない名前は linear）
+ * @param {number} x - 0..1
+ */
+export function applyCurve(curve, x) {
+    if (typeof curve === 'number' && curve > 0) return Math.pow(x, curve);
+    return (CURVES[curve] || CURVES.linear)(x);
+}
@@ -5,7 +5,14 @@
 
 import * as THREE from "three/webgpu";
 import { OSCManager } from './systems/OSCManager.js';
+import { MIDIManager } from './systems/MIDIManager.js';
+import { AudioInput } from './systems/AudioInput.js';
 import { SceneManager } from './systems/SceneManager.js';
+import { OfflineRenderer } from './systems/OfflineRenderer.js';
+import { ControlPanel } from './systems/ControlPanel.js';
+import { random } from './common/random.js';
+import { conf } from './common/conf.js';
+import { parseBandMap } from './lib/AudioAnalyzer.js';
 
 // ============================================
 // 初期化
@@ -14,6 +21,9 @@ import { SceneManager } from './systems/SceneManager.js';
 let renderer, camera, scene;
 let sceneManager;
 let oscManager;
+let midiManager;
+let audioInput;
+let controlPanel;
 let frameCount = 0;
 let lastTime = performance.now();
 // NOTE:
@@ -28,7 +38,7 @@ let suppressDigitToggleUntilMs = 0;
 // レンダラーの初期化
 // ============================================
 
-const createRenderer = () => {
+const createRenderer = (pixelRatio = window.devicePixelRatio) => {
     if (!navigator.gpu) {
         error("Your device does not support WebGPU.");
         return null;
@@ -38,7 +48,7 @@ const createRenderer = () => {
         //forceWebGL: true,
         //antialias: true,
     });
-    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.setPixelRatio(pixelRatio);
     renderer.setSize(window.innerWidth, window.innerHeight);
     renderer.outputColorSpace = THREE.SRGBColorSpace;
     return renderer;
@@ -98,6 +108,134 @@ function initOSC() {
     });
 }
 
+// ============================================
+// MIDI入力の初期化（Web MIDI）
+// ============================================
+// NOTE:
+// osc-server を使わずにMIDI機材から直接ノート/クロックを受ける
+// - ?midi              : 全入力ポート
+// - ?midi=launch       : ポート名に "launch" を含む入力だけ
+// - &midiTrigger=noteOff : ノートオフで発火（durationMs が正確になる代わりに遅れる）
+// - &midiCC=74:noise,71:bloom : CC番号 → /cc の名前（指定の無いCCは cc74 のような名前で届く）
+
+function initMIDI(params) {
+    midiManager = new MIDIManager({
+        inputFilter: params.get('midi') || '',
+        triggerOn: params.get('midiTrigger') || 'noteOn',
+        ccMap: parseCCMap(params.get('midiCC')),
+        onMessage: (message) => {
+            if (sceneManager) {
+                sceneManager.handleOSC(message);
+            }
+        },
+        onStatusChange: (status) => {
+            const el = document.getElementById('midiStatus');
+            if (el) el.textContent = status;
+        }
+    });
+    midiManager.init();
+}
+
+// ============================================
+// 音声入力の初期化（Web Audio）
+// ============================================
+// NOTE:
+// 実際のミックスに反応させる（帯域のレベル/オンセットを OSC と同じイベントにする）
+// - ?audio                  : デフォルトの入力デバイス（ライン入力）
+// - ?audio=scarlett         : デバイス名に "scarlett" を含む入力
+// - ?audio=/audio/mix.wav   : 音声ファイルをループ再生して解析
+// - &audioTracks=low:5      : 帯域のオンセット → トラックのノート（Scene01 ならキックで applyTrack5Force）
+// - &audioCC=high:bloom     : 帯域のレベル → /cc/<name>
+// 帯域は sub / low / mid / high。/audio/level/<band> と /audio/onset/<band> はマッピングの osc ソースにも使える
+
+function initAudio(params) {
+    audioInput = new AudioInput({
+        source: params.get('audio') || 'input',
+        analyzerOptions: {
+            trackMap: parseBandMap(params.get('audioTracks')),
+            ccMap: parseBandMap(params.get('audioCC'))
+        },
+        onMessage: (message) => {
+            if (sceneManager) {
+                sceneManager.handleOSC(message);
+            }
+        },
+        onStatusChange: (status) => {
+            const el = document.getElementById('audioStatus');
+            if (el) el.textContent = status;
+        }
+    });
+    audioInput.init();
+}
+
+function parseCCMap(value) {
+    const map = {};
+    for (const pair of (value || '').split(',')) {
+        const [cc, name] = pair.split(':').map((s) => s.trim());
+        if (cc !== '' && name && Number.isInteger(Number(cc))) map[Number(cc)] = name;
+    }
+    return map;
+}
+
+/**
+ * ビジュアル側の状態をOSCで送り返す（Max/Processingのパッチ表示・コントローラーのLED用）
+ * NOTE: 毎フレーム呼んでOK。送信の間引きは OSCManager.sendState 側で行う
+ */
+function publishOSCState() {
+    if (!oscManager?.isConnected || !sceneManager) return;
+    const state = sceneManager.getOutputState();
+    oscManager.sendState('/mavrx/state/scene', [state.sceneIndex + 1, state.sceneTitle]);
+    oscManager.sendState('/mavrx/state/phase', [state.phase]);
+    oscManager.sendState('/mavrx/state/bar', [state.bar]);
+    oscManager.sendState('/mavrx/state/seed', [state.seed]);
+    if (state.cameraMode) {
+        oscManager.sendState('/mavrx/state/camera', [state.cameraMode]);
+    }
+    if (state.show) {
+        oscManager.sendState('/mavrx/state/show', [state.show.song, state.show.section]);
+    }
+    // learn 待ちのターゲット（無ければ空文字）
+    oscManager.sendState('/mavrx/state/learn', [state.learn ?? '']);
+    for (let i = 1; i <= 9; i++) {
+        oscManager.sendState(`/mavrx/state/track/${i}`, [state.trackEffects[i] ? 1 : 0]);
+    }
+}
+
+// ============================================
+// オフラインレンダー（?render=<セッションファイル>）
+// ============================================
+// NOTE:
+// 記録したOSCセッションを固定タイムステップで再生して連番PNGに書き出す（osc-server が必要）
+// - ?render=live-20250101.ndjson : sessions/ 以下のファイル名
+// - &fps=60 &start=<小節> &duration=<秒> &pixelRatio=1
+// - 出力先: renders/<名前>-<日時>/frame_000000.png + manifest.json（ffmpegコマンド入り）
+
+async function runOfflineRender(params) {
+    const num = (key) => (params.has(key) && params.get(key) !== '' ? Number(params.get(key)) : null);
+    const offlineRenderer = new OfflineRenderer({
+        renderer,
+        sceneManager,
+        session: params.get('render'),
+        fps: num('fps') || 60,
+        startBar: num('start'),
+        durationSec: num('duration'),
+        onProgress: (frame, total) => {
+            if (frame % 30 === 0 || frame === total) {
+                document.getElementById('fps').textContent = `${frame}/${total}`;
+            }
+        }
+    });
+    // Escで中断（そこまでのフレームとmanifestは書き出される）
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') offlineRenderer.cancel();
+    });
+    try {
+        await offlineRenderer.run();
+    } catch (err) {
+        error(`Offline render failed: ${err.message}`);
+    }
+}
+
 // ============================================
 // シーンマネージャーの初期化
 // ============================================
@@ -142,6 +280,7 @@ const updateLoadingProgressBar = async (frac, delay = 0) => {
 
 function animate() {
     requestAnimationFrame(animate);
+    controlPanel?.begin();
 
     const now = performance.now();
     const deltaTime = (now - lastTime) / 1000.0;
@@ -152,13 +291,22 @@ function animate() {
     if (frameCount % 60 === 0) {
         const fps = Math.round(1.0 / deltaTime);
         document.getElementById('fps').textContent = fps;
+        oscManager?.sendState('/mavrx/state/fps', [fps]);
     }
 
+    publishOSCState();
+
+    // 音声の解析（シーンの更新より前に、このフレームのイベントを流しておく）
+    audioInput?.update();
+
     // シーンの更新
     if (sceneManager) {
         sceneManager.update(deltaTime);
         sceneManager.render();
     }
+
+    controlPanel?.update();
+    controlPanel?.end();
 }
 
 // ============================================
@@ -198,6 +346,27 @@ async function handleKeyDown(e) {
     const currentScene = sceneManager.getCurrentScene();
     if (!currentScene) return;
     
+    // Esc: 予約したシーン切り替えを取り消し
+    if (e.key === 'Escape' && sceneManager.queuedSwitch) {
+        e.preventDefault();
+        sceneManager.cancelQueuedSwitch();
+        return;
+    }
+
+    // Ctrl + Shift + 数字: 次の小節頭で切り替え / Ctrl + Alt + 数字: 次のphaseで切り替え
+    // NOTE: Shift/Alt 押下中は e.key が記号になる（'!' など）ので e.code で数字を取る
+    if (isCtrlPressed && (e.shiftKey || e.altKey) && /^Digit[1-9]$/.test(e.code)) {
+        e.preventDefault();
+        suppressDigitToggleUntilMs = performance.now() + 300;
+        const num = parseInt(e.code.slice(5));
+        if (num <= sceneManager.scenes.length) {
+            sceneManager.queueSceneSwitch(num - 1, { quantize: e.altKey ? 'phase' : 1 });
+        } else {
+            console.log(`シーン${num}はまだ実装されていません`);
+        }
+        return;
+    }
+
     // Ctrl + 数字キーでシーン切り替え
     if (isCtrlPressed) {
         const num = parseInt(e.key);
@@ -208,16 +377,9 @@ async function handleKeyDown(e) {
             // WebGPU専用構成
             // switchSceneをawaitで待つ（プリロード完了まで待機）
             try {
-                if (num === 1) {
-                    await sceneManager.switchScene(0); // Scene01（デフォルト）
-                } else if (num === 2) {
-                    await sceneManager.switchScene(1); // Scene02
-                } else if (num === 3) {
-                    await sceneManager.switchScene(2); // Scene03
-                } else if (num === 4) {
-                    await sceneManager.switchScene(3); // Scene04
+                if (num <= sceneManager.scenes.length) {
+                    await sceneManager.switchScene(num - 1); // Ctrl+1 = Scene01（/mavrx/scene と同じ1始まり）
                 } else {
-                    // シーン4以降は今後追加
                     console.log(`シーン${num}はまだ実装されていません`);
                 }
             } catch (err) {
@@ -226,26 +388,32 @@ async function handleKeyDown(e) {
             return;
         } else if (e.key === '0') {
             e.preventDefault();
-            // '0'は未使用（将来の拡張用）
+            // Ctrl+0: 予約したシーン切り替えを取り消し
+            sceneManager.cancelQueuedSwitch();
             return;
         }
         // Ctrl押下中は他の処理をスキップ
         return;
     }
     
+    // Alt + 数字: プリセット N を呼び出し（モーフ） / Alt + Shift + 数字: 今の見た目をプリセット N に保存
+    // NOTE: プリセット名は数字そのまま（public/presets/<sceneId>/1.json）。/mavrx/preset で名前付きも扱える
+    if (e.altKey && /^Digit[1-9]$/.test(e.code)) {
+        e.preventDefault();
+        suppressDigitToggleUntilMs = performance.now() + 300;
+        const slot = e.code.slice(5);
+        if (e.shiftKey) {
+            sceneManager.presets.save(slot);
+        } else {
+            sceneManager.presets.recall(slot);
+        }
+        return;
+    }
+
     // h/HキーでHUDのオンオフ
     if (e.key === 'h' || e.key === 'H') {
         e.preventDefault();
-        sceneManager.globalShowHUD = !sceneManager.globalShowHUD;
-        if (currentScene) {
-            currentScene.showHUD = sceneManager.globalShowHUD;
-            if (currentScene.hud) {
-                currentScene.hud.showHUD = sceneManager.globalShowHUD;
-                if (!sceneManager.globalShowHUD && currentScene.hud.clear) {
-                    currentScene.hud.clear();
-                }
-            }
-        }
+        sceneManager.setHUDVisible(!sceneManager.globalShowHUD);
         return;
     }
 
@@ -256,65 +424,58 @@ async function handleKeyDown(e) {
         return;
     }
 
+    // o/O: 操作パネル（別ウィンドウ）の表示/非表示
+    if ((e.key === 'o' || e.key === 'O') && controlPanel) {
+        e.preventDefault();
+        controlPanel.toggle();
+        return;
+    }
+
     // c/C: カメラデバッグ表示ON/OFF / カメラ切り替え
     if (e.key === 'c' || e.key === 'C') {
         e.preventDefault();
-        if (currentScene.handleKeyPress) {
-            currentScene.handleKeyPress(e.key);
-        }
+        sceneManager.sendKey(e.key);
         return;
     }
 
     // g/G: HUDグリッド（床+縦グリッド+ルーラー）ON/OFF
     if (e.key === 'g' || e.key === 'G') {
         e.preventDefault();
-        if (currentScene.handleKeyPress) {
-            currentScene.handleKeyPress(e.key);
-        }
+        sceneManager.sendKey(e.key);
         return;
     }
 
     // p/P: パーティクル表示ON/OFF（床のズレ確認用）
     if (e.key === 'p' || e.key === 'P') {
         e.preventDefault();
-        if (currentScene.handleKeyPress) {
-            currentScene.handleKeyPress(e.key);
-        }
+        sceneManager.sendKey(e.key);
         return;
     }
 
     // f/F: fill（塗り）表示ON/OFF（Scene側で扱う）
     if (e.key === 'f' || e.key === 'F') {
         e.preventDefault();
-        if (currentScene.handleKeyPress) {
-            currentScene.handleKeyPress(e.key);
-        }
+        sceneManager.sendKey(e.key);
         return;
     }
     
     // s/Sキーでスクリーンショット（正方形）
     if (e.key === 's' || e.key === 'S') {
         e.preventDefault();
-        if (currentScene.takeScreenshot) {
-            currentScene.takeScreenshot(false);  // false = 正方形
-        }
+        sceneManager.takeScreenshot(false);  // false = 正方形
         return;
     }
     
     // y/Yキーでスクリーンショット（16:9）
     if (e.key === 'y' || e.key === 'Y') {
         e.preventDefault();
-        if (currentScene.takeScreenshot) {
-            currentScene.takeScreenshot(true);  // true = 16:9
-        }
+        sceneManager.takeScreenshot(true);  // true = 16:9
         return;
     }
 
     // その他のキーは currentScene に転送（Scene側で自由に拡張できるようにする）
     // NOTE: ここが無いと u/m などが一切届かない
-    if (currentScene.handleKeyPress) {
-        currentScene.handleKeyPress(e.key);
-    }
+    sceneManager.sendKey(e.key);
 }
 
 function handleKeyUp(e) {
@@ -336,23 +497,19 @@ function handleKeyUp(e) {
     // r/R: リセット
     if (e.key === 'r' || e.key === 'R') {
         e.preventDefault();
-        if (currentScene.reset) {
-            currentScene.reset();
-        }
+        sceneManager.resetScene();
         return;
     }
     
     // 数字キー1〜9はキーアップでトグル（スイッチ式）
     // NOTE: Ctrl+数字は「シーン切替」なので、ここでトグルしない（誤ってOFFになる問題の対策）
     // - 離し順（Ctrl→数字）でも誤爆しないように、シーン切替直後は一定時間スキップする
-    if (e.ctrlKey || e.metaKey || ctrlPressed) return;
+    if (e.ctrlKey || e.metaKey || e.altKey || ctrlPressed) return;
     if (performance.now() < suppressDigitToggleUntilMs) return;
     const num = parseInt(e.key);
     if (!isNaN(num) && num >= 1 && num <= 9) {
         e.preventDefault();
-        if (currentScene && currentScene.toggleEffect) {
-            currentScene.toggleEffect(num);
-        }
+        sceneManager.setTrackEffect(num);
         return;
     }
 }
@@ -362,8 +519,48 @@ function handleKeyUp(e) {
 // ============================================
 
 async function init() {
+    const params = new URLSearchParams(window.location.search);
+    const offlineMode = params.has('render');
+
+    // 乱数シード（?seed=1234）。シーンの生成より前に決めておく（粒子の初期配置もシードで決まる）
+    if (params.has('seed')) {
+        random.setSeed(params.get('seed'));
+    }
+    console.log(`乱数シード: ${random.seed}`);
+
+    // セットリスト（?setlist=scene03,scene01）。この順に Ctrl+1, 2, ... / `/scene 1, 2, ...` になる
+    if (params.get('setlist')) {
+        conf.setlist = params.get('setlist').split(',').map((id) => id.trim()).filter(Boolean);
+    }
+
+    // プリロード（?preload=all|neighbours|onDemand&gpuBudget=600）
+    if (params.get('preload')) {
+        const policy = { all: 'all', neighbours: 'neighbours', neighbors: 'neighbours', ondemand: 'onDemand' }[params.get('preload').toLowerCase()];
+        if (policy) conf.preloadPolicy = policy;
+        else console.warn(`preload=${params.get('preload')} は無効です（all / neighbours / onDemand）`);
+    }
+    if (params.has('gpuBudget')) {
+        conf.gpuMemoryBudgetMB = Math.max(0, Number(params.get('gpuBudget')) || 0);
+    }
+
+    // MLS-MPM のグリッドの大きさ（?grid=128x32x128）。形式のチェックと範囲外の丸めはシミュレーター側でする
+    if (params.get('grid')) {
+        conf.mpmGridSize = params.get('grid');
+    }
+    // 粒数（?particles=500000）。上限（maxParticles）も一緒に上げる。粒子バッファは 1粒 208byte
+    if (params.has('particles')) {
+        const particles = Math.floor(Number(params.get('particles')));
+        if (particles > 0) {
+            conf.particles = particles;
+            conf.maxParticles = Math.max(conf.maxParticles, particles);
+            conf.updateParams();
+        } else {
+            console.warn(`particles=${params.get('particles')} は無効です`);
+        }
+    }
+
     // レンダラーの初期化
-    renderer = createRenderer();
+    renderer = createRenderer(Number(params.get('pixelRatio')) || window.devicePixelRatio);
     if (!renderer) {
         return;
     }
@@ -384,12 +581,56 @@ async function init() {
     // カメラの初期化
     initCamera();
 
-    // OSCの初期化
-    initOSC();
+    // OSCの初期化（オフラインレンダー中はライブ入力を受けない）
+    if (!offlineMode) {
+        initOSC();
+    }
+
+    // MIDIの初期化（URLパラメータで有効化）
+    if (params.has('midi') && !offlineMode) {
+        initMIDI(params);
+    }
+
+    // 音声入力の初期化（URLパラメータで有効化）
+    if (params.has('audio') && !offlineMode) {
+        initAudio(params);
+    }
 
     // シーンマネージャーを初期化
     initSceneManager();
 
+    // シーン切り替えトランジション（?transition=crossfade&transitionMs=1500）
+    if (params.has('transition')) {
+        sceneManager.setTransition(params.get('transition'), Number(params.get('transitionMs')) || undefined);
+    }
+
+    // マッピング（?mapping=live → public/mappings/live.json。無ければ localStorage の内容）
+    if (params.get('mapping')) {
+        try {
+            await sceneManager.mapping.loadFile(params.get('mapping'));
+        } catch (err) {
+            console.error(err.message);
+        }
+    }
+
+    // モジュレーション（?mod=example → public/modulations/example.json）
+    if (params.get('mod')) {
+        try {
+            await sceneManager.modulation.loadFile(params.get('mod'));
+        } catch (err) {
+            console.error(err.message);
+        }
+    }
+
+    // ショーファイル（?show=example → public/shows/example.json）。オフラインレンダーでも小節に沿って動く
+    if (params.get('show')) {
+        try {
+            await sceneManager.show.load(params.get('show'));
+        } catch (err) {
+            console.error(err.message);
+        }
+    }
+
     // プログレスバーを非表示
     const veil = document.getElementById("veil");
     if (veil) {
@@ -400,6 +641,12 @@ async function init() {
         progressBar.style.opacity = 0;
     }
 
+    // 操作パネル（o キーで開く。オフラインレンダー中は使わない）
+    if (!offlineMode) {
+        controlPanel = new ControlPanel(sceneManager, { onKeyDown: handleKeyDown, onKeyUp: handleKeyUp });
+        sceneManager.onMessage = (message) => controlPanel.logMessage(message);
+    }
+
     // イベントリスナー
     window.addEventListener('resize', onWindowResize);
     document.addEventListener('keydown', handleKeyDown);
@@ -408,6 +655,12 @@ async function init() {
     // リサイズを一度実行
     onWindowResize();
 
+    // オフラインレンダーは requestAnimationFrame を使わず自前のループで回す
+    if (offlineMode) {
+        runOfflineRender(params);
+        return;
+    }
+
     // アニメーション開始
     animate();
 
@@ -0,0 +1,87 @@
+/**
+ * MLS-MPM のベンチマーク（1サブステップ = clearGrid + p2g1 + p2g2 + updateGrid + g2p が何 ms か）
+ * - 粒数ごとに「並べ替えなし」「毎回並べ替え（並べ替えの時間込み）」を測る
+ * - frames 回まとめて computeAsync してから GPU の完了（queue.onSubmittedWorkDone）を待ち、かかった時間 / frames
+ *
+ * 使い方: /mavrx/bench [粒数...]（例: /mavrx/bench 131072 262144 524288）。結果は console.table
+ *
+ * NOTE:
+ * - 測っている間も粒子は動く（今の状態から frames + warmup サブステップ進む）。本番中には使わない
+ * - maxParticles より多い粒数は測れない（?particles=600000 で起動して上限を上げておく）
+ * - 描画は止めないので、画面の描画の分だけ遅めに出る（比較には使える）
+ */
+
+import {conf} from "../common/conf.js";
+
+export const DEFAULT_BENCHMARK_COUNTS = [32768, 65536, 131072, 262144, 524288];
+
+// GPU の完了を待つ（WebGPU の device が取れない時は次のフレームまで待つだけ）
+const waitForGpu = async (renderer) => {
+    const device = renderer?.backend?.device;
+    if (device?.queue?.onSubmittedWorkDone) {
+        await device.queue.onSubmittedWorkDone();
+    } else {
+        await new Promise((resolve) => requestAnimationFrame(resolve));
+    }
+};
+
+/**
+ * @param {import('./mlsMpmSimulator.js').default} sim - init 済みのシミュレーター
+ * @param {Object} options
+ * @param {number[]} options.counts - 測る粒数（maxParticles を超えるものは飛ばす）
+ * @param {number} options.frames - 1条件あたりのサブステップ数
+ * @param {number} options.warmup - 測る前に回す数（パイプラインの作成を外す）
+ * @returns {Promise<Array<{ particles: number, unsortedMs: number, sortedMs: number }>>}
+ */
+export async function runMpmBenchmark(sim, { counts = DEFAULT_BENCHMARK_COUNTS, frames = 60, warmup = 10 } = {}) {
+    const renderer = sim?.renderer;
+    if (!renderer || !sim.kernels?.g2p) {
+        console.warn('MPM: ベンチマークはシミュレーターの init 後に');
+        return [];
+    }
+    if (sim.benchmarking) {
+        console.warn('MPM: ベンチマーク中です');
+        return [];
+    }
+    const prevCount = sim.numParticles;
+    const prevUseSorted = sim.uniforms.useSortedIndex.value;
+    const rows = [];
+    // 測っている間は update() を止める（粒数を conf.particles に戻されないように）
+    sim.benchmarking = true;
+
+    const measure = async (sorted) => {
+        sim.uniforms.useSortedIndex.value = sorted ? 1 : 0;
+        const kernels = sim.getSubstepKernels(sorted);
+        for (let i = 0; i < warmup; i++) await renderer.computeAsync(kernels);
+        await waitForGpu(renderer);
+        const start = performance.now();
+        for (let i = 0; i < frames; i++) await renderer.computeAsync(kernels);
+        await waitForGpu(renderer);
+        return (performance.now() - start) / frames;
+    };
+
+    try {
+        for (const count of counts) {
+            const n = Math.floor(Number(count) || 0);
+            if (n <= 0) continue;
+            if (n > sim.maxParticles) {
+                console.warn(`MPM: ${n} 粒は maxParticles（${sim.maxParticles}）を超えるので飛ばします（?particles=${n} で起動）`);
+                continue;
+            }
+            sim.setParticleCount(n);
+            const unsortedMs = await measure(false);
+            const sortedMs = await measure(true);
+            rows.push({ particles: n, unsortedMs: Number(unsortedMs.toFixed(3)), sortedMs: Number(sortedMs.toFixed(3)) });
+        }
+    } finally {
+        // conf.particles に戻す（update() は conf.particles と違えば合わせ直す）
+        sim.setParticleCount(prevCount);
+        sim.uniforms.useSortedIndex.value = prevUseSorted;
+        sim.benchmarking = false;
+    }
+
+    const grid = `${sim.gridSize.x}x${sim.gridSize.y}x${sim.gridSize.z}`;
+    console.log(`MPM ベンチマーク（グリッド ${grid}、${frames} サブステップの平均、ms/サブステップ。conf.particles = ${conf.particles}）`);
+    console.table(rows);
+    return rows;
+}
@@ -0,0 +1,229 @@
+/**
+ * MLS-MPM のコライダー（グリッドの中を動く剛体）
+ * - 形: sphere / capsule（ローカルY軸方向の線分 + 半径）/ box（回転あり）/ sdf（メッシュから作った距離場）
+ * - updateGrid で、コライダーの中に入ったセルの速度をコライダーの速度に合わせる
+ *   - noSlip: 速度をコライダーと同じにする（くっついて一緒に動く）
+ *   - slip: 面に垂直な成分だけ消す（面に沿って滑る）
+ *   - separate: 近づく向きの成分だけ消して、離れるのは自由（摩擦 friction 付き。普通の「物」はこれ）
+ *
+ * 使い方（座標はグリッド座標 0..gridSize）:
+ *   const ball = sim.addCollider({ name: 'ball', shape: 'sphere', position: [32, 60, 32], radius: 6 });
+ *   ball.moveTo([32, 4, 32], 800);     // 800ms で落とす（速度は位置の変化から自動で出る）
+ *
+ * NOTE:
+ * - 速度は並進だけ（回転しているコライダーの表面速度は入れていない）
+ * - sdf は CPU でメッシュから sdfResolution^3 の距離場を作る（三角形の数 × ボクセル数なので、ショーの前に作っておく）。
+ *   符号は一番近い三角形の法線で決めるので、閉じていないメッシュや尖った所は少しずれる
+ * - sdf のバッファは1つだけ（sdf のコライダーは同時に1個）
+ */
+
+import * as THREE from "three/webgpu";
+
+export const COLLIDER_SHAPES = {
+    sphere: 1,
+    capsule: 2,
+    box: 3,
+    sdf: 4
+};
+
+export const COLLIDER_MODES = {
+    noSlip: 0,
+    slip: 1,
+    separate: 2
+};
+
+const toVector3 = (v, fallback) => {
+    if (v?.isVector3) return v.clone();
+    if (Array.isArray(v)) return new THREE.Vector3(Number(v[0]) || 0, Number(v[1]) || 0, Number(v[2]) || 0);
+    return fallback.clone();
+};
+
+// Quaternion / Euler / [x, y, z]（度）→ Quaternion
+const toQuaternion = (r) => {
+    if (r?.isQuaternion) return r.clone();
+    if (r?.isEuler) return new THREE.Quaternion().setFromEuler(r);
+    if (Array.isArray(r)) {
+        const d = THREE.MathUtils.DEG2RAD;
+        return new THREE.Quaternion().setFromEuler(new THREE.Euler((r[0] || 0) * d, (r[1] || 0) * d, (r[2] || 0) * d));
+    }
+    return new THREE.Quaternion();
+};
+
+const EASINGS = {
+    smooth: (t) => t * t * (3 - 2 * t),
+    linear: (t) => t,
+    in: (t) => t * t
+};
+
+/**
+ * 名前（大文字小文字を無視）→ COLLIDER_MODES の値
+ */
+export function resolveColliderMode(mode) {
+    const key = Object.keys(COLLIDER_MODES).find((k) => k.toLowerCase() === String(mode ?? '').toLowerCase().replace(/[-_]/g, ''));
+    return key ? COLLIDER_MODES[key] : null;
+}
+
+/**
+ * メッシュ → 符号付き距離場（グリッド座標、中心からの相対）
+ * @returns {{ data: Float32Array, resolution: number, min: THREE.Vector3, voxel: THREE.Vector3, center: THREE.Vector3 }}
+ */
+function bakeMeshSdf(mesh, toGrid, resolution) {
+    const geometry = mesh.geometry;
+    const position = geometry?.attributes?.position;
+    if (!position) return null;
+    mesh.updateWorldMatrix(true, false);
+    const index = geometry.index;
+    const triangleCount = index ? index.count / 3 : position.count / 3;
+    if (triangleCount > 4000) {
+        console.warn(`MPM: sdf のメッシュが重い（${triangleCount}面）。作るのに時間がかかります`);
+    }
+
+    const vertex = (i) => {
+        const v = new THREE.Vector3().fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(mesh.matrixWorld);
+        return toGrid ? toGrid(v) : v;
+    };
+    const box = new THREE.Box3();
+    const triangles = [];
+    for (let t = 0; t < triangleCount; t++) {
+        const tri = new THREE.Triangle(vertex(t * 3), vertex(t * 3 + 1), vertex(t * 3 + 2));
+        triangles.push({ tri, normal: tri.getNormal(new THREE.Vector3()) });
+        box.expandByPoint(tri.a).expandByPoint(tri.b).expandByPoint(tri.c);
+    }
+    const center = box.getCenter(new THREE.Vector3());
+    // 外側に2セル分の余白（面のすぐ外の距離も取れるように）
+    box.expandByScalar(2);
+    const min = box.min.clone().sub(center);
+    const voxel = box.getSize(new THREE.Vector3()).divideScalar(resolution - 1);
+
+    const data = new Float32Array(resolution * resolution * resolution);
+    const p = new THREE.Vector3();
+    const closest = new THREE.Vector3();
+    const best = new THREE.Vector3();
+    for (let z = 0; z < resolution; z++) {
+        for (let y = 0; y < resolution; y++) {
+            for (let x = 0; x < resolution; x++) {
+                p.set(x * voxel.x, y * voxel.y, z * voxel.z).add(box.min);
+                let bestDist = Infinity;
+                let bestNormal = null;
+                for (const { tri, normal } of triangles) {
+                    tri.closestPointToPoint(p, closest);
+                    const d = closest.distanceToSquared(p);
+                    if (d < bestDist) {
+                        bestDist = d;
+                        bestNormal = normal;
+                        best.copy(closest);
+                    }
+                }
+                const inside = bestNormal && p.clone().sub(best).dot(bestNormal) < 0;
+                data[x + y * resolution + z * resolution * resolution] = Math.sqrt(bestDist) * (inside ? -1 : 1);
+            }
+        }
+    }
+    return { data, resolution, min, voxel, center };
+}
+
+export class MpmCollider {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - OSC から触る時の名前
+     * @param {string} options.shape - sphere / capsule / box / sdf
+     * @param {THREE.Vector3|number[]} options.position - 中心（グリッド座標）
+     * @param {number} options.radius - sphere / capsule の半径
+     * @param {number} options.length - capsule の線分の長さ（ローカルY軸）
+     * @param {THREE.Vector3|number[]} options.size - box の大きさ
+     * @param {THREE.Quaternion|THREE.Euler|number[]} options.rotation - 回転（配列は度の Euler）
+     * @param {string} options.mode - noSlip / slip / separate
+     * @param {number} options.friction - separate の摩擦係数
+     * @param {THREE.Mesh} options.mesh - sdf の元（toGrid でワールド → グリッド座標。位置はメッシュの中心になる）
+     * @param {number} options.sdfResolution - sdf の細かさ（1辺のボクセル数）
+     */
+    constructor(options = {}) {
+        this.name = String(options.name ?? '');
+        this.shape = COLLIDER_SHAPES[options.shape] ? options.shape : 'sphere';
+        this.position = toVector3(options.position, new THREE.Vector3(32, 32, 32));
+        this.radius = Number(options.radius ?? 4);
+        this.length = Number(options.length ?? 8);
+        this.size = toVector3(options.size, new THREE.Vector3(8, 8, 8));
+        this.rotation = toQuaternion(options.rotation);
+        this.mode = resolveColliderMode(options.mode) ?? COLLIDER_MODES.separate;
+        this.friction = Number(options.friction ?? 0.3);
+        this.enabled = true;
+
+        // 速度（グリッド/dt）。update() で位置の変化から出す
+        this.velocity = new THREE.Vector3();
+        this._prevPosition = this.position.clone();
+        // moveTo のアニメーション: { from, to, startMs, durationMs, easing }
+        this.animation = null;
+
+        this.sdf = null;
+        this.sdfVersion = 0;
+        if (options.mesh) this.setMesh(options.mesh, options.toGrid, options.sdfResolution);
+    }
+
+    /**
+     * メッシュから sdf を作る（shape が sdf になる）
+     */
+    setMesh(mesh, toGrid = null, resolution = 24) {
+        const res = Math.min(Math.max(Math.floor(Number(resolution) || 24), 8), 64);
+        const sdf = bakeMeshSdf(mesh, toGrid, res);
+        if (!sdf) return this;
+        this.shape = 'sdf';
+        this.sdf = sdf;
+        this.sdfVersion++;
+        this.position.copy(sdf.center);
+        this._prevPosition.copy(sdf.center);
+        return this;
+    }
+
+    /**
+     * durationMs かけて移動（0 なら次のフレームで移動）
+     * @param {string} easing - smooth（smoothstep）/ linear / in（だんだん速く = 落下）
+     */
+    moveTo(position, durationMs = 0, easing = 'smooth') {
+        this.animation = {
+            from: this.position.clone(),
+            to: toVector3(position, this.position),
+            startMs: null,
+            durationMs: Math.max(0, Number(durationMs) || 0),
+            easing: EASINGS[easing] ? easing : 'smooth'
+        };
+        return this;
+    }
+
+    /**
+     * 速度を出さずに移動（アニメーションも止める）
+     */
+    teleport(position) {
+        this.animation = null;
+        this.position.copy(toVector3(position, this.position));
+        this._prevPosition.copy(this.position);
+        this.velocity.set(0, 0, 0);
+        return this;
+    }
+
+    /**
+     * 位置を進めて速度を出す（sim.update から。dt はシミュレーションの dt）
+     */
+    update(nowMs, dt) {
+        const anim = this.animation;
+        if (anim) {
+            if (anim.startMs === null) anim.startMs = nowMs;
+            const t = anim.durationMs > 0 ? Math.min(1, (nowMs - anim.startMs) / anim.durationMs) : 1;
+            this.position.lerpVectors(anim.from, anim.to, EASINGS[anim.easing](t));
+            if (t >= 1) this.animation = null;
+        }
+        // アニメーション以外で1フレームに4セル以上動いたらワープ扱い（速度を入れると粒子が吹き飛ぶ）
+        // アニメーション中も 1フレーム4セルまでに抑える
+        const moved = this.position.distanceTo(this._prevPosition);
+        if (dt > 0 && (anim || moved < 4)) {
+            this.velocity.subVectors(this.position, this._prevPosition).divideScalar(dt).clampLength(0, 4 / dt);
+        } else {
+            this.velocity.set(0, 0, 0);
+        }
+        this._prevPosition.copy(this.position);
+    }
+
+    get shapeId() {
+        return COLLIDER_SHAPES[this.shape];
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * MLS-MPM のエミッター/シンク
+ * - エミッター: 形（point / disc / box / mesh）の中から粒子を出す（初速・色・マテリアル付き）
+ * - シンク: 入った粒子を消す（消えた粒子はエミッターがまた使う）
+ *
+ * 使い方（座標はグリッド座標 0..gridSize）:
+ *   const emitter = sim.addEmitter({ shape: 'disc', position: [32, 56, 32], normal: [0, -1, 0], radius: 6, speed: 8, color: 0xffaa33 });
+ *   emitter.pour(2048, 500);           // 500ms かけて 2048 粒
+ *   emitter.rate = 4000;               // 毎秒 4000 粒（0 で止める）
+ *   sim.addSink({ shape: 'box', position: [32, 1.5, 32], size: [64, 3, 64] });
+ *
+ * NOTE:
+ * - 粒子はリングバッファで使い回す（0..conf.particles を順番に上書き）。一周したら一番古い粒子から出し直す
+ * - mesh はワールド座標のメッシュの表面を CPU で MESH_SAMPLE_COUNT 点サンプリングしておく（toGrid でグリッド座標へ）。
+ *   メッシュを動かしたら setMesh() で取り直す
+ * - mesh のシンクはバウンディングボックスで判定する（GPU で表面との距離は取らない）
+ */
+
+import * as THREE from "three/webgpu";
+import {random} from "../common/random.js";
+
+const rng = random.stream('mpm-emitter');
+
+export const EMITTER_SHAPES = {
+    point: 1,
+    disc: 2,
+    box: 3,
+    mesh: 4
+};
+
+// mesh エミッターの表面サンプル数（GPU のバッファは全エミッターで共有）
+export const MESH_SAMPLE_COUNT = 4096;
+
+const toVector3 = (v, fallback) => {
+    if (v?.isVector3) return v.clone();
+    if (Array.isArray(v)) return new THREE.Vector3(Number(v[0]) || 0, Number(v[1]) || 0, Number(v[2]) || 0);
+    return fallback.clone();
+};
+
+const resolveShape = (shape) => {
+    const id = EMITTER_SHAPES[String(shape ?? 'point').toLowerCase()];
+    if (!id) {
+        console.warn(`MPM: 未知の形 ${shape}（point / disc / box / mesh）`);
+        return 'point';
+    }
+    return String(shape).toLowerCase();
+};
+
+/**
+ * メッシュの表面を面積に比例してサンプリング
+ * @returns {{ positions: Float32Array, normals: Float32Array, box: THREE.Box3 }} positions/normals は vec4 × MESH_SAMPLE_COUNT
+ */
+function sampleMeshSurface(mesh, toGrid) {
+    const geometry = mesh.geometry;
+    const position = geometry?.attributes?.position;
+    const positions = new Float32Array(MESH_SAMPLE_COUNT * 4);
+    const normals = new Float32Array(MESH_SAMPLE_COUNT * 4);
+    const box = new THREE.Box3();
+    if (!position) return { positions, normals, box };
+
+    mesh.updateWorldMatrix(true, false);
+    const index = geometry.index;
+    const triangleCount = index ? index.count / 3 : position.count / 3;
+    const vertex = (i) => {
+        const v = new THREE.Vector3().fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(mesh.matrixWorld);
+        return toGrid ? toGrid(v) : v;
+    };
+
+    // 三角形（グリッド座標）と面積の累積
+    const triangles = [];
+    const cumulative = new Float32Array(triangleCount);
+    let total = 0;
+    for (let t = 0; t < triangleCount; t++) {
+        const a = vertex(t * 3), b = vertex(t * 3 + 1), c = vertex(t * 3 + 2);
+        const normal = new THREE.Vector3().crossVectors(b.clone().sub(a), c.clone().sub(a));
+        total += normal.length() * 0.5;
+        cumulative[t] = total;
+        triangles.push({ a, b, c, normal: normal.normalize() });
+        box.expandByPoint(a).expandByPoint(b).expandByPoint(c);
+    }
+    if (total <= 0) return { positions, normals, box };
+
+    const p = new THREE.Vector3();
+    for (let i = 0; i < MESH_SAMPLE_COUNT; i++) {
+        // 二分探索で面積に比例した三角形を選ぶ
+        const target = rng.next() * total;
+        let lo = 0, hi = triangleCount - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (cumulative[mid] < target) lo = mid + 1; else hi = mid;
+        }
+        const { a, b, c, normal } = triangles[lo];
+        let u = rng.next(), v = rng.next();
+        if (u + v > 1) { u = 1 - u; v = 1 - v; }
+        p.copy(a).addScaledVector(b.clone().sub(a), u).addScaledVector(c.clone().sub(a), v);
+        positions.set([p.x, p.y, p.z, 1], i * 4);
+        normals.set([normal.x, normal.y, normal.z, 0], i * 4);
+    }
+    return { positions, normals, box };
+}
+
+export class MpmEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.shape - point / disc / box / mesh
+     * @param {THREE.Vector3|number[]} options.position - 中心（グリッド座標）
+     * @param {THREE.Vector3|number[]} options.normal - disc の向き / 初速の向き（point は放射状）
+     * @param {number} options.radius - point / disc の半径
+     * @param {THREE.Vector3|number[]} options.size - box の大きさ
+     * @param {THREE.Mesh} options.mesh - mesh の元（toGrid でワールド → グリッド座標）
+     * @param {THREE.Vector3|number[]} options.velocity - 初速（グリッド/秒相当）
+     * @param {number} options.speed - normal 方向の初速
+     * @param {number} options.spread - ランダムな初速の大きさ
+     * @param {number|string|THREE.Color} options.color - 粒子の色（省略でヒートマップのまま）
+     * @param {number} options.colorMix - 色とヒートマップの混ぜ具合（1 = 色だけ）
+     * @param {string|number} options.material - MPM_MATERIALS（省略で sim の今のマテリアル）
+     * @param {number} options.rate - 毎秒出す粒数（0 で pour() した時だけ）
+     */
+    constructor(options = {}) {
+        this.shape = resolveShape(options.shape);
+        this.position = toVector3(options.position, new THREE.Vector3(32, 32, 32));
+        this.normal = toVector3(options.normal, new THREE.Vector3(0, 1, 0)).normalize();
+        this.radius = Number(options.radius ?? 2);
+        this.size = toVector3(options.size, new THREE.Vector3(8, 8, 8));
+        this.velocity = toVector3(options.velocity, new THREE.Vector3());
+        this.speed = Number(options.speed ?? 0);
+        this.spread = Number(options.spread ?? 0.5);
+        this.color = options.color !== undefined && options.color !== null ? new THREE.Color(options.color) : null;
+        this.colorMix = Number(options.colorMix ?? (this.color ? 1 : 0));
+        this.material = options.material ?? null;
+        this.rate = Number(options.rate ?? 0);
+        this.enabled = true;
+
+        // pour() の予約: [{ count, emitted, startMs, durationMs }]
+        this.streams = [];
+        this._rateCarry = 0;
+        this._lastMs = null;
+
+        this.meshSamples = null;
+        this.meshVersion = 0;
+        if (options.mesh) this.setMesh(options.mesh, options.toGrid);
+    }
+
+    /**
+     * mesh の表面を取り直す（メッシュを動かした時も）
+     * @param {THREE.Mesh} mesh
+     * @param {(v: THREE.Vector3) => THREE.Vector3} toGrid - ワールド → グリッド座標（省略でそのまま）
+     */
+    setMesh(mesh, toGrid = null) {
+        this.shape = 'mesh';
+        this.meshSamples = sampleMeshSurface(mesh, toGrid);
+        this.meshVersion++;
+        return this;
+    }
+
+    /**
+     * count 粒を durationMs かけて出す（0 で次のフレームに全部）
+     */
+    pour(count, durationMs = 0) {
+        const n = Math.max(0, Math.floor(Number(count) || 0));
+        if (n === 0) return this;
+        // startMs は最初の take() で決める
+        this.streams.push({ count: n, emitted: 0, startMs: null, durationMs: Math.max(0, Number(durationMs) || 0) });
+        return this;
+    }
+
+    /**
+     * 今のフレームで出す粒数（sim.update から呼ぶ）
+     */
+    take(nowMs) {
+        const dtMs = this._lastMs === null ? 0 : Math.max(0, nowMs - this._lastMs);
+        this._lastMs = nowMs;
+        if (!this.enabled) {
+            this.streams.length = 0;
+            return 0;
+        }
+
+        let n = 0;
+        if (this.rate > 0) {
+            this._rateCarry += this.rate * dtMs / 1000;
+            const whole = Math.floor(this._rateCarry);
+            this._rateCarry -= whole;
+            n += whole;
+        }
+        for (const stream of this.streams) {
+            if (stream.startMs === null) stream.startMs = nowMs;
+            const t = stream.durationMs > 0 ? Math.min(1, (nowMs - stream.startMs) / stream.durationMs) : 1;
+            const due = Math.round(stream.count * t) - stream.emitted;
+            stream.emitted += due;
+            n += due;
+        }
+        this.streams = this.streams.filter((s) => s.emitted < s.count);
+        return n;
+    }
+
+    get shapeId() {
+        return EMITTER_SHAPES[this.shape];
+    }
+}
+
+export class MpmSink {
+    /**
+     * @param {Object} options
+     * @param {string} options.shape - point（球）/ disc（厚み thickness の円盤）/ box / mesh（バウンディングボックス）
+     * @param {THREE.Vector3|number[]} options.position - 中心（グリッド座標）
+     * @param {number} options.radius - point / disc の半径
+     * @param {THREE.Vector3|number[]} options.normal - disc の向き
+     * @param {number} options.thickness - disc の厚み
+     * @param {THREE.Vector3|number[]} options.size - box の大きさ
+     * @param {THREE.Mesh} options.mesh
+     */
+    constructor(options = {}) {
+        this.shape = resolveShape(options.shape);
+        this.position = toVector3(options.position, new THREE.Vector3(32, 2, 32));
+        this.radius = Number(options.radius ?? 4);
+        this.normal = toVector3(options.normal, new THREE.Vector3(0, 1, 0)).normalize();
+        this.thickness = Number(options.thickness ?? 1);
+        this.size = toVector3(options.size, new THREE.Vector3(8, 8, 8));
+        this.enabled = true;
+        if (options.mesh) this.setMesh(options.mesh, options.toGrid);
+    }
+
+    setMesh(mesh, toGrid = null) {
+        const world = new THREE.Box3().setFromObject(mesh);
+        const box = new THREE.Box3();
+        for (const corner of [world.min, world.max]) box.expandByPoint(toGrid ? toGrid(corner.clone()) : corner);
+        this.shape = 'box';
+        box.getCenter(this.position);
+        box.getSize(this.size);
+        return this;
+    }
+
+    get shapeId() {
+        return EMITTER_SHAPES[this.shape];
+    }
+}
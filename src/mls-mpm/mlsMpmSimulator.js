@@ -19,12 +19,118 @@ import {
     mat3,
     clamp,
     time,
-    cross, mix, mx_hsvtorgb, select, ivec3, fract, sin, abs
+    cross, mix, mx_hsvtorgb, select, ivec3, fract, sin, abs,
+    exp, log, cbrt, sqrt, dot, hash, sign, floor
 } from "three/tsl";
 import {triNoise3Dvec} from "../common/noise.js";
 import {conf} from "../common/conf.js";
 import {StructuredArray} from "./structuredArray.js";
 import {hsvtorgb} from "../common/hsv.js";
+import {clock} from "../common/clock.js";
+import {random} from "../common/random.js";
+import {MpmEmitter, MpmSink, EMITTER_SHAPES, MESH_SAMPLE_COUNT} from "./emitters.js";
+import {MpmCollider, COLLIDER_SHAPES, COLLIDER_MODES} from "./colliders.js";
+import {ParticleSorter} from "./particleSorter.js";
+
+const rng = random.stream('mpm');
+
+/**
+ * 粒子ごとのマテリアル（particleStruct.material）
+ * - fluid: 今までの流体（状態方程式の圧力 + 粘性）
+ * - elastic: Neo-Hookean の弾性体（ゼリー）。変形勾配 F を持ち、元の形に戻ろうとする
+ * - snow: 弾性 + 体積方向の塑性（潰れると固くなる = hardening）。崩れて固まる
+ * - sand: 弾性 + 摩擦（Drucker-Prager 風）。引っ張りに耐えず、崩れて積もる
+ *
+ * NOTE:
+ * - 同じグリッドを共有するので、マテリアルが混ざっていてもそのまま相互作用する
+ * - 固体の F は g2p で (I + dt*C) * F と更新する（流体は常に I）
+ */
+export const MPM_MATERIALS = {
+    fluid: 0,
+    elastic: 1,
+    snow: 2,
+    sand: 3
+};
+
+// ショーファイル/OSC で書きやすい別名
+const MATERIAL_ALIASES = {
+    liquid: 'fluid',
+    water: 'fluid',
+    jelly: 'elastic',
+    dust: 'sand'
+};
+
+/**
+ * 名前（別名も可）または番号 → マテリアル番号（不明なら null）
+ */
+export function resolveMaterial(material) {
+    if (typeof material === 'number' || /^\d+$/.test(String(material))) {
+        const id = Number(material);
+        return Object.values(MPM_MATERIALS).includes(id) ? id : null;
+    }
+    const key = String(material ?? '').trim().toLowerCase();
+    const name = MATERIAL_ALIASES[key] || key;
+    return name in MPM_MATERIALS ? MPM_MATERIALS[name] : null;
+}
+
+/**
+ * マテリアル番号 → 名前
+ */
+export function materialName(id) {
+    return Object.keys(MPM_MATERIALS).find((name) => MPM_MATERIALS[name] === id) ?? 'fluid';
+}
+
+// 雪の塑性（Stomakhin et al. 2013 の θc / θs）
+// NOTE: 論文は特異値ごとにクランプするが、ここは J（体積）だけで判定する簡略版
+const SNOW_CRITICAL_COMPRESSION = 0.025;
+const SNOW_CRITICAL_STRETCH = 0.0075;
+// hardening の上限（固くなりすぎると dt に対して不安定になる）
+const SNOW_MAX_HARDENING = 5.0;
+
+const identity3 = () => mat3(1, 0, 0, 0, 1, 0, 0, 0, 1);
+// 3x3 の行列式（列ベクトルの三重積）
+const det3 = (m) => dot(m.element(0), cross(m.element(1), m.element(2)));
+// クォータニオン（xyzw）で回す / 逆に回す
+const rotateByQuat = (v, q) => v.add(cross(q.xyz, cross(q.xyz, v).add(v.mul(q.w))).mul(2.0));
+const rotateByQuatInverse = (v, q) => rotateByQuat(v, vec4(q.xyz.negate(), q.w));
+
+// sdf コライダーの最大解像度（バッファは起動時にこの大きさで確保する）
+const MAX_SDF_RESOLUTION = 64;
+
+// グリッドの大きさの範囲（1辺）と、セル数の上限（cellBuffer + cellBufferF で 1セル 32byte。2^22 で 128MB）
+const MIN_GRID_SIZE = 16;
+const MAX_GRID_SIZE = 256;
+const MAX_GRID_CELLS = 1 << 22;
+
+// エミッターの空きスロット集めで1スレッドが受け持つ粒子数
+const EMIT_BLOCK = 256;
+// emitState の中身（emitScan が書く。cursor だけは emit をまたいで持ち越す）
+const EMIT_STATE_CURSOR = 0;
+const EMIT_STATE_FREE = 1;
+const EMIT_STATE_LIVE_BEFORE_CURSOR = 2;
+const EMIT_STATE_LIVE = 3;
+const EMIT_STATE_NEED = 4;
+
+// ワールド座標では奥行き（Z）を潰して見せる（Scene01 の箱の見た目）
+export const WORLD_Z_SCALE = 0.4;
+
+/**
+ * [x, y, z] / "128x32x128" / 数字（立方体）/ Vector3 → グリッドの大きさ（不正なら null）
+ */
+function parseGridSize(value) {
+    let dims = null;
+    if (value?.isVector3) dims = [value.x, value.y, value.z];
+    else if (Array.isArray(value)) dims = value;
+    else if (typeof value === 'number') dims = [value, value, value];
+    else if (typeof value === 'string') {
+        const parts = value.toLowerCase().split(/[x,\s]+/).filter(Boolean);
+        dims = parts.length === 1 ? [parts[0], parts[0], parts[0]] : parts;
+    }
+    if (!dims || dims.length !== 3) return null;
+    const size = dims.map((d) => Math.floor(Number(d)));
+    if (size.some((d) => !Number.isFinite(d) || d <= 0)) return null;
+    return size;
+}
 
 class mlsMpmSimulator {
     renderer = null;
@@ -56,13 +162,44 @@ class mlsMpmSimulator {
     freezeWhenNoImpulse = false;
     onlyImpulseMotion = true;
 
+    // 粒子のマテリアル（MPM_MATERIALS）。setMaterial() で切り替える
+    material = MPM_MATERIALS.fluid;
+    // マテリアル切り替え中: { id, startMs, durationMs, done, start, end }
+    materialMorph = null;
+
+    // エミッター/シンク（emitters.js）
+    // NOTE: エミッターは 0..numParticles の消えた粒子（alive = 0）を番号順に先に使い、足りない分だけ
+    //       生きている粒子をリングバッファとして順番に上書きする（カーソルは GPU の emitState に持つ）
+    emitters = [];
+    sinks = [];
+    maxSinks = 4;
+    maxEmitPerDispatch = 16384;
+    // 共有の mesh サンプルバッファに今入っているエミッター
+    _meshSamplesOwner = null;
+
+    // benchmark.js が測っている間は update() で何もしない
+    benchmarking = false;
+
+    // コライダー（colliders.js）
+    colliders = [];
+    maxColliders = 8;
+    // sdf バッファに今入っているコライダー
+    _sdfOwner = null;
+
     constructor(renderer) {
         this.renderer = renderer;
     }
-    async init() {
+
+    /**
+     * @param {Object} options
+     * @param {string|number} options.material - 初期マテリアル（MPM_MATERIALS の名前/番号。デフォルト fluid）
+     * @param {number[]|string|number} options.gridSize - グリッドの大きさ（[128, 32, 128] / "128x32x128"。デフォルト conf.mpmGridSize）
+     */
+    async init({ material = 'fluid', gridSize = conf.mpmGridSize } = {}) {
         const {maxParticles} = conf;
+        this.material = resolveMaterial(material) ?? MPM_MATERIALS.fluid;
         this.maxParticles = maxParticles;
-        this.gridSize.set(64,64,64);
+        this.gridSize.fromArray(this.resolveGridSize(gridSize));
 
         const particleStruct =  {
             position: { type: 'vec3' },
@@ -72,6 +209,13 @@ class mlsMpmSimulator {
             C: { type: 'mat3' },
             direction: { type: 'vec3' },
             color: { type: 'vec3' },
+            // マルチマテリアル: 変形勾配 / 塑性の体積変化（雪の hardening 用）/ MPM_MATERIALS
+            F: { type: 'mat3' },
+            Jp: { type: 'float' },
+            material: { type: 'uint' },
+            // エミッターの色（rgb, a = ヒートマップとの混ぜ具合）/ 生きているか（シンクに入ると 0）
+            tint: { type: 'vec4' },
+            alive: { type: 'float' },
         };
         this.particleBuffer = new StructuredArray(particleStruct, maxParticles, "particleData");
 
@@ -79,13 +223,13 @@ class mlsMpmSimulator {
         for (let i = 0; i < maxParticles; i++) {
             let dist = 2;
             while (dist > 1) {
-                vec.set(Math.random(),Math.random(),Math.random()).multiplyScalar(2.0).subScalar(1.0);
+                vec.set(rng.next(),rng.next(),rng.next()).multiplyScalar(2.0).subScalar(1.0);
                 dist = vec.length();
                 // 初期配置を箱の壁際まで寄せる（サンプル由来の0.8制限を緩める）
-                // NOTE: 境界の数セル分はMLS-MPMの近傍参照の都合で必要なので、完全に0..64へは寄せない
+                // NOTE: 境界の数セル分はMLS-MPMの近傍参照の都合で必要なので、完全に0..gridSizeへは寄せない
                 vec.multiplyScalar(0.95).addScalar(1.0).divideScalar(2.0).multiply(this.gridSize);
             }
-            const mass = 1.0 - Math.random() * 0.002;
+            const mass = 1.0 - rng.next() * 0.002;
             this.particleBuffer.set(i, "position", vec);
             this.particleBuffer.set(i, "mass", mass);
 
@@ -96,6 +240,12 @@ class mlsMpmSimulator {
             this.particleBuffer.set(i, "density", 1.0);
             this.particleBuffer.set(i, "direction", [0, 0, 1]);
             this.particleBuffer.set(i, "color", [0.05, 0.35, 1.0]); // デフォルトは青寄り（ヒートマップの「無=青」）
+            // mat3 は列ごとに vec4 分の幅を持つ
+            this.particleBuffer.set(i, "F", [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0]);
+            this.particleBuffer.set(i, "Jp", 1.0);
+            this.particleBuffer.set(i, "material", this.material);
+            this.particleBuffer.set(i, "tint", [0, 0, 0, 0]);
+            this.particleBuffer.set(i, "alive", 1.0);
         }
 
         // NOTE:
@@ -153,6 +303,69 @@ class mlsMpmSimulator {
         }
         this.impulses = new Array(this.maxImpulses).fill(null);
 
+        // マルチマテリアル（固体の Lamé 定数などは update() で conf から作る）
+        this.uniforms.materialMu = uniform(0);
+        this.uniforms.materialLambda = uniform(0);
+        this.uniforms.snowHardening = uniform(10);
+        this.uniforms.sandFriction = uniform(0.5);
+        // assignMaterial / resetParticles が書き込むマテリアル
+        this.uniforms.materialId = uniform(this.material, "uint");
+        // assignMaterial の対象: 粒子番号 [start, end) のうち、粒子ごとのハッシュが [lo, hi) のもの
+        this.uniforms.materialLo = uniform(0);
+        this.uniforms.materialHi = uniform(0);
+        this.uniforms.materialStart = uniform(0, "uint");
+        this.uniforms.materialEnd = uniform(0, "uint");
+
+        // エミッター（emit カーネルを1回呼ぶごとに書き換える）
+        // - emitShape: EMITTER_SHAPES / emitA = vec4(中心, 半径) / emitB = vec4(normal, normal方向の初速) / emitSize = box の大きさ
+        // - emitVelocity = vec4(初速, spread) / emitTint = vec4(色, 混ぜ具合)
+        this.uniforms.emitCount = uniform(0, "uint");
+        this.uniforms.emitPool = uniform(1, "uint");
+        this.uniforms.emitSeed = uniform(0, "uint");
+        this.uniforms.emitShape = uniform(1, "uint");
+        this.uniforms.emitMaterial = uniform(this.material, "uint");
+        this.uniforms.emitA = uniform(new THREE.Vector4());
+        this.uniforms.emitB = uniform(new THREE.Vector4(0, 1, 0, 0));
+        this.uniforms.emitSize = uniform(new THREE.Vector3(1, 1, 1));
+        this.uniforms.emitVelocity = uniform(new THREE.Vector4());
+        this.uniforms.emitTint = uniform(new THREE.Vector4());
+        this.meshSamplePositions = instancedArray(new Float32Array(MESH_SAMPLE_COUNT * 4), 'vec4').label('meshSamplePositions');
+        this.meshSampleNormals = instancedArray(new Float32Array(MESH_SAMPLE_COUNT * 4), 'vec4').label('meshSampleNormals');
+        // 出す先の粒子番号（emitCount 個。消えた粒子 → 生きている粒子のリングバッファの順）
+        // - emitBlockFree: EMIT_BLOCK 粒ごとの消えた粒子の数（emitScan で累積して、ブロックの中の開始位置になる）
+        // - emitState: EMIT_STATE_*（カーソル、消えた粒子から使う数、生きている粒子の数など）
+        this.emitSlots = instancedArray(new Uint32Array(this.maxEmitPerDispatch), 'uint').label('emitSlots');
+        this.emitBlockFree = instancedArray(new Uint32Array(Math.ceil(maxParticles / EMIT_BLOCK)), 'uint').label('emitBlockFree');
+        this.emitState = instancedArray(new Uint32Array(8), 'uint').label('emitState');
+
+        // コライダー（スロット固定長）
+        // - colliderA = vec4(shape, mode, friction, radius) / colliderP = vec4(中心, capsule の線分の長さ/2)
+        // - colliderB = vec4(box の大きさ/2, 0) / colliderV = vec4(速度, 0) / colliderQ = 回転（クォータニオン）
+        for (let i = 0; i < this.maxColliders; i++) {
+            this.uniforms[`colliderA${i}`] = uniform(new THREE.Vector4());
+            this.uniforms[`colliderP${i}`] = uniform(new THREE.Vector4());
+            this.uniforms[`colliderB${i}`] = uniform(new THREE.Vector4());
+            this.uniforms[`colliderV${i}`] = uniform(new THREE.Vector4());
+            this.uniforms[`colliderQ${i}`] = uniform(new THREE.Vector4(0, 0, 0, 1));
+        }
+        this.sdfBuffer = instancedArray(new Float32Array(MAX_SDF_RESOLUTION ** 3), 'float').label('colliderSdf');
+        this.uniforms.sdfMin = uniform(new THREE.Vector3());
+        this.uniforms.sdfVoxel = uniform(new THREE.Vector3(1, 1, 1));
+        this.uniforms.sdfResolution = uniform(2, "int");
+
+        // シンク（スロット固定長: sinkA = vec4(shape, 中心) / sinkB = point,disc: vec4(normal, 半径)、box: vec4(大きさ/2, 0) / sinkC.x = disc の厚み/2）
+        for (let i = 0; i < this.maxSinks; i++) {
+            this.uniforms[`sinkA${i}`] = uniform(new THREE.Vector4());
+            this.uniforms[`sinkB${i}`] = uniform(new THREE.Vector4());
+            this.uniforms[`sinkC${i}`] = uniform(new THREE.Vector4());
+        }
+
+        // 粒子をセル順に並べる（P2G / G2P の atomicAdd とグリッドの読み込みをまとめる）
+        // - conf.mpmSortParticles で ON/OFF（実験的、デフォルトOFF）、conf.mpmSortInterval フレームごとに並べ直す
+        this.uniforms.useSortedIndex = uniform(0, "uint");
+        this.sorter = new ParticleSorter(this);
+        this.sorter.init();
+
         this.kernels.clearGrid = Fn(() => {
             this.cellBuffer.setAtomic("x", false);
             this.cellBuffer.setAtomic("y", false);
@@ -195,8 +408,14 @@ class mlsMpmSimulator {
             If(instanceIndex.greaterThanEqual(uint(this.uniforms.numParticles)), () => {
                 Return();
             });
-            const particlePosition = this.particleBuffer.element(instanceIndex).get('position').xyz.toConst("particlePosition");
-            const particleVelocity = this.particleBuffer.element(instanceIndex).get('velocity').xyz.toConst("particleVelocity");
+            // 並べ替えが有効ならセル順（particleSorter.js）
+            const particleIndex = this.sorter.particleIndex(this.uniforms.useSortedIndex);
+            // シンクに入った/まだ出ていない粒子はグリッドに書かない
+            If(this.particleBuffer.element(particleIndex).get('alive').lessThan(0.5), () => {
+                Return();
+            });
+            const particlePosition = this.particleBuffer.element(particleIndex).get('position').xyz.toConst("particlePosition");
+            const particleVelocity = this.particleBuffer.element(particleIndex).get('velocity').xyz.toConst("particleVelocity");
 
             const cellIndex =  ivec3(particlePosition).sub(1).toConst("cellIndex");
             const cellDiff = particlePosition.fract().sub(0.5).toConst("cellDiff");
@@ -205,7 +424,7 @@ class mlsMpmSimulator {
             const w2 = float(0.5).mul(float(0.5).add(cellDiff)).mul(float(0.5).add(cellDiff));
             const weights = array([w0,w1,w2]).toConst("weights");
 
-            const C = this.particleBuffer.element(instanceIndex).get('C').toConst();
+            const C = this.particleBuffer.element(particleIndex).get('C').toConst();
             Loop({ start: 0, end: 3, type: 'int', name: 'gx', condition: '<' }, ({gx}) => {
                 Loop({ start: 0, end: 3, type: 'int', name: 'gy', condition: '<' }, ({gy}) => {
                     Loop({ start: 0, end: 3, type: 'int', name: 'gz', condition: '<' }, ({gz}) => {
@@ -236,7 +455,11 @@ class mlsMpmSimulator {
             If(instanceIndex.greaterThanEqual(uint(this.uniforms.numParticles)), () => {
                 Return();
             });
-            const particlePosition = this.particleBuffer.element(instanceIndex).get('position').xyz.toConst("particlePosition");
+            const particleIndex = this.sorter.particleIndex(this.uniforms.useSortedIndex);
+            If(this.particleBuffer.element(particleIndex).get('alive').lessThan(0.5), () => {
+                Return();
+            });
+            const particlePosition = this.particleBuffer.element(particleIndex).get('position').xyz.toConst("particlePosition");
 
             const cellIndex =  ivec3(particlePosition).sub(1).toConst("cellIndex");
             const cellDiff = particlePosition.fract().sub(0.5).toConst("cellDiff");
@@ -256,20 +479,43 @@ class mlsMpmSimulator {
                     });
                 });
             });
-            const densityStore = this.particleBuffer.element(instanceIndex).get('density');
+            const densityStore = this.particleBuffer.element(particleIndex).get('density');
             densityStore.assign(mix(densityStore, density, 0.05));
 
             // 密度が0の場合は圧力計算をスキップ（粒子が存在しない場合）
             const densitySafe = density.max(0.0001).toConst("densitySafe");
             const volume = float(1).div(densitySafe);
-            const pressure = max(0.0, pow(density.div(this.uniforms.restDensity), 5.0).sub(1).mul(this.uniforms.stiffness)).toConst('pressure');
-            const stress = mat3(pressure.negate(), 0, 0, 0, pressure.negate(), 0, 0, 0, pressure.negate()).toVar('stress');
-            const dudv = this.particleBuffer.element(instanceIndex).get('C').toConst('C');
+            const dudv = this.particleBuffer.element(particleIndex).get('C').toConst('C');
 
+            // 粘性（全マテリアル共通。固体では揺れの減衰になる）
+            // NOTE: stress には体積を掛けた値を貯める（流体は今の体積、固体は初期体積）
             const strain = dudv.add(dudv.transpose());
-            stress.addAssign(strain.mul(this.uniforms.dynamicViscosity));
+            const stress = strain.mul(this.uniforms.dynamicViscosity).mul(volume).toVar('stress');
+
+            const material = this.particleBuffer.element(particleIndex).get('material').toConst('material');
+            If(material.equal(uint(MPM_MATERIALS.fluid)), () => {
+                const pressure = max(0.0, pow(density.div(this.uniforms.restDensity), 5.0).sub(1).mul(this.uniforms.stiffness)).toConst('pressure');
+                stress.addAssign(identity3().mul(pressure.negate().mul(volume)));
+            }).Else(() => {
+                // 固体: Neo-Hookean の Kirchhoff 応力 τ = μ(F Fᵀ - I) + λ log(J) I
+                const F = this.particleBuffer.element(particleIndex).get('F').toConst('F');
+                const J = det3(F).max(0.05).toConst('J');
+                // 雪: 潰れた分だけ固くなる（hardening = exp(ξ(1 - Jp))）
+                const Jp = this.particleBuffer.element(particleIndex).get('Jp');
+                const hardening = select(
+                    material.equal(uint(MPM_MATERIALS.snow)),
+                    exp(this.uniforms.snowHardening.mul(float(1).sub(Jp))).clamp(0.1, SNOW_MAX_HARDENING),
+                    float(1.0)
+                ).toConst('hardening');
+                const mu = this.uniforms.materialMu.mul(hardening);
+                const lambda = this.uniforms.materialLambda.mul(hardening);
+                const kirchhoff = F.mul(F.transpose()).sub(identity3()).mul(mu).add(identity3().mul(lambda.mul(log(J))));
+                // 初期体積（1粒子 = 1 / restDensity セル）
+                const restVolume = float(1).div(this.uniforms.restDensity.max(0.0001));
+                stress.addAssign(kirchhoff.mul(restVolume));
+            });
             // 密度が0の場合はmomentumを追加しない（粒子が存在しない場合）
-            const eq16Term0 = volume.mul(-4).mul(stress).mul(this.uniforms.dt).mul(select(density.greaterThan(0.0001), float(1.0), float(0.0)));
+            const eq16Term0 = stress.mul(-4).mul(this.uniforms.dt).mul(select(density.greaterThan(0.0001), float(1.0), float(0.0)));
 
             Loop({ start: 0, end: 3, type: 'int', name: 'gx', condition: '<' }, ({gx}) => {
                 Loop({ start: 0, end: 3, type: 'int', name: 'gy', condition: '<' }, ({gy}) => {
@@ -289,6 +535,24 @@ class mlsMpmSimulator {
         })().compute(1);
 
 
+        // sdf コライダー: ローカル座標の距離（トライリニア。箱の外は端の値 + 箱までの距離）
+        const sdfAt = (i) => {
+            const res = this.uniforms.sdfResolution;
+            return this.sdfBuffer.element(i.x.add(i.y.mul(res)).add(i.z.mul(res).mul(res)));
+        };
+        const sampleSdf = (local) => {
+            const g = local.sub(this.uniforms.sdfMin).div(this.uniforms.sdfVoxel).toConst();
+            const gc = clamp(g, vec3(0.0), vec3(float(this.uniforms.sdfResolution.sub(1)).sub(0.001))).toConst();
+            const i0 = ivec3(floor(gc)).toConst();
+            const f = gc.sub(floor(gc)).toConst();
+            const c00 = mix(sdfAt(i0), sdfAt(i0.add(ivec3(1, 0, 0))), f.x);
+            const c10 = mix(sdfAt(i0.add(ivec3(0, 1, 0))), sdfAt(i0.add(ivec3(1, 1, 0))), f.x);
+            const c01 = mix(sdfAt(i0.add(ivec3(0, 0, 1))), sdfAt(i0.add(ivec3(1, 0, 1))), f.x);
+            const c11 = mix(sdfAt(i0.add(ivec3(0, 1, 1))), sdfAt(i0.add(ivec3(1, 1, 1))), f.x);
+            const d = mix(mix(c00, c10, f.y), mix(c01, c11, f.y), f.z);
+            return d.add(g.sub(gc).mul(this.uniforms.sdfVoxel).length());
+        };
+
         this.kernels.updateGrid = Fn(() => {
             this.cellBuffer.setAtomic("x", false);
             this.cellBuffer.setAtomic("y", false);
@@ -311,6 +575,77 @@ class mlsMpmSimulator {
             const y = int(instanceIndex).div(this.uniforms.gridSize.z).mod(this.uniforms.gridSize.y);
             const z = int(instanceIndex).mod(this.uniforms.gridSize.z);
 
+            // コライダー: 中に入ったセルの速度をコライダーの速度に合わせる（壁より先にやる）
+            const colliderA = array(Array.from({ length: this.maxColliders }, (_, i) => this.uniforms[`colliderA${i}`])).toConst("colliderA");
+            const colliderP = array(Array.from({ length: this.maxColliders }, (_, i) => this.uniforms[`colliderP${i}`])).toConst("colliderP");
+            const colliderB = array(Array.from({ length: this.maxColliders }, (_, i) => this.uniforms[`colliderB${i}`])).toConst("colliderB");
+            const colliderV = array(Array.from({ length: this.maxColliders }, (_, i) => this.uniforms[`colliderV${i}`])).toConst("colliderV");
+            const colliderQ = array(Array.from({ length: this.maxColliders }, (_, i) => this.uniforms[`colliderQ${i}`])).toConst("colliderQ");
+            const cellPos = vec3(float(x), float(y), float(z)).add(0.5).toConst("cellPos");
+            const cellVelocity = vec3(vx, vy, vz).toVar("cellVelocity");
+            Loop({ start: 0, end: this.maxColliders, type: 'int', name: 'ci', condition: '<' }, ({ci}) => {
+                const a = colliderA.element(ci).toConst("cA");
+                const shape = int(a.x.round()).toConst("cShape");
+                If(shape.greaterThan(int(0)), () => {
+                    const cp = colliderP.element(ci).toConst("cP");
+                    const q = colliderQ.element(ci).toConst("cQ");
+                    const local = rotateByQuatInverse(cellPos.sub(cp.xyz), q).toConst("cLocal");
+                    const dist = float(100000.0).toVar("cDist");
+                    const nLocal = vec3(0, 1, 0).toVar("cNormal");
+                    If(shape.equal(int(COLLIDER_SHAPES.sphere)), () => {
+                        dist.assign(local.length().sub(a.w));
+                        nLocal.assign(local.add(vec3(0, 0.0001, 0)).normalize());
+                    }).ElseIf(shape.equal(int(COLLIDER_SHAPES.capsule)), () => {
+                        const d = local.sub(vec3(0, local.y.clamp(cp.w.negate(), cp.w), 0)).toConst("cCapsule");
+                        dist.assign(d.length().sub(a.w));
+                        nLocal.assign(d.add(vec3(0, 0.0001, 0)).normalize());
+                    }).ElseIf(shape.equal(int(COLLIDER_SHAPES.box)), () => {
+                        const qd = local.abs().sub(colliderB.element(ci).xyz).toConst("cBox");
+                        dist.assign(max(qd, vec3(0.0)).length().add(max(qd.x, max(qd.y, qd.z)).min(0.0)));
+                        // 中にいる時だけ使うので、一番近い面の法線
+                        nLocal.assign(select(
+                            qd.x.greaterThan(max(qd.y, qd.z)),
+                            vec3(sign(local.x), 0, 0),
+                            select(qd.y.greaterThan(qd.z), vec3(0, sign(local.y), 0), vec3(0, 0, sign(local.z)))
+                        ));
+                    }).ElseIf(shape.equal(int(COLLIDER_SHAPES.sdf)), () => {
+                        dist.assign(sampleSdf(local));
+                        If(dist.lessThan(0.0), () => {
+                            const h = this.uniforms.sdfVoxel.toConst("cH");
+                            const grad = vec3(
+                                sampleSdf(local.add(vec3(h.x, 0, 0))).sub(sampleSdf(local.sub(vec3(h.x, 0, 0)))),
+                                sampleSdf(local.add(vec3(0, h.y, 0))).sub(sampleSdf(local.sub(vec3(0, h.y, 0)))),
+                                sampleSdf(local.add(vec3(0, 0, h.z))).sub(sampleSdf(local.sub(vec3(0, 0, h.z))))
+                            );
+                            nLocal.assign(grad.add(vec3(0, 0.0001, 0)).normalize());
+                        });
+                    });
+
+                    If(dist.lessThan(0.0), () => {
+                        const n = rotateByQuat(nLocal, q).toConst("cN");
+                        const vCollider = colliderV.element(ci).xyz.toConst("cV");
+                        const vRel = cellVelocity.sub(vCollider).toVar("cRel");
+                        const mode = int(a.y.round()).toConst("cMode");
+                        If(mode.equal(int(COLLIDER_MODES.noSlip)), () => {
+                            vRel.assign(vec3(0.0));
+                        }).ElseIf(mode.equal(int(COLLIDER_MODES.slip)), () => {
+                            vRel.subAssign(n.mul(dot(vRel, n)));
+                        }).Else(() => {
+                            // separate: 近づく時だけ法線成分を消して、接線方向は摩擦で減らす
+                            const vn = dot(vRel, n).toConst("cVn");
+                            If(vn.lessThan(0.0), () => {
+                                const vt = vRel.sub(n.mul(vn)).toConst("cVt");
+                                const vtLen = vt.length().max(0.000001);
+                                vRel.assign(vt.mul(float(1).add(a.z.mul(vn).div(vtLen)).max(0.0)));
+                            });
+                        });
+                        cellVelocity.assign(vRel.add(vCollider));
+                    });
+                });
+            });
+            vx.assign(cellVelocity.x);
+            vy.assign(cellVelocity.y);
+            vz.assign(cellVelocity.z);
 
             // 境界セル（サンプルの2セル厚→1セル厚に緩和）
             // - min側: 0 は壁（x < 1）
@@ -332,9 +667,13 @@ class mlsMpmSimulator {
             If(instanceIndex.greaterThanEqual(uint(this.uniforms.numParticles)), () => {
                 Return();
             });
-            const particleMass = this.particleBuffer.element(instanceIndex).get('mass').toConst("particleMass");
-            const particleDensity = this.particleBuffer.element(instanceIndex).get('density').toConst("particleDensity");
-            const particlePosition = this.particleBuffer.element(instanceIndex).get('position').xyz.toVar("particlePosition");
+            const particleIndex = this.sorter.particleIndex(this.uniforms.useSortedIndex);
+            If(this.particleBuffer.element(particleIndex).get('alive').lessThan(0.5), () => {
+                Return();
+            });
+            const particleMass = this.particleBuffer.element(particleIndex).get('mass').toConst("particleMass");
+            const particleDensity = this.particleBuffer.element(particleIndex).get('density').toConst("particleDensity");
+            const particlePosition = this.particleBuffer.element(particleIndex).get('position').xyz.toVar("particlePosition");
             const particleVelocity = vec3(0).toVar();
             // 重力を追加（常に適用）
             If(this.uniforms.gravityType.equal(uint(2)), () => {
@@ -416,7 +755,52 @@ class mlsMpmSimulator {
                 });
             });
 
-            this.particleBuffer.element(instanceIndex).get('C').assign(B.mul(4));
+            const Cnew = B.mul(4).toConst("Cnew");
+            this.particleBuffer.element(particleIndex).get('C').assign(Cnew);
+
+            // 固体: 変形勾配を進めて、雪/砂は塑性で戻す
+            // NOTE:
+            // - 本来は F の SVD（特異値をクランプ）でやるところを、J（体積）と b = F Fᵀ の偏差で近似している
+            // - 潰れすぎ/反転した粒子は F = I に戻す（NaN にしない）
+            const material = this.particleBuffer.element(particleIndex).get('material').toConst("material");
+            If(material.notEqual(uint(MPM_MATERIALS.fluid)), () => {
+                const Fstore = this.particleBuffer.element(particleIndex).get('F');
+                const F = identity3().add(Cnew.mul(this.uniforms.dt)).mul(Fstore).toVar("F");
+                const J = det3(F).toVar("J");
+                If(J.lessThan(0.05).or(J.greaterThan(20.0)), () => {
+                    F.assign(identity3());
+                    J.assign(1.0);
+                });
+
+                If(material.equal(uint(MPM_MATERIALS.snow)), () => {
+                    // 体積の変化が [1-θc, 1+θs] を超えた分は塑性（Jp に移して、F からは抜く）
+                    const Jc = J.clamp(1.0 - SNOW_CRITICAL_COMPRESSION, 1.0 + SNOW_CRITICAL_STRETCH).toConst("Jc");
+                    const Jp = this.particleBuffer.element(particleIndex).get('Jp');
+                    Jp.assign(Jp.mul(J.div(Jc)).clamp(0.3, 3.0));
+                    F.assign(F.mul(cbrt(Jc.div(J))));
+                }).ElseIf(material.equal(uint(MPM_MATERIALS.sand)), () => {
+                    If(J.greaterThanEqual(1.0), () => {
+                        // 引っ張りには耐えない（粘着力なし）
+                        F.assign(identity3());
+                    }).Else(() => {
+                        // せん断が摩擦の限界（α × 圧力）を超えたら、形の歪みを I に寄せて戻す
+                        const Jcbrt = cbrt(J).toConst("Jcbrt");
+                        const Fbar = F.mul(float(1).div(Jcbrt)).toConst("Fbar");
+                        const b = Fbar.mul(Fbar.transpose()).toConst("bbar");
+                        const trace = b.element(0).x.add(b.element(1).y).add(b.element(2).z);
+                        const dev = b.sub(identity3().mul(trace.div(3.0))).toConst("bdev");
+                        const devNorm = sqrt(dot(dev.element(0), dev.element(0)).add(dot(dev.element(1), dev.element(1))).add(dot(dev.element(2), dev.element(2))));
+                        const shear = this.uniforms.materialMu.mul(devNorm).toConst("shear");
+                        const pressure = this.uniforms.materialLambda.mul(log(J)).negate().toConst("pressure");
+                        const limit = this.uniforms.sandFriction.mul(pressure).toConst("limit");
+                        If(shear.greaterThan(limit), () => {
+                            const keep = limit.div(shear.max(0.000001)).toConst("keep");
+                            F.assign(identity3().add(Fbar.sub(identity3()).mul(keep)).mul(Jcbrt));
+                        });
+                    });
+                });
+                Fstore.assign(F);
+            });
             particlePosition.addAssign(particleVelocity.mul(this.uniforms.dt));
             // 境界処理（壁セルを薄くして、箱の端まで寄れるようにする）
             // NOTE:
@@ -438,10 +822,36 @@ class mlsMpmSimulator {
             If(xN.z.lessThan(wallMin.z), () => { particleVelocity.z.addAssign(wallMin.z.sub(xN.z).mul(wallStiffness)); });
             If(xN.z.greaterThan(wallMax.z), () => { particleVelocity.z.addAssign(wallMax.z.sub(xN.z).mul(wallStiffness)); });
 
-            this.particleBuffer.element(instanceIndex).get('position').assign(particlePosition)
-            this.particleBuffer.element(instanceIndex).get('velocity').assign(particleVelocity)
+            // シンク: 入ったら消す（次のエミッターで使い回される）
+            const sinkA = array([this.uniforms.sinkA0, this.uniforms.sinkA1, this.uniforms.sinkA2, this.uniforms.sinkA3]).toConst("sinkA");
+            const sinkB = array([this.uniforms.sinkB0, this.uniforms.sinkB1, this.uniforms.sinkB2, this.uniforms.sinkB3]).toConst("sinkB");
+            const sinkC = array([this.uniforms.sinkC0, this.uniforms.sinkC1, this.uniforms.sinkC2, this.uniforms.sinkC3]).toConst("sinkC");
+            const sunk = float(0.0).toVar("sunk");
+            Loop({ start: 0, end: 4, type: 'int', name: 'si', condition: '<' }, ({si}) => {
+                const a = sinkA.element(si).toConst("sA");
+                const b = sinkB.element(si).toConst("sB");
+                const shape = int(a.x.round()).toConst("sShape");
+                const d = particlePosition.sub(a.yzw).toConst("sD");
+                If(shape.equal(int(EMITTER_SHAPES.point)), () => {
+                    If(d.length().lessThan(b.w), () => { sunk.assign(1.0); });
+                }).ElseIf(shape.equal(int(EMITTER_SHAPES.disc)), () => {
+                    const h = dot(d, b.xyz).toConst("sH");
+                    const radial = d.sub(b.xyz.mul(h)).length();
+                    If(h.abs().lessThan(sinkC.element(si).x).and(radial.lessThan(b.w)), () => { sunk.assign(1.0); });
+                }).ElseIf(shape.equal(int(EMITTER_SHAPES.box)), () => {
+                    const q = d.abs().sub(b.xyz).toConst("sQ");
+                    If(max(q.x, max(q.y, q.z)).lessThan(0.0), () => { sunk.assign(1.0); });
+                });
+            });
+            If(sunk.greaterThan(0.5), () => {
+                particleVelocity.assign(vec3(0.0));
+                this.particleBuffer.element(particleIndex).get('alive').assign(0.0);
+            });
+
+            this.particleBuffer.element(particleIndex).get('position').assign(particlePosition)
+            this.particleBuffer.element(particleIndex).get('velocity').assign(particleVelocity)
 
-            const direction = this.particleBuffer.element(instanceIndex).get('direction');
+            const direction = this.particleBuffer.element(particleIndex).get('direction');
             direction.assign(mix(direction,particleVelocity, 0.1));
 
             // ヒートマップ（力が強い=赤、何もない=青）
@@ -494,7 +904,9 @@ class mlsMpmSimulator {
             const hp = fract(vec3(hue).add(vec3(0.0, 2.0 / 3.0, 1.0 / 3.0))).mul(6.0).toConst("hp");
             const rgb0 = clamp(abs(hp.sub(3.0)).sub(1.0), 0.0, 1.0).toConst("rgb0");
             const color = rgb0.sub(0.5).mul(c).add(light).clamp(0.0, 1.0).toConst("heatColor");
-            this.particleBuffer.element(instanceIndex).get('color').assign(color);
+            // エミッターの色（tint.a で混ぜる。エミッター以外の粒子は 0 = ヒートマップのまま）
+            const tint = this.particleBuffer.element(particleIndex).get('tint').toConst("tint");
+            this.particleBuffer.element(particleIndex).get('color').assign(mix(color, tint.xyz, tint.w));
         })().compute(1);
 
         // ===== Reset particles (GPU) =====
@@ -526,15 +938,254 @@ class mlsMpmSimulator {
             particle.get('C').assign( mat3(0) );
             particle.get('direction').assign( vec3(0,0,1) );
             particle.get('color').assign( vec3(0) );
+            particle.get('F').assign( identity3() );
+            particle.get('Jp').assign( 1.0 );
+            particle.get('material').assign( this.uniforms.materialId );
+            particle.get('tint').assign( vec4(0) );
+            particle.get('alive').assign( 1.0 );
+        })().compute( maxParticles );
+
+        // ===== 全粒子を消す（エミッターで注ぐ前の空の箱） =====
+        this.kernels.clearParticles = Fn(() => {
+            If( instanceIndex.greaterThanEqual( uint( maxParticles ) ), () => { Return(); } );
+            const particle = this.particleBuffer.element( instanceIndex );
+            particle.get('alive').assign( 0.0 );
+            particle.get('velocity').assign( vec3(0) );
+            particle.get('C').assign( mat3(0) );
+            // エミッターのカーソルも先頭に戻す
+            If( instanceIndex.equal( uint( 0 ) ), () => {
+                this.emitState.element( uint( EMIT_STATE_CURSOR ) ).assign( 0 );
+            });
+        })().compute( maxParticles );
+
+        // ===== エミッターの出す先を決める（emitCountDead → emitScan → emitScatter → emit の順に回す） =====
+        // atomic を使わずに番号順で決めるので、同じシードなら毎回同じ粒子に出る（オフラインレンダー）
+        const isDead = ( i ) => this.particleBuffer.element( i ).get('alive').lessThan( 0.5 );
+
+        // EMIT_BLOCK 粒ごとに消えた粒子を数える
+        this.kernels.emitCountDead = Fn(() => {
+            const first = instanceIndex.mul( uint( EMIT_BLOCK ) ).toConst( "emitBlockFirst" );
+            If( first.greaterThanEqual( this.uniforms.emitPool ), () => { Return(); } );
+            const dead = uint( 0 ).toVar( "emitBlockDead" );
+            Loop( { start: 0, end: EMIT_BLOCK, type: 'uint', name: 'k', condition: '<' }, ( { k } ) => {
+                const i = first.add( k ).toConst( "emitCountI" );
+                If( i.lessThan( this.uniforms.emitPool ).and( isDead( i ) ), () => {
+                    dead.addAssign( 1 );
+                });
+            });
+            this.emitBlockFree.element( instanceIndex ).assign( dead );
+        })().compute( 1 );
+
+        // ブロックの消えた粒子の数を累積（1スレッド）して、カーソルの前にある生きている粒子の数を数える
+        this.kernels.emitScan = Fn(() => {
+            If( instanceIndex.greaterThan( uint( 0 ) ), () => { Return(); } );
+            const pool = this.uniforms.emitPool;
+            const blocks = pool.add( uint( EMIT_BLOCK - 1 ) ).div( uint( EMIT_BLOCK ) ).toConst( "emitBlocks" );
+            const cursor = this.emitState.element( uint( EMIT_STATE_CURSOR ) ).mod( pool ).toConst( "emitCursor" );
+            const cursorBlock = cursor.div( uint( EMIT_BLOCK ) ).toConst( "emitCursorBlock" );
+            const running = uint( 0 ).toVar( "emitDeadRunning" );
+            const deadBeforeCursor = uint( 0 ).toVar( "emitDeadBeforeCursor" );
+            Loop( { start: uint( 0 ), end: blocks, type: 'uint', name: 'b', condition: '<' }, ( { b } ) => {
+                If( b.equal( cursorBlock ), () => {
+                    deadBeforeCursor.assign( running );
+                });
+                const count = this.emitBlockFree.element( b ).toConst( "emitBlockCount" );
+                this.emitBlockFree.element( b ).assign( running );
+                running.addAssign( count );
+            });
+            // カーソルのブロックの中でカーソルより前の分
+            Loop( { start: 0, end: EMIT_BLOCK, type: 'uint', name: 'k', condition: '<' }, ( { k } ) => {
+                const i = cursorBlock.mul( uint( EMIT_BLOCK ) ).add( k ).toConst( "emitScanI" );
+                If( i.lessThan( cursor ).and( isDead( i ) ), () => {
+                    deadBeforeCursor.addAssign( 1 );
+                });
+            });
+            const free = running.min( this.uniforms.emitCount ).toConst( "emitFree" );
+            this.emitState.element( uint( EMIT_STATE_CURSOR ) ).assign( cursor );
+            this.emitState.element( uint( EMIT_STATE_FREE ) ).assign( free );
+            this.emitState.element( uint( EMIT_STATE_LIVE_BEFORE_CURSOR ) ).assign( cursor.sub( deadBeforeCursor ) );
+            this.emitState.element( uint( EMIT_STATE_LIVE ) ).assign( pool.sub( running ) );
+            this.emitState.element( uint( EMIT_STATE_NEED ) ).assign( this.uniforms.emitCount.sub( free ) );
+        })().compute( 1 );
+
+        // ブロックごとに番号順で出す先を書く
+        // - 消えた粒子: 消えた粒子の中での順番 r < free なら emitSlots[r]
+        // - 生きている粒子: カーソルから数えた順番 r < need なら emitSlots[free + r]（最後の1粒の次が新しいカーソル）
+        this.kernels.emitScatter = Fn(() => {
+            const first = instanceIndex.mul( uint( EMIT_BLOCK ) ).toConst( "emitBlockFirst" );
+            If( first.greaterThanEqual( this.uniforms.emitPool ), () => { Return(); } );
+            const free = this.emitState.element( uint( EMIT_STATE_FREE ) ).toConst( "emitFree" );
+            const need = this.emitState.element( uint( EMIT_STATE_NEED ) ).toConst( "emitNeed" );
+            const live = this.emitState.element( uint( EMIT_STATE_LIVE ) ).toConst( "emitLive" );
+            const liveBeforeCursor = this.emitState.element( uint( EMIT_STATE_LIVE_BEFORE_CURSOR ) ).toConst( "emitLiveBeforeCursor" );
+            const deadRank = this.emitBlockFree.element( instanceIndex ).toVar( "emitDeadRank" );
+            const liveRank = first.sub( deadRank ).toVar( "emitLiveRank" );
+            Loop( { start: 0, end: EMIT_BLOCK, type: 'uint', name: 'k', condition: '<' }, ( { k } ) => {
+                const i = first.add( k ).toConst( "emitScatterI" );
+                If( i.lessThan( this.uniforms.emitPool ), () => {
+                    If( isDead( i ), () => {
+                        If( deadRank.lessThan( free ), () => {
+                            this.emitSlots.element( deadRank ).assign( i );
+                        });
+                        deadRank.addAssign( 1 );
+                    }).Else( () => {
+                        // 生きている粒子が無ければここには来ない（live > 0）
+                        const r = liveRank.add( live ).sub( liveBeforeCursor ).mod( live ).toConst( "emitRingRank" );
+                        If( r.lessThan( need ), () => {
+                            this.emitSlots.element( free.add( r ) ).assign( i );
+                            If( r.equal( need.sub( 1 ) ), () => {
+                                this.emitState.element( uint( EMIT_STATE_CURSOR ) ).assign( i.add( 1 ).mod( this.uniforms.emitPool ) );
+                            });
+                        });
+                        liveRank.addAssign( 1 );
+                    });
+                });
+            });
+        })().compute( 1 );
+
+        // ===== エミッター（emitSlots[i] の粒子に出す） =====
+        this.kernels.emit = Fn(() => {
+            If( instanceIndex.greaterThanEqual( this.uniforms.emitCount ), () => { Return(); } );
+            const index = this.emitSlots.element( instanceIndex ).toConst( "emitIndex" );
+            const seed = instanceIndex.add( this.uniforms.emitSeed ).mul( uint( 5 ) ).toConst( "emitSeedI" );
+            const r1 = hash( seed ).toConst( "er1" );
+            const r2 = hash( seed.add( uint( 1 ) ) ).toConst( "er2" );
+            const r3 = hash( seed.add( uint( 2 ) ) ).toConst( "er3" );
+            const r4 = hash( seed.add( uint( 3 ) ) ).toConst( "er4" );
+            const r5 = hash( seed.add( uint( 4 ) ) ).toConst( "er5" );
+            const randomDir = vec3( r1, r2, r3 ).mul( 2 ).sub( 1 ).add( 0.0001 ).normalize().toConst( "eDir" );
+
+            const center = this.uniforms.emitA.xyz;
+            const radius = this.uniforms.emitA.w;
+            const shape = this.uniforms.emitShape;
+            const p = vec3( center ).toVar( "eP" );
+            const n = this.uniforms.emitB.xyz.toVar( "eN" );
+            If( shape.equal( uint( EMITTER_SHAPES.point ) ), () => {
+                // 球の中（放射状に出す）
+                p.addAssign( randomDir.mul( radius ).mul( pow( r4, 0.3333333 ) ) );
+                n.assign( randomDir );
+            }).ElseIf( shape.equal( uint( EMITTER_SHAPES.disc ) ), () => {
+                // normal に垂直な円盤の中
+                const up = select( n.y.abs().lessThan( 0.99 ), vec3( 0, 1, 0 ), vec3( 1, 0, 0 ) );
+                const t1 = cross( n, up ).normalize().toConst( "eT1" );
+                const t2 = cross( n, t1 ).toConst( "eT2" );
+                const angle = r4.mul( 6.28318530718 );
+                const rr = sqrt( r5 ).mul( radius );
+                p.addAssign( t1.mul( angle.cos() ).add( t2.mul( angle.sin() ) ).mul( rr ) );
+            }).ElseIf( shape.equal( uint( EMITTER_SHAPES.box ) ), () => {
+                p.addAssign( vec3( r1, r2, r3 ).sub( 0.5 ).mul( this.uniforms.emitSize ) );
+            }).Else( () => {
+                // mesh: 表面のサンプルから1点
+                const sample = uint( r4.mul( MESH_SAMPLE_COUNT ) ).min( uint( MESH_SAMPLE_COUNT - 1 ) ).toConst( "eSample" );
+                p.assign( this.meshSamplePositions.element( sample ).xyz );
+                n.assign( this.meshSampleNormals.element( sample ).xyz );
+            });
+            p.assign( clamp( p, vec3( 1.0 ), vec3( this.uniforms.gridSize ).sub( 1.001 ) ) );
+
+            const velocity = this.uniforms.emitVelocity.xyz
+                .add( n.mul( this.uniforms.emitB.w ) )
+                .add( randomDir.mul( this.uniforms.emitVelocity.w ).mul( r5 ) )
+                .toConst( "eVel" );
+
+            const particle = this.particleBuffer.element( index );
+            particle.get('position').assign( p );
+            particle.get('velocity').assign( velocity );
+            particle.get('mass').assign( float( 1.0 ).sub( r5.mul( 0.002 ) ) );
+            particle.get('density').assign( 0.0 );
+            particle.get('C').assign( mat3(0) );
+            particle.get('F').assign( identity3() );
+            particle.get('Jp').assign( 1.0 );
+            particle.get('material').assign( this.uniforms.emitMaterial );
+            particle.get('direction').assign( select( velocity.length().greaterThan( 0.0001 ), velocity, vec3( 0, 0, 1 ) ) );
+            particle.get('color').assign( this.uniforms.emitTint.xyz );
+            particle.get('tint').assign( this.uniforms.emitTint );
+            particle.get('alive').assign( 1.0 );
+        })().compute( this.maxEmitPerDispatch );
+
+        // ===== マテリアルの切り替え（setMaterial） =====
+        // 粒子ごとのハッシュが [lo, hi) に入ったものだけ書き換える → lo/hi を時間で進めると少しずつ切り替わる
+        this.kernels.assignMaterial = Fn(() => {
+            If( instanceIndex.greaterThanEqual( uint( maxParticles ) ), () => { Return(); } );
+            If( instanceIndex.lessThan( this.uniforms.materialStart ).or( instanceIndex.greaterThanEqual( this.uniforms.materialEnd ) ), () => { Return(); } );
+
+            const h = hash( instanceIndex.add( uint( 7919 ) ) ).toConst( "materialHash" );
+            If( h.greaterThanEqual( this.uniforms.materialLo ).and( h.lessThan( this.uniforms.materialHi ) ), () => {
+                const particle = this.particleBuffer.element( instanceIndex );
+                particle.get('material').assign( this.uniforms.materialId );
+                // 今の形を新しいマテリアルの「元の形」にする
+                particle.get('F').assign( identity3() );
+                particle.get('Jp').assign( 1.0 );
+            });
         })().compute( maxParticles );
         
         // 初期パーティクル数でカーネルのdispatch countを設定
-        this.kernels.p2g1.count = this.numParticles;
-        this.kernels.p2g1.updateDispatchCount();
-        this.kernels.p2g2.count = this.numParticles;
-        this.kernels.p2g2.updateDispatchCount();
-        this.kernels.g2p.count = this.numParticles;
-        this.kernels.g2p.updateDispatchCount();
+        this.setParticleCount(this.numParticles);
+    }
+
+    /**
+     * 計算する粒数（conf.particles）を変える。粒子を使うカーネルの dispatch 数もここで合わせる
+     */
+    setParticleCount(count) {
+        this.numParticles = count;
+        this.uniforms.numParticles.value = count;
+        for (const kernel of [this.kernels.p2g1, this.kernels.p2g2, this.kernels.g2p]) {
+            kernel.count = count;
+            kernel.updateDispatchCount();
+        }
+        this.sorter.setParticleCount(count);
+        // 並び順は粒数ぶんしか無いので、次のサブステップで必ず並べ直す
+        this._sortedCount = -1;
+    }
+
+    /**
+     * 1サブステップ分のカーネル（この順に computeAsync する）
+     * @param {boolean} sort - 先に粒子をセル順に並べ直す
+     */
+    getSubstepKernels(sort = false) {
+        const kernels = [this.kernels.clearGrid, this.kernels.p2g1, this.kernels.p2g2, this.kernels.updateGrid, this.kernels.g2p];
+        return sort ? [...this.sorter.getKernels(), ...kernels] : kernels;
+    }
+
+    /**
+     * グリッドの大きさを決める（範囲外は丸める。セル数が多すぎる時は 64^3）
+     * NOTE: 起動時にバッファを確保するので、途中では変えられない（init の前に決める）
+     */
+    resolveGridSize(value) {
+        const parsed = parseGridSize(value);
+        if (!parsed) {
+            console.warn(`MPM: グリッドの大きさ ${value} は無効です（例: 128x32x128）。64x64x64 にします`);
+            return [64, 64, 64];
+        }
+        const size = parsed.map((d) => Math.min(Math.max(d, MIN_GRID_SIZE), MAX_GRID_SIZE));
+        if (size.join() !== parsed.join()) {
+            console.warn(`MPM: グリッドの1辺は ${MIN_GRID_SIZE}..${MAX_GRID_SIZE} です（${parsed.join('x')} → ${size.join('x')}）`);
+        }
+        if (size[0] * size[1] * size[2] > MAX_GRID_CELLS) {
+            console.warn(`MPM: グリッドが大きすぎます（${size.join('x')}、セル数の上限 ${MAX_GRID_CELLS}）。64x64x64 にします`);
+            return [64, 64, 64];
+        }
+        return size;
+    }
+
+    /**
+     * グリッド座標 → ワールド座標の変換（レンダラーとシーンで共通）
+     * - 一番長い辺が 1（64^3 なら 1/64 で今まで通り）。細かくしても箱の見た目の大きさは変わらない
+     * - X/Z は箱の中心が原点、Y は床が 0。Z は WORLD_Z_SCALE 倍に潰す
+     * @returns {{ scale: number, offset: THREE.Vector3 }} object.scale = scale / object.position = offset（粒子は Z を WORLD_Z_SCALE 倍して置く）
+     */
+    getWorldTransform() {
+        const scale = 1 / Math.max(this.gridSize.x, this.gridSize.y, this.gridSize.z);
+        const offset = new THREE.Vector3(
+            -this.gridSize.x * 0.5 * scale,
+            0,
+            -this.gridSize.z * 0.5 * scale * WORLD_Z_SCALE
+        );
+        return { scale, offset };
+    }
+
+    gridToWorld(gridPos, target = new THREE.Vector3()) {
+        const { scale, offset } = this.getWorldTransform();
+        return target.set(gridPos.x, gridPos.y, gridPos.z * WORLD_Z_SCALE).multiplyScalar(scale).add(offset);
     }
 
     setMouseRay(origin, direction, pos) {
@@ -556,15 +1207,19 @@ class mlsMpmSimulator {
      * - durationMs: ms → 持続時間（短いほど前回の位置に近い）
      */
     applyTrack5Force(noteNumber = 64, velocity = 127, durationMs = 120) {
-        const now = Date.now();
+        const now = clock.now();
         const dur = Math.max(0, Number(durationMs) || 0);
         const effectiveDuration = dur > 0 ? dur : 120;
 
-        // 境界（wallMin=1, wallMax=63、範囲62）
-        // NOTE: 実際の粒子位置は max=62.999 でクランプされる（近傍参照の安全域）
+        // 境界（wallMin=1, wallMax=gridSize-1。64^3 なら範囲62）
+        // NOTE: 実際の粒子位置は max=gridSize-1.001 でクランプされる（近傍参照の安全域）
         const boxMin = 1;
-        const boxMax = 63;
-        const boxRange = boxMax - boxMin; // 62
+        const boxMax = this.gridSize.clone().subScalar(1);
+        const boxRangeX = boxMax.x - boxMin;
+        const boxRangeY = boxMax.y - boxMin;
+        const boxRangeZ = boxMax.z - boxMin;
+        // 前回からの距離/半径は水平の短い方の辺を基準にする（64^3 で 62）
+        const boxRange = Math.min(boxRangeX, boxRangeZ);
 
         let x, y, z;
         
@@ -572,7 +1227,7 @@ class mlsMpmSimulator {
         // - yも「ノート固定」ではなくランダムを混ぜる
         // - ロール時の「前回近傍」拘束は弱め（超短い時だけ少し残す）
         const note01 = Math.min(Math.max((Number(noteNumber) ?? 64) / 127, 0), 1);
-        const rand01 = () => Math.random();
+        const rand01 = () => rng.next();
 
         // デュレーションが短い（ロール）場合は前回の位置に近づける（scene08互換）
         if (effectiveDuration > 0 && effectiveDuration < 150 && this.lastForceCenter) {
@@ -581,23 +1236,23 @@ class mlsMpmSimulator {
             const minDistance = boxRange * 0.15 + proximityFactor * boxRange * 0.05; // 9.3..12.4
             const maxDistance = boxRange * 0.45; // 27.9
 
-            const angle = Math.random() * Math.PI * 2;
-            const distance = minDistance + Math.random() * (maxDistance - minDistance);
+            const angle = rng.next() * Math.PI * 2;
+            const distance = minDistance + rng.next() * (maxDistance - minDistance);
             x = this.lastForceCenter.x + Math.cos(angle) * distance;
             z = this.lastForceCenter.z + Math.sin(angle) * distance;
 
             // 範囲内にクランプ（回り込みはやめて素直にランダム性優先）
-            x = Math.min(Math.max(x, boxMin), boxMax);
-            z = Math.min(Math.max(z, boxMin), boxMax);
+            x = Math.min(Math.max(x, boxMin), boxMax.x);
+            z = Math.min(Math.max(z, boxMin), boxMax.z);
         } else {
             // 基本は完全ランダム
-            x = boxMin + rand01() * boxRange;
-            z = boxMin + rand01() * boxRange;
+            x = boxMin + rand01() * boxRangeX;
+            z = boxMin + rand01() * boxRangeZ;
         }
         
         // yは「ノート」30% + 「ランダム」70% で、よりBox内に散らす
         const y01 = note01 * 0.3 + rand01() * 0.7;
-        y = boxMin + y01 * boxRange;
+        y = boxMin + y01 * boxRangeY;
 
         // 前回の位置を更新
         this.lastForceCenter = new THREE.Vector3(x, y, z);
@@ -611,7 +1266,8 @@ class mlsMpmSimulator {
         const strength = 14.0 * v01 * durationScale;
 
         // 半径（durationが長いほど広い、全体的に少し大きめ）
-        const radius = 14 + Math.min(effectiveDuration / 120, 30); // 14..44
+        // NOTE: 64^3 の時の大きさ。グリッドを変えたら箱（水平の短い辺）に対して同じ割合になるように
+        const radius = (14 + Math.min(effectiveDuration / 120, 30)) * (boxRange / 62); // 14..44
 
         // 空きスロット、なければ最も早く終わるものを上書き
         let slot = -1;
@@ -650,7 +1306,8 @@ class mlsMpmSimulator {
     }
 
     async update(interval, elapsed) {
-        const { particles, run, noise, dynamicViscosity, stiffness, restDensity, speed, gravity, gravitySensorReading, accelerometerReading, heatSpeedMin, heatSpeedMax } = conf;
+        if (this.benchmarking) return;
+        const { particles, run, noise, dynamicViscosity, stiffness, restDensity, speed, gravity, gravitySensorReading, accelerometerReading, heatSpeedMin, heatSpeedMax, elasticity, poissonRatio, snowHardening, sandFrictionAngle, mpmSortParticles, mpmSortInterval } = conf;
 
         // Track5以外で動かさない：ノイズ/重力は無効化（impulseだけで動かす）
         this.uniforms.noise.value = this.onlyImpulseMotion ? 0.0 : noise;
@@ -670,15 +1327,17 @@ class mlsMpmSimulator {
         this.uniforms.dynamicViscosity.value = dynamicViscosity;
         this.uniforms.restDensity.value = restDensity;
 
+        // 固体: ヤング率/ポアソン比 → Lamé 定数、砂: 摩擦角 → Drucker-Prager の α
+        const E = Math.max(0, Number(elasticity) || 0);
+        const nu = Math.min(Math.max(Number(poissonRatio) || 0, 0), 0.45);
+        this.uniforms.materialMu.value = E / (2 * (1 + nu));
+        this.uniforms.materialLambda.value = E * nu / ((1 + nu) * (1 - 2 * nu));
+        this.uniforms.snowHardening.value = Number(snowHardening) || 0;
+        const sinPhi = Math.sin((Number(sandFrictionAngle) || 0) * Math.PI / 180);
+        this.uniforms.sandFriction.value = Math.sqrt(2 / 3) * 2 * sinPhi / (3 - sinPhi);
+
         if (particles !== this.numParticles) {
-            this.numParticles = particles;
-            this.uniforms.numParticles.value = particles;
-            this.kernels.p2g1.count = particles;
-            this.kernels.p2g1.updateDispatchCount();
-            this.kernels.p2g2.count = particles;
-            this.kernels.p2g2.updateDispatchCount();
-            this.kernels.g2p.count = particles;
-            this.kernels.g2p.updateDispatchCount();
+            this.setParticleCount(particles);
         }
 
         interval = Math.min(interval, 1/60);
@@ -693,7 +1352,7 @@ class mlsMpmSimulator {
         this.uniforms.heatSpeedMax.value = Number(heatSpeedMax ?? 0.05);
 
         // Track5 impulse: スロットごとにdurationで減衰（終わったら0）
-        const nowMs = Date.now();
+        const nowMs = clock.now();
         let impulseActive = false;
         for (let i = 0; i < this.maxImpulses; i++) {
             const imp = this.impulses[i];
@@ -727,6 +1386,12 @@ class mlsMpmSimulator {
             }
         }
         
+        // マテリアルの切り替え / エミッター（止まっていても進める）
+        await this.updateMaterialMorph(nowMs);
+        this.updateSinkUniforms();
+        this.updateColliders(nowMs, dt);
+        await this.updateEmitters(nowMs);
+
         // Track5以外では完全停止
         if (this.freezeWhenNoImpulse && !impulseActive) {
             return;
@@ -736,17 +1401,267 @@ class mlsMpmSimulator {
         this._lastImpulseActive = impulseActive;
         
         if (run) {
-            const kernels = [this.kernels.clearGrid, this.kernels.p2g1, this.kernels.p2g2, this.kernels.updateGrid, this.kernels.g2p];
-            await this.renderer.computeAsync(kernels);
+            // 並べ替え: mpmSortInterval フレームごと（粒数が変わった直後は必ず）。OFF にしたら粒子番号の順に戻す
+            const sortEnabled = !!mpmSortParticles;
+            this._sortFrame = (this._sortFrame ?? 0) + 1;
+            const sort = sortEnabled && (this._sortedCount !== this.numParticles || this._sortFrame >= Math.max(1, Number(mpmSortInterval) || 1));
+            if (sort) {
+                this._sortFrame = 0;
+                this._sortedCount = this.numParticles;
+            }
+            this.uniforms.useSortedIndex.value = sortEnabled ? 1 : 0;
+            await this.renderer.computeAsync(this.getSubstepKernels(sort));
         }
     }
     
+    /**
+     * 粒子のマテリアルを切り替える
+     * @param {string|number} material - MPM_MATERIALS の名前/番号（jelly / dust などの別名も可）
+     * @param {Object} options
+     * @param {number} options.durationMs - この時間をかけて粒子を少しずつ切り替える（0 で次のフレームに全部）
+     * @param {number} options.start - 対象の粒子番号の先頭（エミッター用。デフォルトは全部）
+     * @param {number} options.count - 対象の粒子数
+     * @returns {boolean} 切り替えを始めたら true
+     */
+    setMaterial(material, { durationMs = 0, start = 0, count = this.maxParticles } = {}) {
+        const id = resolveMaterial(material);
+        if (id === null) {
+            console.warn(`MPM: 未知のマテリアル ${material}（${Object.keys(MPM_MATERIALS).join(' / ')}）`);
+            return false;
+        }
+        const from = Math.min(Math.max(Math.floor(Number(start) || 0), 0), this.maxParticles);
+        const to = Math.min(from + Math.max(Math.floor(Number(count) || 0), 0), this.maxParticles);
+        // 全体を切り替えた時だけ「今のマテリアル」にする（resetParticles もこれを使う）
+        if (from === 0 && to === this.maxParticles) this.material = id;
+        this.materialMorph = {
+            id,
+            startMs: clock.now(),
+            durationMs: Math.max(0, Number(durationMs) || 0),
+            done: 0,
+            start: from,
+            end: to
+        };
+        return true;
+    }
+
+    /**
+     * 今のマテリアルの名前
+     */
+    getMaterialName() {
+        return materialName(this.material);
+    }
+
+    async updateMaterialMorph(nowMs = clock.now()) {
+        const morph = this.materialMorph;
+        if (!morph || !this.kernels.assignMaterial) return;
+        const t = morph.durationMs > 0 ? Math.min(1, (nowMs - morph.startMs) / morph.durationMs) : 1;
+        if (t <= morph.done) return;
+
+        this.uniforms.materialId.value = morph.id;
+        this.uniforms.materialStart.value = morph.start;
+        this.uniforms.materialEnd.value = morph.end;
+        this.uniforms.materialLo.value = morph.done;
+        // 最後はハッシュ=1.0 ちょうども拾う
+        this.uniforms.materialHi.value = t >= 1 ? 2.0 : t;
+        morph.done = t;
+        if (t >= 1) this.materialMorph = null;
+        await this.renderer.computeAsync([ this.kernels.assignMaterial ]);
+    }
+
+    /**
+     * エミッターを足す（options は MpmEmitter）
+     * @returns {MpmEmitter}
+     */
+    addEmitter(options = {}) {
+        const emitter = options instanceof MpmEmitter ? options : new MpmEmitter(options);
+        this.emitters.push(emitter);
+        return emitter;
+    }
+
+    removeEmitter(emitter) {
+        this.emitters = this.emitters.filter((e) => e !== emitter);
+        if (this._meshSamplesOwner === emitter) this._meshSamplesOwner = null;
+    }
+
+    /**
+     * シンクを足す（options は MpmSink。maxSinks 個まで）
+     * @returns {MpmSink|null}
+     */
+    addSink(options = {}) {
+        if (this.sinks.length >= this.maxSinks) {
+            console.warn(`MPM: シンクは ${this.maxSinks} 個まで`);
+            return null;
+        }
+        const sink = options instanceof MpmSink ? options : new MpmSink(options);
+        this.sinks.push(sink);
+        return sink;
+    }
+
+    removeSink(sink) {
+        this.sinks = this.sinks.filter((s) => s !== sink);
+    }
+
+    updateSinkUniforms() {
+        for (let i = 0; i < this.maxSinks; i++) {
+            const sink = this.sinks[i];
+            const a = this.uniforms[`sinkA${i}`].value;
+            const b = this.uniforms[`sinkB${i}`].value;
+            const c = this.uniforms[`sinkC${i}`].value;
+            if (!sink || !sink.enabled) {
+                a.set(0, 0, 0, 0);
+                continue;
+            }
+            a.set(sink.shapeId, sink.position.x, sink.position.y, sink.position.z);
+            if (sink.shape === 'box') {
+                b.set(sink.size.x / 2, sink.size.y / 2, sink.size.z / 2, 0);
+            } else {
+                b.set(sink.normal.x, sink.normal.y, sink.normal.z, sink.radius);
+            }
+            c.set(sink.thickness / 2, 0, 0, 0);
+        }
+    }
+
+    /**
+     * コライダーを足す（options は MpmCollider。maxColliders 個まで。同じ名前があれば置き換え）
+     * @returns {MpmCollider|null}
+     */
+    addCollider(options = {}) {
+        const collider = options instanceof MpmCollider ? options : new MpmCollider(options);
+        if (collider.name) this.removeCollider(collider.name);
+        if (this.colliders.length >= this.maxColliders) {
+            console.warn(`MPM: コライダーは ${this.maxColliders} 個まで`);
+            return null;
+        }
+        if (collider.shape === 'sdf' && this.colliders.some((c) => c.shape === 'sdf')) {
+            console.warn('MPM: sdf のコライダーは同時に1個まで（前のものを外します）');
+            this.colliders = this.colliders.filter((c) => c.shape !== 'sdf');
+        }
+        this.colliders.push(collider);
+        return collider;
+    }
+
+    /**
+     * @param {MpmCollider|string} collider - コライダーか名前
+     */
+    removeCollider(collider) {
+        this.colliders = this.colliders.filter((c) => c !== collider && !(typeof collider === 'string' && c.name === collider));
+    }
+
+    getCollider(name) {
+        return this.colliders.find((c) => c.name === name) ?? null;
+    }
+
+    updateColliders(nowMs, dt) {
+        for (let i = 0; i < this.maxColliders; i++) {
+            const collider = this.colliders[i];
+            const a = this.uniforms[`colliderA${i}`].value;
+            if (!collider || !collider.enabled) {
+                a.set(0, 0, 0, 0);
+                continue;
+            }
+            collider.update(nowMs, dt);
+            if (collider.shape === 'sdf') {
+                if (!collider.sdf) {
+                    a.set(0, 0, 0, 0);
+                    continue;
+                }
+                this.uploadSdf(collider);
+            }
+            a.set(collider.shapeId, collider.mode, collider.friction, collider.radius);
+            this.uniforms[`colliderP${i}`].value.set(collider.position.x, collider.position.y, collider.position.z, collider.length / 2);
+            this.uniforms[`colliderB${i}`].value.set(collider.size.x / 2, collider.size.y / 2, collider.size.z / 2, 0);
+            this.uniforms[`colliderV${i}`].value.set(collider.velocity.x, collider.velocity.y, collider.velocity.z, 0);
+            const r = collider.rotation;
+            this.uniforms[`colliderQ${i}`].value.set(r.x, r.y, r.z, r.w);
+        }
+    }
+
+    uploadSdf(collider) {
+        if (this._sdfOwner === collider && this._sdfVersion === collider.sdfVersion) return;
+        const { data, resolution, min, voxel } = collider.sdf;
+        this.sdfBuffer.value.array.set(data);
+        this.sdfBuffer.value.needsUpdate = true;
+        this.uniforms.sdfResolution.value = resolution;
+        this.uniforms.sdfMin.value.copy(min);
+        this.uniforms.sdfVoxel.value.copy(voxel);
+        this._sdfOwner = collider;
+        this._sdfVersion = collider.sdfVersion;
+    }
+
+    /**
+     * エミッターから count 粒を今すぐ出す（普段は emitter.pour() / rate で update に任せる）
+     */
+    async emit(emitter, count) {
+        if (!this.kernels.emit || !emitter) return 0;
+        const pool = Math.max(1, this.numParticles);
+        const n = Math.min(Math.floor(count), pool, this.maxEmitPerDispatch);
+        if (n <= 0) return 0;
+        if (emitter.shape === 'mesh') {
+            if (!emitter.meshSamples) return 0;
+            this.uploadMeshSamples(emitter);
+        }
+
+        const u = this.uniforms;
+        u.emitCount.value = n;
+        u.emitPool.value = pool;
+        u.emitSeed.value = Math.floor(rng.next() * 0x7fffffff);
+        u.emitShape.value = emitter.shapeId;
+        const material = emitter.material !== null ? resolveMaterial(emitter.material) : null;
+        u.emitMaterial.value = material ?? this.material;
+        u.emitA.value.set(emitter.position.x, emitter.position.y, emitter.position.z, emitter.radius);
+        u.emitB.value.set(emitter.normal.x, emitter.normal.y, emitter.normal.z, emitter.speed);
+        u.emitSize.value.copy(emitter.size);
+        u.emitVelocity.value.set(emitter.velocity.x, emitter.velocity.y, emitter.velocity.z, emitter.spread);
+        if (emitter.color) {
+            u.emitTint.value.set(emitter.color.r, emitter.color.g, emitter.color.b, emitter.colorMix);
+        } else {
+            u.emitTint.value.set(0, 0, 0, 0);
+        }
+
+        const blocks = Math.ceil(pool / EMIT_BLOCK);
+        for (const kernel of [this.kernels.emitCountDead, this.kernels.emitScatter]) {
+            kernel.count = blocks;
+            kernel.updateDispatchCount();
+        }
+        this.kernels.emit.count = n;
+        this.kernels.emit.updateDispatchCount();
+        const { emitCountDead, emitScan, emitScatter, emit } = this.kernels;
+        await this.renderer.computeAsync([ emitCountDead, emitScan, emitScatter, emit ]);
+        return n;
+    }
+
+    uploadMeshSamples(emitter) {
+        if (this._meshSamplesOwner === emitter && this._meshSamplesVersion === emitter.meshVersion) return;
+        this.meshSamplePositions.value.array.set(emitter.meshSamples.positions);
+        this.meshSamplePositions.value.needsUpdate = true;
+        this.meshSampleNormals.value.array.set(emitter.meshSamples.normals);
+        this.meshSampleNormals.value.needsUpdate = true;
+        this._meshSamplesOwner = emitter;
+        this._meshSamplesVersion = emitter.meshVersion;
+    }
+
+    async updateEmitters(nowMs = clock.now()) {
+        for (const emitter of this.emitters) {
+            const n = emitter.take(nowMs);
+            if (n > 0) await this.emit(emitter, n);
+        }
+    }
+
+    /**
+     * 全粒子を消す（エミッターで注ぐ時の空の箱。resetParticles で球に戻る）
+     */
+    async clearParticles() {
+        if (!this.kernels.clearParticles) return;
+        await this.renderer.computeAsync([ this.kernels.clearParticles ]);
+        await this.renderer.computeAsync([ this.kernels.clearGrid ]);
+    }
+
     /**
      * 現在アクティブなimpulseがあるかどうかを返す（update()を呼ばなくてもチェック可能）
      * @returns {boolean}
      */
     hasAnyActiveImpulse() {
-        const nowMs = Date.now();
+        const nowMs = clock.now();
         for (let i = 0; i < this.maxImpulses; i++) {
             const imp = this.impulses[i];
             if (imp && nowMs <= imp.endMs) {
@@ -763,7 +1678,8 @@ class mlsMpmSimulator {
 
     async resetParticles() {
         if (!this.kernels.resetParticles) return;
-        // パーティクルをリセット（速度を0に、密度も0に）
+        // パーティクルをリセット（速度を0に、密度も0に。マテリアルは今のものに揃える）
+        this.uniforms.materialId.value = this.material;
         await this.renderer.computeAsync([ this.kernels.resetParticles ]);
         // Gridもクリアして、残っているVelocityを消す
         const cellCount = this.gridSize.x * this.gridSize.y * this.gridSize.z;
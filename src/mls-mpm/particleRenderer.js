@@ -2,6 +2,7 @@ import * as THREE from "three/webgpu";
 import {Fn, attribute, triNoise3D, time, vec3, vec4, float, varying,instanceIndex,mix,normalize,cross,mat3,normalLocal,transformNormalToView,mx_hsvtorgb,mrt,uniform,fract,sin,cos,dot} from "three/tsl";
 import * as BufferGeometryUtils from 'three/examples/jsm/utils/BufferGeometryUtils.js';
 import {conf} from "../common/conf.js";
+import {WORLD_Z_SCALE} from "./mlsMpmSimulator.js";
 
 
 export const calcLookAtMatrix = /*#__PURE__*/ Fn( ( [ target_immutable ] ) => {
@@ -168,12 +169,14 @@ class ParticleRenderer {
             const mat = calcLookAtMatrix(particleDirection.xyz);
             const matTwist = mat.mul(rotZ).toConst("pMatTwist");
             vNormal.assign(transformNormalToView(matTwist.mul(normalLocal)));
-            vAo.assign(particlePosition.z.div(64));
+            vAo.assign(particlePosition.z.div(float(this.mlsMpmSim.gridSize.z)));
             vAo.assign(vAo.mul(vAo).oneMinus());
+            // シンクに入った/まだ出ていない粒子（alive=0）は大きさ0で消す
             return matTwist
                 .mul(attribute("position").xyz.mul(this.uniforms.size).mul(sizeRand))
                 .mul(particleDensity.mul(0.4).add(0.5).clamp(0,1))
-                .add(particlePosition.mul(vec3(1,1,0.4)));
+                .mul(particle.get("alive"))
+                .add(particlePosition.mul(vec3(1,1,WORLD_Z_SCALE)));
         })();
         // ヒートマップ色（既存）を基準に、グレースケールへ戻していく
         const heatColor = particle.get("color");
@@ -192,13 +195,13 @@ class ParticleRenderer {
 
         this.object.frustumCulled = false;
 
-        const s = (1/64);
-        // world transform:
+        // world transform（mlsMpmSim.getWorldTransform。64^3 の時）:
         // - x: (pos.x / 64) - 0.5
         // - y: (pos.y / 64)
         // - z: (pos.z / 64) * 0.4  ※Zも中心(32)基準にオフセットして手前(負)側へ来れるようにする
-        this.object.position.set(-32.0*s, 0, -32.0*s*0.4);
-        this.object.scale.set(s,s,s);
+        const { scale, offset } = this.mlsMpmSim.getWorldTransform();
+        this.object.position.copy(offset);
+        this.object.scale.setScalar(scale);
         // 15万インスタンスで shadow は一気に重くなるので conf で制御（デフォOFF）
         this.object.castShadow = !!conf.particleCastShadow;
         this.object.receiveShadow = !!conf.particleReceiveShadow;
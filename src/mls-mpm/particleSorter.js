@@ -0,0 +1,151 @@
+/**
+ * MLS-MPM の粒子をセル順に並べる（カウンティングソート。conf.mpmSortParticles、実験的でデフォルトOFF）
+ * - P2G / G2P はスレッド i が sortedIndex[i] の粒子を扱う。隣のスレッドが同じ/隣のセルを触るので、
+ *   atomicAdd とグリッドの読み込みはまとまる。その代わり粒子バッファの読み書きは飛び飛びになり、
+ *   並べ替えの5パスも足されるので、速くなるかは GPU と粒数次第（/mavrx/bench で比べる）
+ * - 粒子バッファ自体は並べ替えない（レンダラーやエミッターは粒子番号で色/大きさ/リングバッファを決めているため）
+ *
+ * 手順（全部 GPU。1回の sort で5パス）:
+ *   clear   : セルごとの粒数を 0 に
+ *   count   : 粒子のセルの粒数を atomicAdd（戻り値 = セルの中での順番 rank）
+ *   scan    : SCAN_BLOCK セルずつ1スレッドで累積（ブロックの中の開始位置 + ブロックの合計）
+ *   scanSum : ブロックの合計を1スレッドで累積（ブロックの開始位置）
+ *   scatter : sortedIndex[ブロックの開始 + ブロックの中の開始 + rank] = 粒子番号
+ *
+ * NOTE:
+ * - 並び順は古くても結果は正しい（並べ替えただけなので）。粒数が変わった時だけは必ず並べ直す
+ * - scan はスレッドごとに SCAN_BLOCK セル、scanSum は1スレッドで順に回す（並列のスキャンにはしていない）
+ * - シェアードメモリでの P2G（ワークグループごとにセルを貯めてから書き出す）はまだ入れていない。
+ *   並べ替えで隣のスレッドが同じセルに書くようになったので、次に効くのはそこ
+ */
+
+import {Fn, If, Return, instancedArray, instanceIndex, uint, ivec3, vec3, clamp, atomicAdd, Loop, select} from "three/tsl";
+
+// scan で1スレッドが受け持つセル数（64^3 なら 1024 スレッド + ブロックの合計 1024 個）
+const SCAN_BLOCK = 256;
+
+export class ParticleSorter {
+    /**
+     * @param {import('./mlsMpmSimulator.js').default} sim - init の途中（particleBuffer / uniforms.gridSize を作った後）で渡す
+     */
+    constructor(sim) {
+        this.sim = sim;
+        this.kernels = {};
+        this.cellCount = 0;
+        this.blockCount = 0;
+        this.sortedIndex = null;
+    }
+
+    init() {
+        const sim = this.sim;
+        const maxParticles = sim.maxParticles;
+        const cellCount = sim.gridSize.x * sim.gridSize.y * sim.gridSize.z;
+        const blockCount = Math.ceil(cellCount / SCAN_BLOCK);
+        this.cellCount = cellCount;
+        this.blockCount = blockCount;
+
+        // 最初は 0..maxParticles（並べる前でもそのまま使えるように）
+        const identity = new Uint32Array(maxParticles);
+        for (let i = 0; i < maxParticles; i++) identity[i] = i;
+        this.sortedIndex = instancedArray(identity, 'uint').label('mpmSortedIndex');
+        this.cellCounts = instancedArray(new Uint32Array(cellCount), 'uint').label('mpmSortCellCounts');
+        this.cellStarts = instancedArray(new Uint32Array(cellCount), 'uint').label('mpmSortCellStarts');
+        this.blockStarts = instancedArray(new Uint32Array(blockCount), 'uint').label('mpmSortBlockStarts');
+        this.ranks = instancedArray(new Uint32Array(maxParticles), 'uint').label('mpmSortRanks');
+
+        const numParticles = sim.uniforms.numParticles;
+        const gridSize = sim.uniforms.gridSize;
+        const cellOf = (i) => {
+            const p = sim.particleBuffer.element(i).get('position').xyz;
+            // 消えた粒子も並べる（位置は箱の中に丸める）
+            const c = ivec3(clamp(p, vec3(0.0), vec3(gridSize.sub(1)))).toConst('sortCell');
+            return uint(c.x.mul(gridSize.y).mul(gridSize.z).add(c.y.mul(gridSize.z)).add(c.z)).toConst('sortCellPtr');
+        };
+
+        this.kernels.clear = Fn(() => {
+            this.cellCounts.setAtomic(false);
+            If(instanceIndex.greaterThanEqual(uint(cellCount)), () => {
+                Return();
+            });
+            this.cellCounts.element(instanceIndex).assign(0);
+        })().compute(cellCount);
+
+        this.kernels.count = Fn(() => {
+            this.cellCounts.setAtomic(true);
+            If(instanceIndex.greaterThanEqual(numParticles), () => {
+                Return();
+            });
+            const rank = atomicAdd(this.cellCounts.element(cellOf(instanceIndex)), uint(1));
+            this.ranks.element(instanceIndex).assign(rank);
+        })().compute(1);
+
+        this.kernels.scan = Fn(() => {
+            this.cellCounts.setAtomic(false);
+            If(instanceIndex.greaterThanEqual(uint(blockCount)), () => {
+                Return();
+            });
+            const sum = uint(0).toVar('blockSum');
+            const first = instanceIndex.mul(uint(SCAN_BLOCK)).toConst('blockFirst');
+            Loop({ start: 0, end: SCAN_BLOCK, type: 'uint', name: 'k', condition: '<' }, ({k}) => {
+                const cell = first.add(k).toConst('scanCell');
+                If(cell.lessThan(uint(cellCount)), () => {
+                    this.cellStarts.element(cell).assign(sum);
+                    sum.addAssign(this.cellCounts.element(cell));
+                });
+            });
+            this.blockStarts.element(instanceIndex).assign(sum);
+        })().compute(blockCount);
+
+        // ブロックの合計の累積は1スレッドで回す（64^3 なら 1024 回、セル数の上限 2^22 でも 16384 回）
+        this.kernels.scanSum = Fn(() => {
+            If(instanceIndex.greaterThan(uint(0)), () => {
+                Return();
+            });
+            const running = uint(0).toVar('running');
+            Loop({ start: 0, end: blockCount, type: 'uint', name: 'b', condition: '<' }, ({b}) => {
+                const total = this.blockStarts.element(b).toConst('blockTotal');
+                this.blockStarts.element(b).assign(running);
+                running.addAssign(total);
+            });
+        })().compute(1);
+
+        this.kernels.scatter = Fn(() => {
+            If(instanceIndex.greaterThanEqual(numParticles), () => {
+                Return();
+            });
+            const cell = cellOf(instanceIndex);
+            const dst = this.blockStarts.element(cell.div(uint(SCAN_BLOCK)))
+                .add(this.cellStarts.element(cell))
+                .add(this.ranks.element(instanceIndex));
+            this.sortedIndex.element(dst).assign(instanceIndex);
+        })().compute(1);
+
+        this.setParticleCount(sim.numParticles);
+    }
+
+    /**
+     * 粒数が変わった時（count / scatter の dispatch 数）
+     */
+    setParticleCount(count) {
+        for (const kernel of [this.kernels.count, this.kernels.scatter]) {
+            kernel.count = count;
+            kernel.updateDispatchCount();
+        }
+    }
+
+    /**
+     * 並べ替えのカーネル（この順に computeAsync する）
+     */
+    getKernels() {
+        const { clear, count, scan, scanSum, scatter } = this.kernels;
+        return [clear, count, scan, scanSum, scatter];
+    }
+
+    /**
+     * スレッド i が扱う粒子番号（P2G / G2P で instanceIndex の代わりに使う）
+     * @param {Node} enabled - 0 なら並べ替えを使わない（uint の uniform）
+     */
+    particleIndex(enabled) {
+        return select(enabled.equal(uint(0)), instanceIndex, this.sortedIndex.element(instanceIndex)).toConst('particleIndex');
+    }
+}
@@ -1,6 +1,7 @@
 import * as THREE from "three/webgpu";
-import {Fn, vec3,instanceIndex} from "three/tsl";
+import {Fn, vec3,instanceIndex,select} from "three/tsl";
 import {conf} from "../common/conf.js";
+import {WORLD_Z_SCALE} from "./mlsMpmSimulator.js";
 
 class PointRenderer {
     mlsMpmSim = null;
@@ -15,15 +16,17 @@ class PointRenderer {
         this.geometry.setAttribute('position', positionBuffer);
         this.object = new THREE.Points(this.geometry, material);
         material.positionNode = Fn(() => {
-            return this.mlsMpmSim.particleBuffer.element(instanceIndex).get('position').mul(vec3(1,1,0.4));
+            const particle = this.mlsMpmSim.particleBuffer.element(instanceIndex);
+            // alive=0 の粒子は画面の外へ
+            return select(particle.get('alive').greaterThan(0.5), particle.get('position').mul(vec3(1,1,WORLD_Z_SCALE)), vec3(-100000));
         })();
 
         this.object.frustumCulled = false;
 
-        const s = (1/64);
-        // ParticleRendererと同じ座標系に合わせる（Zも中心(32)基準でオフセット）
-        this.object.position.set(-32.0*s, 0, -32.0*s*0.4);
-        this.object.scale.set(s,s,s);
+        // ParticleRendererと同じ座標系に合わせる（Zも中心基準でオフセット）
+        const { scale, offset } = this.mlsMpmSim.getWorldTransform();
+        this.object.position.copy(offset);
+        this.object.scale.setScalar(scale);
         this.object.castShadow = true;
         this.object.receiveShadow = true;
     }
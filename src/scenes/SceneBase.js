@@ -28,6 +28,10 @@ import {
     time,
     uniform
 } from "three/tsl";
+import { clock } from '../common/clock.js';
+import { random } from '../common/random.js';
+
+const rng = random.stream('scene');
 
 export class SceneBase {
     constructor(renderer, camera) {
@@ -690,7 +694,7 @@ export class SceneBase {
         }
 
         // durationMs付きのエフェクトを自動でOFFにする
-        const now = Date.now();
+        const now = clock.now();
         if (this.fxEndTimeMs.invert > 0 && now >= this.fxEndTimeMs.invert) {
             this.fxUniforms.invert.value = 0.0;
             this.fxEndTimeMs.invert = 0;
@@ -712,7 +716,7 @@ export class SceneBase {
     setInvert(enabled, durationMs = 0) {
         if (!this.fxUniforms?.invert || !this.fxEndTimeMs) return;
         this.fxUniforms.invert.value = enabled ? 1.0 : 0.0;
-        this.fxEndTimeMs.invert = durationMs > 0 ? Date.now() + durationMs : 0;
+        this.fxEndTimeMs.invert = durationMs > 0 ? clock.now() + durationMs : 0;
         this.backgroundWhite = !!enabled;
     }
 
@@ -720,14 +724,14 @@ export class SceneBase {
         if (!this.fxUniforms?.chromaAmount || !this.fxEndTimeMs) return;
         const a = Math.min(Math.max(Number(amount01) || 0, 0), 1);
         this.fxUniforms.chromaAmount.value = a;
-        this.fxEndTimeMs.chroma = durationMs > 0 ? Date.now() + durationMs : 0;
+        this.fxEndTimeMs.chroma = durationMs > 0 ? clock.now() + durationMs : 0;
     }
 
     setGlitch(amount01, durationMs = 0) {
         if (!this.fxUniforms?.glitchAmount || !this.fxEndTimeMs) return;
         const a = Math.min(Math.max(Number(amount01) || 0, 0), 1);
         this.fxUniforms.glitchAmount.value = a;
-        this.fxEndTimeMs.glitch = durationMs > 0 ? Date.now() + durationMs : 0;
+        this.fxEndTimeMs.glitch = durationMs > 0 ? clock.now() + durationMs : 0;
     }
     
     /**
@@ -824,7 +828,7 @@ export class SceneBase {
         const forceMul = 0.06 + 0.12 * v01;
         // 1.00..1.04
         const speedMul = 1.00 + 0.04 * v01;
-        const now = Date.now();
+        const now = clock.now();
         // デフォは短め（長いと暴れが残りやすい）
         const holdMs = Math.max(0, Number(durationMs) || 0) > 0 ? Number(durationMs) : 80;
 
@@ -857,7 +861,7 @@ export class SceneBase {
             if (cps.length >= 2) {
                 let idx = this.currentCameraIndex;
                 while (idx === this.currentCameraIndex) {
-                    idx = Math.floor(Math.random() * cps.length);
+                    idx = Math.floor(rng.next() * cps.length);
                 }
                 this.currentCameraIndex = idx;
             }
@@ -870,7 +874,7 @@ export class SceneBase {
     updateTrack1CameraBoosts() {
         const cps = this.cameraParticles;
         if (!cps || cps.length === 0) return;
-        const now = Date.now();
+        const now = clock.now();
         cps.forEach((cp) => {
             if (!cp) return;
             const until = Number(cp.__track1BoostUntilMs || 0);
@@ -900,36 +904,19 @@ export class SceneBase {
      * OSCメッセージのハンドリング
      */
     handleOSC(message) {
-        // phaseを受け取るための入口（OSC側の仕様が変わってもSceneBaseは受け口だけ提供）
-        // - message.phase があれば優先
-        // - /phase などのaddressで飛んでくる場合は args[0] を採用
+        // NOTE:
+        // tick/bar/phase の判定は osc-server 側のルーティングテーブル（osc-routes.js）で済ませてあり、
+        // ここでは型付きイベントの値フィールドだけを見る。
+        // （以前は address.includes('tick') 等で拾っていたため、/tempo/tick のような無関係なアドレスでも反応していた）
         if (typeof message?.phase !== 'undefined') {
             this.setPhase(message.phase);
-        } else if (typeof message?.address === 'string' && message.address.includes('phase')) {
-            const v0 = message?.args?.[0];
-            if (typeof v0 !== 'undefined') {
-                this.setPhase(v0);
-            } else {
-                // /phase/3 みたいにaddressに値が埋まってるパターンも拾う
-                const m = message.address.match(/phase\/(-?\d+)/);
-                if (m) this.setPhase(Number(m[1]));
-            }
         }
-        
+
         // bar（小節）を受け取る処理（actual_barという名前で渡される）
         if (typeof message?.actual_bar !== 'undefined') {
             this.setBar(message.actual_bar);
         } else if (typeof message?.bar !== 'undefined') {
             this.setBar(message.bar);
-        } else if (typeof message?.address === 'string' && message.address.includes('bar')) {
-            const v0 = message?.args?.[0];
-            if (typeof v0 !== 'undefined') {
-                this.setBar(v0);
-            } else {
-                // /bar/3 みたいにaddressに値が埋まってるパターンも拾う
-                const m = message.address.match(/bar\/(-?\d+)/);
-                if (m) this.setBar(Number(m[1]));
-            }
         }
 
         // actual_tick（時間）を受け取る処理
@@ -937,17 +924,11 @@ export class SceneBase {
             this.setTick(message.actual_tick);
         } else if (typeof message?.tick !== 'undefined') {
             this.setTick(message.tick);
-        } else if (typeof message?.address === 'string' && message.address.includes('tick')) {
-            const v0 = message?.args?.[0];
-            if (typeof v0 !== 'undefined') {
-                this.setTick(v0);
-            } else {
-                // /tick/1234 みたいにaddressに値が埋まってるパターンも拾う
-                const m = message.address.match(/tick\/(-?\d+)/);
-                if (m) this.setTick(Number(m[1]));
-            }
         }
 
+        // ノート以外の型付きイベント（tick/bar/phaseなど）はトラック処理に流さない
+        if (message?.type && message.type !== 'note') return;
+
         const trackNumber = message.trackNumber;
         
         // trackEffectsの状態をチェック
@@ -1014,6 +995,81 @@ export class SceneBase {
     handleTrackNumber(trackNumber, message) {
         // サブクラスで実装
     }
+
+    /**
+     * マッピング（MappingManager）/ CC（CCManager）から動かせる範囲付きパラメータ
+     * - 共通のPostFX（initPostFX したシーンだけ）。シーン固有のものは [...super.getParameters(), ...] で足す
+     * - smoothing を書いておくと CC のスムージングのデフォルトになる
+     * @returns {Array<{name: string, min: number, max: number, get: Function, set: Function, smoothing?: Object}>}
+     */
+    getParameters() {
+        const params = [];
+        if (this.bloomPass) {
+            params.push({
+                name: 'bloom',
+                min: 0.0,
+                max: 3.0,
+                get: () => this.bloomPass.strength.value,
+                set: (v) => { this.bloomPass.strength.value = v; }
+            });
+        }
+        const fx = (name, key) => ({
+            name,
+            min: 0.0,
+            max: 1.0,
+            get: () => this.fxUniforms[key].value,
+            set: (v) => { this.fxUniforms[key].value = v; }
+        });
+        if (this.fxUniforms) {
+            params.push(fx('dof', 'dofAmount'), fx('edgeSoft', 'edgeSoft'), fx('fakeAO', 'fakeAO'));
+        }
+        return params;
+    }
+
+    /**
+     * マッピングから発火できるアクション
+     * - trigger({ value(0..1), velocity(0..127), note, durationMs })
+     * - 共通のPostFX/カメラはここ。シーン固有のものは [...super.getActions(), ...] で足す
+     * @returns {Array<{name: string, trigger: Function}>}
+     */
+    getActions() {
+        const dur = (ms) => (ms > 0 ? ms : 150);
+        return [
+            { name: 'invert', trigger: ({ durationMs }) => this.setInvert(true, dur(durationMs)) },
+            { name: 'chromatic', trigger: ({ value, durationMs }) => this.setChromatic(value, dur(durationMs)) },
+            { name: 'glitch', trigger: ({ value, durationMs }) => this.setGlitch(value * 0.7, dur(durationMs)) },
+            { name: 'camera', trigger: ({ velocity, durationMs }) => this.applyTrack1CameraImpulse(velocity, durationMs) }
+        ];
+    }
+
+    /**
+     * プリセット（PresetManager）で保存/呼び出しする見た目の状態
+     * - デフォルトは getParameters() の数値（モーフで補間される）
+     * - SHOW_xxx などのフラグは [...super.getPresetParameters(), this.flagParameter('SHOW_xxx')] で足す（モーフの頭で切り替わる）
+     * - 触ると自動の動きが止まるようなパラメータは filter で外す
+     * @returns {Array<{name: string, type: 'number'|'boolean', get: Function, set: Function}>}
+     */
+    getPresetParameters() {
+        return this.getParameters().map((p) => ({ ...p, type: 'number' }));
+    }
+
+    /**
+     * this[name] の true/false をプリセット用パラメータにする
+     * @param {string} name - プロパティ名（SHOW_WORLD_GRID など）
+     * @param {Function} onChange - 切り替えた時の反映（update で毎フレーム見ているものは不要）
+     */
+    flagParameter(name, onChange = null) {
+        return {
+            name,
+            type: 'boolean',
+            get: () => !!this[name],
+            set: (v) => {
+                if (!!this[name] === !!v) return;
+                this[name] = !!v;
+                if (onChange) onChange(this[name]);
+            }
+        };
+    }
     
     /**
      * エフェクトのオン/オフを切り替え（数字キー1-9用）
@@ -1185,7 +1241,7 @@ export class SceneBase {
                 this.screenshotTextX = frameX + frameWidth / 2;
             } else {
                 // ランダムな位置を決定（広い範囲で）
-                this.screenshotTextX = minX + Math.random() * (maxX - minX);
+                this.screenshotTextX = minX + rng.next() * (maxX - minX);
             }
             
             // Y位置もランダムに決定（より広い範囲で）
@@ -1196,7 +1252,7 @@ export class SceneBase {
                 this.screenshotTextY = frameY + frameHeight / 2;
             } else {
                 // ランダムな位置を決定（広い範囲で）
-                this.screenshotTextY = minY + Math.random() * (maxY - minY);
+                this.screenshotTextY = minY + rng.next() * (maxY - minY);
             }
         }
         
@@ -1204,7 +1260,7 @@ export class SceneBase {
         this.showScreenshotText = true;
         this.pendingScreenshot = true;
         this.pendingScreenshotFilename = filename;
-        this.screenshotTextEndTime = Date.now() + 1000; // 1秒後
+        this.screenshotTextEndTime = clock.now() + 1000; // 1秒後
     }
     
     /**
@@ -1220,7 +1276,7 @@ export class SceneBase {
         }
         
         // タイマーチェック
-        if (this.screenshotTextEndTime > 0 && Date.now() >= this.screenshotTextEndTime) {
+        if (this.screenshotTextEndTime > 0 && clock.now() >= this.screenshotTextEndTime) {
             this.showScreenshotText = false;
             this.screenshotTextEndTime = 0;
             this.pendingScreenshot = false;
@@ -1407,6 +1463,35 @@ export class SceneBase {
         this.oscStatus = status;
     }
     
+    /**
+     * 現在のカメラモード名（OSC送信/HUD用）
+     * - Scene03 のように cameraMode を文字列で持つシーンはそれを優先
+     * - それ以外は CameraParticle の modeName
+     */
+    getCameraModeName() {
+        if (typeof this.cameraMode === 'string') return this.cameraMode;
+        const cp = this.cameraParticles?.[this.currentCameraIndex];
+        return cp?.modeName ?? null;
+    }
+
+    /**
+     * カメラモードを名前で指定（ショーファイル用）
+     * - cameraMode を文字列で持つシーン（Scene03: follow/lead）はそのまま代入
+     * - それ以外は modeName が一致する CameraParticle に切り替える
+     * @returns {boolean} 切り替えられたか
+     */
+    setCameraMode(name) {
+        if (typeof this.cameraMode === 'string') {
+            if (this.cameraModes && !this.cameraModes.includes(name)) return false;
+            this.cameraMode = name;
+            return true;
+        }
+        const index = (this.cameraParticles || []).findIndex((cp) => cp?.modeName === name);
+        if (index < 0) return false;
+        this.currentCameraIndex = index;
+        return true;
+    }
+    
     /**
      * パーティクル数を設定
      */
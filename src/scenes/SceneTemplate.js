@@ -10,8 +10,10 @@
  * 使い方（最小）:
  * - `src/scenes/sceneXX/SceneXX.js` を作る
  * - `export class SceneXX extends SceneTemplate { ... }`
- * - `constructor()` で `this.title` と `this.trackEffects` だけ決める
+ * - ファイル末尾で `registerScene({ id, title, defaultTrackEffects, create })`（`../registry.js`）
+ *   → 自動で読み込まれてシーン一覧に入る（SceneManager/main.js の編集は不要）
  * - シーン固有の更新は `onUpdate()`、OSCトラック処理は `handleTrackNumber()` を上書き
+ * - マッピング（learn）に出したい値/動作は `getParameters()` / `getActions()` を上書き（`[...super.getActions(), ...]`）
  */
 
 import { SceneBase } from './SceneBase.js';
@@ -20,6 +22,7 @@ import { OrbitControls } from "three/examples/jsm/controls/OrbitControls";
 import hdri from '../assets/autumn_field_puresky_1k.hdr';
 import { conf } from '../common/conf.js';
 import { loadHdrCached } from '../lib/hdrCache.js';
+import { clock } from '../common/clock.js';
 
 export class SceneTemplate extends SceneBase {
     constructor(renderer, camera, sharedResourceManager = null) {
@@ -136,7 +139,7 @@ export class SceneTemplate extends SceneBase {
 
         // HUD（最小）
         if (this.hud && this.showHUD) {
-            const now = performance.now();
+            const now = clock.now();
             const frameRate = this.lastFrameTime ? 1.0 / ((now - this.lastFrameTime) / 1000.0) : 60.0;
             this.lastFrameTime = now;
 
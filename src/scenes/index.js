@@ -0,0 +1,10 @@
+/**
+ * シーンの自動読み込み
+ * sceneXX フォルダの SceneNN.js を全部読み込む（各モジュールが読み込み時に registerScene() する）
+ *
+ * NOTE: SceneTemplate / SceneBase や SceneXXCameraParticle.js などはパターンに合わないので読み込まれない
+ */
+
+import.meta.glob('./scene*/Scene[0-9][0-9].js', { eager: true });
+
+export { registerScene, getSceneEntry, getSceneEntries } from './registry.js';
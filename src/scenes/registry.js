@@ -0,0 +1,75 @@
+/**
+ * シーンレジストリ
+ * 各シーンモジュールが自分のメタデータを registerScene() で登録し、SceneManager はここからシーン一覧を作る
+ *
+ * 新しいシーンを追加する場合:
+ * - `src/scenes/sceneXX/SceneXX.js` を作り、ファイル末尾で registerScene() を呼ぶだけ
+ *   （読み込みは scenes/index.js の import.meta.glob が自動でやる。SceneManager/main.js の編集は不要）
+ *
+ * NOTE:
+ * - id はOSC/セットリストで使う名前（'scene01' など）。大文字小文字は区別しない
+ * - 並び順は order（省略時は id 順）。Ctrl+数字 / `/scene N` はこの並び（セットリスト指定時はセットリスト順）の N 番目
+ * - title / defaultTrackEffects は SceneManager がインスタンス生成直後（setup() 前）に反映する
+ * - create() は解放（dispose）後の作り直しでも呼ばれるので、毎回新しいインスタンスを返すこと
+ * - gpuMemoryMB は 1080p 相当での手計算の目安（バッファ + ポストプロセスのレンダーターゲット）。実測ではない
+ */
+
+const entries = new Map();
+
+/**
+ * @param {Object} entry
+ * @param {string} entry.id - 'scene01' など（一意）
+ * @param {string} entry.title - 表示名（HUD/スクリーンショット文字）
+ * @param {Function} entry.create - (renderer, camera, sharedResourceManager) => SceneBase
+ * @param {Object} [entry.defaultTrackEffects] - トラック1〜9のON/OFF初期値
+ * @param {number} [entry.preloadCost] - プリロードの重さの目安（相対値。進捗表示の重み付けに使う）
+ * @param {number} [entry.gpuMemoryMB] - setup後のGPUメモリの目安（MB。conf.gpuMemoryBudgetMB の計算に使う）
+ * @param {number} [entry.order] - 並び順
+ */
+export function registerScene(entry) {
+    if (!entry?.id || typeof entry.create !== 'function') {
+        console.warn('registerScene: id と create は必須です', entry);
+        return;
+    }
+    const id = String(entry.id).toLowerCase();
+    if (entries.has(id)) {
+        // HMRで同じモジュールが再評価された場合は上書き
+        console.warn(`registerScene: ${id} は登録済みのため上書きします`);
+    }
+    entries.set(id, {
+        preloadCost: 1,
+        ...entry,
+        id
+    });
+}
+
+/**
+ * @param {string} id
+ */
+export function getSceneEntry(id) {
+    return entries.get(String(id ?? '').toLowerCase()) || null;
+}
+
+/**
+ * 登録済みシーン一覧
+ * @param {Object} options
+ * @param {Array<string>|null} options.setlist - id の配列（この順に並べる。未登録の id は警告して飛ばす）
+ */
+export function getSceneEntries({ setlist = null } = {}) {
+    if (Array.isArray(setlist) && setlist.length > 0) {
+        const list = [];
+        for (const id of setlist) {
+            const entry = getSceneEntry(id);
+            if (entry) list.push(entry);
+            else console.warn(`セットリスト: シーン ${id} は登録されていません`);
+        }
+        if (list.length > 0) return list;
+        console.warn('セットリストに有効なシーンが無いため、全シーンを使います');
+    }
+    return [...entries.values()].sort((a, b) => {
+        const oa = a.order ?? Infinity;
+        const ob = b.order ?? Infinity;
+        if (oa !== ob) return oa - ob;
+        return a.id < b.id ? -1 : (a.id > b.id ? 1 : 0);
+    });
+}
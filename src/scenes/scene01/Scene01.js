@@ -13,12 +13,17 @@ import { conf } from '../../common/conf.js';
 // import BackgroundGeometry from '../../lib/BackgroundGeometry.js'; // 床グリッドはGridRuler3Dに統一
 import { GridRuler3D } from '../../lib/GridRuler3D.js';
 import { MlsMpmParticleSystem } from '../../systems/MlsMpmParticleSystem.js';
+import { WORLD_Z_SCALE } from '../../mls-mpm/mlsMpmSimulator.js';
 import { loadHdrCached } from '../../lib/hdrCache.js';
+import { clock } from '../../common/clock.js';
+import { random } from '../../common/random.js';
+import { registerScene } from '../registry.js';
+
+const rng = random.stream('scene01');
 
 export class Scene01 extends SceneBase {
     constructor(renderer, camera, sharedResourceManager = null) {
         super(renderer, camera);
-        this.title = 'mathym | vinko_plashra';
         
         this.sharedResourceManager = sharedResourceManager;
         
@@ -32,19 +37,6 @@ export class Scene01 extends SceneBase {
         this.barRandomizeInterval = 8;  // カメラ切り替え間隔（デフォルト8小節）
         this.lastRandomizedBar = 0;  // 最後にカメラ切り替えした小節
         this.lastForceRandomizedBar = 0;  // 最後にランダマイズした小節
-        
-        // トラックのON/OFF（数字キーでトグル）
-        this.trackEffects = {
-            1: true,   // camera randomize（カメラ切り替えは無効化、パーティクルへの力は残す）
-            2: true,   // invert（OSCで発火する前提）
-            3: true,   // chroma（OSCで発火する前提）
-            4: true,   // glitch（OSCで発火する前提）
-            5: true,   // impulse（Track5）
-            6: false,
-            7: false,
-            8: false,
-            9: false,
-        };
 
         // HUD上の擬似3DグリッドはデフォOFF（最前面固定になるのでNG）
         this.SHOW_HUD_GRID = false;
@@ -57,6 +49,26 @@ export class Scene01 extends SceneBase {
         // パーティクル表示（デフォルトON）
         this.SHOW_PARTICLES = true;
 
+        // 粒子のマテリアル（fluid / elastic / snow / sand）
+        // - /param/material snow や ショーファイルの params で切り替える（曲の中で 液体→ゼリー→粉 にする）
+        // - 切り替えは materialMorphMs かけて粒子が少しずつ変わる
+        this.MATERIAL = 'fluid';
+        this.materialMorphMs = 4000;
+
+        // 注ぐモード（Track6 のノートで上から粒子を注ぐ）
+        // - /param/pour 1 で箱を空にして、床に落ちた粒子は消える（消えた粒子がまた注がれる）
+        // - OFF（/param/pour 0）で元の球に戻る。Track6 は注ぐモードでなくても使える（古い粒子から使い回す）
+        this.POUR_MODE = false;
+        this.POUR_AMOUNT = 4096; // velocity 127 で注ぐ粒数
+        this.pourEmitter = null;
+        this.pourSink = null;
+
+        // Track7: 上から球（コライダー）を落として、粒子を押しのける
+        // - 落ちた後は床に残る（次のノートでまた上から）。/mavrx/collider drop ... でも落とせる
+        this.DROP_BALL_RADIUS = 5;
+        this.dropBall = null;
+        this.dropBallMesh = null;
+
         // phase(0..9)の代わりに actual_tick を使って “展開” を滑らかにする
         this.USE_ACTUAL_TICK_FOR_PHASE = true;
         // tick→展開の最大（96小節）
@@ -64,6 +76,8 @@ export class Scene01 extends SceneBase {
         // 粒数更新の量子化（OSC tickが高頻度でも重くならんように）
         this._tickParticleQuant = 512;
         this._lastTickDrivenParticles = null;
+        // CC/マッピングで heatmapMix を触ったら、以降は phase/tick で上書きしない（null = 自動）
+        this._heatmapMixOverride = null;
         
         // フェーズ変更時にカメラをランダマイズ（Track1とは別に自動実行）
         this.onPhaseChange = (prevPhase, nextPhase) => {
@@ -136,9 +150,9 @@ export class Scene01 extends SceneBase {
             
             // 初期位置をBox内にランダムに配置
             cp.position.set(
-                boxMin.x + Math.random() * (boxMax.x - boxMin.x),
-                boxMin.y + Math.random() * (boxMax.y - boxMin.y),
-                boxMin.z + Math.random() * (boxMax.z - boxMin.z)
+                boxMin.x + rng.next() * (boxMax.x - boxMin.x),
+                boxMin.y + rng.next() * (boxMax.y - boxMin.y),
+                boxMin.z + rng.next() * (boxMax.z - boxMin.z)
             );
             
             this.cameraParticles.push(cp);
@@ -160,11 +174,37 @@ export class Scene01 extends SceneBase {
         
         // MLS-MPMパーティクルシステム（再利用ユニット）
         this.particleSystem = new MlsMpmParticleSystem(this.renderer);
-        await this.particleSystem.init({ scene: this.scene });
+        await this.particleSystem.init({ scene: this.scene, material: this.MATERIAL });
         this.mlsMpmSim = this.particleSystem.sim; // 既存コード互換（Track5やHUDで参照）
         this.particleRenderer = this.particleSystem.particleRenderer;
         this.pointRenderer = this.particleSystem.pointRenderer;
 
+        // Track6: 上から下へ注ぐエミッターと、床のシンク（注ぐモードの時だけ有効）
+        // NOTE: 位置はグリッド座標なので、グリッドの大きさ（conf.mpmGridSize）に合わせる
+        const gridSize = this.mlsMpmSim.gridSize;
+        this.pourEmitter = this.particleSystem.addEmitter({
+            shape: 'disc',
+            position: [gridSize.x / 2, gridSize.y - 6, gridSize.z / 2],
+            normal: [0, -1, 0],
+            radius: 4,
+            speed: 6,
+            spread: 1,
+            color: 0xff7a1a,
+            colorMix: 0.7
+        });
+        this.pourSink = this.particleSystem.addSink({ shape: 'box', position: [gridSize.x / 2, 1, gridSize.z / 2], size: [gridSize.x, 2, gridSize.z] });
+        if (this.pourSink) this.pourSink.enabled = this.POUR_MODE;
+
+        // Track7: 落とす球（最初のノートまでは無効）
+        this.dropBall = this.particleSystem.addCollider({ name: 'drop', shape: 'sphere', position: [gridSize.x / 2, gridSize.y + 16, gridSize.z / 2], radius: this.DROP_BALL_RADIUS });
+        if (this.dropBall) this.dropBall.enabled = false;
+        this.dropBallMesh = new THREE.Mesh(
+            new THREE.IcosahedronGeometry(1, 2),
+            new THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true, transparent: true, opacity: 0.5 })
+        );
+        this.dropBallMesh.visible = false;
+        this.scene.add(this.dropBallMesh);
+
         // Scene01: シャドウを有効にするため、パーティクルのシャドウ設定を明示的に有効化
         if (this.particleRenderer?.object) {
             this.particleRenderer.object.castShadow = true;
@@ -190,21 +230,26 @@ export class Scene01 extends SceneBase {
         this.overlayScene.add(this.overlayLights.object);
         
         // ワイヤーフレームのBox（境界表示用）
-        const gridSize = 64;
+        // NOTE: 壁は 1..gridSize-1。ワールドへの変換はレンダラーと同じ（mlsMpmSim.getWorldTransform）
         const wallMin = 1;
-        const wallMax = 63;
-        const wallRange = wallMax - wallMin;
-        const s = 1.0 / gridSize;
-        const zScale = 0.4;
+        const wallMax = gridSize.clone().subScalar(1);
+        const s = this.mlsMpmSim.getWorldTransform().scale;
+        const zScale = WORLD_Z_SCALE;
         
-        const boxSizeX = wallRange * s;
-        const boxSizeY = wallRange * s;
-        const boxSizeZ = wallRange * s * zScale;
+        const boxSizeX = (wallMax.x - wallMin) * s;
+        const boxSizeY = (wallMax.y - wallMin) * s;
+        const boxSizeZ = (wallMax.z - wallMin) * s * zScale;
         
-        const centerGrid = (wallMin + wallMax) * 0.5;
-        const boxCenterX = centerGrid * s - 0.5;
-        const boxCenterY = centerGrid * s;
-        const boxCenterZ = centerGrid * s * zScale - 32.0 * s * zScale;
+        const boxCenter = this.gridToWorld(gridSize.clone().multiplyScalar(0.5));
+        const boxCenterX = boxCenter.x;
+        const boxCenterY = boxCenter.y;
+        const boxCenterZ = boxCenter.z;
+
+        // カメラの注視点を箱の高さの中心に（64^3 なら 0.5 のまま。横長のプールは低く、塔は同じ）
+        this.cameraTargetY = boxCenterY;
+        this.controls.target.y = boxCenterY;
+        this.cameraCenter.y = boxCenterY;
+        this.camera.position.y = boxCenterY;
 
         // HUD用：パーティクルBoxのワイヤー/グリッド（3D投影で描画するためワールド座標で保持）
         this.hudGridConfig = {
@@ -219,8 +264,10 @@ export class Scene01 extends SceneBase {
                 divX: 12,
                 divY: 10,
                 divZ: 8,
-                // ラベル表示（0..64のグリッド値っぽく）
-                labelMax: 64
+                // ラベル表示（0..gridSize のグリッド値っぽく）
+                labelMaxX: gridSize.x,
+                labelMaxY: gridSize.y,
+                labelMaxZ: gridSize.z
             }
         };
         
@@ -242,6 +289,8 @@ export class Scene01 extends SceneBase {
             // 床グリッドは大きい方に合わせる
             floorSize,
             floorY,
+            labelMaxX: gridSize.x,
+            labelMaxZ: gridSize.z,
             color: 0xffffff,
             // 床グリッド線は控えめに（パーティクルが主役）
             opacity: 0.25
@@ -401,6 +450,7 @@ export class Scene01 extends SceneBase {
         if (this.updateImpulseIndicator) {
             this.updateImpulseIndicator();
         }
+        this.updateDropBallMesh();
         
         // durationMs付きの自動OFFも SceneBase.updatePostFX() 側で処理
         
@@ -437,7 +487,7 @@ export class Scene01 extends SceneBase {
         // HUDを描画
         if (this.hud && this.showHUD) {
             const hudData = this.getHUDData();
-            const now = performance.now();
+            const now = clock.now();
             const frameRate = this.lastFrameTime ? 1.0 / ((now - this.lastFrameTime) / 1000.0) : 60.0;
             this.lastFrameTime = now;
             
@@ -515,9 +565,107 @@ export class Scene01 extends SceneBase {
         } else if (trackNumber === 5) {
             const dur = durationMs > 0 ? durationMs : 120;
             this.applyTrack5Force(noteNumber, velocity, dur);
+        } else if (trackNumber === 6) {
+            this.applyTrack6Pour(noteNumber, velocity, durationMs);
+        } else if (trackNumber === 7) {
+            this.applyTrack7Drop(noteNumber, velocity, durationMs);
         }
     }
 
+    /**
+     * マッピング/CC用パラメータ
+     * - heatmapMix: 一度触ると phase/tick による自動変化は止まる（reset() で自動に戻る）
+     */
+    getParameters() {
+        return [
+            ...super.getParameters(),
+            {
+                name: 'heatmapMix',
+                min: 0.0,
+                max: 1.0,
+                get: () => this.particleSystem?.particleRenderer?.uniforms?.heatmapMix?.value,
+                set: (v) => {
+                    this._heatmapMixOverride = v;
+                    const heatMix = this.particleSystem?.particleRenderer?.uniforms?.heatmapMix;
+                    if (heatMix) heatMix.value = v;
+                }
+            }
+        ];
+    }
+
+    /**
+     * プリセット用
+     * - heatmapMix は触ると自動変化が止まるので入れない（ヒートマップの見た目は conf.heatSpeedMin/Max で持つ）
+     */
+    getPresetParameters() {
+        return [
+            ...super.getPresetParameters().filter((p) => p.name !== 'heatmapMix'),
+            this.flagParameter('SHOW_WORLD_GRID'),
+            this.flagParameter('SHOW_PARTICLES', () => this.applyParticlesVisible())
+        ];
+    }
+
+    /**
+     * マッピング用アクション（camera = Track1 / force = Track5 と同じ処理）
+     */
+    getActions() {
+        return [
+            ...super.getActions().filter((a) => a.name !== 'camera'),
+            { name: 'camera', trigger: ({ velocity, durationMs }) => this.applyTrack1Camera(velocity, durationMs) },
+            { name: 'force', trigger: ({ note, velocity, durationMs }) => this.applyTrack5Force(note, velocity, durationMs > 0 ? durationMs : 120) },
+            { name: 'pour', trigger: ({ note, velocity, durationMs }) => this.applyTrack6Pour(note, velocity, durationMs) },
+            { name: 'drop', trigger: ({ note, velocity, durationMs }) => this.applyTrack7Drop(note, velocity, durationMs) }
+        ];
+    }
+
+    /**
+     * SceneManager.applyParam から（/param/<name> / ショーファイルの params）
+     * - material: マテリアル名（jelly / dust などの別名も可）
+     * - materialMorphMs: 次の切り替えにかける時間（ショーでは material より先に書く）
+     * - pour: 注ぐモード（1 で箱を空に / 0 で球に戻す）
+     */
+    setParam(name, value) {
+        if (name === 'pour') {
+            this.setPourMode(!!Number(value));
+            return true;
+        }
+        if (name === 'material') {
+            this.setMaterial(value);
+            return true;
+        }
+        if (name === 'materialMorphMs') {
+            const ms = Number(value);
+            if (Number.isFinite(ms) && ms >= 0) this.materialMorphMs = ms;
+            return true;
+        }
+        return false;
+    }
+
+    getParam(name) {
+        if (name === 'material') return this.mlsMpmSim?.getMaterialName?.() ?? this.MATERIAL;
+        if (name === 'materialMorphMs') return this.materialMorphMs;
+        if (name === 'pour') return this.POUR_MODE ? 1 : 0;
+        return undefined;
+    }
+
+    setPourMode(enabled) {
+        if (this.POUR_MODE === enabled) return;
+        this.POUR_MODE = enabled;
+        if (this.pourSink) this.pourSink.enabled = enabled;
+        if (enabled) {
+            this.particleSystem?.clearParticles();
+        } else {
+            this.mlsMpmSim?.resetParticles();
+        }
+        console.log(`Scene01: 注ぐモード ${enabled ? 'ON' : 'OFF'}`);
+    }
+
+    setMaterial(material, durationMs = this.materialMorphMs) {
+        if (!this.particleSystem?.setMaterial(material, { durationMs })) return false;
+        console.log(`Scene01: マテリアル ${this.mlsMpmSim.getMaterialName()}（${durationMs}msで切り替え）`);
+        return true;
+    }
+
     /**
      * phase(0..9)に合わせて表示/シミュレーション粒子数を10段階で増やす
      * - phase 0 -> 10%
@@ -539,7 +687,7 @@ export class Scene01 extends SceneBase {
         // phase 0..9 を 0..1 に正規化して、グレースケール→ヒートマップへ
         const t = Math.min(Math.max((Number(phase) || 0) / 9, 0), 1);
         const heatMix = this.particleSystem?.particleRenderer?.uniforms?.heatmapMix;
-        if (heatMix) {
+        if (heatMix && this._heatmapMixOverride === null) {
             heatMix.value = t;
         }
         
@@ -568,7 +716,7 @@ export class Scene01 extends SceneBase {
 
         // heatmapMix（グレースケール→ヒートマップ）を滑らかに
         const heatMix = this.particleSystem?.particleRenderer?.uniforms?.heatmapMix;
-        if (heatMix) heatMix.value = tn;
+        if (heatMix && this._heatmapMixOverride === null) heatMix.value = tn;
 
         // 粒数も 10%→100% を滑らかに（ただし更新頻度は量子化で抑える）
         const ratio = 0.1 + 0.9 * tn;
@@ -600,12 +748,21 @@ export class Scene01 extends SceneBase {
             this.SHOW_WORLD_GRID = !this.SHOW_WORLD_GRID;
         } else if (key === 'p' || key === 'P') {
             this.SHOW_PARTICLES = !this.SHOW_PARTICLES;
-            if (this.particleSystem) {
-                this.particleSystem.setVisible?.(this.SHOW_PARTICLES);
-            } else {
-                if (this.particleRenderer?.object) this.particleRenderer.object.visible = this.SHOW_PARTICLES;
-                if (this.pointRenderer?.object) this.pointRenderer.object.visible = false;
-            }
+            this.applyParticlesVisible();
+        }
+    }
+
+    /**
+     * SHOW_PARTICLES を反映（p キー / プリセット）
+     * - 非アクティブなシーンにプリセットを入れた時は表示しない（setResourceActive で反映される）
+     */
+    applyParticlesVisible() {
+        const visible = this._resourceActive !== false && !!this.SHOW_PARTICLES;
+        if (this.particleSystem) {
+            this.particleSystem.setVisible?.(visible);
+        } else {
+            if (this.particleRenderer?.object) this.particleRenderer.object.visible = visible;
+            if (this.pointRenderer?.object) this.pointRenderer.object.visible = false;
         }
     }
     
@@ -618,7 +775,7 @@ export class Scene01 extends SceneBase {
         
         let newIndex = this.currentCameraIndex;
         while (newIndex === this.currentCameraIndex) {
-            newIndex = Math.floor(Math.random() * this.cameraParticles.length);
+            newIndex = Math.floor(rng.next() * this.cameraParticles.length);
         }
         this.currentCameraIndex = newIndex;
     }
@@ -639,7 +796,7 @@ export class Scene01 extends SceneBase {
         const forceMul = 0.03 + 0.06 * v01;
         // 1.00..1.02（元の1.00..1.04の半分）
         const speedMul = 1.00 + 0.02 * v01;
-        const now = Date.now();
+        const now = clock.now();
         // デフォは短め（長いと暴れが残りやすい）
         const holdMs = Math.max(0, Number(durationMs) || 0) > 0 ? Number(durationMs) : 80;
 
@@ -672,7 +829,7 @@ export class Scene01 extends SceneBase {
             if (cps.length >= 2) {
                 let idx = this.currentCameraIndex;
                 while (idx === this.currentCameraIndex) {
-                    idx = Math.floor(Math.random() * cps.length);
+                    idx = Math.floor(rng.next() * cps.length);
                 }
                 this.currentCameraIndex = idx;
             }
@@ -719,25 +876,92 @@ export class Scene01 extends SceneBase {
         }
     }
     
+    /**
+     * Track6: 上から粒子を注ぐ
+     * - noteNumber: 0-127 → 注ぐ位置（x）
+     * - velocity: 0-127 → 粒数（POUR_AMOUNT まで）
+     * - durationMs: この時間をかけて注ぐ（0 なら 250ms）
+     */
+    applyTrack6Pour(noteNumber, velocity, durationMs) {
+        if (!this.trackEffects[6] || !this.pourEmitter) return;
+        const note01 = Math.min(Math.max((Number(noteNumber) || 0) / 127, 0), 1);
+        const v01 = Math.min(Math.max((Number(velocity) || 0) / 127, 0), 1);
+        this.pourEmitter.position.x = 8 + note01 * 48;
+        this.pourEmitter.pour(Math.round(this.POUR_AMOUNT * v01), durationMs > 0 ? durationMs : 250);
+    }
+
+    /**
+     * Track7: 上から球を落とす
+     * - noteNumber: 0-127 → 落とす位置（x）
+     * - velocity: 0-127 → 球の大きさ（DROP_BALL_RADIUS の 0.5〜1.5倍）
+     * - durationMs: 落ちるまでの時間（0 なら 800ms）
+     */
+    applyTrack7Drop(noteNumber, velocity, durationMs) {
+        if (!this.trackEffects[7] || !this.dropBall) return;
+        const note01 = Math.min(Math.max((Number(noteNumber) || 0) / 127, 0), 1);
+        const v01 = Math.min(Math.max((Number(velocity) || 0) / 127, 0), 1);
+        const size = this.mlsMpmSim.gridSize;
+        const radius = this.DROP_BALL_RADIUS * (0.5 + v01);
+        const x = radius + 1 + note01 * (size.x - 2 * radius - 2);
+        // /mavrx/collider clear で外されていたら戻す
+        if (!this.mlsMpmSim.colliders.includes(this.dropBall)) this.mlsMpmSim.addCollider(this.dropBall);
+        this.dropBall.radius = radius;
+        this.dropBall.enabled = true;
+        this.dropBall.teleport([x, size.y + radius, size.z / 2]);
+        this.dropBall.moveTo([x, radius + 1, size.z / 2], durationMs > 0 ? durationMs : 800, 'in');
+    }
+
+    updateDropBallMesh() {
+        if (!this.dropBallMesh) return;
+        const ball = this.dropBall;
+        this.dropBallMesh.visible = !!(ball?.enabled && this.SHOW_PARTICLES);
+        if (!this.dropBallMesh.visible) return;
+        // グリッド → ワールド（Z は WORLD_Z_SCALE 倍に潰れているので、球もそれに合わせる）
+        const s = ball.radius * this.mlsMpmSim.getWorldTransform().scale;
+        this.dropBallMesh.position.copy(this.gridToWorld(ball.position));
+        this.dropBallMesh.scale.set(s, s, s * WORLD_Z_SCALE);
+    }
+
+    /**
+     * /mavrx/bench [粒数...]（MlsMpmParticleSystem.runBenchmark）
+     */
+    async runBenchmark(args = []) {
+        const counts = args.map((a) => Math.floor(Number(a))).filter((n) => n > 0);
+        return this.particleSystem?.runBenchmark(counts.length ? { counts } : {}) ?? [];
+    }
+
+    /**
+     * /mavrx/collider（MlsMpmParticleSystem.handleColliderCommand）
+     */
+    handleColliderCommand(args) {
+        this.particleSystem?.handleColliderCommand(args);
+    }
+
     reset() {
         super.reset();
+        if (this.pourEmitter) this.pourEmitter.streams.length = 0;
+        if (this.dropBall) this.dropBall.enabled = false;
         
         // エフェクトOFF
         this.setInvert(false, 0);
         this.setChromatic(0.0, 0);
         this.setGlitch(0.0, 0);
+        // heatmapMix を phase/tick の自動に戻す
+        this._heatmapMixOverride = null;
         
         // カメラをデフォルトへ
         if (this.controls) {
-            this.controls.target.set(0, 0.5, 0.0);
+            this.controls.target.set(0, this.cameraTargetY ?? 0.5, 0.0);
         }
-        this.camera.position.set(0, 0.5, -1);
+        this.camera.position.set(0, this.cameraTargetY ?? 0.5, -1);
         if (this.controls) {
             this.camera.lookAt(this.controls.target);
         }
         
-        // パーティクルをGPUで再初期化
-        if (this.mlsMpmSim?.resetParticles) {
+        // パーティクルをGPUで再初期化（注ぐモードなら空の箱に）
+        if (this.POUR_MODE) {
+            this.particleSystem?.clearParticles();
+        } else if (this.mlsMpmSim?.resetParticles) {
             // 非同期なのでawaitは呼び出し側で
             this.mlsMpmSim.resetParticles();
         }
@@ -770,13 +994,8 @@ export class Scene01 extends SceneBase {
     
     // ===== Track5 indicator =====
     gridToWorld(gridPos) {
-        const s = 1.0 / 64.0;
-        const zScale = 0.4;
-        return new THREE.Vector3(
-            gridPos.x * s - 0.5,
-            gridPos.y * s,
-            gridPos.z * s * zScale - 0.2
-        );
+        // レンダラーと同じ変換（64^3 なら x/64 - 0.5, y/64, z/64*0.4 - 0.2）
+        return this.mlsMpmSim.gridToWorld(gridPos);
     }
     
     initImpulseIndicator() {
@@ -854,7 +1073,7 @@ export class Scene01 extends SceneBase {
         if (!ind) return;
         
         ind.active = true;
-        ind.startMs = info?.startMs ?? Date.now();
+        ind.startMs = info?.startMs ?? clock.now();
         ind.endMs = info?.endMs ?? (ind.startMs + 400);
         ind.maxStrength = Math.max(0.0001, info?.baseStrength ?? 1.0);
         ind.radiusGrid = info?.radius ?? 10.0;
@@ -871,9 +1090,10 @@ export class Scene01 extends SceneBase {
         if (this.impulseCtx && this.impulseCanvas) {
             this.impulseCtx.clearRect(0, 0, this.impulseCanvas.width, this.impulseCanvas.height);
         }
-        const now = Date.now();
+        const now = clock.now();
         const list = this.impulseIndicators || [];
         if (!list.length) return;
+        const worldScale = this.mlsMpmSim?.getWorldTransform().scale ?? 1 / 64;
         
         for (let i = 0; i < list.length; i++) {
             const ind = list[i];
@@ -895,7 +1115,7 @@ export class Scene01 extends SceneBase {
             const s = 0.75 + strength01 * 0.65;
             ind.sphere.scale.set(s, s, s);
             
-            const radiusWorld = (ind.radiusGrid / 64.0) * (0.6 + 0.9 * t);
+            const radiusWorld = (ind.radiusGrid * worldScale) * (0.6 + 0.9 * t);
             ind.circle.scale.set(radiusWorld, radiusWorld, 1);
             ind.circle.material.opacity = alpha * 0.22;
             ind.edges.scale.set(radiusWorld, radiusWorld, 1);
@@ -1108,3 +1328,23 @@ export class Scene01 extends SceneBase {
         super.dispose();
     }
 }
+
+registerScene({
+    id: 'scene01',
+    title: 'mathym | vinko_plashra',
+    preloadCost: 3,
+    gpuMemoryMB: 200,
+    // トラックのON/OFF（数字キーでトグル）の初期値
+    defaultTrackEffects: {
+        1: true,   // camera randomize（カメラ切り替えは無効化、パーティクルへの力は残す）
+        2: true,   // invert（OSCで発火する前提）
+        3: true,   // chroma（OSCで発火する前提）
+        4: true,   // glitch（OSCで発火する前提）
+        5: true,   // impulse（Track5）
+        6: false,
+        7: false,
+        8: false,
+        9: false,
+    },
+    create: (renderer, camera, sharedResourceManager) => new Scene01(renderer, camera, sharedResourceManager)
+});
@@ -17,11 +17,15 @@ import { RandomLFO } from '../../lib/RandomLFO.js';
 import { conf } from '../../common/conf.js';
 import { loadHdrCached } from '../../lib/hdrCache.js';
 import { CameraMode } from '../../lib/CameraParticle.js';
+import { clock } from '../../common/clock.js';
+import { random } from '../../common/random.js';
+import { registerScene } from '../registry.js';
+
+const rng = random.stream('scene02');
 
 export class Scene02 extends SceneBase {
     constructor(renderer, camera, sharedResourceManager = null) {
         super(renderer, camera);
-        this.title = 'mathym | Scene02 - Curl Noise Particles';
         
         this.sharedResourceManager = sharedResourceManager;
         
@@ -31,22 +35,13 @@ export class Scene02 extends SceneBase {
         this.cameraCenter = new THREE.Vector3(0, 0, 0);
         this.currentBar = 0;
         this.lastForceRandomizedBar = 0;
-        
-        // トラックのON/OFF
-        this.trackEffects = {
-            1: true,   // camera randomize
-            2: true,   // invert
-            3: true,   // chroma
-            4: true,   // glitch
-            5: true,   // シーン固有の処理
-            6: true,  // Track6: 凹むように圧力を掛ける
-            7: false,
-            8: false,  // 触手エフェクト（削除）
-            9: false,
-        };
 
         // 表示
         this.SHOW_PARTICLES = true;
+
+        // 球体の変位ノイズの強さ（物凄く薄く。マッピングの param:heightAmp はここを書き換える）
+        // NOTE: ENABLE_YURE_LFO が ON の間は LFO の値で上書きされる
+        this.HEIGHT_AMP = 0.03;
         
         // 3Dオブジェクトとしてのグリッド＋ルーラー（遮蔽が効く）
         this.SHOW_WORLD_GRID = true; // gキーのデフォルトON
@@ -81,7 +76,7 @@ export class Scene02 extends SceneBase {
         
         // ===== トラックオブジェクト（シーン3風） =====
         // ノイズシード
-        this._noiseSeed = Math.random() * 1000;
+        this._noiseSeed = rng.next() * 1000;
         
         // トラックごとのInstancedMesh
         this.trackObjects = {
@@ -182,7 +177,7 @@ export class Scene02 extends SceneBase {
         this._tickMaxTicks = 38400;
 
         // ノイズを物凄く薄く掛ける（heightAmpを非常に小さい値に設定）
-        this.particleSystem.uniforms.heightAmp.value = 0.03; // 物凄く薄いノイズ
+        this.particleSystem.uniforms.heightAmp.value = this.HEIGHT_AMP;
         
         // NOTE: ENABLE_YURE_LFO が true のときだけuniformへ反映する（現在は無効化）
         if (this.ENABLE_YURE_LFO) {
@@ -240,7 +235,7 @@ export class Scene02 extends SceneBase {
 
         // カメラモード用の状態管理（_setupCameraModeより前に初期化）
         this.cameraModeState = {
-            sidePanDirection: Math.random() > 0.5 ? 1 : -1, // 左→右 or 右→左
+            sidePanDirection: rng.next() > 0.5 ? 1 : -1, // 左→右 or 右→左
             sidePanSpeed: 0.02,
             orbitAngle: 0, // 初期角度（_setupCameraModeでランダムに設定される）
             orbitRadius: rMax_cam * 2.8,
@@ -248,8 +243,8 @@ export class Scene02 extends SceneBase {
             followTarget: new THREE.Vector3(0, 0, 0),
             followLerp: 0.05, // 追従の遅延
             offCenterOffset: new THREE.Vector3(
-                (Math.random() - 0.5) * 0.3,
-                (Math.random() - 0.5) * 0.3,
+                (rng.next() - 0.5) * 0.3,
+                (rng.next() - 0.5) * 0.3,
                 0
             )
         };
@@ -500,7 +495,7 @@ export class Scene02 extends SceneBase {
     onUpdate(deltaTime) {
         // ノイズを物凄く薄く掛ける（heightAmpを非常に小さい値に保つ）
         if (this.particleSystem) {
-            this.particleSystem.uniforms.heightAmp.value = 0.03; // 物凄く薄いノイズ
+            this.particleSystem.uniforms.heightAmp.value = this.HEIGHT_AMP;
         }
         
         // ===== “ゆれ”更新（RandomLFO / 無効化）=====
@@ -609,7 +604,7 @@ export class Scene02 extends SceneBase {
         // HUDを描画
         if (this.hud && this.showHUD) {
             const hudData = this.getHUDData();
-            const now = performance.now();
+            const now = clock.now();
             const frameRate = this.lastFrameTime ? 1.0 / ((now - this.lastFrameTime) / 1000.0) : 60.0;
             this.lastFrameTime = now;
             
@@ -698,6 +693,58 @@ export class Scene02 extends SceneBase {
             this.applyTrack6Pressure(noteNumber, velocity, durationMs);
         }
     }
+
+    /**
+     * マッピング用パラメータ（球体の変位ノイズ）
+     */
+    getParameters() {
+        const u = () => this.particleSystem?.uniforms;
+        const param = (name, min, max) => ({
+            name,
+            min,
+            max,
+            get: () => u()?.[name]?.value,
+            set: (v) => { if (u()?.[name]) u()[name].value = v; }
+        });
+        return [
+            ...super.getParameters(),
+            param('noiseScale', 0.5, 6.0),
+            // uniform は onUpdate で毎フレーム HEIGHT_AMP から書き直すので、フィールドの方を読み書きする
+            {
+                name: 'heightAmp',
+                min: 0.0,
+                max: 1.0,
+                get: () => this.HEIGHT_AMP,
+                set: (v) => { this.HEIGHT_AMP = v; }
+            },
+            param('noiseSpeed', 0.0, 0.2)
+        ];
+    }
+
+    /**
+     * プリセット用（ENABLE_YURE_LFO が ON の間は noiseScale などが LFO で上書きされる）
+     */
+    getPresetParameters() {
+        return [
+            ...super.getPresetParameters(),
+            this.flagParameter('SHOW_PARTICLES', () => this.applyParticlesVisible()),
+            this.flagParameter('SHOW_WORLD_GRID'),
+            this.flagParameter('ENABLE_YURE_LFO'),
+            this.flagParameter('ENABLE_FLOW_ON_SPHERE', () => this.applyFlowOnSphere())
+        ];
+    }
+
+    /**
+     * マッピング用アクション（camera = Track1 / pressure = Track5 / dent = Track6 と同じ処理）
+     */
+    getActions() {
+        return [
+            ...super.getActions().filter((a) => a.name !== 'camera'),
+            { name: 'camera', trigger: () => this.switchCameraRandom() },
+            { name: 'pressure', trigger: ({ note, velocity, durationMs }) => this.applyTrack5Pressure(note, velocity, durationMs) },
+            { name: 'dent', trigger: ({ note, velocity, durationMs }) => this.applyTrack6Pressure(note, velocity, durationMs) }
+        ];
+    }
     
     /**
      * トラックオブジェクトの寿命管理
@@ -707,7 +754,7 @@ export class Scene02 extends SceneBase {
         // NOTE: 必要に応じて有効化できる
         return;
         
-        const now = performance.now();
+        const now = clock.now();
         const dummy = new THREE.Object3D();
         dummy.position.set(0, 0, -9999); // 見えない位置
         dummy.updateMatrix();
@@ -772,7 +819,7 @@ export class Scene02 extends SceneBase {
         const rMax = baseRadius + heightAmp;
         
         // ノイズベースの球面座標を生成
-        const tick = performance.now() * 0.001; // 時間ベースのノイズ
+        const tick = clock.now() * 0.001; // 時間ベースのノイズ
         const u = tick * 0.01 + n01 * 10.0 + idx * 3.0;
         const v = tick * 0.008 + v01 * 7.0 + idx * 5.0;
         
@@ -788,7 +835,7 @@ export class Scene02 extends SceneBase {
         const z = r * Math.sin(latitude) * Math.sin(longitude);
         
         // サイズをvelocityで変化
-        const scale = (0.5 + 1.5 * v01) * (0.85 + 0.3 * Math.random());
+        const scale = (0.5 + 1.5 * v01) * (0.85 + 0.3 * rng.next());
         
         // 球面の法線方向（中心から外側）に向ける
         const normal = new THREE.Vector3(x, y, z).normalize();
@@ -813,7 +860,7 @@ export class Scene02 extends SceneBase {
         // データを記録
         trackData.instances[idx] = {
             active: true,
-            startMs: performance.now(),
+            startMs: clock.now(),
             durationMs: durationMs,
             position: new THREE.Vector3(x, y, z),
             scale: scale
@@ -839,7 +886,7 @@ export class Scene02 extends SceneBase {
             }
         }
 
-        const now = performance.now();
+        const now = clock.now();
         const gapMs = this._lastPressureMs > 0 ? (now - this._lastPressureMs) : 9999;
         this._lastPressureMs = now;
 
@@ -847,8 +894,8 @@ export class Scene02 extends SceneBase {
         const gap01 = Math.min(Math.max(gapMs / 1500, 0), 1); // 0..1（1.5sで最大）
 
         // ランダムな方向（球面上のランダムな点）を生成
-        const theta = Math.random() * Math.PI * 2; // 0..2π
-        const phi = Math.acos(2 * Math.random() - 1); // 0..π
+        const theta = rng.next() * Math.PI * 2; // 0..2π
+        const phi = Math.acos(2 * rng.next() - 1); // 0..π
         const base = new THREE.Vector3(
             Math.sin(phi) * Math.cos(theta),
             Math.sin(phi) * Math.sin(theta),
@@ -870,15 +917,15 @@ export class Scene02 extends SceneBase {
 
         // 強さ（velocity依存 + ランダム）
         // ノイズの代わりなので、もっと弱めに調整
-        const randMul = 0.7 + Math.random() * 0.6; // 0.7..1.3
+        const randMul = 0.7 + rng.next() * 0.6; // 0.7..1.3
         const strength = (0.02 + 0.10 * Math.pow(v01, 1.2)) * randMul; // さらに弱める（約半分）
 
         // 範囲（角度）：velocity高いほど絞る、ランダム要素も追加
         const baseAngle = 0.8 - 0.5 * v01; // 0.3..0.8 rad
-        const angle = baseAngle + (Math.random() - 0.5) * 0.2; // ±0.1 rad のランダム
+        const angle = baseAngle + (rng.next() - 0.5) * 0.2; // ±0.1 rad のランダム
 
         // 速度上限も velocity に合わせて上げる（弱めに調整）
-        const velMax = (0.4 + 0.9 * Math.pow(v01, 1.1)) * (0.85 + Math.random() * 0.3);
+        const velMax = (0.4 + 0.9 * Math.pow(v01, 1.1)) * (0.85 + rng.next() * 0.3);
         // 上限の高さを無効化（非常に大きな値に設定）
         const offsetMax = 999999.0; // 実質的に上限なし
         this.particleSystem.setPressureTuning({ velMax, offsetMax });
@@ -910,8 +957,8 @@ export class Scene02 extends SceneBase {
         const v01 = Math.min(Math.max((Number(velocity) || 0) / 127, 0), 1);
 
         // ランダムな方向（球面上のランダムな点）を生成
-        const theta = Math.random() * Math.PI * 2; // 0..2π
-        const phi = Math.acos(2 * Math.random() - 1); // 0..π
+        const theta = rng.next() * Math.PI * 2; // 0..2π
+        const phi = Math.acos(2 * rng.next() - 1); // 0..π
         const dir = new THREE.Vector3(
             Math.sin(phi) * Math.cos(theta),
             Math.sin(phi) * Math.sin(theta),
@@ -945,7 +992,7 @@ export class Scene02 extends SceneBase {
         });
         
         // モード7（フォロー）の注視点を更新（1秒以内の連続したイベントは無視）
-        const nowForFollow = performance.now();
+        const nowForFollow = clock.now();
         const gapFollowMs = nowForFollow - this._lastFollowTargetUpdateMs;
         if (gapFollowMs >= 1000) { // 1秒以上経過している場合のみ更新
             const followCp = this.cameraParticles.find(cp => cp.cameraMode === 6);
@@ -1045,7 +1092,7 @@ export class Scene02 extends SceneBase {
         if (!ind) return;
         
         ind.active = true;
-        ind.startMs = Date.now();
+        ind.startMs = clock.now();
         ind.endMs = ind.startMs + 400; // 400ms表示
         ind.maxStrength = Math.max(0.0001, info?.strength ?? 1.0);
         ind.radiusWorld = (info?.angle ?? 0.5) * (info?.posWorld?.length() ?? 1.0) * 0.3;
@@ -1062,7 +1109,7 @@ export class Scene02 extends SceneBase {
         if (this.impulseCtx && this.impulseCanvas) {
             this.impulseCtx.clearRect(0, 0, this.impulseCanvas.width, this.impulseCanvas.height);
         }
-        const now = Date.now();
+        const now = clock.now();
         const list = this.impulseIndicators || [];
         if (!list.length) return;
         
@@ -1127,7 +1174,7 @@ export class Scene02 extends SceneBase {
         if (!this.cameraParticles?.length) return;
         let newIndex = this.currentCameraIndex;
         while (newIndex === this.currentCameraIndex) {
-            newIndex = Math.floor(Math.random() * this.cameraParticles.length);
+            newIndex = Math.floor(rng.next() * this.cameraParticles.length);
         }
         this.currentCameraIndex = newIndex;
     }
@@ -1167,8 +1214,8 @@ export class Scene02 extends SceneBase {
                 cp.friction = conf.cameraNoDamping ? 0.0 : (conf.cameraFriction ?? 0.02);
                 // ランダムな方向に近づく（もっと近く）
                 const closeupDir = new THREE.Vector3(
-                    (Math.random() - 0.5) * 1.0, // 0.5 → 1.0 に変更（注視点をよりランダムに）
-                    (Math.random() - 0.5) * 1.0, // 0.5 → 1.0 に変更（注視点をよりランダムに）
+                    (rng.next() - 0.5) * 1.0, // 0.5 → 1.0 に変更（注視点をよりランダムに）
+                    (rng.next() - 0.5) * 1.0, // 0.5 → 1.0 に変更（注視点をよりランダムに）
                     1
                 ).normalize();
                 cp.position.copy(closeupDir.multiplyScalar(rMax * 0.5)); // 0.8 → 0.5 に変更（もっと近く）
@@ -1181,7 +1228,7 @@ export class Scene02 extends SceneBase {
                 cp.maxForce = 0.08;
                 cp.friction = conf.cameraNoDamping ? 0.0 : (conf.cameraFriction ?? 0.02);
                 // 切り替わった時にランダムで右か左に方向を決める
-                this.cameraModeState.sidePanDirection = Math.random() > 0.5 ? 1 : -1;
+                this.cameraModeState.sidePanDirection = rng.next() > 0.5 ? 1 : -1;
                 // 初期位置は中央付近
                 cp.position.set(0, 0, rMax * 2.4);
                 cp.desired = cp.position.clone();
@@ -1209,10 +1256,10 @@ export class Scene02 extends SceneBase {
                 
                 // 球面座標系の初期化
                 // 経度（longitude）: 0～360° をランダムに開始
-                this.cameraModeState.orbitLongitude = Math.random() * Math.PI * 2; // 0～2π
+                this.cameraModeState.orbitLongitude = rng.next() * Math.PI * 2; // 0～2π
                 // 緯度（latitude）: 固定（180°固定 = 赤道を通る）+ ランダム角度
                 this.cameraModeState.orbitLatitudeBase = Math.PI; // 180° (赤道)
-                this.cameraModeState.orbitLatitudeOffset = (Math.random() - 0.5) * Math.PI; // ±90°のランダム角度
+                this.cameraModeState.orbitLatitudeOffset = (rng.next() - 0.5) * Math.PI; // ±90°のランダム角度
                 
                 const rMax_orbit_init = Math.max(0.2, (Number(this.particleSystem?.uniforms?.baseRadius?.value ?? 1.0) + Number(this.particleSystem?.uniforms?.heightAmp?.value ?? 0.03)));
                 const orbitRadius_init = rMax_orbit_init * 2.8; // 球体より少し大きめ
@@ -1272,8 +1319,8 @@ export class Scene02 extends SceneBase {
             case 1: // ② フロント・ミディアム - 微ドリフト
                 // desiredを少しだけ動かす
                 const drift = new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.01,
-                    (Math.random() - 0.5) * 0.01,
+                    (rng.next() - 0.5) * 0.01,
+                    (rng.next() - 0.5) * 0.01,
                     0
                 );
                 cp.desired.add(drift);
@@ -1281,10 +1328,10 @@ export class Scene02 extends SceneBase {
                 
             case 2: // ③ クローズアップ - ランダムに近づく（もっと近く）
                 // 時々新しい近接位置を設定
-                if (Math.random() < 0.01) {
+                if (rng.next() < 0.01) {
                     const closeupDir = new THREE.Vector3(
-                        (Math.random() - 0.5) * 1.0, // 0.5 → 1.0 に変更（注視点をよりランダムに）
-                        (Math.random() - 0.5) * 1.0, // 0.5 → 1.0 に変更（注視点をよりランダムに）
+                        (rng.next() - 0.5) * 1.0, // 0.5 → 1.0 に変更（注視点をよりランダムに）
+                        (rng.next() - 0.5) * 1.0, // 0.5 → 1.0 に変更（注視点をよりランダムに）
                         1
                     ).normalize();
                     const baseR = Number(this.particleSystem?.uniforms?.baseRadius?.value ?? 1.0);
@@ -1455,7 +1502,7 @@ export class Scene02 extends SceneBase {
         // 現在のカメラインデックスとは異なるインデックスをランダムに選択
         let newIndex = this.currentCameraIndex;
         while (newIndex === this.currentCameraIndex) {
-            newIndex = Math.floor(Math.random() * this.cameraParticles.length);
+            newIndex = Math.floor(rng.next() * this.cameraParticles.length);
         }
         this.currentCameraIndex = newIndex;
         
@@ -1549,9 +1596,7 @@ export class Scene02 extends SceneBase {
         // n/N: 球体マッピングじゃないノイズ（dirを流す）ON/OFF
         if (key === 'n' || key === 'N') {
             this.ENABLE_FLOW_ON_SPHERE = !this.ENABLE_FLOW_ON_SPHERE;
-            if (this.particleSystem?.uniforms?.flowOnSphereEnabled) {
-                this.particleSystem.uniforms.flowOnSphereEnabled.value = this.ENABLE_FLOW_ON_SPHERE ? 1.0 : 0.0;
-            }
+            this.applyFlowOnSphere();
         }
         // m/M: 圧力モード <-> LFOモード切替
         if (key === 'm' || key === 'M') {
@@ -1561,8 +1606,25 @@ export class Scene02 extends SceneBase {
                 this.particleSystem.setPressureModeEnabled(!!this.ENABLE_PRESSURE);
             }
         }
-        if (this.particleSystem?.object) this.particleSystem.object.visible = !!this.SHOW_PARTICLES;
-        if (this.particleSystem) this.particleSystem.computeEnabled = !!this.SHOW_PARTICLES;
+        this.applyParticlesVisible();
+    }
+
+    /**
+     * SHOW_PARTICLES を反映（p キー / プリセット。非アクティブの間は止めたまま）
+     */
+    applyParticlesVisible() {
+        const visible = this._resourceActive !== false && !!this.SHOW_PARTICLES;
+        if (this.particleSystem?.object) this.particleSystem.object.visible = visible;
+        if (this.particleSystem) this.particleSystem.computeEnabled = visible;
+    }
+
+    /**
+     * ENABLE_FLOW_ON_SPHERE を uniform に反映（n キー / プリセット）
+     */
+    applyFlowOnSphere() {
+        if (this.particleSystem?.uniforms?.flowOnSphereEnabled) {
+            this.particleSystem.uniforms.flowOnSphereEnabled.value = this.ENABLE_FLOW_ON_SPHERE ? 1.0 : 0.0;
+        }
     }
 
     // NOTE: 塗りは撤去（ユーザー要望）
@@ -1704,3 +1766,23 @@ export class Scene02 extends SceneBase {
     }
 }
 
+
+registerScene({
+    id: 'scene02',
+    title: 'mathym | Scene02 - Curl Noise Particles',
+    preloadCost: 2,
+    gpuMemoryMB: 250,
+    // トラックのON/OFF（数字キーでトグル）の初期値
+    defaultTrackEffects: {
+        1: true,   // camera randomize
+        2: true,   // invert
+        3: true,   // chroma
+        4: true,   // glitch
+        5: true,   // シーン固有の処理
+        6: true,  // Track6: 凹むように圧力を掛ける
+        7: false,
+        8: false,  // 触手エフェクト（削除）
+        9: false,
+    },
+    create: (renderer, camera, sharedResourceManager) => new Scene02(renderer, camera, sharedResourceManager)
+});
@@ -13,29 +13,20 @@ import { loadHdrCached } from '../../lib/hdrCache.js';
 import hdri from '../../assets/autumn_field_puresky_1k.hdr';
 import { conf } from '../../common/conf.js';
 import { CameraParticle } from '../../lib/CameraParticle.js';
+import { clock } from '../../common/clock.js';
+import { random } from '../../common/random.js';
+import { registerScene } from '../registry.js';
+
+const rng = random.stream('scene03');
 
 export class Scene03 extends SceneBase {
     constructor(renderer, camera, sharedResourceManager = null) {
         super(renderer, camera);
-        this.title = 'mathym | coalesce (Road)';
         this.sharedResourceManager = sharedResourceManager;
         
-        // トラックのON/OFF
-        this.trackEffects = {
-            1: true,
-            2: true,
-            3: true,
-            4: false,
-            5: true,
-            6: true,
-            7: false,
-            8: true,
-            9: true,
-            10: true,
-        };
-        
         // カメラモード
         this.cameraMode = 'follow';
+        this.cameraModes = ['follow', 'lead'];
         
         // 進行位置
         this.actualTick = 0;
@@ -62,7 +53,7 @@ export class Scene03 extends SceneBase {
         this.showGrid = false;
         
         // ノイズシード
-        this.noiseSeed = Math.random() * 1000;
+        this.noiseSeed = rng.next() * 1000;
         
         // フェーズ管理
         this.lastPhase = -1;
@@ -842,7 +833,7 @@ export class Scene03 extends SceneBase {
             
             this.scene.add(circleGroup);
             // アニメーション用のデータを追加
-            const spawnTime = performance.now();
+            const spawnTime = clock.now();
             const duration = durationMs > 0 ? durationMs : 500;
             this.track1CircleGroups = this.track1CircleGroups || [];
             this.track1CircleGroups.push({
@@ -859,7 +850,7 @@ export class Scene03 extends SceneBase {
         this.track1Objects.push({ 
             mesh: group, 
             z,
-            spawnTime: performance.now(),
+            spawnTime: clock.now(),
             duration: durationMs > 0 ? durationMs : 500,
             baseY: -height,
             targetHeight: -0.5  // 道の上（-0.5）に配置
@@ -936,7 +927,7 @@ export class Scene03 extends SceneBase {
             
             this.scene.add(circleGroup);
             // アニメーション用のデータを追加
-            const spawnTime = performance.now();
+            const spawnTime = clock.now();
             const duration = durationMs > 0 ? durationMs : 500;
             this.track5CircleGroups = this.track5CircleGroups || [];
             this.track5CircleGroups.push({
@@ -949,7 +940,7 @@ export class Scene03 extends SceneBase {
         }
         
         // アニメーション用のデータを追加
-        const spawnTime = performance.now();
+        const spawnTime = clock.now();
         const duration = durationMs > 0 ? durationMs : 500;
         
         this.scene.add(group);
@@ -980,7 +971,7 @@ export class Scene03 extends SceneBase {
         group.add(mesh);
         
         // アニメーション用のデータを追加
-        const spawnTime = performance.now();
+        const spawnTime = clock.now();
         const duration = durationMs > 0 ? durationMs : 500;
         
         this.scene.add(group);
@@ -1033,7 +1024,7 @@ export class Scene03 extends SceneBase {
         
         // エッジ
         // アニメーション用のデータを追加
-        const spawnTime = performance.now();
+        const spawnTime = clock.now();
         const duration = durationMs > 0 ? durationMs : 500;
         
         // 初期位置を下に設定（生えてくるアニメーション用）
@@ -1089,7 +1080,7 @@ export class Scene03 extends SceneBase {
         
         // エッジ
         // アニメーション用のデータを追加
-        const spawnTime = performance.now();
+        const spawnTime = clock.now();
         const duration = durationMs > 0 ? durationMs : 500;
         
         // 初期位置を下に設定（生えてくるアニメーション用）
@@ -1145,7 +1136,7 @@ export class Scene03 extends SceneBase {
         
         // エッジ
         // アニメーション用のデータを追加
-        const spawnTime = performance.now();
+        const spawnTime = clock.now();
         const duration = durationMs > 0 ? durationMs : 500;
         
         // 初期位置を下に設定（生えてくるアニメーション用）
@@ -1177,7 +1168,7 @@ export class Scene03 extends SceneBase {
         group.add(edgeLines);
         
         // アニメーション用のデータを追加
-        const spawnTime = performance.now();
+        const spawnTime = clock.now();
         const duration = durationMs > 0 ? durationMs : 500;
         
         this.scene.add(group);
@@ -1267,7 +1258,7 @@ export class Scene03 extends SceneBase {
         } else {
             // leadモード：前方のオブジェクトを注視（更新頻度を下げる）
             const forwardObj = this._findForwardObject(cameraZ);
-            const now = performance.now();
+            const now = clock.now();
             
             if (forwardObj) {
                 // 前方のオブジェクトが見つかったら、それを注視（更新頻度を下げる）
@@ -1303,7 +1294,7 @@ export class Scene03 extends SceneBase {
     
     // オブジェクトの生えてくるアニメーションを処理
     _updateObjectAnimations(deltaTime = 0.016) {
-        const now = performance.now();
+        const now = clock.now();
         
         const updateAnimations = (arr) => {
             for (let i = 0; i < arr.length; i++) {
@@ -1431,7 +1422,7 @@ export class Scene03 extends SceneBase {
         // phaseでカメラモード切替とランダマイズ
         if (this.phase !== this.lastPhase) {
             this.lastPhase = this.phase;
-            this.cameraMode = Math.random() > 0.5 ? 'follow' : 'lead';
+            this.cameraMode = rng.next() > 0.5 ? 'follow' : 'lead';
             // モード切替時にカメラをランダマイズ
             this.applyCameraRandomize();
         }
@@ -1473,7 +1464,7 @@ export class Scene03 extends SceneBase {
         if (this.hud && this.showHUD) {
             const totalObjects = this.track1Objects.length + this.track5Objects.length + 
                 this.track6Objects.length + this.monolithObjects.length;
-            const now = performance.now();
+            const now = clock.now();
             const frameRate = this.lastFrameTime ? 1.0 / ((now - this.lastFrameTime) / 1000.0) : 60.0;
             this.lastFrameTime = now;
             
@@ -1490,21 +1481,20 @@ export class Scene03 extends SceneBase {
     }
 
     handleOSC(message) {
-        const address = message.address || '';
-        const args = message.args || [];
+        const type = message?.type;
         
-        if (address === '/actual_tick') {
-            this.actualTick = Number(args[0] ?? 0);
+        if (type === 'tick') {
+            this.actualTick = Number(message.actual_tick ?? 0);
             // roadProgressはupdate()で計算するので、ここでは更新しない
-        } else if (address === '/actual_bar') {
-            const newBar = Number(args[0] ?? 0);
+        } else if (type === 'bar') {
+            const newBar = Number(message.actual_bar ?? 0);
             // 小節が変わったらカメラをランダマイズ
             if (newBar !== this.actualBar) {
                 this.actualBar = newBar;
                 this.applyCameraRandomize();
             }
-        } else if (address === '/phase') {
-            this.phase = Number(args[0] ?? 0);
+        } else if (type === 'phase') {
+            this.phase = Number(message.phase ?? 0);
         }
         
         super.handleOSC(message);
@@ -1540,14 +1530,37 @@ export class Scene03 extends SceneBase {
             this._spawnTrack10Object(spawnZ, velocity, durationMs);
         }
     }
+
+    /**
+     * マッピング用アクション（spawn* は各トラックのオブジェクト生成と同じ処理）
+     */
+    getActions() {
+        const spawn = (name, fn) => ({
+            name,
+            trigger: ({ velocity, durationMs }) => {
+                const spawnZ = this.roadProgress + (this.cameraMode === 'follow' ? 30 : 40);
+                fn.call(this, spawnZ, velocity, durationMs);
+            }
+        });
+        return [
+            ...super.getActions().filter((a) => a.name !== 'camera'),
+            { name: 'camera', trigger: () => this.applyCameraRandomize() },
+            spawn('pillar', this._spawnTrack1Object),
+            spawn('thinPillar', this._spawnTrack5Object),
+            spawn('redCylinder', this._spawnTrack6Object),
+            spawn('silverShard', this._spawnTrack8Object),
+            spawn('blackShard', this._spawnTrack9Object),
+            spawn('grayShard', this._spawnTrack10Object)
+        ];
+    }
     
     // カメラランダマイズ（actual_barトリガー、カメラパーティクルに力を加える）
     applyCameraRandomize() {
         if (!this.cameraParticle) return;
         
         // X位置とY位置にランダムな力を加える（極めて弱く）
-        const forceX = (Math.random() - 0.5) * 3; // X方向の力（極めて弱く）
-        const forceY = (Math.random() * 2 - 0.5); // Y方向の力（極めて弱く）
+        const forceX = (rng.next() - 0.5) * 3; // X方向の力（極めて弱く）
+        const forceY = (rng.next() * 2 - 0.5); // Y方向の力（極めて弱く）
         
         const force = new THREE.Vector3(forceX, forceY, 0);
         this.cameraParticle.addForce(force);
@@ -1634,3 +1647,24 @@ export class Scene03 extends SceneBase {
         if (this.hud) this.hud.dispose();
     }
 }
+
+registerScene({
+    id: 'scene03',
+    title: 'mathym | coalesce (Road)',
+    preloadCost: 1,
+    gpuMemoryMB: 100,
+    // トラックのON/OFF（数字キーでトグル）の初期値
+    defaultTrackEffects: {
+        1: true,
+        2: true,
+        3: true,
+        4: false,
+        5: true,
+        6: true,
+        7: false,
+        8: true,
+        9: true,
+        10: true,
+    },
+    create: (renderer, camera, sharedResourceManager) => new Scene03(renderer, camera, sharedResourceManager)
+});
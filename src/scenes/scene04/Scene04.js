@@ -25,28 +25,21 @@ import {
     uniform,
     time
 } from 'three/tsl';
+import { clock } from '../../common/clock.js';
+import { random } from '../../common/random.js';
+import { registerScene } from '../registry.js';
+
+const rng = random.stream('scene04');
 
 export class Scene04 extends SceneTemplate {
     constructor(renderer, camera, sharedResourceManager = null) {
         super(renderer, camera, sharedResourceManager);
-        this.title = 'mathym | coalesce (Sky)';
-
-        // トラックのON/OFF
-        this.trackEffects = {
-            1: true,   // カメラランダマイズ
-            2: true,   // invert
-            3: true,   // chroma
-            4: true,   // glitch
-            5: true,   // ノイズアニメーション
-            6: false,
-            7: false,
-            8: false,
-            9: false,
-        };
         
         // ノイズアニメーション用の時間（GPUシェーダーで使用）
         this.noiseTime = 0;
         this.terrainNoiseTimeUniform = null;
+        // 地形ノイズの進む速さ（倍率。マッピング/CCで動かす用）
+        this.terrainSpeed = 1.0;
 
         this.terrainMesh = null;
         
@@ -159,9 +152,9 @@ export class Scene04 extends SceneTemplate {
             
             // 初期位置をBox内にランダムに配置（Terrainの範囲内に収まるように）
             cp.position.set(
-                boxMin.x + Math.random() * (boxMax.x - boxMin.x),
-                boxMin.y + Math.random() * (boxMax.y - boxMin.y),
-                boxMin.z + Math.random() * (boxMax.z - boxMin.z)
+                boxMin.x + rng.next() * (boxMax.x - boxMin.x),
+                boxMin.y + rng.next() * (boxMax.y - boxMin.y),
+                boxMin.z + rng.next() * (boxMax.z - boxMin.z)
             );
             
             this.cameraParticles.push(cp);
@@ -451,11 +444,11 @@ export class Scene04 extends SceneTemplate {
         
         // トラック5でノイズを動かす（GPUシェーダーで計算）
         if (this.trackEffects[5] && this.terrainNoiseTimeUniform) {
-            this.noiseTime += deltaTime * 0.001; // 時間を更新
+            this.noiseTime += deltaTime * 0.001 * this.terrainSpeed; // 時間を更新
             this.terrainNoiseTimeUniform.value = this.noiseTime;
             
             // クレーターの更新
-            const currentTime = Date.now();
+            const currentTime = clock.now();
             
             // 古いクレーターを削除（年齢がmaxAgeを超えたもの）
             this.craters = this.craters.filter(crater => {
@@ -467,11 +460,11 @@ export class Scene04 extends SceneTemplate {
             if (currentTime - this.lastCraterSpawnTime > this.craterSpawnInterval) {
                 if (this.craters.length < this.maxCraters) {
                     // ランダムな位置にクレーターを追加
-                    const x = (Math.random() - 0.5) * 1800; // -900 ～ 900
-                    const z = (Math.random() - 0.5) * 1800; // -900 ～ 900
-                    const radius = 50 + Math.random() * 100; // 50 ～ 150
-                    const depth = 20 + Math.random() * 30; // 20 ～ 50
-                    const maxAge = 5000 + Math.random() * 5000; // 5秒 ～ 10秒
+                    const x = (rng.next() - 0.5) * 1800; // -900 ～ 900
+                    const z = (rng.next() - 0.5) * 1800; // -900 ～ 900
+                    const radius = 50 + rng.next() * 100; // 50 ～ 150
+                    const depth = 20 + rng.next() * 30; // 20 ～ 50
+                    const maxAge = 5000 + rng.next() * 5000; // 5秒 ～ 10秒
                     
                     this.craters.push({
                         x, z, radius, depth,
@@ -555,7 +548,7 @@ export class Scene04 extends SceneTemplate {
         if (!this.cameraParticles || this.cameraParticles.length < 2) return;
         let newIndex = this.currentCameraIndex;
         while (newIndex === this.currentCameraIndex) {
-            newIndex = Math.floor(Math.random() * this.cameraParticles.length);
+            newIndex = Math.floor(rng.next() * this.cameraParticles.length);
         }
         this.currentCameraIndex = newIndex;
     }
@@ -581,7 +574,7 @@ export class Scene04 extends SceneTemplate {
         // でも、applyRandomForceWeak()のstrengthが0.2～1.0なので、maxForceもそれに合わせる必要がある
         const forceMul = 1.0 + 0.5 * v01;  // 1.0～1.5（maxForceを増やす）
         const speedMul = 1.00 + 0.02 * v01;
-        const now = Date.now();
+        const now = clock.now();
         const holdMs = Math.max(0, Number(durationMs) || 0) > 0 ? Number(durationMs) : 80;
 
         cps.forEach((cp, index) => {
@@ -672,6 +665,43 @@ export class Scene04 extends SceneTemplate {
         super.handleTrackNumber(trackNumber, message);
     }
 
+    /**
+     * マッピング用パラメータ
+     */
+    getParameters() {
+        return [
+            ...super.getParameters(),
+            {
+                name: 'terrainSpeed',
+                min: 0.0,
+                max: 4.0,
+                smoothing: { type: 'spring', time: 0.6 },
+                get: () => this.terrainSpeed,
+                set: (v) => { this.terrainSpeed = v; }
+            }
+        ];
+    }
+
+    /**
+     * プリセット用
+     */
+    getPresetParameters() {
+        return [
+            ...super.getPresetParameters(),
+            this.flagParameter('SHOW_WORLD_GRID', (v) => this.worldGrid?.setVisible(v))
+        ];
+    }
+
+    /**
+     * マッピング用アクション（camera = Track1 と同じ処理）
+     */
+    getActions() {
+        return [
+            ...super.getActions().filter((a) => a.name !== 'camera'),
+            { name: 'camera', trigger: ({ velocity, durationMs }) => this.applyTrack1Camera(velocity, durationMs) }
+        ];
+    }
+
     onResize() {
         super.onResize();
         if (this.camera) {
@@ -809,3 +839,23 @@ export class Scene04 extends SceneTemplate {
         });
     }
 }
+
+registerScene({
+    id: 'scene04',
+    title: 'mathym | coalesce (Sky)',
+    preloadCost: 2,
+    gpuMemoryMB: 150,
+    // トラックのON/OFF（数字キーでトグル）の初期値
+    defaultTrackEffects: {
+        1: true,   // カメラランダマイズ
+        2: true,   // invert
+        3: true,   // chroma
+        4: true,   // glitch
+        5: true,   // ノイズアニメーション
+        6: false,
+        7: false,
+        8: false,
+        9: false,
+    },
+    create: (renderer, camera, sharedResourceManager) => new Scene04(renderer, camera, sharedResourceManager)
+});
@@ -0,0 +1,151 @@
+/**
+ * 音声入力管理クラス（Web Audio）
+ * ライン入力（getUserMedia）または音声ファイルを AudioAnalyzer に通して、OSC と同じイベントにする
+ *
+ * - source: 'input'（デフォルトの入力デバイス）/ デバイス名の部分一致 / 音声ファイルのURL（'/audio/mix.wav' など）
+ * - 毎フレーム update() で AnalyserNode の最新波形を取り出して解析する（FFTは AudioAnalyzer 側。ヘッドレスと同じ結果になるように）
+ *
+ * NOTE:
+ * - ライン入力はエコーキャンセル/ノイズ抑制/自動ゲインを切る（ミックスをそのまま解析したいので）
+ * - ライン入力はスピーカーに出さない（ハウリング防止）。ファイルは再生して音も出す
+ * - ブラウザの自動再生制限で AudioContext が止まっている間は、最初のクリック/キー入力で開始する
+ */
+
+import { AudioAnalyzer } from '../lib/AudioAnalyzer.js';
+
+export class AudioInput {
+    constructor(options = {}) {
+        this.source = options.source || 'input';
+        this.analyzerOptions = options.analyzerOptions || {};
+        this.onMessage = options.onMessage || null;
+        this.onStatusChange = options.onStatusChange || null;
+
+        this.context = null;
+        this.analyserNode = null;
+        this.analyzer = null;
+        this.stream = null;
+        this.audioElement = null;
+        this._buffer = null;
+
+        this._onUserGesture = () => this.resume();
+    }
+
+    get isFile() {
+        return /[/.]/.test(this.source);
+    }
+
+    async init() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn('Audio: このブラウザは Web Audio に対応していません');
+            this.setStatus('Unsupported');
+            return false;
+        }
+
+        this.context = new AudioContextClass({ latencyHint: 'interactive' });
+        this.analyserNode = this.context.createAnalyser();
+        this.analyserNode.fftSize = this.analyzerOptions.fftSize || 2048;
+        this.analyserNode.smoothingTimeConstant = 0;
+        this._buffer = new Float32Array(this.analyserNode.fftSize);
+
+        try {
+            const node = this.isFile ? this.createFileSource() : await this.createInputSource();
+            node.connect(this.analyserNode);
+        } catch (error) {
+            console.error('Audio: 入力を開けません:', error);
+            this.setStatus('Error');
+            return false;
+        }
+
+        this.analyzer = new AudioAnalyzer({
+            ...this.analyzerOptions,
+            sampleRate: this.context.sampleRate,
+            fftSize: this.analyserNode.fftSize,
+            onMessage: (message) => this.onMessage?.(message)
+        });
+
+        if (this.context.state !== 'running') {
+            this.setStatus('Click to start');
+            window.addEventListener('pointerdown', this._onUserGesture);
+            window.addEventListener('keydown', this._onUserGesture);
+        } else {
+            this.setStatus('Running');
+        }
+        return true;
+    }
+
+    async createInputSource() {
+        const constraints = { echoCancellation: false, noiseSuppression: false, autoGainControl: false };
+        this.stream = await navigator.mediaDevices.getUserMedia({ audio: constraints });
+
+        // デバイス名はアクセス許可の後でないと取れないので、一度デフォルトで開いてから選び直す
+        if (this.source !== 'input') {
+            const filter = this.source.toLowerCase();
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            const device = devices.find((d) => d.kind === 'audioinput' && d.label.toLowerCase().includes(filter));
+            if (device) {
+                this.stream.getTracks().forEach((t) => t.stop());
+                this.stream = await navigator.mediaDevices.getUserMedia({ audio: { ...constraints, deviceId: { exact: device.deviceId } } });
+            } else {
+                console.warn(`Audio: "${this.source}" を含む入力デバイスが無いので、デフォルトの入力を使います`);
+            }
+        }
+        const label = this.stream.getAudioTracks()[0]?.label || 'default';
+        console.log(`Audio: 入力 ${label}`);
+        return this.context.createMediaStreamSource(this.stream);
+    }
+
+    createFileSource() {
+        this.audioElement = new Audio(this.source);
+        this.audioElement.loop = true;
+        this.audioElement.crossOrigin = 'anonymous';
+        const node = this.context.createMediaElementSource(this.audioElement);
+        node.connect(this.context.destination);
+        this.audioElement.play().catch(() => {
+            // 自動再生制限（resume() で再生し直す）
+        });
+        console.log(`Audio: ファイル ${this.source}`);
+        return node;
+    }
+
+    async resume() {
+        if (!this.context) return;
+        window.removeEventListener('pointerdown', this._onUserGesture);
+        window.removeEventListener('keydown', this._onUserGesture);
+        try {
+            await this.context.resume();
+        } catch (error) {
+            // 次のクリック/キー入力でもう一度試す
+            console.error('Audio: 再開できません:', error);
+            this.setStatus('Error');
+            window.addEventListener('pointerdown', this._onUserGesture);
+            window.addEventListener('keydown', this._onUserGesture);
+            return;
+        }
+        if (this.audioElement?.paused) await this.audioElement.play().catch(() => {});
+        this.setStatus(this.context.state === 'running' ? 'Running' : 'Suspended');
+    }
+
+    setStatus(status) {
+        if (this.onStatusChange) this.onStatusChange(status);
+    }
+
+    /**
+     * 毎フレーム呼ぶ（最新の波形を解析してメッセージを流す）
+     */
+    update() {
+        if (!this.analyzer || this.context.state !== 'running') return;
+        this.analyserNode.getFloatTimeDomainData(this._buffer);
+        this.analyzer.process(this._buffer, this.context.currentTime);
+    }
+
+    close() {
+        window.removeEventListener('pointerdown', this._onUserGesture);
+        window.removeEventListener('keydown', this._onUserGesture);
+        this.stream?.getTracks().forEach((t) => t.stop());
+        this.audioElement?.pause();
+        this.context?.close();
+        this.context = null;
+        this.analyzer = null;
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * 連続値コントロール（CC）
+ * `/cc/<name> <0..1>` / MIDI CC を、スムージングしながらパラメータに流す
+ *
+ * <name> の解決順（毎フレーム。シーンが切り替わったら新しいシーンのパラメータに効く）:
+ * 1. 今のシーンの getParameters()（bloom / dof / fakeAO / heatmapMix / terrainSpeed など。範囲は各パラメータの min..max）
+ * 2. CONF_RANGES にある conf のプロパティ（dynamicViscosity / noise など）
+ *
+ * NOTE:
+ * - 入力の 0..1 を範囲にマッピングしてから書き込む（シーケンサーのオートメーションは 0..1 で書けばいい）
+ * - スムージングは名前ごと（setSmoothing / パラメータの smoothing / DEFAULT_SMOOTHING の順）
+ * - 値が落ち着いたら書き込みを止める（ショーファイルやtickで動かしている値と毎フレーム取り合わないように）
+ */
+
+import { conf } from '../common/conf.js';
+import { Smoother, SMOOTHING_TYPES } from '../lib/Smoother.js';
+
+// CC / モジュレーションで動かせる conf のプロパティと範囲
+export const CONF_RANGES = {
+    dynamicViscosity: [0.0, 0.3],
+    noise: [0.0, 1.0],
+    speed: [0.0, 2.0],
+    stiffness: [0.5, 10.0],
+    elasticity: [5.0, 120.0],
+    heatSpeedMax: [0.002, 0.05]
+};
+
+const DEFAULT_SMOOTHING = { type: 'onePole', time: 0.08 };
+
+export class CCManager {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        // name → Smoother
+        this.channels = new Map();
+        // name → { type, time }（setSmoothing で上書きしたもの）
+        this.smoothing = new Map();
+        this._warned = new Set();
+    }
+
+    /**
+     * CC入力
+     * @param {string} name
+     * @param {number} value - 0..1
+     */
+    handle(name, value) {
+        const v = Number(value);
+        if (!name || !Number.isFinite(v)) return;
+        let smoother = this.channels.get(name);
+        if (!smoother) {
+            smoother = new Smoother(this.getSmoothing(name));
+            this.channels.set(name, smoother);
+        }
+        smoother.setTarget(Math.min(Math.max(v, 0), 1));
+    }
+
+    /**
+     * スムージングを変更
+     * @param {string} name
+     * @param {string} type - none / slew / onePole / spring
+     * @param {number} time - 秒
+     */
+    setSmoothing(name, type, time) {
+        if (!SMOOTHING_TYPES.includes(type)) {
+            console.warn(`CC: スムージング ${type} は無効です（${SMOOTHING_TYPES.join(' / ')}）`);
+            return;
+        }
+        const t = Number(time);
+        const options = { type, time: Number.isFinite(t) && t >= 0 ? t : DEFAULT_SMOOTHING.time };
+        this.smoothing.set(name, options);
+        const smoother = this.channels.get(name);
+        if (smoother) {
+            smoother.type = options.type;
+            smoother.time = options.time;
+        }
+        console.log(`CC: ${name} のスムージング = ${options.type} ${options.time}s`);
+    }
+
+    /**
+     * スムージング後の値（0..1。まだ来ていなければ null）。モジュレーションのソース用
+     */
+    getValue(name) {
+        return this.channels.get(name)?.value ?? null;
+    }
+
+    getSmoothing(name) {
+        if (this.smoothing.has(name)) return this.smoothing.get(name);
+        const param = this.findParameter(name);
+        return param?.smoothing || DEFAULT_SMOOTHING;
+    }
+
+    findParameter(name) {
+        const scene = this.sceneManager.getCurrentScene();
+        return scene?.getParameters?.().find((p) => p.name === name) || null;
+    }
+
+    /**
+     * スムージングを進めてパラメータに書き込む（毎フレーム）
+     */
+    update(deltaTime) {
+        for (const [name, smoother] of this.channels) {
+            if (smoother.settled) continue;
+            const v01 = smoother.update(deltaTime);
+            this.apply(name, v01);
+        }
+    }
+
+    apply(name, v01) {
+        // spring の行き過ぎなどで範囲の外に出ないように
+        v01 = Math.min(Math.max(Number(v01) || 0, 0), 1);
+        const param = this.findParameter(name);
+        if (param) {
+            param.set(param.min + (param.max - param.min) * v01);
+            return;
+        }
+        const range = CONF_RANGES[name];
+        if (range && typeof conf[name] === 'number') {
+            conf[name] = range[0] + (range[1] - range[0]) * v01;
+            return;
+        }
+        // モジュレーションのソースとしてだけ使っている名前は警告しない
+        if (this.sceneManager.modulation?.usesSource(`cc:${name}`)) return;
+        if (!this._warned.has(name)) {
+            this._warned.add(name);
+            console.warn(`CC: ${name} に対応するパラメータがありません（今のシーン: ${this.sceneManager.getCurrentScene()?.id ?? '-'}）`);
+        }
+    }
+}
@@ -0,0 +1,333 @@
+/**
+ * 操作パネル（Tweakpane）
+ * 別ウィンドウ（ポップアップ）に出すオペレーター用のパネル。プロジェクター出力には映らない
+ *
+ * - 状態: FPSグラフ / シーン / 小節 / BPM / ショー
+ * - シーン: 切り替え / HUD / トラック1〜9のON/OFF
+ * - パラメータ: 今のシーンの getPresetParameters()（数値はスライダー、フラグはチェックボックス）。シーンが変わったら作り直す
+ * - conf: CCManager の CONF_RANGES（/cc と同じ範囲）
+ * - プリセット: スロット1〜9の呼び出し / 名前を付けて保存・呼び出し / 保存済みの一覧
+ * - OSCログ: 受信したメッセージ（tick と音声のレベル/CCは毎フレーム来るので出さない）
+ *
+ * NOTE:
+ * - ポップアップがブロックされた時だけ、メインウィンドウの右上に出す（出力に映るので注意）
+ * - パネルの値は定期的に読み直す（OSC/CC/ショー/モジュレーションで変わった値を表示に反映）。読み直しで値を書き戻さない
+ * - パネルにフォーカスがある時のキー入力はメインウィンドウと同じ処理に回す（テキスト入力中は除く）
+ */
+
+import { Pane } from 'tweakpane';
+import * as EssentialsPlugin from '@tweakpane/plugin-essentials';
+import { conf } from '../common/conf.js';
+import { tempo } from '../common/tempo.js';
+import { CONF_RANGES } from './CCManager.js';
+
+// OSCログの行数
+const LOG_LINES = 16;
+// 入力（スライダー等）を読み直す間隔（ms）
+const REFRESH_MS = 200;
+// ログに出さないメッセージ（毎フレーム来るもの）
+const isNoisyMessage = (m) => m?.type === 'tick'
+    || /^\/audio\/(level|rms)/.test(m?.address || '')
+    || (m?.source === 'audio' && m?.type === 'cc');
+
+export class ControlPanel {
+    constructor(sceneManager, options = {}) {
+        this.sceneManager = sceneManager;
+        this.onKeyDown = options.onKeyDown || null;
+        this.onKeyUp = options.onKeyUp || null;
+
+        this.window = null;        // ポップアップ（インライン表示の時は null）
+        this.container = null;
+        this.pane = null;
+        this.fpsGraph = null;
+
+        this.status = { scene: '', bar: 0, bpm: 0, show: '' };
+        this.log = { text: '' };
+        this._logLines = [];
+        this.presetState = { name: 'chorus', morphMs: sceneManager.presets.defaultMorphMs };
+
+        this._sceneFolder = null;
+        this._presetListFolder = null;
+        this._sceneKey = null;
+        this._refreshing = false;
+        this._lastRefreshMs = 0;
+
+        this._onPopupKeyDown = (e) => this.forwardKey(e, this.onKeyDown);
+        this._onPopupKeyUp = (e) => this.forwardKey(e, this.onKeyUp);
+        this._onPopupClose = () => this.dispose();
+    }
+
+    get isOpen() {
+        return !!this.pane;
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (this.isOpen) {
+            this.window?.focus();
+            return;
+        }
+        // NOTE: キー入力（ユーザー操作）から呼ぶこと。それ以外だとポップアップがブロックされる
+        const win = window.open('', 'mavrx4-panel', 'width=380,height=900');
+        let doc = document;
+        if (win) {
+            this.window = win;
+            doc = win.document;
+            doc.title = 'MAVRX4 Panel';
+            doc.body.innerHTML = '';
+            doc.body.style.cssText = 'margin:0;padding:8px;background:#1b1b1d;';
+            win.addEventListener('keydown', this._onPopupKeyDown);
+            win.addEventListener('keyup', this._onPopupKeyUp);
+            win.addEventListener('pagehide', this._onPopupClose);
+        } else {
+            console.warn('操作パネル: ポップアップがブロックされたので、メインウィンドウに表示します（出力に映ります）');
+        }
+
+        this.container = doc.createElement('div');
+        if (!win) {
+            this.container.style.cssText = 'position:fixed;top:8px;right:8px;width:320px;max-height:calc(100vh - 16px);overflow:auto;z-index:1000;';
+        }
+        doc.body.appendChild(this.container);
+
+        this.pane = new Pane({ document: doc, container: this.container, title: 'MAVRX4' });
+        this.pane.registerPlugin(EssentialsPlugin);
+        this.build();
+        console.log('操作パネルを開きました');
+    }
+
+    close() {
+        const win = this.window;
+        this.dispose();
+        win?.close();
+    }
+
+    /**
+     * パネルを片付ける（ポップアップが閉じられた時もここ）
+     */
+    dispose() {
+        if (!this.pane) return;
+        if (this.window) {
+            this.window.removeEventListener('keydown', this._onPopupKeyDown);
+            this.window.removeEventListener('keyup', this._onPopupKeyUp);
+            this.window.removeEventListener('pagehide', this._onPopupClose);
+        }
+        this.pane.dispose();
+        this.container?.remove();
+        this.pane = null;
+        this.fpsGraph = null;
+        this.container = null;
+        this.window = null;
+        this._sceneFolder = null;
+        this._presetListFolder = null;
+        this._sceneKey = null;
+    }
+
+    forwardKey(e, handler) {
+        const tag = e.target?.tagName;
+        if (!handler || tag === 'INPUT' || tag === 'TEXTAREA') return;
+        handler(e);
+    }
+
+    /**
+     * get/set をプロパティにしたオブジェクト（Tweakpane のバインディング用）
+     * NOTE: refresh() の読み直しで値が変わると Tweakpane は書き戻すので、その間の set は無視する
+     */
+    accessor(get, set) {
+        const target = {};
+        Object.defineProperty(target, 'value', {
+            get,
+            set: (v) => {
+                if (!this._refreshing) set(v);
+            },
+            enumerable: true
+        });
+        return target;
+    }
+
+    build() {
+        const manager = this.sceneManager;
+        const pane = this.pane;
+
+        // 状態
+        const statusFolder = pane.addFolder({ title: '状態' });
+        this.fpsGraph = statusFolder.addBlade({ view: 'fpsgraph', label: 'FPS', rows: 2 });
+        statusFolder.addBinding(this.status, 'scene', { readonly: true, label: 'シーン' });
+        statusFolder.addBinding(this.status, 'bar', { readonly: true, label: '小節', format: (v) => v.toFixed(0) });
+        statusFolder.addBinding(this.status, 'bpm', { readonly: true, label: 'BPM', view: 'graph', min: 0, max: 200 });
+        statusFolder.addBinding(this.status, 'show', { readonly: true, label: 'ショー' });
+
+        // シーン
+        const sceneFolder = pane.addFolder({ title: 'シーン' });
+        const options = Object.fromEntries((manager.sceneEntries || []).map((e, i) => [`${i + 1}: ${e.title || e.id}`, i]));
+        sceneFolder.addBinding(
+            this.accessor(
+                () => manager._pendingSceneIndex ?? manager.currentSceneIndex,
+                (index) => {
+                    if (index !== (manager._pendingSceneIndex ?? manager.currentSceneIndex)) manager.switchScene(index);
+                }
+            ),
+            'value',
+            { label: 'シーン', options }
+        );
+        sceneFolder.addBinding(
+            this.accessor(() => !!manager.globalShowHUD, (v) => manager.setHUDVisible(v)),
+            'value',
+            { label: 'HUD' }
+        );
+        for (let track = 1; track <= 9; track++) {
+            sceneFolder.addBinding(
+                this.accessor(() => !!manager.getCurrentScene()?.trackEffects?.[track], (v) => manager.setTrackEffect(track, v)),
+                'value',
+                { label: `track ${track}` }
+            );
+        }
+
+        // conf（/cc と同じ範囲）
+        const confFolder = pane.addFolder({ title: 'conf', expanded: false });
+        for (const [name, [min, max]] of Object.entries(CONF_RANGES)) {
+            confFolder.addBinding(
+                this.accessor(() => Number(conf[name]) || 0, (v) => { conf[name] = v; }),
+                'value',
+                { label: name, min, max }
+            );
+        }
+
+        // プリセット
+        const presetFolder = pane.addFolder({ title: 'プリセット' });
+        presetFolder.addBinding(this.presetState, 'morphMs', { label: 'モーフ(ms)', min: 0, max: 8000, step: 100 });
+        presetFolder.addBlade({
+            view: 'buttongrid',
+            size: [3, 3],
+            cells: (x, y) => ({ title: String(y * 3 + x + 1) }),
+            label: 'スロット'
+        }).on('click', (ev) => {
+            const [x, y] = ev.index;
+            this.recallPreset(String(y * 3 + x + 1));
+        });
+        presetFolder.addBinding(this.presetState, 'name', { label: '名前' });
+        presetFolder.addButton({ title: '呼び出し' }).on('click', () => this.recallPreset(this.presetState.name));
+        presetFolder.addButton({ title: '今の見た目を保存' }).on('click', async () => {
+            await manager.presets.save(this.presetState.name);
+            this.rebuildPresetList();
+        });
+        this._presetListFolder = presetFolder.addFolder({ title: '保存済み', expanded: false });
+
+        // OSCログ
+        const logFolder = pane.addFolder({ title: 'OSCログ', expanded: false });
+        logFolder.addBinding(this.log, 'text', { readonly: true, multiline: true, rows: LOG_LINES, label: '受信', bufferSize: 1 });
+
+        this._sceneKey = null;
+        this.refresh();
+    }
+
+    /**
+     * 今のシーンのパラメータ（シーンが変わったら作り直す）
+     */
+    rebuildSceneFolder(scene) {
+        this._sceneFolder?.dispose();
+        const params = scene?.getPresetParameters?.() || [];
+        this._sceneFolder = this.pane.addFolder({ title: `パラメータ: ${scene?.id ?? '-'}${params.length ? '' : '（なし）'}`, index: 2 });
+        for (const p of params) {
+            if (p.type === 'boolean') {
+                this._sceneFolder.addBinding(this.accessor(() => !!p.get(), (v) => p.set(v)), 'value', { label: p.name });
+            } else {
+                this._sceneFolder.addBinding(
+                    this.accessor(() => Number(p.get()) || 0, (v) => p.set(v)),
+                    'value',
+                    { label: p.name, min: p.min, max: p.max }
+                );
+            }
+        }
+        this.rebuildPresetList();
+    }
+
+    /**
+     * 保存済みプリセットのボタン（osc-server の一覧から）
+     */
+    async rebuildPresetList() {
+        const folder = this._presetListFolder;
+        const sceneId = this.sceneManager.getCurrentScene()?.id;
+        if (!folder || !sceneId) return;
+        const names = await this.sceneManager.presets.list(sceneId);
+        // 読み込み中にパネル/シーンが変わっていたら捨てる
+        if (folder !== this._presetListFolder || sceneId !== this.sceneManager.getCurrentScene()?.id) return;
+        for (const child of [...folder.children]) child.dispose();
+        for (const name of names) {
+            folder.addButton({ title: name }).on('click', () => this.recallPreset(name));
+        }
+    }
+
+    recallPreset(name) {
+        this.presetState.name = name;
+        this.sceneManager.presets.recall(name, { durationMs: this.presetState.morphMs });
+    }
+
+    /**
+     * 受信したメッセージをログに足す（SceneManager.onMessage から）
+     */
+    logMessage(message) {
+        if (!this.pane || isNoisyMessage(message)) return;
+        const args = (message.args || []).map((a) => (typeof a === 'number' ? Number(a.toFixed(3)) : a)).join(' ');
+        const source = message.source === 'midi' || message.source === 'audio' ? `[${message.source}] ` : '';
+        this._logLines.push(`${source}${message.address || message.type} ${args}`.trim());
+        if (this._logLines.length > LOG_LINES) this._logLines.shift();
+        this.log.text = this._logLines.join('\n');
+    }
+
+    /**
+     * FPSグラフの計測（メインループの頭と最後で呼ぶ）
+     */
+    begin() {
+        this.fpsGraph?.begin();
+    }
+
+    end() {
+        this.fpsGraph?.end();
+    }
+
+    /**
+     * 毎フレーム（状態の更新とシーン切り替えの検出。入力の読み直しは REFRESH_MS ごと）
+     */
+    update() {
+        if (!this.pane) return;
+        if (this.window?.closed) {
+            this.dispose();
+            return;
+        }
+        const manager = this.sceneManager;
+        const scene = manager.getCurrentScene();
+        const key = `${manager.currentSceneIndex}:${scene?.id}`;
+        if (key !== this._sceneKey) {
+            this._sceneKey = key;
+            this.rebuildSceneFolder(scene);
+        }
+
+        const state = manager.getOutputState();
+        this.status.scene = state.sceneTitle;
+        this.status.bar = state.bar;
+        this.status.bpm = tempo.running ? tempo.bpm : 0;
+        this.status.show = state.show ? `${state.show.song} / ${state.show.section}` : '-';
+
+        const now = performance.now();
+        if (now - this._lastRefreshMs >= REFRESH_MS) {
+            this._lastRefreshMs = now;
+            this.refresh();
+        }
+    }
+
+    refresh() {
+        this._refreshing = true;
+        try {
+            this.pane.refresh();
+        } finally {
+            this._refreshing = false;
+        }
+    }
+}
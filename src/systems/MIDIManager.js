@@ -0,0 +1,235 @@
+/**
+ * MIDI入力管理クラス（Web MIDI）
+ * osc-server を介さずに、MIDIノート/クロックを OSC と同じイベント形式に変換する
+ *
+ * - ノート: { type: 'note', trackNumber, args: [noteNumber, velocity, durationMs] }
+ * - CC(0xB0): { type: 'cc', name, value(0..1) }。name は ccMap（CC番号 → 名前）、無ければ 'cc74' のような名前
+ * - クロック(0xF8)/SPP(0xF2)/Start/Continue/Stop: { type: 'tick', actual_tick } / { type: 'bar', actual_bar }
+ *
+ * NOTE:
+ * - MIDIクロックは 24PPQN、こちらの actual_tick は 96tick/拍 なので 1クロック = 4tick
+ * - SPP は16分音符単位なので 1 = 24tick
+ * - durationMs はノートオフが来るまで分からないので、triggerOn で発火タイミングを選ぶ
+ *   - 'noteOn'（デフォルト）: ノートオンで即発火。durationMs は同じトラック/ノートの前回の実測値（初回は0 = シーン側のデフォルト）
+ *   - 'noteOff': ノートオフで発火。durationMs は正確だが、ノートを押している間は発火が遅れる
+ */
+
+const MIDI_TICKS_PER_CLOCK = 4;   // 96 / 24
+const TICKS_PER_SIXTEENTH = 24;   // 96 / 4
+const TICKS_PER_BAR = 96 * 4;
+
+export class MIDIManager {
+    constructor(options = {}) {
+        this.onMessage = options.onMessage || null;
+        this.onStatusChange = options.onStatusChange || null;
+        // 入力ポート名の部分一致フィルタ（未指定なら全ポート）
+        this.inputFilter = options.inputFilter || '';
+        this.triggerOn = options.triggerOn === 'noteOff' ? 'noteOff' : 'noteOn';
+        // (channel 1-16, noteNumber) → trackNumber（null で無視）。デフォルトはチャンネル = トラック
+        this.mapNote = options.mapNote || ((channel) => channel);
+        // CC番号 → パラメータ名（{ 74: 'noise' }）。全チャンネル共通
+        this.ccMap = options.ccMap || {};
+        // MIDIクロックで tick/bar を動かすか
+        this.useClock = options.useClock ?? true;
+
+        this.access = null;
+        this.inputs = [];
+
+        // 押下中のノート: key = `${channel}:${note}` → { time, velocity, trackNumber }
+        this._activeNotes = new Map();
+        // 前回の長さ（triggerOn = 'noteOn' のときの durationMs 推定用）
+        this._lastDurations = new Map();
+
+        // クロック状態
+        this.clockRunning = false;
+        this.actualTick = 0;
+        this._lastBar = null;
+        // Start/SPP 直後の最初のクロックは「その位置そのもの」なので進めない（MIDI仕様）
+        this._holdNextClock = false;
+
+        this._onMIDIMessage = (e) => this.handleMIDIMessage(e.data, e.timeStamp);
+    }
+
+    async init() {
+        if (!navigator.requestMIDIAccess) {
+            console.warn('MIDI: このブラウザは Web MIDI に対応していません');
+            this.setStatus('Unsupported');
+            return false;
+        }
+        try {
+            this.access = await navigator.requestMIDIAccess({ sysex: false });
+        } catch (error) {
+            console.error('MIDI: アクセスが拒否されました:', error);
+            this.setStatus('Denied');
+            return false;
+        }
+        this.access.onstatechange = () => this.bindInputs();
+        this.bindInputs();
+        return true;
+    }
+
+    /**
+     * 入力ポートに接続（抜き差しのたびに呼ばれる）
+     */
+    bindInputs() {
+        for (const input of this.inputs) {
+            input.removeEventListener('midimessage', this._onMIDIMessage);
+        }
+        this.inputs = [];
+        if (!this.access) return;
+
+        const filter = this.inputFilter.toLowerCase();
+        for (const input of this.access.inputs.values()) {
+            if (input.state !== 'connected') continue;
+            if (filter && !(input.name || '').toLowerCase().includes(filter)) continue;
+            input.addEventListener('midimessage', this._onMIDIMessage);
+            this.inputs.push(input);
+        }
+
+        const names = this.inputs.map((i) => i.name).join(', ');
+        console.log(`MIDI: 入力 ${this.inputs.length}件 ${names ? `(${names})` : ''}`);
+        this.setStatus(this.inputs.length > 0 ? 'Connected' : 'No Input');
+    }
+
+    setStatus(status) {
+        if (this.onStatusChange) this.onStatusChange(status);
+    }
+
+    emit(message) {
+        if (this.onMessage) this.onMessage(message);
+    }
+
+    /**
+     * MIDIメッセージを処理
+     * @param {Uint8Array} data
+     * @param {number} timeStamp - performance.now() と同じ時間軸
+     */
+    handleMIDIMessage(data, timeStamp = performance.now()) {
+        if (!data || data.length === 0) return;
+        const status = data[0];
+
+        // システムリアルタイム/コモン
+        if (status >= 0xF0) {
+            if (this.useClock) this.handleSystemMessage(status, data);
+            return;
+        }
+
+        const command = status & 0xF0;
+        const channel = (status & 0x0F) + 1;
+        const note = data[1];
+        const velocity = data[2] ?? 0;
+
+        if (command === 0x90 && velocity > 0) {
+            this.handleNoteOn(channel, note, velocity, timeStamp);
+        } else if (command === 0x80 || (command === 0x90 && velocity === 0)) {
+            this.handleNoteOff(channel, note, timeStamp);
+        } else if (command === 0xB0) {
+            this.handleControlChange(channel, data[1], velocity);
+        }
+    }
+
+    handleControlChange(channel, cc, value) {
+        const name = this.ccMap[cc] ?? `cc${cc}`;
+        this.emit({
+            type: 'cc',
+            source: 'midi',
+            address: `/midi/${channel}/cc/${cc}`,
+            args: [value],
+            name,
+            value: value / 127,
+            trackNumber: null
+        });
+    }
+
+    handleNoteOn(channel, note, velocity, timeStamp) {
+        const trackNumber = this.mapNote(channel, note);
+        if (trackNumber === null || trackNumber === undefined) return;
+
+        const key = `${channel}:${note}`;
+        this._activeNotes.set(key, { time: timeStamp, velocity, trackNumber });
+
+        if (this.triggerOn === 'noteOn') {
+            const durationMs = this._lastDurations.get(`${trackNumber}:${note}`) ?? 0;
+            this.emitNote(trackNumber, channel, note, velocity, durationMs);
+        }
+    }
+
+    handleNoteOff(channel, note, timeStamp) {
+        const key = `${channel}:${note}`;
+        const active = this._activeNotes.get(key);
+        if (!active) return;
+        this._activeNotes.delete(key);
+
+        const durationMs = Math.max(0, timeStamp - active.time);
+        this._lastDurations.set(`${active.trackNumber}:${note}`, durationMs);
+
+        if (this.triggerOn === 'noteOff') {
+            this.emitNote(active.trackNumber, channel, note, active.velocity, durationMs);
+        }
+    }
+
+    emitNote(trackNumber, channel, note, velocity, durationMs) {
+        this.emit({
+            type: 'note',
+            source: 'midi',
+            address: `/midi/${channel}/note`,
+            args: [note, velocity, durationMs],
+            trackNumber
+        });
+    }
+
+    handleSystemMessage(status, data) {
+        switch (status) {
+            case 0xF8: // Timing Clock
+                if (!this.clockRunning) return;
+                if (this._holdNextClock) {
+                    this._holdNextClock = false;
+                    return;
+                }
+                this.setTick(this.actualTick + MIDI_TICKS_PER_CLOCK);
+                break;
+            case 0xFA: // Start
+                this.clockRunning = true;
+                this._holdNextClock = true;
+                this.setTick(0, true);
+                break;
+            case 0xFB: // Continue
+                this.clockRunning = true;
+                break;
+            case 0xFC: // Stop
+                this.clockRunning = false;
+                break;
+            case 0xF2: { // Song Position Pointer（16分音符単位）
+                const position = ((data[2] ?? 0) << 7) | (data[1] ?? 0);
+                this._holdNextClock = true;
+                this.setTick(position * TICKS_PER_SIXTEENTH, true);
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    setTick(tick, force = false) {
+        const prev = this.actualTick;
+        this.actualTick = Math.max(0, tick);
+        if (!force && prev === this.actualTick) return;
+
+        this.emit({ type: 'tick', source: 'midi', actual_tick: this.actualTick, args: [this.actualTick], trackNumber: null });
+
+        const bar = Math.floor(this.actualTick / TICKS_PER_BAR) + 1;
+        if (force || bar !== this._lastBar) {
+            this._lastBar = bar;
+            this.emit({ type: 'bar', source: 'midi', actual_bar: bar, args: [bar], trackNumber: null });
+        }
+    }
+
+    close() {
+        for (const input of this.inputs) {
+            input.removeEventListener('midimessage', this._onMIDIMessage);
+        }
+        this.inputs = [];
+        if (this.access) this.access.onstatechange = null;
+        this._activeNotes.clear();
+    }
+}
@@ -0,0 +1,266 @@
+/**
+ * マッピング（MIDI-learn 風）
+ * OSCアドレス / トラック番号 / ノート範囲を、シーンが公開しているパラメータ・アクションに割り当てる
+ *
+ * シーン側（SceneBase）:
+ * - getParameters(): [{ name, min, max, get(), set(value) }]  … 範囲付きの連続値
+ * - getActions():    [{ name, trigger({ value, velocity, note, durationMs }) }]  … 1回発火
+ *
+ * バインディング（localStorage / public/mappings/<name>.json）:
+ * {
+ *   "source": { "type": "note", "track": 5, "notes": [60, 72] },   // notes 省略でトラックの全ノート
+ *   "source": { "type": "osc", "address": "/fader/1", "arg": 0, "range": [0, 1] },  // address は OSC パターン可
+ *   "target": "action:force",      // action:<name> / param:<name>（シーン）/ conf:<name>（/param と同じ）
+ *   "scene": "scene01",            // このシーンが表示中の時だけ有効（省略で全シーン）
+ *   "curve": "exp",                // linear / exp / log / scurve / 数値（x^n）。入力(0..1)に掛ける
+ *   "range": [0.0, 0.5],           // param/conf の出力範囲（省略でパラメータの min..max、conf は 0..1）
+ *   "note": 60,                    // osc ソースで action を発火する時のノート番号（省略で 64。note ソースは来たノート）
+ *   "passThrough": false           // true ならシーンの従来のトラック処理にも流す
+ * }
+ *
+ * NOTE:
+ * - マッチしたノートは、passThrough が無ければシーンの handleTrackNumber() に流さない（ルーティングの置き換え）
+ * - ノートのトラックが trackEffects でOFFなら、マッピングも発火しない（数字キーのスイッチはそのまま効く）
+ * - learn(target) の後、最初に来たノート（トラック単位）か未定義のOSCアドレスをそのターゲットに割り当てる
+ * - tick/bar/phase やシーン切替などの型付きイベントは対象外
+ * - 音声入力のレベル（/audio/level/*, /audio/rms）は毎フレーム流れてくるので learn では拾わない（JSONに書く）
+ */
+
+import { matchAddressPattern } from '../common/oscAddressPattern.js';
+import { applyCurve } from '../lib/curves.js';
+
+const STORAGE_KEY = 'mavrx4.mappings';
+
+const clamp01 = (v) => Math.min(Math.max(v, 0), 1);
+
+export class MappingManager {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.bindings = [];
+        // learn 待ち: { target, scene }
+        this.learning = null;
+        this.load();
+    }
+
+    /**
+     * localStorage から読み込み（無ければ空）
+     */
+    load() {
+        try {
+            const json = globalThis.localStorage?.getItem(STORAGE_KEY);
+            if (json) this.setBindings(JSON.parse(json), { save: false });
+        } catch (err) {
+            console.warn('マッピングを読み込めません（localStorage）:', err);
+        }
+    }
+
+    save() {
+        try {
+            globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
+        } catch (err) {
+            console.warn('マッピングを保存できません（localStorage）:', err);
+        }
+    }
+
+    /**
+     * JSONファイルから読み込み（localStorage の内容は置き換える）
+     * @param {string} name - 'live'（public/mappings/live.json）または URL
+     */
+    async loadFile(name) {
+        const url = /[/.]/.test(name) ? name : `/mappings/${encodeURIComponent(name)}.json`;
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`マッピングを読み込めません: ${url} (${res.status})`);
+        const json = await res.json();
+        this.setBindings(Array.isArray(json) ? json : json?.bindings);
+        console.log(`マッピング: ${url}（${this.bindings.length}件）`);
+    }
+
+    setBindings(list, { save = true } = {}) {
+        this.bindings = [];
+        for (const b of list || []) {
+            const binding = normalizeBinding(b);
+            if (binding) this.bindings.push(binding);
+            else console.warn('マッピング: 無効なバインディングを無視', b);
+        }
+        if (save) this.save();
+    }
+
+    toJSON() {
+        return { bindings: this.bindings };
+    }
+
+    addBinding(b) {
+        const binding = normalizeBinding(b);
+        if (!binding) {
+            console.warn('マッピング: 無効なバインディング', b);
+            return null;
+        }
+        this.bindings.push(binding);
+        this.save();
+        return binding;
+    }
+
+    /**
+     * ターゲットのバインディングを全部外す
+     */
+    removeTarget(target) {
+        const before = this.bindings.length;
+        this.bindings = this.bindings.filter((b) => b.target !== target);
+        if (this.bindings.length !== before) this.save();
+        return before - this.bindings.length;
+    }
+
+    clear() {
+        this.bindings = [];
+        this.learning = null;
+        this.save();
+    }
+
+    /**
+     * 次に来たメッセージを target に割り当てる
+     * @param {string} target - action:<name> / param:<name> / conf:<name>
+     * @param {string|null} scene - 有効にするシーンの id（省略時: action/param は今のシーン、conf は全シーン）
+     */
+    learn(target, scene) {
+        if (!parseTarget(target)) {
+            console.warn(`マッピング: ターゲット ${target} は無効です（action:<name> / param:<name> / conf:<name>）`);
+            return;
+        }
+        const kind = parseTarget(target).kind;
+        const current = this.sceneManager.getCurrentScene();
+        const sceneId = scene === '*' ? null : (scene ?? (kind === 'conf' ? null : current?.id ?? null));
+        this.learning = { target, scene: sceneId };
+        console.log(`マッピング: learn ${target}${sceneId ? ` (${sceneId})` : ''} … 次のノート/OSCを割り当てます`);
+    }
+
+    cancelLearn() {
+        if (!this.learning) return;
+        console.log(`マッピング: learn 取り消し ${this.learning.target}`);
+        this.learning = null;
+    }
+
+    /**
+     * メッセージをマッピングに通す（SceneManager.dispatchOSC から）
+     * @returns {boolean} シーンのトラック処理に流さない（消費した）なら true
+     */
+    handleMessage(message, scene) {
+        if (!message) return false;
+        const isNote = message.type === 'note';
+        const isRaw = !message.type && typeof message.address === 'string';
+        if (!isNote && !isRaw) return false;
+
+        if (this.learning) {
+            if (message.source === 'audio' && /^\/audio\/(level|rms)/.test(message.address)) return false;
+            const source = isNote
+                ? { type: 'note', track: message.trackNumber }
+                : { type: 'osc', address: message.address, arg: 0 };
+            if (isRaw && !Number.isFinite(Number(message.args?.[0]))) return false;
+            const binding = this.addBinding({ source, target: this.learning.target, scene: this.learning.scene });
+            if (binding) console.log(`マッピング: ${describeSource(binding.source)} → ${binding.target}`);
+            this.learning = null;
+            return true;
+        }
+
+        let consumed = false;
+        for (const b of this.bindings) {
+            if (b.scene && b.scene !== scene?.id) continue;
+            const input = readInput(b.source, message);
+            if (input === null) continue;
+            // トラックのスイッチ（数字キー）がOFFなら発火しない
+            if (isNote && message.trackNumber >= 1 && message.trackNumber <= 9 && scene?.trackEffects && !scene.trackEffects[message.trackNumber]) {
+                consumed = consumed || !b.passThrough;
+                continue;
+            }
+            this.apply(b, applyCurve(b.curve, input), message, scene);
+            consumed = consumed || !b.passThrough;
+        }
+        return isNote && consumed;
+    }
+
+    apply(binding, value01, message, scene) {
+        const { kind, name } = parseTarget(binding.target);
+        if (kind === 'action') {
+            const action = scene?.getActions?.().find((a) => a.name === name);
+            if (!action) return;
+            const args = message.args || [];
+            // ノート番号はノートのメッセージだけが持っている（/audio/onset などの OSC の引数は強さ）
+            const note = message.type === 'note' ? Number(args[0] ?? 64) : (binding.note ?? 64);
+            action.trigger({
+                value: value01,
+                velocity: value01 * 127,
+                note,
+                durationMs: message.type === 'note' ? Number(args[2] ?? 0) : 0
+            });
+            return;
+        }
+        if (kind === 'param') {
+            const param = scene?.getParameters?.().find((p) => p.name === name);
+            if (!param) return;
+            const [lo, hi] = binding.range ?? [param.min, param.max];
+            param.set(lo + (hi - lo) * value01);
+            return;
+        }
+        const [lo, hi] = binding.range ?? [0, 1];
+        this.sceneManager.applyParam(name, lo + (hi - lo) * value01);
+    }
+
+    /**
+     * 今のシーンで割り当てられるターゲットの一覧（コンソール/UI用）
+     */
+    listTargets(scene = this.sceneManager.getCurrentScene()) {
+        return [
+            ...(scene?.getActions?.() || []).map((a) => `action:${a.name}`),
+            ...(scene?.getParameters?.() || []).map((p) => `param:${p.name}`)
+        ];
+    }
+}
+
+function parseTarget(target) {
+    const m = /^(action|param|conf):(.+)$/.exec(String(target ?? ''));
+    return m ? { kind: m[1], name: m[2] } : null;
+}
+
+function normalizeBinding(b) {
+    const source = b?.source;
+    if (!parseTarget(b?.target) || !source) return null;
+    if (source.type === 'note') {
+        const track = Math.floor(Number(source.track));
+        if (!Number.isFinite(track)) return null;
+    } else if (source.type === 'osc') {
+        if (typeof source.address !== 'string' || !source.address.startsWith('/')) return null;
+    } else {
+        return null;
+    }
+    const binding = { source: { ...source }, target: b.target };
+    if (b.scene) binding.scene = String(b.scene).toLowerCase();
+    if (b.curve !== undefined) binding.curve = b.curve;
+    if (Array.isArray(b.range) && b.range.length === 2) binding.range = b.range.map(Number);
+    if (b.passThrough) binding.passThrough = true;
+    if (Number.isFinite(b.note)) binding.note = b.note;
+    return binding;
+}
+
+/**
+ * ソースにマッチしたら入力値（0..1）、しなければ null
+ */
+function readInput(source, message) {
+    if (source.type === 'note') {
+        if (message.type !== 'note' || message.trackNumber !== Number(source.track)) return null;
+        const args = message.args || [];
+        if (Array.isArray(source.notes)) {
+            const note = Number(args[0] ?? 64);
+            const [lo, hi = lo] = source.notes;
+            if (note < lo || note > hi) return null;
+        }
+        return clamp01(Number(args[1] ?? 127) / 127);
+    }
+    if (message.type || !matchAddressPattern(source.address, message.address)) return null;
+    const v = Number(message.args?.[source.arg ?? 0]);
+    if (!Number.isFinite(v)) return null;
+    const [lo, hi] = source.range ?? [0, 1];
+    return hi === lo ? 0 : clamp01((v - lo) / (hi - lo));
+}
+
+function describeSource(source) {
+    return source.type === 'note' ? `track ${source.track}` : `${source.address}[${source.arg ?? 0}]`;
+}
@@ -4,10 +4,16 @@
  * - シーン固有のパラメータは conf や、呼び出し側の設定で調整する前提
  */
 
+import * as THREE from 'three/webgpu';
 import { conf } from '../common/conf.js';
 import MlsMpmSimulator from '../mls-mpm/mlsMpmSimulator.js';
 import ParticleRenderer from '../mls-mpm/particleRenderer.js';
 import PointRenderer from '../mls-mpm/pointRenderer.js';
+import { resolveColliderMode } from '../mls-mpm/colliders.js';
+import { runMpmBenchmark } from '../mls-mpm/benchmark.js';
+
+// /mavrx/collider add で作れる形（sdf はメッシュが要るので、シーンのコードで addCollider({ shape: 'sdf', mesh })）
+const OSC_COLLIDER_SHAPES = ['sphere', 'capsule', 'box'];
 
 export class MlsMpmParticleSystem {
   constructor(renderer) {
@@ -21,11 +27,13 @@ export class MlsMpmParticleSystem {
 
   /**
    * GPU側バッファの初期化まで含めてセットアップする
-   * @param {{ scene: import('three').Scene }} params
+   * @param {{ scene: import('three').Scene, material?: string, gridSize?: number[]|string }} params
+   * - material は初期マテリアル（MPM_MATERIALS）
+   * - gridSize はグリッドの大きさ（省略で conf.mpmGridSize）。レンダラーはこれに合わせてワールドに置く
    */
-  async init({ scene }) {
+  async init({ scene, material = 'fluid', gridSize = conf.mpmGridSize }) {
     this.sim = new MlsMpmSimulator(this.renderer);
-    await this.sim.init();
+    await this.sim.init({ material, gridSize });
 
     // 起動直後から表示されるように、GPU側の粒子バッファを確実に初期化
     if (this.sim.resetParticles) {
@@ -69,6 +77,111 @@ export class MlsMpmParticleSystem {
     return this.sim?.resetParticles?.();
   }
 
+  setMaterial(material, options) {
+    return this.sim?.setMaterial?.(material, options) ?? false;
+  }
+
+  // エミッター/シンク（座標はグリッド座標。mls-mpm/emitters.js）
+  addEmitter(options) {
+    return this.sim?.addEmitter(options) ?? null;
+  }
+
+  addSink(options) {
+    return this.sim?.addSink(options) ?? null;
+  }
+
+  clearParticles() {
+    return this.sim?.clearParticles?.();
+  }
+
+  /**
+   * ms/サブステップを粒数ごとに測る（mls-mpm/benchmark.js）
+   * @param {{ counts?: number[], frames?: number, warmup?: number }} options
+   */
+  runBenchmark(options) {
+    return runMpmBenchmark(this.sim, options);
+  }
+
+  // コライダー（座標はグリッド座標。mls-mpm/colliders.js）
+  addCollider(options) {
+    return this.sim?.addCollider(options) ?? null;
+  }
+
+  /**
+   * /mavrx/collider <name> <command> ...（位置は箱の中の 0..1）
+   * - add <sphere|capsule|box> [大きさ(0..1)] [mode] : 足す（同じ名前は置き換え）
+   * - pos <x> <y> <z> [ms] [smooth|linear|in]       : 移動
+   * - drop [ms] [x] [z]                             : 上から下へ落とす（だんだん速く）
+   * - rot <x> <y> <z>                               : 回転（度）
+   * - mode <noSlip|slip|separate> [friction]
+   * - remove
+   * /mavrx/collider clear / list
+   */
+  handleColliderCommand(args = []) {
+    const sim = this.sim;
+    if (!sim) return;
+    const [name, command, ...rest] = args.map((a) => (typeof a === 'string' ? a : Number(a)));
+    const size = sim.gridSize;
+    const toGrid = (x, y, z) => [Number(x) * size.x, Number(y) * size.y, Number(z) * size.z];
+    const scale = Math.min(size.x, size.y, size.z);
+
+    if (String(name).toLowerCase() === 'clear') {
+      sim.colliders = [];
+      return;
+    }
+    if (String(name).toLowerCase() === 'list') {
+      console.log(`コライダー: ${sim.colliders.map((c) => `${c.name || '(無名)'}:${c.shape}`).join(', ') || '（なし）'}`);
+      return;
+    }
+
+    const sub = String(command ?? '').toLowerCase();
+    if (sub === 'add') {
+      const shape = String(rest[0] ?? 'sphere');
+      if (!OSC_COLLIDER_SHAPES.includes(shape)) {
+        console.warn(`OSC: コライダーの形 ${shape} は使えません（${OSC_COLLIDER_SHAPES.join(' / ')}）`);
+        return;
+      }
+      const s = (Number(rest[1]) || 0.1) * scale;
+      sim.addCollider({
+        name: String(name),
+        shape,
+        position: toGrid(0.5, 0.5, 0.5),
+        radius: shape === 'capsule' ? s / 2 : s,
+        length: s * 2,
+        size: [s * 2, s * 2, s * 2],
+        mode: rest[2]
+      });
+      return;
+    }
+
+    const collider = sim.getCollider(String(name));
+    if (!collider) {
+      console.warn(`OSC: コライダー ${name} がありません（/mavrx/collider ${name} add sphere）`);
+      return;
+    }
+    if (sub === 'pos') {
+      collider.moveTo(toGrid(rest[0], rest[1], rest[2]), rest[3], rest[4]);
+    } else if (sub === 'drop') {
+      const x = rest[1] ?? collider.position.x / size.x;
+      const z = rest[2] ?? collider.position.z / size.z;
+      const margin = collider.shape === 'box' ? collider.size.y / 2 : collider.radius;
+      const [gx, , gz] = toGrid(x, 1, z);
+      collider.teleport([gx, size.y + margin, gz]);
+      collider.moveTo([gx, margin + 1, gz], rest[0] ?? 1000, 'in');
+    } else if (sub === 'rot') {
+      const d = Math.PI / 180;
+      collider.rotation.setFromEuler(new THREE.Euler((Number(rest[0]) || 0) * d, (Number(rest[1]) || 0) * d, (Number(rest[2]) || 0) * d));
+    } else if (sub === 'mode') {
+      const mode = resolveColliderMode(rest[0]);
+      if (mode !== null) collider.mode = mode;
+      if (rest[1] !== undefined) collider.friction = Number(rest[1]) || 0;
+    } else if (sub === 'remove') {
+      sim.removeCollider(collider);
+    } else {
+      console.warn(`OSC: /mavrx/collider ${name} ${command ?? ''} は無効です（add / pos / drop / rot / mode / remove）`);
+    }
+  }
+
   applyTrack5Force(noteNumber, velocity, durationMs) {
     return this.sim?.applyTrack5Force?.(noteNumber, velocity, durationMs);
   }
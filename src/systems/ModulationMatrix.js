@@ -0,0 +1,300 @@
+/**
+ * モジュレーションマトリクス
+ * LFO / エンベロープ / CC / 音声の帯域（ソース）を、深さとカーブを付けてパラメータ/uniform（ターゲット）につなぐ
+ *
+ * 設定（public/modulations/<name>.json / toJSON() でプリセットに保存）:
+ * {
+ *   "lfos": {
+ *     "pump":  { "sync": "1/4", "shape": "envelope" },          // LFO（sync 省略で rate = 1秒あたりの周期数）
+ *     "drift": { "random": true, "minRate": 0.05, "maxRate": 0.3 } // RandomLFO
+ *   },
+ *   "envelopes": {
+ *     "kick": { "track": 5, "notes": [36, 36], "attack": 0.005, "decay": 0.25, "sustain": 0, "release": 0.2 }
+ *   },
+ *   "routes": [
+ *     { "source": "lfo:pump", "target": "param:bloom", "depth": 0.4, "curve": "exp" },
+ *     { "source": "env:kick", "target": "uniform:particleRenderer.uniforms.heatmapMix", "depth": 0.6, "scene": "scene01" },
+ *     { "source": "audio:high", "target": "uniform:fxUniforms.edgeSoft", "depth": -0.5 },
+ *     { "source": "cc:macro1", "target": "camera:fov", "depth": 0.3, "bipolar": true }
+ *   ]
+ * }
+ *
+ * ソース（0..1）:
+ * - lfo:<name> / env:<name> … ここで定義したもの（エンベロープはノートでトリガー。durationMs がゲート）
+ * - cc:<name> … /cc/<name> と MIDI CC の値（CCManager のスムージング後）
+ * - audio:<band> / audio:rms … 音声入力のレベル（/audio/level/<band>）
+ *
+ * ターゲット:
+ * - param:<name> … シーンの getParameters()（範囲は min..max）
+ * - conf:<name> … conf のプロパティ（範囲は CCManager と同じ）
+ * - uniform:<path> … シーンのプロパティをたどった uniform（.value）か数値。範囲は route の range（省略で 0..1）
+ * - camera:fov … カメラの画角（20..100）
+ *
+ * NOTE:
+ * - ターゲットの値 = 基準値 + Σ depth × curve(ソース) × (max - min)。範囲でクランプする
+ * - 基準値は「最後にここが書いた値から変わっていたら」読み直す（シーンやショーファイルが動かした値を基準にする）
+ * - ルートが無くなった/シーンが切り替わったターゲットは基準値に戻す
+ * - curve は lib/curves.js（MappingManager と共通。linear / exp / log / scurve / 数値 = x^n）。bipolar なら -1..1 で揺らす
+ */
+
+import { conf } from '../common/conf.js';
+import { LFO } from '../lib/LFO.js';
+import { RandomLFO } from '../lib/RandomLFO.js';
+import { Envelope } from '../lib/Envelope.js';
+import { CONF_RANGES } from './CCManager.js';
+import { applyCurve } from '../lib/curves.js';
+
+const CAMERA_RANGES = {
+    fov: [20, 100]
+};
+
+const clamp = (v, lo, hi) => Math.min(Math.max(v, lo), hi);
+
+export class ModulationMatrix {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.lfos = new Map();        // name → { config, lfo }
+        this.envelopes = new Map();   // name → { config, envelope }
+        this.routes = [];
+        this.audioLevels = {};        // band → 0..1
+        // ターゲットの状態: key（`${sceneId}|${target}`）→ { base, written, write }
+        this._targets = new Map();
+    }
+
+    /**
+     * JSONファイルから読み込み（今の設定は置き換える）
+     * @param {string} name - 'example'（public/modulations/example.json）または URL
+     */
+    async loadFile(name) {
+        const url = /[/.]/.test(name) ? name : `/modulations/${encodeURIComponent(name)}.json`;
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`モジュレーションを読み込めません: ${url} (${res.status})`);
+        this.fromJSON(await res.json());
+        console.log(`モジュレーション: ${url}（ルート${this.routes.length}件）`);
+    }
+
+    fromJSON(json) {
+        this.clear();
+        for (const [name, config] of Object.entries(json?.lfos || {})) this.setLFO(name, config);
+        for (const [name, config] of Object.entries(json?.envelopes || {})) this.setEnvelope(name, config);
+        for (const route of json?.routes || []) this.addRoute(route);
+    }
+
+    toJSON() {
+        return {
+            lfos: Object.fromEntries([...this.lfos].map(([name, { config }]) => [name, config])),
+            envelopes: Object.fromEntries([...this.envelopes].map(([name, { config }]) => [name, config])),
+            routes: this.routes.map((r) => ({ ...r }))
+        };
+    }
+
+    clear() {
+        this.lfos.clear();
+        this.envelopes.clear();
+        this.routes = [];
+        this.restoreAll();
+    }
+
+    /**
+     * LFOを定義（同じ名前なら置き換え）
+     */
+    setLFO(name, config = {}) {
+        let lfo;
+        if (config.random) {
+            lfo = new RandomLFO(config.minRate ?? 0.05, config.maxRate ?? 0.3, 0, 1);
+        } else {
+            lfo = new LFO(config.rate ?? 0.25, 0, 1);
+        }
+        if (config.shape) lfo.setShape(config.shape, config);
+        if (config.sync) lfo.setSync(config.sync, config.offsetTicks ?? 0);
+        this.lfos.set(name, { config: { ...config }, lfo });
+    }
+
+    /**
+     * エンベロープを定義（track / notes のノートでトリガー）
+     */
+    setEnvelope(name, config = {}) {
+        this.envelopes.set(name, { config: { ...config }, envelope: new Envelope(config) });
+    }
+
+    /**
+     * ルートを追加（同じ source → target があれば置き換え）
+     * @returns {Object|null}
+     */
+    addRoute(route) {
+        const source = String(route?.source ?? '');
+        const target = String(route?.target ?? '');
+        if (!/^(lfo|env|cc|audio):.+$/.test(source) || !/^(param|conf|uniform|camera):.+$/.test(target)) {
+            console.warn('モジュレーション: 無効なルート', route);
+            return null;
+        }
+        const normalized = { source, target, depth: Number(route.depth ?? 1) };
+        if (!Number.isFinite(normalized.depth)) normalized.depth = 1;
+        if (route.curve !== undefined) normalized.curve = route.curve;
+        if (route.bipolar) normalized.bipolar = true;
+        if (Array.isArray(route.range) && route.range.length === 2) normalized.range = route.range.map(Number);
+        if (route.scene) normalized.scene = String(route.scene).toLowerCase();
+
+        this.removeRoute(source, target);
+        this.routes.push(normalized);
+        return normalized;
+    }
+
+    removeRoute(source, target) {
+        const before = this.routes.length;
+        this.routes = this.routes.filter((r) => !(r.source === source && (target === undefined || r.target === target)));
+        return before - this.routes.length;
+    }
+
+    /**
+     * CCManager が、対応するパラメータの無いCC名を警告しないように
+     */
+    usesSource(source) {
+        return this.routes.some((r) => r.source === source);
+    }
+
+    /**
+     * ノート（エンベロープのトリガー）と音声レベルを受け取る（SceneManager.dispatchOSC から）
+     */
+    handleMessage(message) {
+        if (message?.type === 'note') {
+            const args = message.args || [];
+            const note = Number(args[0] ?? 64);
+            for (const { config, envelope } of this.envelopes.values()) {
+                if (Number(config.track) !== message.trackNumber) continue;
+                if (Array.isArray(config.notes)) {
+                    const [lo, hi = lo] = config.notes;
+                    if (note < lo || note > hi) continue;
+                }
+                envelope.trigger(Number(args[1] ?? 127) / 127, Number(args[2] ?? 0) / 1000);
+            }
+            return;
+        }
+        if (!message?.type && typeof message?.address === 'string') {
+            const m = /^\/audio\/(?:level\/)?(\w+)$/.exec(message.address);
+            if (m && Number.isFinite(Number(message.args?.[0]))) this.audioLevels[m[1]] = Number(message.args[0]);
+        }
+    }
+
+    /**
+     * ソースを進めてターゲットに書き込む（毎フレーム、シーンの update の後）
+     */
+    update(deltaTime, scene) {
+        for (const { lfo } of this.lfos.values()) lfo.update(deltaTime);
+        for (const { envelope } of this.envelopes.values()) envelope.update(deltaTime);
+
+        // ターゲットごとにオフセットを合計
+        const offsets = new Map();
+        for (const route of this.routes) {
+            if (route.scene && route.scene !== scene?.id) continue;
+            const input = this.readSource(route.source);
+            if (input === null) continue;
+            const target = this.resolveTarget(route.target, scene, route.range);
+            if (!target) continue;
+            const key = `${scene?.id ?? '-'}|${route.target}`;
+            const curved = applyCurve(route.curve, clamp(input, 0, 1));
+            const amount = route.depth * (route.bipolar ? curved * 2 - 1 : curved) * (target.max - target.min);
+            const entry = offsets.get(key);
+            if (entry) entry.amount += amount;
+            else offsets.set(key, { target, amount });
+        }
+
+        for (const [key, { target, amount }] of offsets) {
+            let state = this._targets.get(key);
+            const current = target.get();
+            if (!state) {
+                state = { base: current, written: null, write: target.set };
+                this._targets.set(key, state);
+            } else if (state.written === null || Math.abs(current - state.written) > 1e-6) {
+                // 他（シーン/ショー/CC）が書き換えていたら、それを新しい基準値にする
+                state.base = current;
+            }
+            const value = clamp(state.base + amount, target.min, target.max);
+            target.set(value);
+            state.written = target.get();
+            state.write = target.set;
+        }
+
+        // ルートが無くなったターゲットは基準値に戻す
+        for (const [key, state] of this._targets) {
+            if (offsets.has(key)) continue;
+            state.write(state.base);
+            this._targets.delete(key);
+        }
+    }
+
+    restoreAll() {
+        for (const state of this._targets.values()) state.write(state.base);
+        this._targets.clear();
+    }
+
+    /**
+     * @returns {number|null} 0..1
+     */
+    readSource(source) {
+        const [kind, name] = splitOnce(source);
+        if (kind === 'lfo') return this.lfos.get(name)?.lfo.getValue() ?? null;
+        if (kind === 'env') return this.envelopes.get(name)?.envelope.value ?? null;
+        if (kind === 'cc') return this.sceneManager.cc?.getValue(name) ?? null;
+        if (kind === 'audio') return this.audioLevels[name] ?? null;
+        return null;
+    }
+
+    /**
+     * @returns {{min: number, max: number, get: Function, set: Function}|null}
+     */
+    resolveTarget(target, scene, range) {
+        const [kind, name] = splitOnce(target);
+        if (kind === 'param') {
+            const param = scene?.getParameters?.().find((p) => p.name === name);
+            if (!param) return null;
+            const [min, max] = range ?? [param.min, param.max];
+            return { min, max, get: () => Number(param.get()), set: (v) => param.set(v) };
+        }
+        if (kind === 'conf') {
+            if (typeof conf[name] !== 'number') return null;
+            const [min, max] = range ?? CONF_RANGES[name] ?? [0, 1];
+            return { min, max, get: () => conf[name], set: (v) => { conf[name] = v; } };
+        }
+        if (kind === 'camera') {
+            const camera = scene?.camera;
+            if (!camera || typeof camera[name] !== 'number') return null;
+            const [min, max] = range ?? CAMERA_RANGES[name] ?? [0, 1];
+            return {
+                min, max,
+                get: () => camera[name],
+                set: (v) => {
+                    camera[name] = v;
+                    camera.updateProjectionMatrix?.();
+                }
+            };
+        }
+        // uniform:<path>（'fxUniforms.dof' → scene.fxUniforms.dof.value）
+        const path = name.split('.');
+        const key = path.pop();
+        let owner = scene;
+        for (const p of path) owner = owner?.[p];
+        const holder = owner?.[key];
+        if (holder === undefined || holder === null) return null;
+        const [min, max] = range ?? [0, 1];
+        if (typeof holder === 'number') {
+            return { min, max, get: () => owner[key], set: (v) => { owner[key] = v; } };
+        }
+        if (typeof holder.value === 'number') {
+            return { min, max, get: () => holder.value, set: (v) => { holder.value = v; } };
+        }
+        return null;
+    }
+
+    /**
+     * コンソール/UI用
+     */
+    describe() {
+        return this.routes.map((r) => `${r.source} → ${r.target} × ${r.depth}${r.curve ? ` (${r.curve})` : ''}${r.scene ? ` [${r.scene}]` : ''}`);
+    }
+}
+
+function splitOnce(str) {
+    const i = str.indexOf(':');
+    return i < 0 ? [str, ''] : [str.slice(0, i), str.slice(i + 1)];
+}
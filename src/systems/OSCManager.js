@@ -1,6 +1,14 @@
 /**
  * OSC通信管理クラス
  * WebSocket経由でOSCメッセージを受信
+ * 逆方向（ブラウザ → osc-server → UDP）の送信も行う
+ *
+ * 上り（ブラウザ → サーバー）のメッセージ形式:
+ *   { kind: 'osc', address: '/mavrx/state/bar', args: [12] }
+ *   { kind: 'clock', t0 }（時計合わせ。サーバーは { kind: 'clock', t0, serverTime } を返す）
+ *
+ * バンドルで届いたイベントは timetag（サーバー時刻 Unix ms）を持つので、
+ * 時計合わせの結果を使って dueAt（performance.now() の時間軸）を付けてから onMessage に渡す
  */
 
 export class OSCManager {
@@ -12,6 +20,21 @@ export class OSCManager {
         this.ws = null;
         this.isConnected = false;
 
+        // 状態送信（sendState）の間引き
+        // - HUDの更新頻度で送るとネットワークが溢れるので、アドレスごとに「変化した最新値」だけを
+        //   stateIntervalMs 間隔でまとめて送る
+        this.stateIntervalMs = options.stateIntervalMs ?? 100;
+        this._stateLastSent = new Map();
+        this._statePending = new Map();
+        this._stateTimer = null;
+
+        // 時計合わせ（サーバー時刻 ≈ performance.now() + clockOffsetMs）
+        // - RTTが一番小さかったサンプルを採用（ネットワークの揺れの影響が一番少ない）
+        this.clockOffsetMs = null;
+        this.clockSyncIntervalMs = options.clockSyncIntervalMs ?? 5000;
+        this._clockSamples = [];
+        this._clockTimer = null;
+
         // 再接続制御
         this._reconnectTimer = null;
         this._reconnectAttempt = 0;
@@ -51,6 +74,10 @@ export class OSCManager {
                 this.isConnected = true;
                 this._connecting = false;
                 this._reconnectAttempt = 0;
+                // 再接続時は受信側の状態が分からないので全状態を送り直す
+                this._stateLastSent.clear();
+                this.scheduleStateFlush();
+                this.startClockSync();
                 if (this.onStatusChange) {
                     this.onStatusChange('Connected');
                 }
@@ -71,6 +98,7 @@ export class OSCManager {
             this.ws.onclose = () => {
                 this.isConnected = false;
                 this._connecting = false;
+                this.stopClockSync();
                 if (this.onStatusChange) {
                     this.onStatusChange('Disconnected');
                 }
@@ -121,13 +149,133 @@ export class OSCManager {
     
     handleMessage(message) {
         // メッセージは既にパース済み（JSON形式）
+        if (message?.kind === 'clock') {
+            this.handleClockReply(message);
+            return;
+        }
+
+        // バンドルのタイムタグ → ローカル時刻（時計合わせ前は即時扱い）
+        if (typeof message?.timetag === 'number' && this.clockOffsetMs !== null) {
+            message.dueAt = message.timetag - this.clockOffsetMs;
+        }
+
         // コールバックを呼び出し
         if (this.onMessage) {
             this.onMessage(message);
         }
     }
     
+    /**
+     * 時計合わせを開始
+     * - 接続直後は数回まとめて測って、以降は clockSyncIntervalMs ごとに1回
+     */
+    startClockSync() {
+        this.stopClockSync();
+        this._clockSamples = [];
+        for (let i = 0; i < 5; i++) {
+            setTimeout(() => this.sendClockPing(), i * 100);
+        }
+        this._clockTimer = setInterval(() => this.sendClockPing(), this.clockSyncIntervalMs);
+    }
+
+    stopClockSync() {
+        if (this._clockTimer) {
+            clearInterval(this._clockTimer);
+            this._clockTimer = null;
+        }
+    }
+
+    sendClockPing() {
+        if (!this.isConnected || !this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+        this.ws.send(JSON.stringify({ kind: 'clock', t0: performance.now() }));
+    }
+
+    handleClockReply(message) {
+        const t1 = performance.now();
+        const t0 = Number(message.t0);
+        const serverTime = Number(message.serverTime);
+        if (!Number.isFinite(t0) || !Number.isFinite(serverTime)) return;
+
+        const rtt = t1 - t0;
+        // サーバーが応答した瞬間 ≈ 往復の中間
+        const offset = serverTime + rtt * 0.5 - t1;
+        this._clockSamples.push({ rtt, offset });
+        if (this._clockSamples.length > 8) this._clockSamples.shift();
+
+        let best = this._clockSamples[0];
+        for (const sample of this._clockSamples) {
+            if (sample.rtt < best.rtt) best = sample;
+        }
+        this.clockOffsetMs = best.offset;
+    }
+
+    /**
+     * OSCメッセージを送信（osc-server経由でUDP送信される）
+     * @param {string} address - 例: '/mavrx/state/bar'
+     * @param {Array} args - 数値/文字列（booleanは0/1に変換）
+     * @returns {boolean} 送信できたか
+     */
+    send(address, args = []) {
+        if (!this.isConnected || !this.ws || this.ws.readyState !== WebSocket.OPEN) return false;
+        const list = (Array.isArray(args) ? args : [args]).map((v) => (
+            typeof v === 'boolean' ? (v ? 1 : 0) : v
+        ));
+        try {
+            this.ws.send(JSON.stringify({ kind: 'osc', address, args: list }));
+            return true;
+        } catch (error) {
+            console.error('OSC送信エラー:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 状態をOSCで送信（間引きあり）
+     * - 最後に実際に送った値と同じなら送らない（送る前に元の値に戻ったら保留も取り消す）
+     * - 変化していても stateIntervalMs ごとにまとめて最新値だけ送る
+     * - 未接続の間はアドレスごとの最新値を保留するだけ（タイマーは回さない。接続したら送る）
+     */
+    sendState(address, args = []) {
+        if (this._stateLastSent.get(address) === JSON.stringify(args)) {
+            this._statePending.delete(address);
+            return;
+        }
+        this._statePending.set(address, args);
+        this.scheduleStateFlush();
+    }
+
+    /**
+     * 接続中で保留があれば送信タイマーを回す
+     */
+    scheduleStateFlush() {
+        if (this._stateTimer || !this.isConnected || this._statePending.size === 0) return;
+        this._stateTimer = setInterval(() => this.flushState(), this.stateIntervalMs);
+    }
+
+    /**
+     * 保留中の状態を送信
+     */
+    flushState() {
+        if (this.isConnected) {
+            for (const [address, args] of this._statePending) {
+                if (!this.send(address, args)) break;
+                this._stateLastSent.set(address, JSON.stringify(args));
+                this._statePending.delete(address);
+            }
+        }
+        // 送るものが無くなった/切れたらタイマーを止める（切れている間は保留したまま、接続したら scheduleStateFlush）
+        if ((this._statePending.size === 0 || !this.isConnected) && this._stateTimer) {
+            clearInterval(this._stateTimer);
+            this._stateTimer = null;
+        }
+    }
+    
     close() {
+        this.stopClockSync();
+        if (this._stateTimer) {
+            clearInterval(this._stateTimer);
+            this._stateTimer = null;
+        }
         if (this._reconnectTimer) {
             clearTimeout(this._reconnectTimer);
             this._reconnectTimer = null;
@@ -0,0 +1,73 @@
+/**
+ * OSCイベントのスケジューラー
+ * バンドルのタイムタグ付きで届いたイベントを、実行予定時刻（dueAt）のフレームまで保持する
+ *
+ * NOTE:
+ * - dueAt は performance.now() と同じ時間軸（OSCManager がサーバー時刻から変換済み）
+ * - キューは dueAt 昇順。同時刻のものは届いた順
+ */
+
+export class OSCScheduler {
+    constructor(options = {}) {
+        // これより先の予定は時計ズレとみなして即時実行する
+        this.maxLookaheadMs = options.maxLookaheadMs ?? 10000;
+        // 溢れ対策（シーケンサーが暴走した時など）
+        this.maxQueueSize = options.maxQueueSize ?? 4096;
+        this.queue = [];
+    }
+
+    get size() {
+        return this.queue.length;
+    }
+
+    /**
+     * イベントを予約
+     * @param {Object} message - dueAt を持つイベント
+     * @param {number} now - 現在時刻（performance.now()）
+     * @returns {boolean} 予約できたか（false なら呼び出し側で即時実行する）
+     */
+    schedule(message, now) {
+        const dueAt = message?.dueAt;
+        if (typeof dueAt !== 'number' || !Number.isFinite(dueAt)) return false;
+        if (dueAt - now > this.maxLookaheadMs) {
+            console.warn(`OSC: ${(dueAt - now).toFixed(0)}ms 先のイベントは時計ズレとみなして即時実行します`);
+            return false;
+        }
+        if (this.queue.length >= this.maxQueueSize) {
+            console.warn('OSC: スケジュールキューが一杯のため即時実行します');
+            return false;
+        }
+
+        // 二分探索で挿入位置を決める（同時刻は後ろに）
+        let lo = 0;
+        let hi = this.queue.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.queue[mid].dueAt <= dueAt) lo = mid + 1;
+            else hi = mid;
+        }
+        this.queue.splice(lo, 0, message);
+        return true;
+    }
+
+    /**
+     * 予定時刻を過ぎたイベントを実行
+     * @param {number} frameTime - このフレームで実行してよい上限時刻
+     * @param {Function} handler - (message) => void
+     */
+    flush(frameTime, handler) {
+        let count = 0;
+        while (count < this.queue.length && this.queue[count].dueAt <= frameTime) {
+            count++;
+        }
+        if (count === 0) return;
+        const due = this.queue.splice(0, count);
+        for (const message of due) {
+            handler(message);
+        }
+    }
+
+    clear() {
+        this.queue.length = 0;
+    }
+}
@@ -0,0 +1,182 @@
+/**
+ * オフラインレンダー
+ * 固定タイムステップでシーンを進め、記録したOSCセッションのイベントを流し込みながら
+ * 1フレームずつ osc-server に送って連番PNGにする（ライブで回らない重さでも60fpsの映像が作れる）
+ *
+ * NOTE:
+ * - 時刻は clock（仮想時間）で進む。requestAnimationFrame/performance.now() は使わない
+ * - 出力解像度は描画キャンバスのサイズ（ブラウザのウィンドウサイズ × pixelRatio）
+ * - イベントは「予定時刻に一番近いフレーム」で実行（OSCScheduler と同じ考え方）
+ */
+
+import { clock } from '../common/clock.js';
+
+export class OfflineRenderer {
+    /**
+     * @param {Object} options
+     * @param {Object} options.renderer - WebGPURenderer
+     * @param {Object} options.sceneManager
+     * @param {string} options.session - sessions/ 以下のファイル名
+     * @param {number} options.fps
+     * @param {number|null} options.startBar - この小節から開始（null なら先頭）
+     * @param {number|null} options.durationSec - 書き出す長さ（null ならセッションの最後 + tailSec）
+     */
+    constructor(options = {}) {
+        this.renderer = options.renderer;
+        this.sceneManager = options.sceneManager;
+        this.session = options.session;
+        this.fps = options.fps || 60;
+        this.startBar = options.startBar ?? null;
+        this.durationSec = options.durationSec ?? null;
+        this.tailSec = options.tailSec ?? 2;
+        this.serverUrl = options.serverUrl || 'http://localhost:3001';
+        this.onProgress = options.onProgress || null;
+
+        this.cancelled = false;
+        this._captureCanvas = document.createElement('canvas');
+        this._captureCtx = this._captureCanvas.getContext('2d');
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    async run() {
+        const frameMs = 1000 / this.fps;
+        clock.setOffline(performance.now());
+
+        await this.sceneManager.waitForPreload();
+
+        // セッション読み込み（ルーティング済みのイベント列）
+        const res = await fetch(`${this.serverUrl}/api/session?file=${encodeURIComponent(this.session)}`);
+        if (!res.ok) throw new Error(`セッション読み込み失敗: ${res.status} ${await res.text()}`);
+        const { events } = await res.json();
+
+        // 開始位置（小節指定があればその小節のイベント位置から）
+        let index = 0;
+        let startAt = 0;
+        if (this.startBar !== null) {
+            const barIndex = events.findIndex((e) => e.type === 'bar' && e.actual_bar >= this.startBar);
+            if (barIndex < 0) {
+                console.warn(`オフラインレンダー: ${this.startBar}小節目が見つからないため先頭から書き出します`);
+            } else {
+                index = barIndex;
+                startAt = events[barIndex].at;
+                this.dispatchStateBefore(events, barIndex);
+            }
+        }
+        const lastAt = events.length > 0 ? events[events.length - 1].at : 0;
+        const durationMs = this.durationSec !== null
+            ? this.durationSec * 1000
+            : Math.max(0, lastAt - startAt) + this.tailSec * 1000;
+        const totalFrames = Math.ceil(durationMs / frameMs);
+
+        const size = this.getOutputSize();
+        const job = await this.postJSON('/api/render/start', {
+            name: this.session.replace(/\.ndjson$/, ''),
+            fps: this.fps,
+            width: size.width,
+            height: size.height,
+            session: this.session,
+            startBar: this.startBar
+        });
+        console.log(`🎬 オフラインレンダー開始: ${job.path}（${totalFrames}フレーム @${this.fps}fps）`);
+
+        for (let frame = 0; frame < totalFrames; frame++) {
+            if (this.cancelled) {
+                console.warn('オフラインレンダーを中断しました');
+                break;
+            }
+
+            // このフレームまでに予定されているイベントを実行
+            const sessionTime = startAt + frame * frameMs;
+            while (index < events.length && events[index].at <= sessionTime + frameMs * 0.5) {
+                this.sceneManager.dispatchOSC(events[index]);
+                index++;
+            }
+
+            this.sceneManager.update(1 / this.fps);
+            await this.sceneManager.renderFrame();
+            const blob = await this.captureFrame();
+            await this.postFrame(job.id, frame, blob);
+
+            clock.advance(frameMs);
+            if (this.onProgress) this.onProgress(frame + 1, totalFrames);
+        }
+
+        const result = await this.postJSON('/api/render/finish', { id: job.id });
+        console.log(`✅ オフラインレンダー完了: ${result.path}`);
+        console.log(`   ${result.manifest?.ffmpeg || ''}`);
+        return result;
+    }
+
+    /**
+     * 開始位置より前の最新の phase/bar/tick を実行して状態を揃える
+     */
+    dispatchStateBefore(events, idx) {
+        const latest = new Map();
+        for (let i = idx - 1; i >= 0 && latest.size < 3; i--) {
+            const type = events[i].type;
+            if ((type === 'phase' || type === 'bar' || type === 'tick') && !latest.has(type)) {
+                latest.set(type, events[i]);
+            }
+        }
+        for (const type of ['phase', 'bar', 'tick']) {
+            const event = latest.get(type);
+            if (event) this.sceneManager.dispatchOSC(event);
+        }
+    }
+
+    getOutputSize() {
+        const canvas = this.renderer.domElement;
+        return { width: canvas.width, height: canvas.height };
+    }
+
+    /**
+     * 描画キャンバス + HUD を合成してPNGにする
+     * NOTE: renderFrame() の await の後に読む（描画と同じタスクではない）。キャンバスに残っている
+     *       最後に描いたフレームを読むので、次の renderFrame() より前に呼ぶこと（?render の間はアニメーションループを回さない）
+     */
+    captureFrame() {
+        const { width, height } = this.getOutputSize();
+        if (this._captureCanvas.width !== width || this._captureCanvas.height !== height) {
+            this._captureCanvas.width = width;
+            this._captureCanvas.height = height;
+        }
+        const ctx = this._captureCtx;
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(this.renderer.domElement, 0, 0, width, height);
+
+        const scene = this.sceneManager.getCurrentScene();
+        if (scene?.hud?.canvas && scene.showHUD) {
+            ctx.drawImage(scene.hud.canvas, 0, 0, width, height);
+        }
+
+        return new Promise((resolve, reject) => {
+            this._captureCanvas.toBlob((blob) => {
+                if (blob) resolve(blob);
+                else reject(new Error('フレームのPNG化に失敗しました'));
+            }, 'image/png');
+        });
+    }
+
+    async postFrame(id, frame, blob) {
+        const res = await fetch(`${this.serverUrl}/api/render/frame?id=${encodeURIComponent(id)}&frame=${frame}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'image/png' },
+            body: blob
+        });
+        if (!res.ok) throw new Error(`フレーム${frame}の送信に失敗: ${res.status}`);
+    }
+
+    async postJSON(path, data) {
+        const res = await fetch(`${this.serverUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        const json = await res.json();
+        if (!res.ok || !json.success) throw new Error(json.error || `${path} failed: ${res.status}`);
+        return json;
+    }
+}
@@ -0,0 +1,198 @@
+/**
+ * プリセット（シーンごとの見た目）
+ * シーンが公開している状態（SceneBase.getPresetParameters）と conf の見た目の設定を保存/呼び出し/モーフする
+ *
+ * 保存先: public/presets/<sceneId>/<name>.json（osc-server.js の /api/presets 経由で書き込む）
+ * {
+ *   "scene": "scene01",
+ *   "name": "chorus",
+ *   "values": { "bloom": 1.2, "dof": 0.4, "SHOW_WORLD_GRID": false },   // シーンの getPresetParameters()
+ *   "conf": { "heatSpeedMax": 0.02, "cameraFriction": 0.05 },          // PRESET_CONF_KEYS
+ *   "modulation": { ... }                                              // 省略可（ModulationMatrix.toJSON()）
+ * }
+ *
+ * NOTE:
+ * - 数値は durationMs かけて補間（smoothstep）、フラグはモーフの頭で切り替える
+ * - 書いていないキーは今の値のまま（一部だけのプリセットも作れる）
+ * - osc-server が無い時（vite preview など）は public/presets を直接読む。保存はメモリだけ（リロードで消える）
+ * - モーフ中に別のプリセットを呼んだら、その時点の値から次のプリセットへ向かう
+ */
+
+import { conf } from '../common/conf.js';
+import { clock } from '../common/clock.js';
+
+// プリセットに含める conf のプロパティ（ヒートマップのレンジ / カメラのチューニング）
+export const PRESET_CONF_KEYS = [
+    'heatSpeedMin',
+    'heatSpeedMax',
+    'cameraNoDamping',
+    'cameraFriction',
+    'cameraMovementOffVelocityDamping'
+];
+
+const NAME_PATTERN = /^[\w.-]+$/;
+
+export class PresetManager {
+    constructor(sceneManager, options = {}) {
+        this.sceneManager = sceneManager;
+        this.serverUrl = options.serverUrl || 'http://localhost:3001';
+        this.defaultMorphMs = options.morphMs ?? 1000;
+        // `${sceneId}/${name}` → preset（読み込み/保存したもの）
+        this.cache = new Map();
+        // モーフ中: { scene, entries: [{ set, from, to }], startMs, durationMs, name }
+        this.morph = null;
+        this.currentName = null;
+    }
+
+    /**
+     * 今の状態をプリセットにする
+     */
+    capture(scene = this.sceneManager.getCurrentScene(), name = null) {
+        if (!scene) return null;
+        const values = {};
+        for (const p of scene.getPresetParameters?.() || []) {
+            const v = p.get();
+            if (v === undefined || v === null || (typeof v === 'number' && !Number.isFinite(v))) continue;
+            values[p.name] = p.type === 'boolean' ? !!v : Number(v);
+        }
+        const confValues = Object.fromEntries(PRESET_CONF_KEYS.map((key) => [key, conf[key]]));
+        const preset = { scene: scene.id, name, values, conf: confValues };
+        if (this.sceneManager.modulation?.routes.length > 0) {
+            preset.modulation = this.sceneManager.modulation.toJSON();
+        }
+        return preset;
+    }
+
+    /**
+     * 保存（osc-server に書き込む。繋がらなければメモリだけ）
+     */
+    async save(name, scene = this.sceneManager.getCurrentScene()) {
+        if (!scene || !NAME_PATTERN.test(String(name))) {
+            console.warn(`プリセット: 名前 ${name} は使えません（英数字 / - / _ / .）`);
+            return null;
+        }
+        const preset = this.capture(scene, String(name));
+        this.cache.set(`${scene.id}/${name}`, preset);
+        try {
+            const res = await fetch(`${this.serverUrl}/api/presets/${encodeURIComponent(scene.id)}/${encodeURIComponent(name)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(preset, null, 2)
+            });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            console.log(`プリセット保存: public/presets/${scene.id}/${name}.json`);
+        } catch (err) {
+            console.warn(`プリセット: osc-server に保存できません（メモリにだけ保持）: ${err.message}`);
+        }
+        this.currentName = String(name);
+        return preset;
+    }
+
+    /**
+     * 読み込み（キャッシュ → osc-server → public/presets の順）
+     */
+    async load(name, sceneId = this.sceneManager.getCurrentScene()?.id) {
+        const key = `${sceneId}/${name}`;
+        if (this.cache.has(key)) return this.cache.get(key);
+        if (!sceneId || !NAME_PATTERN.test(String(name))) return null;
+
+        const path = `${encodeURIComponent(sceneId)}/${encodeURIComponent(name)}`;
+        for (const url of [`${this.serverUrl}/api/presets/${path}`, `/presets/${path}.json`]) {
+            try {
+                const res = await fetch(url);
+                if (!res.ok) continue;
+                const preset = await res.json();
+                this.cache.set(key, preset);
+                return preset;
+            } catch (err) {
+                // 次の読み込み先へ
+            }
+        }
+        return null;
+    }
+
+    /**
+     * プリセットを呼び出してモーフ
+     * @param {string} name
+     * @param {Object} options
+     * @param {number} options.durationMs - モーフの長さ（省略でデフォルト、0 で即時）
+     * @param {number} options.sceneIndex - 対象シーン（省略で現在のシーン。ショーは切り替え先のシーンにも使う）
+     */
+    async recall(name, { durationMs, sceneIndex } = {}) {
+        const manager = this.sceneManager;
+        const scene = manager.scenes[sceneIndex ?? manager.currentSceneIndex];
+        if (!scene) return false;
+        const preset = await this.load(name, scene.id);
+        if (!preset) {
+            console.warn(`プリセット: ${scene.id}/${name} がありません`);
+            return false;
+        }
+        const ms = Number(durationMs);
+        const morphMs = durationMs !== undefined && Number.isFinite(ms) && ms >= 0 ? ms : this.defaultMorphMs;
+        this.apply(preset, scene, morphMs);
+        this.currentName = String(name);
+        console.log(`プリセット: ${scene.id}/${name}（${morphMs}msでモーフ）`);
+        return true;
+    }
+
+    /**
+     * プリセットを適用（数値はモーフ、フラグは即時）
+     */
+    apply(preset, scene, durationMs = 0) {
+        const entries = [];
+        const params = new Map((scene.getPresetParameters?.() || []).map((p) => [p.name, p]));
+        for (const [name, value] of Object.entries(preset.values || {})) {
+            const param = params.get(name);
+            if (!param) continue;
+            if (param.type === 'boolean') {
+                param.set(!!value);
+            } else {
+                entries.push({ set: (v) => param.set(v), from: Number(param.get()), to: Number(value) });
+            }
+        }
+        for (const [key, value] of Object.entries(preset.conf || {})) {
+            if (!PRESET_CONF_KEYS.includes(key)) continue;
+            if (typeof conf[key] === 'number' && typeof value === 'number') {
+                entries.push({ set: (v) => { conf[key] = v; }, from: conf[key], to: value });
+            } else if (typeof conf[key] === 'boolean') {
+                conf[key] = !!value;
+            }
+        }
+        if (preset.modulation) {
+            this.sceneManager.modulation?.fromJSON(preset.modulation);
+        }
+
+        this.morph = {
+            scene,
+            entries: entries.filter((e) => Number.isFinite(e.from) && Number.isFinite(e.to)),
+            startMs: clock.now(),
+            durationMs
+        };
+        this.update();
+    }
+
+    /**
+     * モーフを進める（毎フレーム）
+     */
+    update() {
+        const morph = this.morph;
+        if (!morph) return;
+        const t = morph.durationMs > 0 ? Math.min(1, (clock.now() - morph.startMs) / morph.durationMs) : 1;
+        const k = t * t * (3 - 2 * t);
+        for (const e of morph.entries) e.set(e.from + (e.to - e.from) * k);
+        if (t >= 1) this.morph = null;
+    }
+
+    /**
+     * 保存済みプリセットの名前（osc-server から。繋がらなければキャッシュのもの）
+     */
+    async list(sceneId = this.sceneManager.getCurrentScene()?.id) {
+        try {
+            const res = await fetch(`${this.serverUrl}/api/presets?scene=${encodeURIComponent(sceneId)}`);
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            return (await res.json()).presets || [];
+        } catch (err) {
+            return [...this.cache.keys()].filter((k) => k.startsWith(`${sceneId}/`)).map((k) => k.slice(sceneId.length + 1));
+        }
+    }
+}
@@ -3,10 +3,23 @@
  * 複数のシーンを管理し、切り替えを制御
  */
 
-import { Scene01 } from '../scenes/scene01/Scene01.js';
-import { Scene02 } from '../scenes/scene02/Scene02.js';
-import { Scene03 } from '../scenes/scene03/Scene03.js';
-import { Scene04 } from '../scenes/scene04/Scene04.js';
+import * as THREE from "three/webgpu";
+import { getSceneEntries } from '../scenes/index.js';
+import { conf } from '../common/conf.js';
+import { OSCScheduler } from './OSCScheduler.js';
+import { SceneTransition, normalizeTransitionMode } from './SceneTransition.js';
+import { ShowController } from './ShowController.js';
+import { MappingManager } from './MappingManager.js';
+import { CCManager } from './CCManager.js';
+import { ModulationMatrix } from './ModulationMatrix.js';
+import { PresetManager } from './PresetManager.js';
+import { clock } from '../common/clock.js';
+import { random } from '../common/random.js';
+import { tempo } from '../common/tempo.js';
+
+// 1小節 = 96tick × 4拍（MIDIManager / HUD と同じ）
+const TICKS_PER_BEAT = 96;
+const TICKS_PER_BAR = TICKS_PER_BEAT * 4;
 
 export class SceneManager {
     constructor(renderer, camera, sharedResourceManager = null) {
@@ -16,6 +29,8 @@ export class SceneManager {
         this.scenes = [];
         this.currentSceneIndex = 0;
         this.onSceneChange = null;
+        // 受信したメッセージ（OSC/MIDI/音声。操作パネルのログ用）
+        this.onMessage = null;
         
         // HUDの状態をグローバルに保持（シーン切り替えに関係なく保持）
         this.globalShowHUD = true;
@@ -35,6 +50,32 @@ export class SceneManager {
         this._preloadDone = false;
         this.onPreloadProgress = null; // プリロード進捗コールバック
         
+        // バンドル（タイムタグ付き）で先行送信されたOSCイベントを、予定時刻のフレームまで保持する
+        this.oscScheduler = new OSCScheduler();
+        // フレーム間隔の推定値（ms）: 予定時刻に一番近いフレームで実行するために使う
+        this._frameIntervalMs = 1000 / 60;
+
+        // シーン切り替えトランジション（デフォルトは従来どおりカット）
+        // switchScene(index, { mode, durationMs }) で1回だけ上書きもできる
+        this.transition = new SceneTransition(renderer);
+        this.transitionMode = 'cut';
+        this.transitionDurationMs = 1000;
+
+        // 小節/tick/phase（シーンをまたいで保持する。予約切り替えの判定に使う）
+        this.transport = { bar: 0, tick: null, phase: null };
+        // 予約中のシーン切り替え（次の小節 / N小節後 / 次のphase）
+        this.queuedSwitch = null;
+        // ショーファイル（小節に沿ってシーン/トラック/パラメータ/カメラを自動で切り替える）
+        this.show = new ShowController(this);
+        // OSCアドレス/トラック/ノート → シーンのパラメータ/アクション（learn で割り当て。localStorage に保存）
+        this.mapping = new MappingManager(this);
+        // /cc/<name> と MIDI CC の連続値（スムージングしてパラメータへ）
+        this.cc = new CCManager(this);
+        // LFO/エンベロープ/CC/音声 → パラメータ/uniform（毎フレーム、シーンの update の後に書き込む）
+        this.modulation = new ModulationMatrix(this);
+        // シーンごとの見た目のプリセット（public/presets。保存は osc-server 経由。呼び出しはモーフ）
+        this.presets = new PresetManager(this);
+        
         // シーン切り替え後の初回update/render計測用
         this._switchFrameCount = 0;
         this._switchStartTime = null;
@@ -45,17 +86,21 @@ export class SceneManager {
     
     initScenes() {
         // WebGPU専用構成
-        this.scenes.push(new Scene01(this.renderer, this.camera, this.sharedResourceManager));
-        this.scenes.push(new Scene02(this.renderer, this.camera, this.sharedResourceManager));
-        this.scenes.push(new Scene03(this.renderer, this.camera, this.sharedResourceManager));
-        this.scenes.push(new Scene04(this.renderer, this.camera, this.sharedResourceManager));
+        // シーン一覧はレジストリから作る（各シーンが registerScene() で自己登録。conf.setlist で絞り込み/並べ替え）
+        this.sceneEntries = getSceneEntries({ setlist: conf.setlist });
+        for (const entry of this.sceneEntries) {
+            this.scenes.push(this.createScene(entry));
+        }
+        console.log(`シーン: ${this.sceneEntries.map((e) => e.id).join(', ')}`);
         
-        // 起動時に全部初期化（ライブ用途：切り替えは瞬時にしたい）
+        // 起動時のプリロード（conf.preloadPolicy: all = 全部 / neighbours = セットリストの前後 / onDemand = 最初のシーンだけ）
+        // 残りは切り替え後に裏でsetupし、遠いシーンは dispose() してGPUメモリを空ける（updateResidency）
         this._setupDone = new Set();
-        this._preloadPromise = this.preloadAllScenes()
+        this._setupPromises = new Map();
+        this._preloadPromise = this.preloadScenes()
             .then(() => {
                 this._preloadDone = true;
-                console.log('全シーンのプリロード完了');
+                console.log('シーンのプリロード完了');
             })
             .catch(err => {
                 console.error('シーンのプリロードエラー:', err);
@@ -64,73 +109,233 @@ export class SceneManager {
     }
 
     /**
-     * 全シーンを起動時にsetupする（時間かかってOK / 切替は瞬時）
+     * レジストリのエントリからシーンを作る（メタデータは setup() 前に反映。スクリーンショット文字などが title を使う）
+     * @param {Object} entry
+     * @param {Object} trackEffects - 作り直しの時に引き継ぐトラックのON/OFF
+     */
+    createScene(entry, trackEffects = null) {
+        const scene = entry.create(this.renderer, this.camera, this.sharedResourceManager);
+        scene.id = entry.id;
+        if (entry.title) scene.title = entry.title;
+        if (trackEffects) scene.trackEffects = { ...trackEffects };
+        else if (entry.defaultTrackEffects) scene.trackEffects = { ...entry.defaultTrackEffects };
+        return scene;
+    }
+
+    /**
+     * 起動時のプリロード（時間かかってOK / 対象のシーンは切替が瞬時）
      */
-    async preloadAllScenes() {
-        const total = this.scenes.length;
-        const originalSceneIndex = this.currentSceneIndex;
+    async preloadScenes() {
+        const indices = this.getResidentIndices(this.currentSceneIndex);
+        const total = indices.length;
+        // 進捗の重み（レジストリの preloadCost。重いシーンほど進捗バーが長く進む）
+        const costs = indices.map((i) => Math.max(0, this.sceneEntries?.[i]?.preloadCost ?? 1));
+        const totalCost = costs.reduce((a, b) => a + b, 0) || 1;
+        let doneCost = 0;
         
-        for (let i = 0; i < this.scenes.length; i++) {
+        for (let n = 0; n < indices.length; n++) {
+            const i = indices[n];
             const s = this.scenes[i];
-            if (!s || this._setupDone.has(i)) continue;
+            if (!s) continue;
             
-            // 進捗コールバック
+            // 進捗コールバック（第4引数: preloadCostで重み付けした進捗 0..1。このシーンの開始時点）
             if (this.onPreloadProgress) {
-                this.onPreloadProgress(i + 1, total, s.title || `Scene ${i + 1}`);
-            }
-            
-            await s.setup();
-            this._setupDone.add(i);
-            // HUDはグローバルに同期
-            s.showHUD = this.globalShowHUD;
-            if (s.hud) s.hud.showHUD = this.globalShowHUD;
-            
-            // 初回レンダリングを実行してシェーダーコンパイルを済ませる（ライブ用途：切り替え時の遅延を防ぐ）
-            // 一時的にシーンを切り替えてレンダリング
-            const tempSceneIndex = this.currentSceneIndex;
-            this.currentSceneIndex = i;
-            if (s.setResourceActive) s.setResourceActive(true);
-            
-            try {
-                const renderStart = performance.now();
-                if (s.render) {
-                    await s.render();
-                }
-                const renderTime = performance.now() - renderStart;
-                if (renderTime > 100) {
-                    console.log(`シーン${i + 1}の初回レンダリング（プリロード）: ${renderTime.toFixed(2)}ms`);
-                }
-            } catch (err) {
-                console.warn(`シーン${i + 1}の初回レンダリングエラー（無視）:`, err);
-            } finally {
-                // 元のシーンに戻す
-                this.currentSceneIndex = tempSceneIndex;
-                if (s.setResourceActive) s.setResourceActive(false);
-                
-                // パーティクルシステムの表示状態を明示的に復元（Scene01などで必要）
-                // プリロード時のrender()実行後、表示状態が正しく設定されていない可能性があるため
-                if (i === 0 && s.particleSystem && s.particleSystem.setVisible) {
-                    // Scene01の場合、SHOW_PARTICLESの状態を反映
-                    s.particleSystem.setVisible(!!s.SHOW_PARTICLES);
-                }
+                this.onPreloadProgress(n + 1, total, s.title || `Scene ${i + 1}`, doneCost / totalCost);
             }
             
+            await this.setupScene(i);
+            doneCost += costs[n];
             console.log(`シーン${i + 1}をプリロード完了: ${s.title || `Scene ${i + 1}`}`);
         }
         
-        // 元のシーンに戻す（念のため）
-        this.currentSceneIndex = originalSceneIndex;
-        
         // 現在のシーンをアクティブ化（プリロード完了後に表示されるように）
         const currentScene = this.scenes[this.currentSceneIndex];
         if (currentScene && currentScene.setResourceActive) {
             currentScene.setResourceActive(true);
         }
+        this.applyShadowSettings(currentScene);
         
         // 最終進捗
         if (this.onPreloadProgress) {
-            this.onPreloadProgress(total, total, '完了');
+            this.onPreloadProgress(total, total, '完了', 1);
+        }
+    }
+
+    /**
+     * シーンを setup して、オフスクリーンで1回描いてシェーダーコンパイルを済ませる
+     * NOTE: 同じシーンのsetupが進行中ならそれを待つ（裏のプリロード中に切り替えが来た場合）
+     */
+    setupScene(index) {
+        if (this._setupDone.has(index)) return Promise.resolve();
+        if (this._setupPromises.has(index)) return this._setupPromises.get(index);
+
+        const s = this.scenes[index];
+        const promise = (async () => {
+            const setupStart = performance.now();
+            await s.setup();
+            // setup中に追い出されていたら（作り直されていたら）何もしない
+            if (this.scenes[index] !== s) return;
+            this._setupDone.add(index);
+            // HUDはグローバルに同期
+            s.showHUD = this.globalShowHUD;
+            if (s.hud) s.hud.showHUD = this.globalShowHUD;
+            if (index !== this.currentSceneIndex) {
+                await this.warmUpScene(index);
+            }
+            const setupTime = performance.now() - setupStart;
+            if (setupTime > 100) {
+                console.log(`シーン${index + 1}のsetup + ウォームアップ: ${setupTime.toFixed(2)}ms`);
+            }
+        })().finally(() => {
+            this._setupPromises.delete(index);
+        });
+        this._setupPromises.set(index, promise);
+        return promise;
+    }
+
+    /**
+     * 初回レンダリングをオフスクリーンで実行してシェーダーコンパイルを済ませる（ライブ用途：切り替え時の遅延を防ぐ）
+     * NOTE:
+     * - 描画先はトランジションと同じ HalfFloat のレンダーターゲット（画面には出さない）
+     * - 最終のキャンバス出力だけは初回フレームでコンパイルされる
+     * - ライブ中に裏で呼ばれるので、メインの render() と同時に走らないよう in-flight を取ってから描く
+     * - HUDのキャンバスは共通なので、描いている間はHUDを止める
+     */
+    async warmUpScene(index) {
+        const s = this.scenes[index];
+        if (!s?.render) return;
+
+        while (this._renderInFlight) {
+            await new Promise((resolve) => requestAnimationFrame(resolve));
+        }
+        this._renderInFlight = true;
+
+        const renderer = this.renderer;
+        const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+        if (!this._warmUpTarget) {
+            this._warmUpTarget = new THREE.RenderTarget(size.x, size.y, { type: THREE.HalfFloatType });
+        } else if (this._warmUpTarget.width !== size.x || this._warmUpTarget.height !== size.y) {
+            this._warmUpTarget.setSize(size.x, size.y);
+        }
+
+        const prevTarget = renderer.getRenderTarget();
+        const showHUD = s.showHUD;
+        s.showHUD = false;
+        if (s.setResourceActive) s.setResourceActive(true);
+        this.applyShadowSettings(s);
+        try {
+            renderer.setRenderTarget(this._warmUpTarget);
+            const renderStart = performance.now();
+            await s.render();
+            const renderTime = performance.now() - renderStart;
+            if (renderTime > 100) {
+                console.log(`シーン${index + 1}の初回レンダリング（ウォームアップ）: ${renderTime.toFixed(2)}ms`);
+            }
+        } catch (err) {
+            console.warn(`シーン${index + 1}の初回レンダリングエラー（無視）:`, err);
+        } finally {
+            renderer.setRenderTarget(prevTarget);
+            s.showHUD = showHUD;
+            // 表示中のシーン（トランジション中の旧シーンも）でなければ止めておく
+            const visible = index === this.currentSceneIndex || s === this.transition.fromScene;
+            if (s.setResourceActive && !visible) s.setResourceActive(false);
+            this.applyShadowSettings(this.scenes[this.currentSceneIndex]);
+
+            // パーティクルシステムの表示状態を明示的に復元（Scene01などで必要）
+            // 初回render()実行後、表示状態が正しく設定されていない可能性があるため
+            if (s.SHOW_PARTICLES !== undefined && s.particleSystem && s.particleSystem.setVisible) {
+                s.particleSystem.setVisible(!!s.SHOW_PARTICLES);
+            }
+            this._renderInFlight = false;
+        }
+    }
+
+    /**
+     * center のシーンを表示している時に、setup済みにしておくシーン（center から近い順）
+     * - conf.preloadPolicy で候補を決め、conf.gpuMemoryBudgetMB を超える分は遠いものから外す
+     * - center 自体は必ず含む
+     */
+    getResidentIndices(center) {
+        const policy = conf.preloadPolicy;
+        const range = policy === 'all' ? Infinity
+            : policy === 'neighbours' ? Math.max(0, Math.floor(conf.preloadNeighbours))
+            : 0;
+        const indices = this.scenes
+            .map((_, i) => i)
+            .filter((i) => Math.abs(i - center) <= range)
+            .sort((a, b) => Math.abs(a - center) - Math.abs(b - center) || a - b);
+
+        const budget = Number(conf.gpuMemoryBudgetMB);
+        if (!(budget > 0)) return indices;
+        const resident = [];
+        let used = 0;
+        for (const i of indices) {
+            const mb = this.sceneEntries?.[i]?.gpuMemoryMB ?? 0;
+            if (i !== center && used + mb > budget) continue;
+            resident.push(i);
+            used += mb;
+        }
+        return resident;
+    }
+
+    /**
+     * 今のシーンを中心に、遠いシーンを追い出して近いシーンを裏でsetupする（切り替え後に呼ぶ）
+     * NOTE: 表示中/切り替え先/トランジション中の旧シーン/setup中のシーンは追い出さない
+     */
+    updateResidency() {
+        const resident = new Set(this.getResidentIndices(this.currentSceneIndex));
+        for (let i = 0; i < this.scenes.length; i++) {
+            if (!resident.has(i)) this.evictScene(i);
+        }
+
+        // 1つずつ順番に（GPUの初期化を並べると表示中のシーンがカクつく）
+        const pending = [...resident].filter((i) => !this._setupDone.has(i));
+        if (pending.length === 0) return;
+        this._residencyPromise = (this._residencyPromise || Promise.resolve())
+            .then(async () => {
+                for (const i of pending) {
+                    // 待っている間にまた切り替わって不要になったものは飛ばす
+                    if (!this.getResidentIndices(this.currentSceneIndex).includes(i)) continue;
+                    await this.setupScene(i);
+                    console.log(`シーン${i + 1}を裏でプリロード: ${this.scenes[i]?.title || `Scene ${i + 1}`}`);
+                }
+            })
+            .catch((err) => console.error('シーンのプリロードエラー:', err));
+    }
+
+    /**
+     * シーンを dispose() して、未setupの新しいインスタンスに差し替える（次に使う時にsetupし直す）
+     * NOTE:
+     * - compute用のストレージバッファは three の backend が WeakMap で持っているので、
+     *   シーンへの参照が切れた後のGCで解放される（dispose() した瞬間に減るわけではない）
+     * - トラックのON/OFFは引き継ぐ
+     */
+    evictScene(index) {
+        if (!this._setupDone.has(index) || this._setupPromises.has(index)) return false;
+        const s = this.scenes[index];
+        if (index === this.currentSceneIndex || index === this._pendingSceneIndex || s === this.transition.fromScene) {
+            return false;
+        }
+        const entry = this.sceneEntries?.[index];
+        if (!entry) return false;
+
+        if (s.setResourceActive) s.setResourceActive(false);
+        // シーンの dispose() が失敗してもジオメトリ/マテリアル/テクスチャは解放する
+        try {
+            if (s.dispose) s.dispose();
+        } catch (err) {
+            console.warn(`シーン${index + 1}のdisposeエラー（無視）:`, err);
+        }
+        try {
+            releaseObject3D(s.scene);
+            releaseObject3D(s.overlayScene);
+        } catch (err) {
+            console.warn(`シーン${index + 1}の解放エラー（無視）:`, err);
         }
+        this.scenes[index] = this.createScene(entry, s.trackEffects);
+        this._setupDone.delete(index);
+        console.log(`シーン${index + 1}を解放: ${s.title || `Scene ${index + 1}`}（約${entry.gpuMemoryMB ?? '?'}MB）`);
+        return true;
     }
     
     /**
@@ -150,11 +355,39 @@ export class SceneManager {
         }
     }
     
-    async switchScene(index) {
+    /**
+     * デフォルトのトランジションを設定
+     * @param {string} mode - cut / crossfade / luma / glitch / black / white
+     * @param {number} durationMs
+     */
+    setTransition(mode, durationMs = this.transitionDurationMs) {
+        const name = normalizeTransitionMode(mode);
+        if (!name) {
+            console.warn(`トランジション ${mode} は無効です`);
+            return;
+        }
+        this.transitionMode = name;
+        const d = Number(durationMs);
+        if (Number.isFinite(d) && d >= 0) this.transitionDurationMs = d;
+        console.log(`トランジション: ${this.transitionMode} ${this.transitionDurationMs}ms`);
+    }
+
+    /**
+     * @param {number} index
+     * @param {Object} options
+     * @param {string} options.mode - トランジション（省略時は setTransition() の設定）
+     * @param {number} options.durationMs
+     */
+    async switchScene(index, options = {}) {
         if (index < 0 || index >= this.scenes.length) {
             console.warn(`シーンインデックス ${index} は無効です`);
             return;
         }
+
+        // 即時切り替えが来たら予約は取り消す（後から予約が発火して戻されないように）
+        if (this.queuedSwitch) {
+            this.cancelQueuedSwitch();
+        }
         
         // 同じシーンへの切り替えは無視
         if (index === this.currentSceneIndex) {
@@ -198,15 +431,15 @@ export class SceneManager {
         // 非アクティブ時は重い更新を止める（ただし旧シーンはまだアクティブのまま）
         if (newScene.setResourceActive) newScene.setResourceActive(false);
 
-        // まだsetupしてないなら裏でやる（旧シーンは描画継続）
-        // ただし、プリロードが完了していれば通常はsetup済みのはず
-        const ensureSetup = async () => {
-            if (this._setupDone?.has(index)) return;
-            await newScene.setup();
-            this._setupDone?.add(index);
-        };
+        // 切り替え先を中心に見て要らなくなるシーンは先に解放（GPUメモリのピークを抑える）
+        const resident = new Set(this.getResidentIndices(index));
+        for (let i = 0; i < this.scenes.length; i++) {
+            if (!resident.has(i)) this.evictScene(i);
+        }
 
-        ensureSetup()
+        // まだsetupしてないなら裏でやる（旧シーンは描画継続）
+        // preloadPolicy が all なら通常はsetup済み。裏のプリロード中ならそれを待つ
+        this.setupScene(index)
             .then(() => {
                 // 切替要求が最新ならここでスワップ（途中で別シーン要求されたら捨てる）
                 if (token !== this._pendingSwitchToken) return;
@@ -214,8 +447,15 @@ export class SceneManager {
 
                 const switchStartTime = performance.now();
                 
+                // 前のトランジションが残っていたら打ち切る（旧シーンの描画も止める）
+                this.finishTransition(index);
+
                 const oldScene = this.scenes[this.currentSceneIndex];
-                if (oldScene?.setResourceActive) {
+                const mode = normalizeTransitionMode(options.mode) || this.transitionMode;
+                const durationMs = options.durationMs ?? this.transitionDurationMs;
+                // トランジション中は旧シーンも描くので、非アクティブ化は終わってから
+                const transitioning = this.transition.begin(oldScene, newScene, mode, durationMs);
+                if (oldScene?.setResourceActive && !transitioning) {
                     const deactivateStart = performance.now();
                     oldScene.setResourceActive(false);
                     const deactivateTime = performance.now() - deactivateStart;
@@ -266,7 +506,10 @@ export class SceneManager {
                 this._switchStartTime = performance.now();
 
                 if (this.onSceneChange) this.onSceneChange(activeScene.title || `Scene ${index + 1}`);
-                console.log(`シーン切り替え(ノンブロック): ${activeScene.title || `Scene ${index + 1}`}`);
+                console.log(`シーン切り替え(ノンブロック): ${activeScene.title || `Scene ${index + 1}`}${transitioning ? ` [${mode} ${durationMs}ms]` : ''}`);
+
+                // 新しいシーンの前後を裏でプリロード / 遠いシーンを解放
+                this.updateResidency();
             })
             .catch(err => {
                 console.error('シーンのセットアップエラー:', err);
@@ -274,6 +517,28 @@ export class SceneManager {
     }
     
     update(deltaTime) {
+        // 予定時刻が「このフレームと次のフレームの中間」より前のイベントを、このフレームで実行
+        const dtMs = deltaTime * 1000;
+        if (dtMs > 0 && dtMs < 250) {
+            this._frameIntervalMs += (dtMs - this._frameIntervalMs) * 0.1;
+        }
+        if (this.oscScheduler.size > 0) {
+            this.oscScheduler.flush(clock.now() + this._frameIntervalMs * 0.5, (m) => this.dispatchOSC(m));
+        }
+        this.cc.update(deltaTime);
+        this.presets.update();
+
+        // トランジション中は旧シーンも動かし続ける（止めると旧シーン側がフリーズして見える）
+        if (this.transition.active) {
+            this.transition.fromScene?.update(deltaTime);
+        }
+
+        // 予約中の切り替えのカウントダウンをHUDに渡す（HUDのcanvasは共通なので全シーンに同じ値）
+        const queuedInfo = this.getQueuedSwitchInfo();
+        for (const s of this.scenes) {
+            if (s?.hud?.setQueuedSwitch) s.hud.setQueuedSwitch(queuedInfo);
+        }
+
         const scene = this.scenes[this.currentSceneIndex];
         if (scene) {
             // 切り替え直後の初回update計測
@@ -288,6 +553,7 @@ export class SceneManager {
                 scene.update(deltaTime);
             }
         }
+        this.modulation.update(deltaTime, scene);
     }
     
     async render() {
@@ -295,6 +561,15 @@ export class SceneManager {
         if (!scene) return;
         if (this._renderInFlight) return;
         this._renderInFlight = true;
+
+        if (this.transition.active) {
+            this.renderTransition()
+                .catch(err => console.error('トランジションrenderエラー:', err))
+                .finally(() => {
+                    this._renderInFlight = false;
+                });
+            return;
+        }
         
         // 切り替え直後の初回render計測
         const isFirstRender = this._switchStartTime !== null && this._switchFrameCount === 0;
@@ -335,11 +610,569 @@ export class SceneManager {
         }
     }
     
+    /**
+     * 1フレーム描画して完了を待つ（オフラインレンダー用）
+     * NOTE: ライブでは render() を使う（await するとメインループが詰まる）
+     */
+    async renderFrame() {
+        // 裏のプリロードは待つ（オフラインは実時間に縛られないので、毎回同じ状態で描く）
+        if (this._residencyPromise) await this._residencyPromise;
+        if (this.transition.active) {
+            await this.renderTransition();
+            return;
+        }
+        const scene = this.scenes[this.currentSceneIndex];
+        if (!scene?.render) return;
+        await scene.render();
+    }
+
+    /**
+     * トランジション中の描画（旧/新シーンをそれぞれのシャドウ設定で描いて合成）
+     */
+    async renderTransition() {
+        const done = this.transition.update();
+        await this.transition.render(async (scene) => {
+            this.applyShadowSettings(scene);
+            if (scene.render) await scene.render();
+        });
+        this.applyShadowSettings(this.scenes[this.currentSceneIndex]);
+        if (done) {
+            this.finishTransition();
+            // トランジション中は残していた旧シーンも、範囲外ならここで解放
+            this.updateResidency();
+        }
+    }
+
+    /**
+     * トランジションを終了して旧シーンを非アクティブにする
+     * @param {number} keepIndex - 非アクティブにしないシーン（次の切り替え先）
+     */
+    finishTransition(keepIndex = this.currentSceneIndex) {
+        if (!this.transition.active) return;
+        const fromScene = this.transition.fromScene;
+        this.transition.cancel();
+        const fromIndex = this.scenes.indexOf(fromScene);
+        if (fromScene?.setResourceActive && fromIndex !== keepIndex && fromIndex !== this.currentSceneIndex) {
+            fromScene.setResourceActive(false);
+        }
+    }
+
+    applyShadowSettings(scene) {
+        if (!scene || scene._shadowMapEnabled === undefined) return;
+        this.renderer.shadowMap.enabled = scene._shadowMapEnabled;
+        if (scene._shadowMapType !== undefined) {
+            this.renderer.shadowMap.type = scene._shadowMapType;
+        }
+    }
+    
     handleOSC(message) {
+        if (this.onMessage) this.onMessage(message);
+        // バンドルで先行送信されたイベント（dueAt付き）は予定時刻のフレームまで待つ
+        if (typeof message?.dueAt === 'number') {
+            const now = clock.now();
+            if (message.dueAt - now > this._frameIntervalMs * 0.5 && this.oscScheduler.schedule(message, now)) {
+                return;
+            }
+        }
+        this.dispatchOSC(message);
+    }
+
+    /**
+     * OSCイベントを実行（スケジュール済みのものもここを通る）
+     */
+    dispatchOSC(message) {
+        // シーン切替/トランジション/パラメータ/シードはシーンをまたぐのでここで処理する（osc-routes.js の type）
+        if (message?.type === 'scene') {
+            const index = this.resolveSceneIndex(message.scene);
+            if (index < 0) {
+                console.warn(`OSC: シーン ${message.scene} が見つかりません`);
+                return;
+            }
+            this.switchScene(index, { mode: message.transition, durationMs: message.duration });
+            return;
+        }
+        if (message?.type === 'transition') {
+            this.setTransition(message.mode, message.duration ?? undefined);
+            return;
+        }
+        if (message?.type === 'param') {
+            this.applyParam(message.name, message.value);
+            return;
+        }
+        if (message?.type === 'cc') {
+            this.cc.handle(message.name, message.value);
+            return;
+        }
+        if (message?.type === 'seed') {
+            const seed = random.setSeed(message.seed);
+            console.log(`OSC: 乱数シード = ${seed}`);
+            return;
+        }
+        if (message?.type === 'queue') {
+            const index = this.resolveSceneIndex(message.scene);
+            if (index < 0) {
+                console.warn(`OSC: シーン ${message.scene} が見つかりません`);
+                return;
+            }
+            this.queueSceneSwitch(index, { quantize: message.quantize, mode: message.transition, durationMs: message.duration });
+            return;
+        }
+        if (message?.type === 'cancel') {
+            this.cancelQueuedSwitch();
+            return;
+        }
+        if (message?.type === 'control') {
+            this.handleControl(message.command, message.args || []);
+            return;
+        }
+
+        this.updateTransport(message);
+        this.show.update(this.transport);
+        this.modulation.handleMessage(message);
+
         const scene = this.scenes[this.currentSceneIndex];
-        if (scene) {
+        // マッピングで消費したノートはシーンのトラック処理に流さない
+        const consumed = this.mapping.handleMessage(message, scene);
+        if (scene && !consumed) {
             scene.handleOSC(message);
         }
+
+        this.checkQueuedSwitch();
+    }
+
+    /**
+     * /mavrx/{command} の操作（キーボードでできることをシーケンサーからも）
+     * - scene <index|title> [transition] [durationMs] : 即切り替え（Ctrl+数字）
+     * - queue <index|title> [小節数|phase] [transition] [durationMs] : 予約切り替え（Ctrl+Shift+数字）
+     * - cancel                 : 予約の取り消し（Ctrl+0 / Esc）
+     * - hud [0|1]              : HUD表示（省略でトグル / h）
+     * - reset                  : シーンのリセット（r）
+     * - screenshot [square|16:9] : スクリーンショット（s / y）
+     * - toggle <track> [0|1]   : トラックのON/OFF（省略でトグル / 数字キー）
+     * - key <key>              : 任意のキーをシーンに送る（c / g / p / f など）
+     * - show <name|off>        : ショーファイルの読み込み（public/shows/<name>.json）/ 停止
+     * - learn <target> [sceneId|*] : 次のノート/OSCを target（action:<name> / param:<name> / conf:<name>）に割り当て
+     * - unlearn [target]       : target の割り当てを外す（省略で learn 待ちの取り消し）
+     * - mapping <clear|load <name>|list|export> : マッピングの管理
+     * - smoothing <name> <none|slew|onePole|spring> [秒] : /cc/<name> のスムージング
+     * - mod <add|remove|lfo|env|clear|list|load|export> ... : モジュレーションの編集（handleModulationCommand）
+     * - preset <save <name>|load <name> [ms]|list> : 今のシーンのプリセット（Alt+数字 / Alt+Shift+数字）
+     * - collider <name> <add|pos|drop|rot|mode|remove> ... : MLS-MPM のコライダー（シーンの handleColliderCommand）
+     * - bench [粒数...]        : MLS-MPM のベンチマーク（シーンの runBenchmark。結果は console.table）
+     */
+    handleControl(command, args = []) {
+        const arg0 = args[0];
+        const toBool = (v) => (typeof v === 'string' ? !['0', 'off', 'false'].includes(v.toLowerCase()) : !!Number(v));
+
+        const name = String(command).toLowerCase();
+        switch (name) {
+            case 'scene':
+            case 'queue': {
+                const index = this.resolveSceneIndex(typeof arg0 === 'string' && /^\d+$/.test(arg0) ? Number(arg0) : arg0);
+                if (index < 0) {
+                    console.warn(`OSC: シーン ${arg0} が見つかりません`);
+                    return;
+                }
+                if (name === 'scene') {
+                    this.switchScene(index, { mode: args[1], durationMs: args[2] });
+                } else {
+                    this.queueSceneSwitch(index, { quantize: args[1], mode: args[2], durationMs: args[3] });
+                }
+                return;
+            }
+            case 'cancel':
+                this.cancelQueuedSwitch();
+                return;
+            case 'hud':
+                this.setHUDVisible(arg0 === undefined ? !this.globalShowHUD : toBool(arg0));
+                return;
+            case 'reset':
+                this.resetScene();
+                return;
+            case 'screenshot':
+                this.takeScreenshot(arg0 === '16:9' || arg0 === '169' || arg0 === 'wide');
+                return;
+            case 'toggle': {
+                const track = Math.floor(Number(arg0));
+                this.setTrackEffect(track, args[1] === undefined ? undefined : toBool(args[1]));
+                return;
+            }
+            case 'key':
+                if (typeof arg0 === 'string' && arg0) this.sendKey(arg0);
+                return;
+            case 'learn':
+                if (typeof arg0 === 'string' && arg0) this.mapping.learn(arg0, args[1]);
+                return;
+            case 'unlearn':
+                if (arg0 === undefined) {
+                    this.mapping.cancelLearn();
+                } else {
+                    console.log(`マッピング: ${arg0} の割り当てを${this.mapping.removeTarget(String(arg0))}件外しました`);
+                }
+                return;
+            case 'mapping': {
+                const sub = String(arg0 ?? '').toLowerCase();
+                if (sub === 'clear') {
+                    this.mapping.clear();
+                    console.log('マッピングを全部外しました');
+                } else if (sub === 'load' && args[1]) {
+                    this.mapping.loadFile(String(args[1])).catch((err) => console.error(err.message));
+                } else if (sub === 'list') {
+                    console.log(`割り当てできるターゲット: ${this.mapping.listTargets().join(', ')}`);
+                } else if (sub === 'export') {
+                    console.log(JSON.stringify(this.mapping.toJSON(), null, 2));
+                } else {
+                    console.warn(`OSC: /mavrx/mapping ${arg0 ?? ''} は無効です（clear / load <name> / list / export）`);
+                }
+                return;
+            }
+            case 'mod':
+                this.handleModulationCommand(args);
+                return;
+            case 'smoothing':
+                if (typeof arg0 === 'string' && arg0) this.cc.setSmoothing(arg0, String(args[1] ?? ''), args[2]);
+                return;
+            case 'preset': {
+                const sub = String(arg0 ?? '').toLowerCase();
+                if (sub === 'save' && args[1] !== undefined) {
+                    this.presets.save(String(args[1]));
+                } else if (sub === 'load' && args[1] !== undefined) {
+                    this.presets.recall(String(args[1]), { durationMs: args[2] });
+                } else if (sub === 'list') {
+                    const sceneId = this.getCurrentScene()?.id;
+                    this.presets.list(sceneId).then((names) => console.log(`プリセット（${sceneId}）: ${names.join(', ') || '（なし）'}`));
+                } else {
+                    console.warn(`OSC: /mavrx/preset ${arg0 ?? ''} は無効です（save <name> / load <name> [ms] / list）`);
+                }
+                return;
+            }
+            case 'collider': {
+                const scene = this.getCurrentScene();
+                if (scene?.handleColliderCommand) {
+                    scene.handleColliderCommand(args);
+                } else {
+                    console.warn(`OSC: ${scene?.id ?? 'このシーン'} にはコライダーがありません`);
+                }
+                return;
+            }
+            case 'bench': {
+                const scene = this.getCurrentScene();
+                if (scene?.runBenchmark) {
+                    scene.runBenchmark(args).catch((err) => console.error(err));
+                } else {
+                    console.warn(`OSC: ${scene?.id ?? 'このシーン'} にはベンチマークがありません`);
+                }
+                return;
+            }
+            case 'show':
+                if (arg0 === undefined || String(arg0).toLowerCase() === 'off') {
+                    this.show.clear();
+                    console.log('ショーを停止');
+                } else {
+                    this.show.load(String(arg0)).catch((err) => console.error(err.message));
+                }
+                return;
+            default:
+                console.warn(`OSC: 未知のコマンド /mavrx/${command}`);
+        }
+    }
+
+    /**
+     * /mavrx/mod
+     * - add <source> <target> [depth] [curve] : ルートを追加（lfo:pump param:bloom 0.4 exp）
+     * - remove <source> [target]              : ルートを外す
+     * - lfo <name> <'1/4' / '4'（小節）など|'0.5hz'> [shape] : LFOを定義（hz を付けた時だけフリーラン）
+     * - env <name> <track> [attack] [decay] [sustain] [release] : エンベロープを定義（秒）
+     * - clear / list / load <name> / export
+     */
+    handleModulationCommand(args) {
+        const sub = String(args[0] ?? '').toLowerCase();
+        const mod = this.modulation;
+        switch (sub) {
+            case 'add': {
+                const route = mod.addRoute({ source: args[1], target: args[2], depth: args[3], curve: args[4] });
+                if (route) console.log(`モジュレーション: ${route.source} → ${route.target} × ${route.depth}`);
+                return;
+            }
+            case 'remove':
+                console.log(`モジュレーション: ${mod.removeRoute(String(args[1] ?? ''), args[2] === undefined ? undefined : String(args[2]))}件外しました`);
+                return;
+            case 'lfo': {
+                if (!args[1] || args[2] === undefined) break;
+                // 数字だけなら小節数（LFO の sync と同じ）。フリーランは '0.5hz' のように hz を付ける
+                const value = String(args[2]).trim();
+                const hz = /^(\d+(?:\.\d+)?)\s*hz$/i.exec(value);
+                const config = hz ? { rate: Number(hz[1]) } : { sync: value };
+                if (args[3]) config.shape = String(args[3]);
+                mod.setLFO(String(args[1]), config);
+                return;
+            }
+            case 'env': {
+                if (!args[1] || args[2] === undefined) break;
+                const [attack, decay, sustain, release] = args.slice(3, 7).map(Number);
+                const config = { track: Number(args[2]) };
+                if (Number.isFinite(attack)) config.attack = attack;
+                if (Number.isFinite(decay)) config.decay = decay;
+                if (Number.isFinite(sustain)) config.sustain = sustain;
+                if (Number.isFinite(release)) config.release = release;
+                mod.setEnvelope(String(args[1]), config);
+                return;
+            }
+            case 'clear':
+                mod.clear();
+                console.log('モジュレーションを全部外しました');
+                return;
+            case 'list':
+                console.log(`モジュレーション:\n${mod.describe().join('\n') || '（なし）'}`);
+                return;
+            case 'load':
+                if (!args[1]) break;
+                mod.loadFile(String(args[1])).catch((err) => console.error(err.message));
+                return;
+            case 'export':
+                console.log(JSON.stringify(mod.toJSON(), null, 2));
+                return;
+            default:
+                break;
+        }
+        console.warn(`OSC: /mavrx/mod ${args.join(' ')} は無効です（add / remove / lfo / env / clear / list / load / export）`);
+    }
+
+    /**
+     * HUDの表示/非表示（全シーン共通）
+     */
+    setHUDVisible(visible) {
+        this.globalShowHUD = !!visible;
+        const scene = this.scenes[this.currentSceneIndex];
+        if (!scene) return;
+        scene.showHUD = this.globalShowHUD;
+        if (scene.hud) {
+            scene.hud.showHUD = this.globalShowHUD;
+            if (!this.globalShowHUD && scene.hud.clear) {
+                scene.hud.clear();
+            }
+        }
+    }
+
+    resetScene() {
+        const scene = this.scenes[this.currentSceneIndex];
+        if (scene?.reset) scene.reset();
+    }
+
+    /**
+     * @param {boolean} is16_9 - false なら正方形
+     */
+    takeScreenshot(is16_9 = false) {
+        const scene = this.scenes[this.currentSceneIndex];
+        if (scene?.takeScreenshot) scene.takeScreenshot(is16_9);
+    }
+
+    /**
+     * トラック（1〜9）のON/OFF
+     * @param {boolean|undefined} enabled - 省略でトグル
+     * @param {number} index - 対象シーン（省略で現在のシーン。ショーは切り替え先のシーンにも使う）
+     * NOTE: シーン側の toggleEffect() のオーバーライド（Scene01/02）を通すため、状態が違う時だけトグルする
+     */
+    setTrackEffect(track, enabled, index = this.currentSceneIndex) {
+        if (!(track >= 1 && track <= 9)) return;
+        const scene = this.scenes[index];
+        if (!scene?.toggleEffect) return;
+        if (enabled === undefined || !!scene.trackEffects?.[track] !== enabled) {
+            scene.toggleEffect(track);
+        }
+    }
+
+    /**
+     * キー入力をそのままシーンに送る（シーン固有のキー操作用）
+     */
+    sendKey(key) {
+        const scene = this.scenes[this.currentSceneIndex];
+        if (scene?.handleKeyPress) scene.handleKeyPress(key);
+    }
+
+    /**
+     * 小節/tick/phase を保持（SceneBase.setBar/setTick/setPhase と同じ正規化）
+     * NOTE: 拍同期のLFO用に common/tempo.js にも渡す（フレーム間の tick を補間する）
+     */
+    updateTransport(message) {
+        const bar = Number(message?.actual_bar ?? message?.bar);
+        if (Number.isFinite(bar) && bar >= 1) {
+            this.transport.bar = Math.floor(bar);
+            tempo.setBar(this.transport.bar);
+        }
+        const tick = Number(message?.actual_tick ?? message?.tick);
+        if (Number.isFinite(tick)) {
+            this.transport.tick = Math.max(0, Math.floor(tick));
+            tempo.setTick(this.transport.tick);
+        }
+        const phase = Number(message?.phase);
+        if (Number.isFinite(phase)) this.transport.phase = ((Math.floor(phase) % 10) + 10) % 10;
+    }
+
+    /**
+     * 今の小節（1始まり。tick が来ていれば tick から、来ていなければ bar メッセージ。どちらも無ければ 0）
+     */
+    getTransportBar() {
+        if (this.transport.tick !== null) return Math.floor(this.transport.tick / TICKS_PER_BAR) + 1;
+        return this.transport.bar;
+    }
+
+    /**
+     * 小節/phase に合わせてシーンを切り替える（予約）
+     * @param {number} index
+     * @param {Object} options
+     * @param {number|string} options.quantize - 小節数（1 = 次の小節頭） or 'phase'（次にphaseが変わった時）
+     * @param {string} options.mode - トランジション
+     * @param {number} options.durationMs
+     */
+    queueSceneSwitch(index, options = {}) {
+        if (index < 0 || index >= this.scenes.length) {
+            console.warn(`シーンインデックス ${index} は無効です`);
+            return;
+        }
+        if (index === this.currentSceneIndex) {
+            console.log(`既にシーン ${index + 1} がアクティブです`);
+            return;
+        }
+
+        const switchOptions = { mode: options.mode, durationMs: options.durationMs };
+        const scene = this.scenes[index];
+        const title = scene?.title || `Scene ${index + 1}`;
+
+        if (String(options.quantize).toLowerCase() === 'phase') {
+            this.queuedSwitch = { index, title, quantize: 'phase', fromPhase: this.transport.phase, options: switchOptions };
+            console.log(`シーン切り替え予約: ${title}（次のphase）`);
+            return;
+        }
+
+        const bars = Math.max(1, Math.floor(Number(options.quantize) || 1));
+        // 次の小節頭 = 今の小節 + bars（tick が来ていれば tick から、来ていなければ bar メッセージから数える）
+        // tick も bar もまだ来ていなければ、最初に来た bar/tick を今の小節として数える（checkQueuedSwitch で決める）
+        const currentBar = this.getTransportBar();
+        const hasReference = currentBar > 0;
+        const targetBar = currentBar + bars;
+        const targetTick = hasReference ? (targetBar - 1) * TICKS_PER_BAR : null;
+        this.queuedSwitch = { index, title, quantize: 'bar', bars, targetBar, targetTick, hasReference, options: switchOptions };
+        console.log(`シーン切り替え予約: ${title}（${targetBar}小節目）`);
+    }
+
+    cancelQueuedSwitch() {
+        if (!this.queuedSwitch) return;
+        console.log(`シーン切り替え予約を取り消し: ${this.queuedSwitch.title}`);
+        this.queuedSwitch = null;
+    }
+
+    /**
+     * 予約した小節/phase に来たら切り替える（bar/tick/phase を受けるたびに呼ぶ）
+     * NOTE: tick が来ていれば小節頭のtickで、来ていなければ bar メッセージで判定する
+     */
+    checkQueuedSwitch() {
+        const queued = this.queuedSwitch;
+        if (!queued) return;
+
+        let due = false;
+        if (queued.quantize === 'phase') {
+            due = this.transport.phase !== null && this.transport.phase !== queued.fromPhase;
+        } else {
+            if (!queued.hasReference) {
+                // 予約後に初めて来た bar/tick は基準にするだけ（その小節で切り替えない）
+                const bar = this.getTransportBar();
+                if (bar <= 0) return;
+                queued.hasReference = true;
+                queued.targetBar = bar + queued.bars;
+                queued.targetTick = (queued.targetBar - 1) * TICKS_PER_BAR;
+                return;
+            }
+            due = this.transport.bar >= queued.targetBar
+                || (this.transport.tick !== null && queued.targetTick !== null && this.transport.tick >= queued.targetTick);
+        }
+        if (!due) return;
+
+        this.queuedSwitch = null;
+        console.log(`予約したシーン切り替えを実行: ${queued.title}`);
+        this.switchScene(queued.index, queued.options);
+    }
+
+    /**
+     * HUD表示用：予約中の切り替えまでの残り
+     * @returns {{title: string, quantize: string, barsLeft?: number, beatsLeft?: number}|null}
+     */
+    getQueuedSwitchInfo() {
+        const queued = this.queuedSwitch;
+        if (!queued) return null;
+        if (queued.quantize === 'phase') {
+            return { title: queued.title, quantize: 'phase' };
+        }
+        const info = {
+            title: queued.title,
+            quantize: 'bar',
+            barsLeft: Math.max(1, queued.targetBar - this.getTransportBar())
+        };
+        if (this.transport.tick !== null && queued.targetTick !== null) {
+            const ticksLeft = queued.targetTick - this.transport.tick;
+            if (ticksLeft > 0 && ticksLeft <= queued.bars * TICKS_PER_BAR) {
+                info.beatsLeft = Math.ceil(ticksLeft / TICKS_PER_BEAT);
+            }
+        }
+        return info;
+    }
+
+    /**
+     * OSCで指定されたシーンをインデックスに解決
+     * - 数値: 1始まり（Ctrl+1 = シーン一覧の1番目と揃える）
+     * - 文字列: レジストリの id / タイトル（'scene02' など、大文字小文字は無視）
+     * NOTE: クラス名（constructor.name）はビルドで縮められるので使わない
+     * @returns {number} 見つからなければ -1
+     */
+    resolveSceneIndex(sceneRef) {
+        if (typeof sceneRef === 'number') {
+            const index = Math.floor(sceneRef) - 1;
+            return (index >= 0 && index < this.scenes.length) ? index : -1;
+        }
+        const key = String(sceneRef ?? '').trim().toLowerCase();
+        if (!key) return -1;
+        return this.scenes.findIndex((s) => (
+            (s?.id || '').toLowerCase() === key
+            || (s?.title || '').toLowerCase() === key
+        ));
+    }
+
+    /**
+     * パラメータ設定（/param/{name} <value>）
+     * - シーン（index、省略で現在のシーン）が setParam(name, value) で処理したらそれで終わり
+     * - それ以外は conf の同名の数値/真偽値プロパティに反映
+     * NOTE: ショーのセクションはシーンの切り替えと同時に呼ぶので、行き先の index を渡す
+     */
+    applyParam(name, value, index = this.currentSceneIndex) {
+        if (!name) return;
+        const scene = this.scenes[index];
+        if (scene?.setParam && scene.setParam(name, value)) return;
+
+        if (!(name in conf)) {
+            console.warn(`OSC: 未知のパラメータ ${name}`);
+            return;
+        }
+        const current = conf[name];
+        if (typeof current === 'number') {
+            const v = Number(value);
+            if (!Number.isFinite(v)) return;
+            conf[name] = v;
+        } else if (typeof current === 'boolean') {
+            conf[name] = !!Number(value);
+        } else {
+            console.warn(`OSC: パラメータ ${name} は数値/真偽値ではないため設定できません`);
+            return;
+        }
+        conf.updateParams();
+    }
+    
+    /**
+     * パラメータの現在値（applyParam と同じ順: シーンの getParam → conf）
+     */
+    getParam(name, index = this.currentSceneIndex) {
+        const scene = this.scenes[index];
+        const value = scene?.getParam?.(name);
+        return value !== undefined ? value : conf[name];
     }
     
     onResize() {
@@ -349,6 +1182,24 @@ export class SceneManager {
         }
     }
     
+    /**
+     * 外部（Max/Processing）に送る状態
+     */
+    getOutputState() {
+        const scene = this.scenes[this.currentSceneIndex];
+        return {
+            sceneIndex: this.currentSceneIndex,
+            sceneTitle: scene?.title || `Scene ${this.currentSceneIndex + 1}`,
+            phase: scene?.phase ?? 0,
+            bar: scene?.currentBar ?? 0,
+            trackEffects: scene?.trackEffects || {},
+            cameraMode: scene?.getCameraModeName?.() ?? null,
+            seed: random.seed,
+            show: this.show.getInfo(),
+            learn: this.mapping.learning?.target ?? null
+        };
+    }
+    
     /**
      * 現在のシーンを取得
      */
@@ -357,3 +1208,17 @@ export class SceneManager {
     }
 }
 
+/**
+ * Object3D 以下のジオメトリ/マテリアルを破棄（シーンの dispose() で漏れているものの後始末）
+ * NOTE: テクスチャはキャッシュ（hdrCache など）で共有しているものがあるので触らない
+ */
+function releaseObject3D(root) {
+    if (!root?.traverse) return;
+    root.traverse((obj) => {
+        if (obj.geometry?.dispose) obj.geometry.dispose();
+        const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+        for (const m of materials) {
+            if (m?.dispose) m.dispose();
+        }
+    });
+}
@@ -0,0 +1,253 @@
+/**
+ * シーン切り替えトランジション
+ * 旧シーン/新シーンをそれぞれレンダーターゲットに描き、PostProcessing のクアッドで合成する
+ *
+ * モード:
+ * - cut        : 即切り替え（従来どおり。レンダーターゲットを使わない）
+ * - crossfade  : クロスフェード
+ * - luma       : ルマワイプ（新シーンの明るいところから現れる）
+ * - glitch     : グリッチカット（横スライス単位でランダムに入れ替わる + RGBずらし）
+ * - black / white : 一度黒（白）に落としてから新シーン
+ *
+ * NOTE:
+ * - 各シーンの outputNode は renderOutput() 済み（sRGB）なので、ここでは色変換せずにそのまま混ぜる
+ * - 進行は clock.now() 基準（オフラインレンダーでも同じ長さになる）
+ * - HUD（2Dキャンバス）は合成対象外。トランジション開始時点で新シーンのHUDに切り替わる
+ * - トランジション中は2シーン分描画するので、その間だけGPU負荷が倍になる
+ */
+
+import * as THREE from "three/webgpu";
+import {
+    float,
+    Fn,
+    vec2,
+    vec3,
+    vec4,
+    uv,
+    dot,
+    sin,
+    fract,
+    floor,
+    mix,
+    select,
+    smoothstep,
+    texture,
+    uniform
+} from "three/tsl";
+import { clock } from '../common/clock.js';
+import { random } from '../common/random.js';
+
+export const TRANSITION_MODES = ['cut', 'crossfade', 'luma', 'glitch', 'black', 'white'];
+
+const MODE_INDEX = {
+    crossfade: 0,
+    luma: 1,
+    glitch: 2,
+    black: 3,
+    white: 4
+};
+
+const rng = random.stream('transition');
+
+/**
+ * モード名を正規化（別名も受ける。不明なら null）
+ */
+export function normalizeTransitionMode(mode) {
+    const key = String(mode ?? '').trim().toLowerCase();
+    if (!key) return null;
+    const aliases = {
+        fade: 'crossfade',
+        xfade: 'crossfade',
+        wipe: 'luma',
+        dip: 'black',
+        dipblack: 'black',
+        dipwhite: 'white'
+    };
+    const name = aliases[key] || key;
+    return TRANSITION_MODES.includes(name) ? name : null;
+}
+
+export class SceneTransition {
+    constructor(renderer) {
+        this.renderer = renderer;
+
+        this.active = false;
+        this.mode = 'cut';
+        this.durationMs = 0;
+        this.startMs = 0;
+        this.fromScene = null;
+        this.toScene = null;
+
+        this._size = new THREE.Vector2();
+        this.fromTarget = null;
+        this.toTarget = null;
+        this.postProcessing = null;
+
+        this.uniforms = {
+            progress: uniform(0.0),
+            mode: uniform(0),
+            softness: uniform(0.15),
+            // グリッチのスライス配置（フレームごとに変える。乱数はシード付き）
+            seed: uniform(0.0)
+        };
+    }
+
+    /**
+     * レンダーターゲットと合成用 PostProcessing を作る（初回のトランジションで呼ばれる）
+     */
+    init() {
+        if (this.postProcessing) return;
+
+        this.renderer.getDrawingBufferSize(this._size);
+        const options = { type: THREE.HalfFloatType };
+        this.fromTarget = new THREE.RenderTarget(this._size.x, this._size.y, options);
+        this.toTarget = new THREE.RenderTarget(this._size.x, this._size.y, options);
+
+        const fromTex = texture(this.fromTarget.texture);
+        const toTex = texture(this.toTarget.texture);
+        const { progress, mode, softness, seed } = this.uniforms;
+
+        const postProcessing = new THREE.PostProcessing(this.renderer);
+        postProcessing.outputColorTransform = false;
+
+        postProcessing.outputNode = Fn(() => {
+            const u = uv().toVar();
+            const p = progress.clamp(0.0, 1.0).toVar();
+
+            const a = fromTex.sample(u).rgb.clamp(0, 1).toVar();
+            const b = toTex.sample(u).rgb.clamp(0, 1).toVar();
+
+            // 0) crossfade
+            const crossfade = mix(a, b, p).toVar();
+
+            // 1) luma wipe: 新シーンの輝度をマットにして、明るいところから現れる
+            const lumaW = vec3(0.299, 0.587, 0.114);
+            const lumB = dot(b, lumaW).toVar();
+            const threshold = float(1.0).sub(p.mul(softness.add(1.0))).toVar();
+            const lumaMask = smoothstep(threshold, threshold.add(softness), lumB).toVar();
+            const luma = mix(a, b, lumaMask).toVar();
+
+            // 2) glitch cut: スライスごとに切り替わるタイミングをずらす + 途中だけ横ずれ/RGBずらし
+            const rand2 = (st) => fract(sin(dot(st, vec2(12.9898, 78.233))).mul(43758.5453123));
+            const slice = floor(u.y.mul(24.0)).toVar();
+            const sliceRand = rand2(vec2(slice, seed)).toVar();
+            const burst = sin(p.mul(Math.PI)).toVar();
+            const shift = sliceRand.sub(0.5).mul(burst).mul(0.12).toVar();
+            const ug = vec2(fract(u.x.add(shift)), u.y).toVar();
+            const rgbOff = vec2(burst.mul(0.01), 0.0).toVar();
+            const ga = vec3(
+                fromTex.sample(ug.add(rgbOff)).r,
+                fromTex.sample(ug).g,
+                fromTex.sample(ug.sub(rgbOff)).b
+            ).clamp(0, 1).toVar();
+            const gb = vec3(
+                toTex.sample(ug.add(rgbOff)).r,
+                toTex.sample(ug).g,
+                toTex.sample(ug.sub(rgbOff)).b
+            ).clamp(0, 1).toVar();
+            const sliceOn = sliceRand.lessThan(p).toVar();
+            const glitch = select(sliceOn, gb, ga).toVar();
+
+            // 3/4) dip to black / white
+            const dipA = p.mul(2.0).clamp(0.0, 1.0).toVar();
+            const dipB = p.mul(2.0).sub(1.0).clamp(0.0, 1.0).toVar();
+            const dipBlack = select(p.lessThan(0.5), mix(a, vec3(0.0), dipA), mix(vec3(0.0), b, dipB)).toVar();
+            const dipWhite = select(p.lessThan(0.5), mix(a, vec3(1.0), dipA), mix(vec3(1.0), b, dipB)).toVar();
+
+            const out = select(mode.equal(0), crossfade,
+                select(mode.equal(1), luma,
+                    select(mode.equal(2), glitch,
+                        select(mode.equal(3), dipBlack, dipWhite))));
+            return vec4(out, 1.0);
+        })();
+
+        this.postProcessing = postProcessing;
+    }
+
+    /**
+     * トランジション開始
+     * @returns {boolean} 開始したか（cut や duration 0 なら false = 呼び出し側で即切り替え）
+     */
+    begin(fromScene, toScene, mode, durationMs) {
+        const name = normalizeTransitionMode(mode) || 'cut';
+        const duration = Math.max(0, Number(durationMs) || 0);
+        if (name === 'cut' || duration <= 0 || !fromScene || !toScene) {
+            this.active = false;
+            return false;
+        }
+
+        this.init();
+        this.fromScene = fromScene;
+        this.toScene = toScene;
+        this.mode = name;
+        this.durationMs = duration;
+        this.startMs = clock.now();
+        this.uniforms.mode.value = MODE_INDEX[name];
+        this.uniforms.progress.value = 0.0;
+        this.active = true;
+        return true;
+    }
+
+    /**
+     * 進行度（0..1）を更新
+     * @returns {boolean} 終わったら true
+     */
+    update() {
+        if (!this.active) return false;
+        const t = (clock.now() - this.startMs) / this.durationMs;
+        this.uniforms.progress.value = Math.min(Math.max(t, 0), 1);
+        if (this.mode === 'glitch') {
+            this.uniforms.seed.value = rng.next() * 100.0;
+        }
+        return t >= 1;
+    }
+
+    /**
+     * 旧シーン → fromTarget、新シーン → toTarget に描いてから合成
+     * @param {Function} renderScene - (scene) => Promise（シーンごとのシャドウ設定などは呼び出し側で）
+     */
+    async render(renderScene) {
+        if (!this.active || !this.postProcessing) return;
+        this.updateSize();
+
+        const renderer = this.renderer;
+        const prevTarget = renderer.getRenderTarget();
+        try {
+            renderer.setRenderTarget(this.fromTarget);
+            await renderScene(this.fromScene);
+            // 新シーンを後に描く（HUDキャンバスは後勝ちなので新シーンのものが残る）
+            renderer.setRenderTarget(this.toTarget);
+            await renderScene(this.toScene);
+        } finally {
+            renderer.setRenderTarget(prevTarget);
+        }
+        await this.postProcessing.renderAsync();
+    }
+
+    updateSize() {
+        const size = this.renderer.getDrawingBufferSize(this._size);
+        if (this.fromTarget.width !== size.x || this.fromTarget.height !== size.y) {
+            this.fromTarget.setSize(size.x, size.y);
+            this.toTarget.setSize(size.x, size.y);
+        }
+    }
+
+    /**
+     * 途中で止める（新しい切り替え要求が来た時など）
+     */
+    cancel() {
+        this.active = false;
+        this.fromScene = null;
+        this.toScene = null;
+    }
+
+    dispose() {
+        this.cancel();
+        if (this.postProcessing) this.postProcessing.dispose();
+        if (this.fromTarget) this.fromTarget.dispose();
+        if (this.toTarget) this.toTarget.dispose();
+        this.postProcessing = null;
+        this.fromTarget = null;
+        this.toTarget = null;
+    }
+}
@@ -0,0 +1,249 @@
+/**
+ * ショー（セットリスト）コントローラー
+ * JSONのショーファイル（public/shows/*.json）に沿って、小節ごとにシーン/トラック/パラメータ/カメラを切り替える
+ *
+ * ショーファイルの形式:
+ * {
+ *   "title": "live 2026",
+ *   "songs": [
+ *     {
+ *       "title": "vinko_plashra",
+ *       "startBar": 1,                 // 曲の頭の小節（actual_bar と同じ1始まり。省略時は前の曲の直後）
+ *       "sections": [
+ *         {
+ *           "name": "intro",
+ *           "bars": [1, 16],           // 曲の中の小節範囲（1始まり、両端含む）。[1] や 1 なら1小節だけ
+ *           "scene": "scene01",        // レジストリの id / タイトル / 1始まりの番号
+ *           "transition": "crossfade", // 省略時は SceneManager のデフォルト
+ *           "transitionMs": 2000,
+ *           "trackEffects": { "1": true, "4": false },  // 書いたトラックだけ変える（[1, 2, 5] なら1〜9をこの通りに）
+ *           "params": { "noise": 0.2 },                 // /param と同じ（シーンの setParam → conf）
+ *           "sceneParams": { "USE_ACTUAL_TICK_FOR_PHASE": false, "_tickPhaseMaxTicks": 18432 },  // シーンのプロパティを直接
+ *           "preset": "chorus",        // public/presets/<sceneId>/chorus.json（PresetManager。切り替え先のシーンに入れる）
+ *           "presetMs": 4000,          // プリセットのモーフ時間（省略時は PresetManager のデフォルト）
+ *           "camera": "follow"         // SceneBase.setCameraMode（Scene03: follow/lead、Scene02: CameraParticle の modeName）
+ *         }
+ *       ]
+ *     }
+ *   ]
+ * }
+ *
+ * NOTE:
+ * - 現在の小節は actual_tick があればそこから（小節頭のtickで切り替わる）、無ければ actual_bar
+ * - セクションに入った瞬間に1回だけ適用する（同じセクション内で手で変えたものは上書きしない）
+ * - params / sceneParams は「上書き」扱い。次のセクションで指定が無くなったキーは、ショーが最初に上書きする前の値に戻す
+ * - preset は戻さない（次のセクションで別の preset を指定するまでその見た目のまま）
+ * - どのセクションにも入っていない小節（曲間など）では何もしない（直前の状態のまま）
+ */
+
+// 1小節 = 96tick × 4拍（SceneManager / HUD と同じ）
+const TICKS_PER_BAR = 96 * 4;
+
+export class ShowController {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+
+        this.title = null;
+        this.sections = [];
+        this.currentSection = null;
+
+        // 上書き前の値（'conf:noise' / 'param:0:pour' / 'scene:0:_tickPhaseMaxTicks' → 値）
+        this._baseline = new Map();
+        // 今のセクションで上書き中のキー
+        this._activeKeys = new Set();
+    }
+
+    get loaded() {
+        return this.sections.length > 0;
+    }
+
+    /**
+     * ショーファイルを読み込む
+     * @param {string} name - 'example'（public/shows/example.json）または URL
+     */
+    async load(name) {
+        const url = /[/.]/.test(name) ? name : `/shows/${encodeURIComponent(name)}.json`;
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`ショーファイルを読み込めません: ${url} (${res.status})`);
+        this.setShow(await res.json());
+        console.log(`ショー: ${this.title || url}（${this.sections.length}セクション）`);
+    }
+
+    /**
+     * ショーを設定（曲の小節範囲を絶対小節に展開して持つ）
+     */
+    setShow(show) {
+        this.clear();
+        this.title = show?.title ?? null;
+
+        const sections = [];
+        let nextSongBar = 1;
+        for (const [songIndex, song] of (show?.songs || []).entries()) {
+            const songTitle = song?.title || `Song ${songIndex + 1}`;
+            const startBar = Number.isFinite(Number(song?.startBar)) ? Math.max(1, Math.floor(song.startBar)) : nextSongBar;
+            let songEnd = startBar - 1;
+
+            for (const section of song?.sections || []) {
+                const [from, to] = parseBarRange(section?.bars);
+                if (from === null) {
+                    console.warn(`ショー: ${songTitle} の小節範囲が不正です`, section);
+                    continue;
+                }
+                const entry = {
+                    ...section,
+                    song: songTitle,
+                    name: section.name || `${from}-${to}`,
+                    startBar: startBar + from - 1,
+                    endBar: startBar + to - 1
+                };
+                sections.push(entry);
+                songEnd = Math.max(songEnd, entry.endBar);
+            }
+            nextSongBar = songEnd + 1;
+        }
+
+        this.sections = sections.sort((a, b) => a.startBar - b.startBar);
+    }
+
+    /**
+     * ショーを止めて、上書きしたパラメータを元に戻す
+     */
+    clear() {
+        for (const key of this._activeKeys) this.restore(key);
+        this._activeKeys.clear();
+        this._baseline.clear();
+        this.sections = [];
+        this.currentSection = null;
+        this.title = null;
+    }
+
+    /**
+     * 小節/tick が来るたびに呼ぶ（SceneManager.dispatchOSC から）
+     * @param {{bar: number, tick: number|null}} transport
+     */
+    update(transport) {
+        if (!this.loaded) return;
+        const bar = transport.tick !== null
+            ? Math.floor(transport.tick / TICKS_PER_BAR) + 1
+            : transport.bar;
+        if (!(bar >= 1)) return;
+
+        const section = this.findSection(bar);
+        if (!section || section === this.currentSection) return;
+        this.currentSection = section;
+        this.applySection(section);
+    }
+
+    findSection(bar) {
+        // 範囲が重なっていたら後に始まる方を優先
+        for (let i = this.sections.length - 1; i >= 0; i--) {
+            const s = this.sections[i];
+            if (bar >= s.startBar && bar <= s.endBar) return s;
+        }
+        return null;
+    }
+
+    applySection(section) {
+        const manager = this.sceneManager;
+        console.log(`ショー: ${section.song} / ${section.name}（${section.startBar}〜${section.endBar}小節）`);
+
+        // シーン（切り替え中の行き先も含めて、向かっている先と同じなら何もしない）
+        let index = manager._pendingSceneIndex ?? manager.currentSceneIndex;
+        if (section.scene !== undefined && section.scene !== null) {
+            const ref = typeof section.scene === 'string' && /^\d+$/.test(section.scene) ? Number(section.scene) : section.scene;
+            const target = manager.resolveSceneIndex(ref);
+            if (target < 0) {
+                console.warn(`ショー: シーン ${section.scene} が見つかりません`);
+            } else {
+                if (target !== index) {
+                    manager.switchScene(target, { mode: section.transition, durationMs: section.transitionMs });
+                }
+                index = target;
+            }
+        }
+        const scene = manager.scenes[index];
+
+        // トラック
+        if (section.trackEffects) {
+            const mask = Array.isArray(section.trackEffects)
+                ? Object.fromEntries([1, 2, 3, 4, 5, 6, 7, 8, 9].map((t) => [t, section.trackEffects.includes(t)]))
+                : section.trackEffects;
+            for (const [track, enabled] of Object.entries(mask)) {
+                manager.setTrackEffect(Number(track), !!enabled, index);
+            }
+        }
+
+        // プリセット（読み込みが非同期なので、値が入るのは数フレーム後になることがある）
+        if (section.preset !== undefined && section.preset !== null) {
+            manager.presets.recall(String(section.preset), { durationMs: section.presetMs, sceneIndex: index });
+        }
+
+        // パラメータ（前のセクションで上書きして、今回指定が無いものは戻す）
+        const keys = new Set();
+        // シーンが持っているパラメータ（pour / material など）は行き先のシーンごと、それ以外は conf として覚える
+        for (const [name, value] of Object.entries(section.params || {})) {
+            const key = scene?.getParam?.(name) !== undefined ? `param:${index}:${name}` : `conf:${name}`;
+            this.remember(key, () => manager.getParam(name, index));
+            manager.applyParam(name, value, index);
+            keys.add(key);
+        }
+        for (const [name, value] of Object.entries(section.sceneParams || {})) {
+            if (!scene) break;
+            if (!(name in scene)) {
+                console.warn(`ショー: ${scene.id || scene.title} にプロパティ ${name} がありません`);
+                continue;
+            }
+            const key = `scene:${index}:${name}`;
+            this.remember(key, () => scene[name]);
+            scene[name] = value;
+            keys.add(key);
+        }
+        for (const key of this._activeKeys) {
+            if (!keys.has(key)) this.restore(key);
+        }
+        this._activeKeys = keys;
+
+        // カメラ
+        if (section.camera && scene?.setCameraMode && !scene.setCameraMode(section.camera)) {
+            console.warn(`ショー: ${scene.id || scene.title} にカメラモード ${section.camera} がありません`);
+        }
+    }
+
+    remember(key, getValue) {
+        if (!this._baseline.has(key)) this._baseline.set(key, getValue());
+    }
+
+    restore(key) {
+        if (!this._baseline.has(key)) return;
+        const value = this._baseline.get(key);
+        const [kind, target, name] = key.split(':');
+        if (kind === 'conf') {
+            if (value !== undefined) this.sceneManager.applyParam(target, value);
+        } else if (kind === 'param') {
+            if (value !== undefined) this.sceneManager.applyParam(name, value, Number(target));
+        } else {
+            const scene = this.sceneManager.scenes[Number(target)];
+            if (scene) scene[name] = value;
+        }
+    }
+
+    /**
+     * HUD/外部送信用
+     */
+    getInfo() {
+        const s = this.currentSection;
+        if (!s) return null;
+        return { song: s.song, section: s.name, startBar: s.startBar, endBar: s.endBar };
+    }
+}
+
+/**
+ * [from, to] / [bar] / bar → [from, to]（不正なら [null, null]）
+ */
+function parseBarRange(bars) {
+    const list = Array.isArray(bars) ? bars : [bars];
+    const from = Math.floor(Number(list[0]));
+    const to = list.length > 1 ? Math.floor(Number(list[1])) : from;
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from < 1 || to < from) return [null, null];
+    return [from, to];
+}